@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * IOSANS CLI
+ * Runs workflows exported from the editor without a browser.
+ *
+ *   iosans run workflow.json --input '{"city":"Oslo"}' --out results.json
+ *
+ * Uses the same ExecutionEngine and NodeExecutors registry as the
+ * dashboard, with a store-free host and Node service backends.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  ExecutionEngine,
+  collectWorkflowOutputs,
+} from "../src/engine/ExecutionEngine.js";
+import { createMemoryHost } from "../src/engine/memoryHost.js";
+import { createNodeServices } from "../src/cli/nodeServices.js";
+
+const USAGE = `Usage: iosans run <workflow.json> [options]
+
+Options:
+  --input <json|@file>   Run input, merged into the trigger node output
+  --var <name=value>     Override a workflow variable (repeatable)
+  --out <file>           Write the result document to a file
+  --format <json|ndjson> json: result document on stdout (default)
+                         ndjson: one progress event per line, then the result
+  --artifacts <dir>      Write artifacts (CSV, PNG, audio...) to a directory
+  --workflows <dir>      Workflow files callable by Execute Workflow nodes
+                         (default: the directory of <workflow.json>)
+  --credentials <file>   JSON of credentials referenced by name, e.g.
+                         {"github": {"type": "bearer", "token": "..."}}
+  --llm-url <url>        OpenAI-compatible API for LLM / Agent nodes
+                         (e.g. http://localhost:11434/v1)
+  --llm-model <name>     Model for every LLM call (default: the node's model)
+  --services <module>    JS module adding or replacing service backends
+  --timeout <ms>         Abort the run after this long
+  --quiet                No progress on stderr
+  -h, --help             Show this help
+
+Environment:
+  IOSANS_LLM_API_KEY     Bearer token for --llm-url
+`;
+
+const OPTIONS = {
+  input: { type: "string" },
+  var: { type: "string", multiple: true },
+  out: { type: "string" },
+  format: { type: "string", default: "json" },
+  artifacts: { type: "string" },
+  workflows: { type: "string" },
+  credentials: { type: "string" },
+  "llm-url": { type: "string" },
+  "llm-model": { type: "string" },
+  services: { type: "string" },
+  timeout: { type: "string" },
+  quiet: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+/**
+ * JSON replacer for values that don't serialize (Maps, Blobs, typed arrays)
+ */
+function serializable(key, value) {
+  if (value instanceof Map) return Object.fromEntries(value);
+  if (typeof Blob !== "undefined" && value instanceof Blob) {
+    return { blob: value.type, size: value.size };
+  }
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  return value;
+}
+
+async function readJSONArgument(value, name) {
+  const text = value.startsWith("@")
+    ? await readFile(value.slice(1), "utf8")
+    : value;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`--${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+function parseVariables(pairs = []) {
+  return Object.fromEntries(
+    pairs.map((pair) => {
+      const index = pair.indexOf("=");
+      if (index < 1) throw new UsageError(`--var expects name=value: ${pair}`);
+      return [pair.slice(0, index), pair.slice(index + 1)];
+    })
+  );
+}
+
+/**
+ * Final document: every node's status/output, plus the outputs of
+ * Output / End nodes keyed by label (and the validation problems of a
+ * run that was refused)
+ */
+function buildResult(workflow, state, status, error) {
+  const nodes = Object.fromEntries(
+    [...state.nodeResults].map(([id, r]) => [
+      id,
+      { status: r.status, output: r.output, error: r.error || undefined },
+    ])
+  );
+  const outputs = collectWorkflowOutputs(workflow.nodes, state.nodeResults);
+
+  return {
+    status,
+    error: error?.message,
+    problems: error?.problems,
+    startTime: state.executionStartTime,
+    endTime: state.executionEndTime,
+    duration: state.executionEndTime - state.executionStartTime,
+    outputs,
+    nodes,
+    logs: state.logs,
+  };
+}
+
+/**
+ * Human-readable progress for stderr
+ */
+function describeEvent(event, labels) {
+  const name = labels.get(event.nodeId) || event.nodeId;
+  switch (event.type) {
+    case "node:start":
+      return `▶ ${name}`;
+    case "node:success":
+      return `✓ ${name}`;
+    case "node:error":
+      return `${event.handled ? "!" : "✗"} ${name}: ${event.error}`;
+    case "node:skipped":
+      return `- ${name} (skipped)`;
+    case "log":
+      return event.log.type === "warning" ? `  ${event.log.content}` : null;
+    default:
+      return null;
+  }
+}
+
+async function run(file, values) {
+  if (!["json", "ndjson"].includes(values.format)) {
+    throw new UsageError(`Unknown --format: ${values.format}`);
+  }
+
+  const workflow = JSON.parse(await readFile(file, "utf8"));
+  if (!Array.isArray(workflow.nodes) || !Array.isArray(workflow.edges)) {
+    throw new UsageError(`${file} is not an exported workflow (nodes/edges)`);
+  }
+  workflow.variables = {
+    ...workflow.variables,
+    ...parseVariables(values.var),
+  };
+
+  const input =
+    values.input !== undefined
+      ? await readJSONArgument(values.input, "input")
+      : undefined;
+
+  const labels = new Map(workflow.nodes.map((n) => [n.id, n.data?.label]));
+  const onEvent = (event) => {
+    if (values.format === "ndjson") {
+      process.stdout.write(JSON.stringify(event, serializable) + "\n");
+    } else if (!values.quiet) {
+      const line = describeEvent(event, labels);
+      if (line) process.stderr.write(line + "\n");
+    }
+  };
+
+  const host = createMemoryHost({ workflow, onEvent });
+  const engine = new ExecutionEngine(host);
+  const services = await createNodeServices({
+    artifactsDir: values.artifacts,
+    workflowsDir: values.workflows || dirname(file),
+    credentialsFile: values.credentials,
+    llmURL: values["llm-url"],
+    llmModel: values["llm-model"],
+    llmApiKey: process.env.IOSANS_LLM_API_KEY,
+    servicesModule: values.services,
+  });
+
+  const timeout = Number(values.timeout) || 0;
+  const timer = timeout > 0 && setTimeout(() => engine.abort(), timeout);
+
+  let status = "success";
+  let failure = null;
+  try {
+    await engine.executeGraph(workflow, {
+      services,
+      trigger: { type: "cli", input },
+    });
+  } catch (error) {
+    status =
+      timer && engine.abortController.signal.aborted ? "aborted" : "error";
+    failure = error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const result = buildResult(workflow, host.getState(), status, failure);
+  const document = JSON.stringify(result, serializable, 2);
+
+  if (values.out) await writeFile(values.out, document + "\n");
+  if (values.format === "ndjson") {
+    process.stdout.write(
+      JSON.stringify({ type: "run:result", ...result }, serializable) + "\n"
+    );
+  } else if (!values.out) {
+    process.stdout.write(document + "\n");
+  }
+
+  return status === "success" ? 0 : 1;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, file] = positionals;
+
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (command !== "run") {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  if (!file) throw new UsageError("Missing workflow file");
+
+  // Stdout carries results only; executor chatter goes to stderr
+  console.log = console.info = console.debug = console.error;
+
+  return run(file, values);
+}
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    process.stderr.write(`iosans: ${error.message}\n`);
+    if (
+      error instanceof UsageError ||
+      error.code?.startsWith("ERR_PARSE_ARGS")
+    ) {
+      process.stderr.write(`\n${USAGE}`);
+      process.exit(2);
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+/**
+ * Vendors the Pyodide runtime into public/pyodide so the Python node
+ * works offline. Downloads the core runtime plus the allow-listed bundled
+ * packages (and their dependencies) from pythonPackages.js.
+ *
+ * Usage: npm run vendor:pyodide
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { mkdir, writeFile, readFile, access } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  PYODIDE_VERSION,
+  PYTHON_PACKAGES,
+} from "../src/engine/pythonPackages.js";
+
+const SOURCE_URL = `https://cdn.jsdelivr.net/pyodide/v${PYODIDE_VERSION}/full/`;
+const OUT_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../public/pyodide"
+);
+const CORE_FILES = [
+  "pyodide.mjs",
+  "pyodide.asm.js",
+  "pyodide.asm.wasm",
+  "python_stdlib.zip",
+  "pyodide-lock.json",
+];
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function download(fileName) {
+  const target = path.join(OUT_DIR, fileName);
+  if (await exists(target)) return;
+
+  const response = await fetch(SOURCE_URL + fileName);
+  if (!response.ok) {
+    throw new Error(`${fileName}: HTTP ${response.status}`);
+  }
+  await writeFile(target, Buffer.from(await response.arrayBuffer()));
+  console.log(`  ✓ ${fileName}`);
+}
+
+/**
+ * Bundled packages plus everything they depend on, per the lock file.
+ * micropip is always included so "micropip" packages can be installed.
+ */
+function resolveClosure(lock) {
+  const wanted = Object.entries(PYTHON_PACKAGES)
+    .filter(([, pkg]) => pkg.source === "bundled")
+    .map(([name]) => name);
+  wanted.push("micropip");
+
+  const seen = new Set();
+  const visit = (name) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return;
+    const entry = lock.packages[key];
+    if (!entry) throw new Error(`Unknown Pyodide package: ${name}`);
+    seen.add(key);
+    entry.depends.forEach(visit);
+  };
+  wanted.forEach(visit);
+
+  return [...seen].map((key) => lock.packages[key].file_name);
+}
+
+async function main() {
+  console.log(`[vendor-pyodide] Pyodide ${PYODIDE_VERSION} -> ${OUT_DIR}`);
+  await mkdir(OUT_DIR, { recursive: true });
+
+  for (const file of CORE_FILES) {
+    await download(file);
+  }
+
+  const lock = JSON.parse(
+    await readFile(path.join(OUT_DIR, "pyodide-lock.json"), "utf8")
+  );
+  for (const file of resolveClosure(lock)) {
+    await download(file);
+  }
+
+  console.log("[vendor-pyodide] Done");
+}
+
+main().catch((error) => {
+  console.error("[vendor-pyodide] Failed:", error.message);
+  process.exit(1);
+});
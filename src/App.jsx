@@ -15,8 +15,8 @@ import ReactFlow, {
   Background,
   MiniMap,
   addEdge,
-  useNodesState,
-  useEdgesState,
+  applyNodeChanges,
+  applyEdgeChanges,
   useReactFlow,
   ReactFlowProvider,
   Panel,
@@ -28,11 +28,27 @@ import "reactflow/dist/style.css";
 // Stores
 import useWorkflowStore from "./store/workflowStore.js";
 import useExecutionStore from "./store/executionStore.js";
-import { executionEngine } from "./engine/ExecutionEngine.js";
+import useUIStore from "./store/uiStore.js";
+import useLibraryStore from "./store/libraryStore.js";
+import useVersionStore, { useComparison } from "./store/versionStore.js";
+import { executionEngine, stopRun } from "./engine/dashboardEngine.js";
 import { webLLMService } from "./engine/WebLLMService.js";
+import { pyodideService } from "./engine/PyodideService.js";
 import * as artifactStorage from "./utils/artifactStorage.js";
+import * as workflowLibrary from "./utils/workflowLibrary.js";
+import { saveVersion } from "./utils/workflowVersions.js";
+import { buildDiffGraph } from "./utils/workflowDiff.js";
+import * as credentialVault from "./utils/credentialVault.js";
+import { redactWorkflow } from "./utils/credentials.js";
 import ToolCallingService from "./engine/ToolCallingService.js";
 import { schedulerService } from "./engine/SchedulerService.js";
+import {
+  validateGraph,
+  getBlockingProblems,
+  findDownstreamNodes,
+} from "./engine/graphValidation.js";
+import { canPin, createPin } from "./utils/pinnedOutput.js";
+import useValidationStore from "./store/validationStore.js";
 
 // Components
 import ConfirmationModal from "./components/UI/ConfirmationModal.jsx";
@@ -41,11 +57,23 @@ import ConfirmationModal from "./components/UI/ConfirmationModal.jsx";
 const toolCallingService = new ToolCallingService(webLLMService);
 toolCallingService.setServices({ artifactStorage });
 
+// What every dashboard run gets (and is validated against)
+const runServices = {
+  webLLM: webLLMService,
+  artifactStorage,
+  toolCalling: toolCallingService,
+  workflowLibrary,
+  credentials: credentialVault,
+};
+
 // Components
 import NodeSidebar from "./components/Sidebar/NodeSidebar.jsx";
 import ExecutionPanel from "./components/Panels/ExecutionPanel.jsx";
 import ArtifactPanel from "./components/Panels/ArtifactPanel.jsx";
 import NodeConfigPanel from "./components/Panels/NodeConfigPanel.jsx";
+import VersionsPanel from "./components/Panels/VersionsPanel.jsx";
+import WorkflowTabs from "./components/Editor/WorkflowTabs.jsx";
+import ExecutionControls from "./components/Editor/ExecutionControls.jsx";
 
 // Nodes
 import BaseNode from "./nodes/base/BaseNode.jsx";
@@ -58,12 +86,14 @@ import {
   IfElseNode,
   SwitchNode,
   MergeNode as MergeNodeComponent,
+  LoopNode,
   DelayNode,
 } from "./nodes/logic/LogicNodes.jsx";
 import {
   CodeExecutorNode,
   HTTPRequestNode,
   TransformNode,
+  ExecuteWorkflowNode,
 } from "./nodes/actions/ActionNodes.jsx";
 import {
   LLMNode,
@@ -88,8 +118,10 @@ const nodeTypes = {
   ifElse: IfElseNode,
   switch: SwitchNode,
   merge: MergeNodeComponent,
+  loop: LoopNode,
   codeExecutor: CodeExecutorNode,
   httpRequest: HTTPRequestNode,
+  executeWorkflow: ExecuteWorkflowNode,
   output: OutputNode,
   // AI Action types
   llm: LLMNode,
@@ -109,6 +141,22 @@ const edgeTypes = {
   animated: AnimatedEdge,
 };
 
+// Delay between the last canvas edit and the write to the library
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * Comparable form of the open workflow, to skip saves with no changes
+ */
+function snapshotCanvas(nodes, edges, workflow) {
+  return JSON.stringify({
+    ...workflowLibrary.toStoredGraph(nodes, edges),
+    name: workflow.workflowName,
+    variables: workflow.variables,
+    inputSchema: workflow.inputSchema,
+    outputSchema: workflow.outputSchema,
+  });
+}
+
 // Dagre layout config
 const dagreGraph = new dagre.graphlib.Graph();
 dagreGraph.setDefaultEdgeLabel(() => ({}));
@@ -152,24 +200,49 @@ function Dashboard() {
   const [isLocked, setIsLocked] = useState(false);
   const [resetKey, setResetKey] = useState(0);
   const [isClearModalOpen, setIsClearModalOpen] = useState(false);
+  // Imported file whose id is already in the library: {data, existingName}
+  const [pendingImport, setPendingImport] = useState(null);
   const [showMiniMap, setShowMiniMap] = useState(true);
   const [isRightPanelCollapsed, setIsRightPanelCollapsed] = useState(false);
 
-  // ... store hooks (unchanged)
-  const storeNodes = useWorkflowStore((state) => state.nodes);
-  const storeEdges = useWorkflowStore((state) => state.edges);
+  // Workflow store: the single source of the canvas and Inspector
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const edges = useWorkflowStore((state) => state.edges);
   const addNode = useWorkflowStore((state) => state.addNode);
   const removeNode = useWorkflowStore((state) => state.removeNode);
-  const setStoreNodes = useWorkflowStore((state) => state.setNodes);
-  const setStoreEdges = useWorkflowStore((state) => state.setEdges);
-  const clearStoreWorkflow = useWorkflowStore((state) => state.clearWorkflow);
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
+  const setNodes = useWorkflowStore((state) => state.setNodes);
+  const setEdges = useWorkflowStore((state) => state.setEdges);
+  const checkpoint = useWorkflowStore((state) => state.checkpoint);
+  const transact = useWorkflowStore((state) => state.transact);
+  const undo = useWorkflowStore((state) => state.undo);
+  const redo = useWorkflowStore((state) => state.redo);
+  const canUndo = useWorkflowStore((state) => state.past.length > 0);
+  const canRedo = useWorkflowStore((state) => state.future.length > 0);
+  const workflowId = useWorkflowStore((state) => state.workflowId);
+  const workflowName = useWorkflowStore((state) => state.workflowName);
+  const variables = useWorkflowStore((state) => state.variables);
+  const inputSchema = useWorkflowStore((state) => state.inputSchema);
+  const outputSchema = useWorkflowStore((state) => state.outputSchema);
 
   const isRunning = useExecutionStore((state) => state.isRunning);
   const isPaused = useExecutionStore((state) => state.isPaused);
+  const breakpoints = useExecutionStore((state) => state.breakpoints);
   const nodeResults = useExecutionStore((state) => state.nodeResults);
   const resetExecution = useExecutionStore((state) => state.resetExecution);
   const pauseExecution = useExecutionStore((state) => state.pauseExecution);
   const resumeExecution = useExecutionStore((state) => state.resumeExecution);
+  const addToast = useUIStore((state) => state.addToast);
+  const [libraryReady, setLibraryReady] = useState(false);
+  const savedSnapshotRef = useRef(null);
+
+  // While comparing versions the canvas shows the diff, read-only
+  const comparison = useComparison();
+  const diffGraph = useMemo(
+    () => comparison && buildDiffGraph(comparison.after, comparison.diff),
+    [comparison]
+  );
+  const isReadOnly = isLocked || Boolean(diffGraph);
 
   // ... (store hooks)
 
@@ -179,9 +252,41 @@ function Dashboard() {
 
   // ... (Canvas Controls - inside return)
 
-  // React Flow state
-  const [nodes, setNodes, onNodesChange] = useNodesState(storeNodes);
-  const [edges, setEdges, onEdgesChange] = useEdgesState(storeEdges);
+  // A delete reports its nodes and their edges in the same tick; they
+  // share one undo step, and the next delete gets its own
+  const removalRecorded = useRef(false);
+  const checkpointRemoval = useCallback(() => {
+    if (removalRecorded.current) return;
+    removalRecorded.current = true;
+    checkpoint();
+    queueMicrotask(() => {
+      removalRecorded.current = false;
+    });
+  }, [checkpoint]);
+
+  // React Flow changes (selection, measuring, dragging) are applied
+  // without history; drags are recorded once in onNodeDragStart
+  const onNodesChange = useCallback(
+    (changes) => {
+      if (changes.some((change) => change.type === "remove")) {
+        checkpointRemoval();
+      }
+      setNodes((nds) => applyNodeChanges(changes, nds));
+    },
+    [checkpointRemoval, setNodes]
+  );
+
+  const onEdgesChange = useCallback(
+    (changes) => {
+      if (changes.some((change) => change.type === "remove")) {
+        checkpointRemoval();
+      }
+      setEdges((eds) => applyEdgeChanges(changes, eds));
+    },
+    [checkpointRemoval, setEdges]
+  );
+
+  const onNodeDragStart = useCallback(() => checkpoint(), [checkpoint]);
 
   // Memoize types to prevent re-creation warnings
   const memoNodeTypes = useMemo(() => nodeTypes, []);
@@ -216,24 +321,151 @@ function Dashboard() {
     });
   }, [nodeResults, setNodes]);
 
-  // Sync to store
+  // Workflow library: the open workflow lives in the store and on the
+  // canvas, and is autosaved to its IndexedDB record
+  const showWorkflow = useCallback(
+    (record) => {
+      useWorkflowStore.getState().loadWorkflow(record);
+      savedSnapshotRef.current = snapshotCanvas(
+        record.nodes,
+        record.edges,
+        useWorkflowStore.getState()
+      );
+      resetExecution();
+      useVersionStore.getState().reset(record.id);
+      useValidationStore.getState().clearProblems();
+      setSelectedNodeId(null);
+      setResetKey((prev) => prev + 1);
+      useLibraryStore.getState().openTab(record.id);
+    },
+    [resetExecution]
+  );
+
+  // Writes the canvas to its record, if anything changed since the last
+  // save. Uses render-time values so a canvas is never saved under the id
+  // of the workflow replacing it.
+  const saveCanvas = useCallback(async () => {
+    if (!workflowId) return null;
+
+    const workflow = { workflowName, variables, inputSchema, outputSchema };
+    const snapshot = snapshotCanvas(nodes, edges, workflow);
+    if (snapshot === savedSnapshotRef.current) return null;
+
+    const record = await workflowLibrary.saveWorkflow({
+      id: workflowId,
+      name: workflowName,
+      nodes,
+      edges,
+      variables,
+      inputSchema,
+      outputSchema,
+    });
+    savedSnapshotRef.current = snapshot;
+    return record;
+  }, [
+    nodes,
+    edges,
+    workflowId,
+    workflowName,
+    variables,
+    inputSchema,
+    outputSchema,
+  ]);
+
+  useEffect(() => {
+    let cancelled = false;
+    useLibraryStore
+      .getState()
+      .initialize()
+      .then((record) => {
+        if (cancelled || !record) return;
+        showWorkflow(record);
+        setLibraryReady(true);
+      })
+      .catch((error) => {
+        console.error("[Dashboard] Failed to open workflow library:", error);
+        addToast({ message: "Workflow library unavailable", type: "error" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showWorkflow, addToast]);
+
+  // Autosave
   useEffect(() => {
+    if (!libraryReady) return;
     const timer = setTimeout(() => {
-      setStoreNodes(nodes);
-      setStoreEdges(edges);
-    }, 300);
+      saveCanvas()
+        .then((record) => record && useLibraryStore.getState().refresh())
+        .catch((error) => console.warn("[Dashboard] Autosave failed:", error));
+    }, AUTOSAVE_DELAY);
     return () => clearTimeout(timer);
-  }, [nodes, edges, setStoreNodes, setStoreEdges]);
+  }, [libraryReady, saveCanvas]);
+
+  const openWorkflow = useCallback(
+    async (id) => {
+      if (id === workflowId) return;
+      if (useExecutionStore.getState().isRunning) {
+        addToast({
+          message: "Stop the running workflow before switching",
+          type: "warning",
+        });
+        return;
+      }
+      try {
+        await saveCanvas();
+        const record = await workflowLibrary.getWorkflow(id);
+        if (!record) throw new Error("it is no longer in the library");
+        showWorkflow(record);
+      } catch (error) {
+        addToast({
+          message: `Could not open workflow: ${error.message}`,
+          type: "error",
+        });
+      }
+    },
+    [workflowId, saveCanvas, showWorkflow, addToast]
+  );
+
+  const createWorkflow = useCallback(async () => {
+    const record = await useLibraryStore.getState().createWorkflow();
+    await openWorkflow(record.id);
+  }, [openWorkflow]);
+
+  const closeWorkflowTab = useCallback(
+    async (id) => {
+      const nextId = useLibraryStore.getState().closeTab(id);
+      if (nextId) await openWorkflow(nextId);
+    },
+    [openWorkflow]
+  );
+
+  const deleteWorkflow = useCallback(
+    async (id) => {
+      const library = useLibraryStore.getState();
+      if (id === workflowId) {
+        // Switch away without saving the canvas that is being deleted
+        const nextId =
+          library.openTabIds.find((tabId) => tabId !== id) ||
+          library.workflows.find((w) => w.id !== id)?.id ||
+          (await library.createWorkflow()).id;
+        showWorkflow(await workflowLibrary.getWorkflow(nextId));
+      }
+      await library.deleteWorkflow(id);
+    },
+    [workflowId, showWorkflow]
+  );
 
   // Connection handler
   const onConnect = useCallback(
     (params) => {
+      checkpoint();
       // Force 'animated' edge type for new connections
       setEdges((eds) =>
         addEdge({ ...params, type: "animated", animated: true }, eds)
       );
     },
-    [setEdges]
+    [checkpoint, setEdges]
   );
 
   // ... drag handlers (unchanged)
@@ -245,6 +477,7 @@ function Dashboard() {
   const onDrop = useCallback(
     (event) => {
       event.preventDefault();
+      if (diffGraph) return;
 
       const position = screenToFlowPosition({
         x: event.clientX,
@@ -254,16 +487,14 @@ function Dashboard() {
       // 1. Handle Single Node Drop
       const type = event.dataTransfer.getData("application/reactflow");
       if (type) {
-        constlabel =
+        const label =
           event.dataTransfer.getData("application/nodeLabel") || type;
-        const newNode = {
+        addNode({
           id: `${type}-${Date.now()}`,
           type,
           position,
           data: { label },
-        };
-        setNodes((nds) => [...nds, newNode]);
-        addNode(newNode);
+        });
         return;
       }
 
@@ -316,16 +547,14 @@ function Dashboard() {
             target: idMap[e.target],
           }));
 
-          setNodes((nds) => [...nds, ...newNodes]);
-          setEdges((eds) => [...eds, ...newEdges]);
-
-          // Sync to store
-          newNodes.forEach(addNode);
-          // newEdges.forEach(addEdgeStore); // Store currently syncs edges via useEffect, so acceptable.
+          transact(() => {
+            setNodes((nds) => [...nds, ...newNodes]);
+            setEdges((eds) => [...eds, ...newEdges]);
+          });
         });
       }
     },
-    [addNode, setNodes, setEdges, screenToFlowPosition]
+    [diffGraph, addNode, transact, setNodes, setEdges, screenToFlowPosition]
   );
 
   // ... context menu handlers (unchanged)
@@ -350,56 +579,145 @@ function Dashboard() {
   const handleDuplicate = useCallback(() => {
     const node = nodes.find((n) => n.id === contextMenu?.nodeId);
     if (node) {
-      const newNode = {
+      addNode({
         id: `${node.type}-${Date.now()}`,
         type: node.type,
         position: { x: node.position.x + 50, y: node.position.y + 50 },
         data: { ...node.data },
-      };
-      setNodes((nds) => [...nds, newNode]);
-      addNode(newNode);
+      });
+    }
+    closeContextMenu();
+  }, [contextMenu, nodes, addNode, closeContextMenu]);
+
+  const handleToggleBreakpoint = useCallback(() => {
+    if (contextMenu?.nodeId) {
+      useExecutionStore.getState().toggleBreakpoint(contextMenu.nodeId);
     }
     closeContextMenu();
-  }, [contextMenu, nodes, addNode, setNodes, closeContextMenu]);
+  }, [contextMenu, closeContextMenu]);
+
+  const contextNode = contextMenu
+    ? nodes.find((n) => n.id === contextMenu.nodeId)
+    : null;
+
+  const handleTogglePin = useCallback(() => {
+    const node = contextNode;
+    closeContextMenu();
+    if (!node) return;
+    if (node.data?.pin) {
+      updateNodeData(node.id, { pin: undefined });
+      return;
+    }
+    const result = useExecutionStore.getState().nodeResults.get(node.id);
+    if (result?.status !== "success") {
+      addToast({
+        message: "Run the node successfully before pinning its output",
+        type: "error",
+      });
+      return;
+    }
+    try {
+      updateNodeData(node.id, { pin: createPin(result.output, "run") });
+    } catch (error) {
+      addToast({ message: `Could not pin: ${error.message}`, type: "error" });
+    }
+  }, [contextNode, updateNodeData, addToast, closeContextMenu]);
 
   const handleDelete = useCallback(() => {
     if (contextMenu?.nodeId) {
-      setNodes((nds) => nds.filter((n) => n.id !== contextMenu.nodeId));
-      setEdges((eds) =>
-        eds.filter(
-          (e) =>
-            e.source !== contextMenu.nodeId && e.target !== contextMenu.nodeId
-        )
-      );
       removeNode(contextMenu.nodeId);
     }
     closeContextMenu();
-  }, [contextMenu, setNodes, setEdges, removeNode, closeContextMenu]);
+  }, [contextMenu, removeNode, closeContextMenu]);
 
   // Auto-layout
   const handleAutoLayout = useCallback(() => {
     const layoutedNodes = getLayoutedElements(nodes, edges);
+    checkpoint();
     setNodes(layoutedNodes);
     setTimeout(() => fitView({ padding: 0.2 }), 50);
-  }, [nodes, edges, setNodes, fitView]);
+  }, [nodes, edges, checkpoint, setNodes, fitView]);
 
   // Run/Stop handlers
-  const handleRun = useCallback(async () => {
-    if (isRunning) return;
-    try {
-      const services = {
-        webLLM: webLLMService,
-        artifactStorage,
-        toolCalling: toolCallingService,
-      };
-      await executionEngine.executeGraph({ nodes, edges }, { services });
-    } catch (error) {
-      console.error("[Dashboard] Execution error:", error);
-    }
-  }, [isRunning, nodes, edges]);
+  // `startFrom` runs only that node and its downstream ("run from here")
+  const handleRun = useCallback(
+    async (trigger = { type: "manual" }, { startFrom = null } = {}) => {
+      if (isRunning) return;
+
+      // Lets validation flag Python nodes when the runtime is not vendored
+      if (nodes.some((node) => node.type === "python")) {
+        await pyodideService.checkRuntime();
+      }
+      const problems = validateGraph(
+        { nodes, edges },
+        {
+          services: runServices,
+          nodeIds: startFrom ? findDownstreamNodes(startFrom, edges) : null,
+        }
+      );
+      const blocking = getBlockingProblems(problems);
+      if (blocking.length > 0) {
+        useValidationStore.getState().reportBlockedRun(problems);
+        addToast({
+          message: `Run blocked: ${blocking.length} problem${
+            blocking.length === 1 ? "" : "s"
+          } to fix (see Logs › Problems)`,
+          type: "error",
+        });
+        setRightPanelTab("logs");
+        setIsRightPanelCollapsed(false);
+        return;
+      }
+      useValidationStore.getState().setProblems(problems);
+
+      try {
+        await executionEngine.executeGraph(
+          { nodes, edges },
+          { services: runServices, trigger, startFrom }
+        );
+      } catch (error) {
+        console.error("[Dashboard] Execution error:", error);
+        if (startFrom) {
+          addToast({
+            message: `Run from here failed: ${error.message}`,
+            type: "error",
+          });
+        }
+      }
+    },
+    [isRunning, nodes, edges, addToast]
+  );
+
+  const handleRunFromHere = useCallback(() => {
+    const nodeId = contextMenu?.nodeId;
+    closeContextMenu();
+    if (nodeId) handleRun({ type: "manual" }, { startFrom: nodeId });
+  }, [contextMenu, closeContextMenu, handleRun]);
+
+  // Keep problem markers current while the user fixes them
+  const hasProblems = useValidationStore((state) => state.problems.length > 0);
+  useEffect(() => {
+    if (!hasProblems) return;
+    const timer = setTimeout(() => {
+      useValidationStore
+        .getState()
+        .setProblems(
+          validateGraph({ nodes, edges }, { services: runServices })
+        );
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [hasProblems, nodes, edges]);
+
+  const focusNode = useCallback(
+    (nodeId) => {
+      setSelectedNodeId(nodeId);
+      fitView({ nodes: [{ id: nodeId }], duration: 300, maxZoom: 1 });
+    },
+    [fitView]
+  );
 
   const handleStop = useCallback(() => {
-    executionEngine.abort();
+    stopRun();
   }, []);
 
   const handlePause = useCallback(() => {
@@ -429,7 +747,7 @@ function Dashboard() {
                 `[Scheduler] Triggering workflow for node ${node.id}`
               );
               triggered = true;
-              handleRun();
+              handleRun({ type: "schedule", nodeId: node.id });
             }
           }
         });
@@ -444,14 +762,36 @@ function Dashboard() {
 
   // Export/Import
   const handleExport = useCallback(() => {
-    const data = JSON.stringify({ nodes, edges }, null, 2);
+    const { variables, workflowId, workflowName, inputSchema, outputSchema } =
+      useWorkflowStore.getState();
+    // Exports are meant to be shared: inline secrets become placeholders,
+    // credential references (names) are kept
+    const { workflow, count } = redactWorkflow(
+      {
+        id: workflowId || undefined,
+        name: workflowName,
+        nodes: workflowLibrary.toStoredGraph(nodes, edges).nodes,
+        edges,
+        variables,
+        inputSchema,
+        outputSchema,
+      },
+      credentialVault.getKnownSecrets()
+    );
+    if (count > 0) {
+      addToast({
+        message: `Replaced ${count} secret value(s) with placeholders in the export`,
+        type: "warning",
+      });
+    }
+    const data = JSON.stringify(workflow, null, 2);
     const blob = new Blob([data], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
     a.download = "workflow.json";
     a.click();
-  }, [nodes, edges]);
+  }, [nodes, edges, addToast]);
 
   // Clear Canvas Request (Opens Modal)
   const handleClearCanvas = useCallback((e) => {
@@ -464,67 +804,121 @@ function Dashboard() {
   const confirmClearCanvas = useCallback(() => {
     console.log("[Dashboard] Clear Confirmed - Executing Ultimate Clear...");
 
-    // 1. Clear Memory State
-    clearStoreWorkflow();
+    // 1. Clear Memory State (the workflow keeps its library identity;
+    //    autosave writes the empty graph). Undo brings the graph back.
+    transact(() => {
+      setNodes([]);
+      setEdges([]);
+    });
     resetExecution();
 
-    // 2. Clear Disk State (LocalStorage)
-    try {
-      localStorage.removeItem("iosans-workflow");
-    } catch (err) {
-      console.error("Failed to clear local storage:", err);
-    }
-
-    // 3. Clear Local View State
-    setNodes([]);
-    setEdges([]);
-
-    // 4. Force Component Destruction & Recreation after delay
+    // 2. Force Component Destruction & Recreation after delay
     setTimeout(() => {
       setResetKey((prev) => prev + 1);
       console.log("[Dashboard] Canvas Reset Complete");
     }, 50);
 
     setIsClearModalOpen(false);
-  }, [clearStoreWorkflow, resetExecution, setNodes, setEdges]);
+  }, [transact, setNodes, setEdges, resetExecution]);
 
+  // Saves an imported file as a library workflow. Keeping its id lets
+  // sub-workflow references survive export / import; a copy gets a new one.
+  const importWorkflow = async (data, { asCopy = false } = {}) => {
+    try {
+      await saveCanvas();
+      const existing = data.id && (await workflowLibrary.getWorkflow(data.id));
+      if (existing && !asCopy) {
+        // The replaced state stays restorable from the Versions tab
+        await saveVersion(
+          existing.id,
+          `Before import ${new Date().toLocaleString()}`,
+          existing
+        );
+      }
+      const record = await workflowLibrary.saveWorkflow({
+        ...data,
+        id: asCopy ? undefined : data.id || undefined,
+        name: asCopy ? `${data.name} (copy)` : data.name,
+        ...(asCopy && { lastRunStatus: null, lastRunAt: null }),
+      });
+      showWorkflow(record);
+      await useLibraryStore.getState().refresh();
+    } catch (error) {
+      addToast({ message: `Import failed: ${error.message}`, type: "error" });
+    }
+  };
+
+  // Imports a file, asking first when its id is already in the library
   const handleImport = () => {
     const input = document.createElement("input");
     input.type = "file";
     input.accept = ".json";
     input.onchange = async (e) => {
       const file = e.target.files[0];
-      if (file) {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        setNodes(data.nodes || []);
-        setEdges(data.edges || []);
+      if (!file) return;
+      try {
+        const parsed = JSON.parse(await file.text());
+        const data = {
+          ...parsed,
+          name: parsed.name || file.name.replace(/\.json$/, ""),
+        };
+        const existing =
+          data.id && (await workflowLibrary.getWorkflow(data.id));
+        if (existing) {
+          setPendingImport({ data, existingName: existing.name });
+          return;
+        }
+        await importWorkflow(data);
+      } catch (error) {
+        addToast({ message: `Import failed: ${error.message}`, type: "error" });
       }
     };
     input.click();
   };
 
+  const resolvePendingImport = (options) => {
+    const { data } = pendingImport;
+    setPendingImport(null);
+    importWorkflow(data, options);
+  };
+
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (e.key === "Delete" && selectedNodeId) {
-        setNodes((nds) => nds.filter((n) => n.id !== selectedNodeId));
-        setEdges((eds) =>
-          eds.filter(
-            (e) => e.source !== selectedNodeId && e.target !== selectedNodeId
-          )
-        );
+      // Text fields keep their own undo and Delete behaviour
+      const target = e.target;
+      const isEditing =
+        target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+      const isModifier = e.metaKey || e.ctrlKey;
+
+      if (e.key === "Delete" && selectedNodeId && !isEditing) {
+        removeNode(selectedNodeId);
         setSelectedNodeId(null);
       }
-      if ((e.metaKey || e.ctrlKey) && e.key === "s") {
+      if (isModifier && e.key === "s") {
         e.preventDefault();
         handleExport();
       }
+      if (isEditing) return;
+      if (e.key === "F9" && selectedNodeId) {
+        e.preventDefault();
+        useExecutionStore.getState().toggleBreakpoint(selectedNodeId);
+      }
+      if (isModifier && e.key.toLowerCase() === "z") {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+      }
+      if (isModifier && e.key.toLowerCase() === "y") {
+        e.preventDefault();
+        redo();
+      }
     };
 
     window.addEventListener("keydown", handleKeyDown);
     return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [selectedNodeId, setNodes, setEdges, handleExport]);
+  }, [selectedNodeId, removeNode, undo, redo, handleExport]);
 
   return (
     <div className="dashboard" onClick={closeContextMenu}>
@@ -534,7 +928,13 @@ function Dashboard() {
           <h1>IOSANS</h1>
           <span className="topbar__tag">Sovereign AI</span>
         </div>
-        <div className="topbar__center">{/* Actions moved to canvas */}</div>
+        <div className="topbar__center">
+          <WorkflowTabs
+            onSelect={openWorkflow}
+            onClose={closeWorkflowTab}
+            onCreate={createWorkflow}
+          />
+        </div>
         <div className="topbar__right">
           <button className="topbar__btn" onClick={handleExport}>
             Export
@@ -551,6 +951,9 @@ function Dashboard() {
         <NodeSidebar
           collapsed={sidebarCollapsed}
           onToggle={() => setSidebarCollapsed(!sidebarCollapsed)}
+          onOpenWorkflow={openWorkflow}
+          onCreateWorkflow={createWorkflow}
+          onDeleteWorkflow={deleteWorkflow}
         />
 
         {/* Center Canvas */}
@@ -558,15 +961,16 @@ function Dashboard() {
           <EdgeMarkerDefs />
           <ReactFlow
             key={resetKey}
-            nodes={nodes}
-            edges={edges}
-            onNodesChange={onNodesChange}
-            onEdgesChange={onEdgesChange}
+            nodes={diffGraph ? diffGraph.nodes : nodes}
+            edges={diffGraph ? diffGraph.edges : edges}
+            onNodesChange={diffGraph ? undefined : onNodesChange}
+            onEdgesChange={diffGraph ? undefined : onEdgesChange}
             onConnect={onConnect}
+            onNodeDragStart={onNodeDragStart}
             onDragOver={onDragOver}
             onDrop={onDrop}
-            onNodeClick={onNodeClick}
-            onNodeContextMenu={onNodeContextMenu}
+            onNodeClick={diffGraph ? undefined : onNodeClick}
+            onNodeContextMenu={diffGraph ? undefined : onNodeContextMenu}
             nodeTypes={memoNodeTypes}
             edgeTypes={memoEdgeTypes}
             fitView
@@ -576,9 +980,9 @@ function Dashboard() {
             defaultViewport={{ x: 0, y: 0, zoom: 0.65 }}
             snapToGrid
             snapGrid={[10, 10]}
-            nodesDraggable={!isLocked}
-            nodesConnectable={!isLocked}
-            elementsSelectable={!isLocked}
+            nodesDraggable={!isReadOnly}
+            nodesConnectable={!isReadOnly}
+            elementsSelectable={!isReadOnly}
             panOnDrag={!isLocked}
             zoomOnScroll={!isLocked}
           >
@@ -599,6 +1003,7 @@ function Dashboard() {
                   if (result?.status === "running") return "#14b8a6";
                   if (result?.status === "success") return "#22c55e";
                   if (result?.status === "error") return "#ef4444";
+                  if (result?.status === "skipped") return "#334155";
                   return "#64748b";
                 }}
                 maskColor="rgba(0, 0, 0, 0.75)"
@@ -615,6 +1020,34 @@ function Dashboard() {
               </button>
             </div>
 
+            {comparison && (
+              <Panel position="top-center" className="diff-banner">
+                Comparing <strong>{comparison.before.name}</strong> →{" "}
+                <strong>{comparison.after.name}</strong>
+                <span className="diff-banner__legend diff-banner__legend--added">
+                  added
+                </span>
+                <span className="diff-banner__legend diff-banner__legend--removed">
+                  removed
+                </span>
+                <span className="diff-banner__legend diff-banner__legend--changed">
+                  changed
+                </span>
+                <button
+                  onClick={() => useVersionStore.getState().closeComparison()}
+                >
+                  Exit
+                </button>
+              </Panel>
+            )}
+
+            {/* Run status and debugger (continue, step, input editing) */}
+            {isRunning && !comparison && (
+              <Panel position="top-center">
+                <ExecutionControls />
+              </Panel>
+            )}
+
             {/* Custom Canvas Controls & Actions */}
             <Panel position="bottom-left" className="canvas-panel-container">
               <div className="canvas-actions">
@@ -622,7 +1055,7 @@ function Dashboard() {
                   className={`canvas-btn canvas-btn--run ${
                     isRunning && !isPaused ? "disabled" : ""
                   }`}
-                  onClick={isPaused ? handleResume : handleRun}
+                  onClick={isPaused ? handleResume : () => handleRun()}
                   disabled={isRunning && !isPaused}
                   style={{ color: isPaused ? "#22c55e" : "" }}
                   data-tooltip={isPaused ? "Resume Workflow" : "Run Workflow"}
@@ -646,6 +1079,22 @@ function Dashboard() {
                 >
                   ⏹
                 </button>
+                <button
+                  className="canvas-btn"
+                  onClick={undo}
+                  disabled={!canUndo}
+                  data-tooltip="Undo (Ctrl+Z)"
+                >
+                  ↶
+                </button>
+                <button
+                  className="canvas-btn"
+                  onClick={redo}
+                  disabled={!canRedo}
+                  data-tooltip="Redo (Ctrl+Shift+Z)"
+                >
+                  ↷
+                </button>
                 <button
                   className="canvas-btn"
                   onClick={handleAutoLayout}
@@ -716,6 +1165,19 @@ function Dashboard() {
               style={{ left: contextMenu.x, top: contextMenu.y }}
             >
               <button onClick={handleDuplicate}>Duplicate</button>
+              <button onClick={handleToggleBreakpoint}>
+                {breakpoints.has(contextMenu.nodeId)
+                  ? "Remove Breakpoint"
+                  : "Add Breakpoint"}
+              </button>
+              <button onClick={handleRunFromHere} disabled={isRunning}>
+                Run From Here
+              </button>
+              {canPin(contextNode) && (
+                <button onClick={handleTogglePin}>
+                  {contextNode.data?.pin ? "Unpin Output" : "Pin Output"}
+                </button>
+              )}
               <button onClick={handleDelete}>Delete</button>
             </div>
           )}
@@ -784,13 +1246,22 @@ function Dashboard() {
             >
               Artifacts
             </button>
+            <button
+              className={rightPanelTab === "versions" ? "active" : ""}
+              onClick={() => setRightPanelTab("versions")}
+            >
+              Versions
+            </button>
           </div>
           <div className="panel__content">
             {rightPanelTab === "config" && (
               <NodeConfigPanel selectedNodeId={selectedNodeId} />
             )}
-            {rightPanelTab === "logs" && <ExecutionPanel />}
+            {rightPanelTab === "logs" && (
+              <ExecutionPanel onSelectNode={focusNode} />
+            )}
             {rightPanelTab === "artifacts" && <ArtifactPanel />}
+            {rightPanelTab === "versions" && <VersionsPanel />}
           </div>
         </div>
       </div>
@@ -799,12 +1270,23 @@ function Dashboard() {
       <ConfirmationModal
         isOpen={isClearModalOpen}
         title="Clear Canvas"
-        message="Are you sure you want to clear the entire canvas? This action cannot be undone."
+        message="Are you sure you want to clear the entire canvas? You can undo this with Ctrl+Z."
         onConfirm={confirmClearCanvas}
         onCancel={() => setIsClearModalOpen(false)}
         confirmText="Clear Canvas"
         isDestructive={true}
       />
+      <ConfirmationModal
+        isOpen={Boolean(pendingImport)}
+        title="Workflow Already Exists"
+        message={`"${pendingImport?.existingName}" has the same id as the imported file. Replace it (its current state is saved as a version first), or import the file as a copy?`}
+        onConfirm={() => resolvePendingImport({ asCopy: false })}
+        onSecondary={() => resolvePendingImport({ asCopy: true })}
+        onCancel={() => setPendingImport(null)}
+        confirmText="Replace"
+        secondaryText="Import as Copy"
+        isDestructive={true}
+      />
     </div>
   );
 }
@@ -0,0 +1,16 @@
+/**
+ * Code Worker Shim
+ * Loads the browser code worker inside a Node worker thread by giving it
+ * the `self.postMessage` / `self.onmessage` surface it expects.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { parentPort } from "node:worker_threads";
+
+// The worker removes `self` and `globalThis` before running user code
+const scope = globalThis;
+scope.self = scope;
+scope.postMessage = (message) => parentPort.postMessage(message);
+parentPort.on("message", (data) => scope.onmessage?.({ data }));
+
+await import("../engine/code.worker.js");
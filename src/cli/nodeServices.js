@@ -0,0 +1,292 @@
+/**
+ * Node Services
+ * Service backends for running workflows headless: file-system artifacts,
+ * a directory of workflow files for Execute Workflow nodes, credentials
+ * from a JSON file, an
+ * OpenAI-compatible HTTP LLM (Ollama, llama.cpp, vLLM, ...), the Code
+ * node sandbox on worker threads and a Python stand-in that reports Python
+ * as unsupported. A custom module can add or replace any of them.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { Worker } from "node:worker_threads";
+import { mkdir, readdir, readFile, writeFile } from "node:fs/promises";
+import { resolve, join, basename } from "node:path";
+import { pathToFileURL } from "node:url";
+import { CodeSandbox } from "../engine/CodeSandbox.js";
+import ToolCallingService from "../engine/ToolCallingService.js";
+
+const PYTHON_HEADLESS_MESSAGE =
+  "Python nodes need the browser's Pyodide runtime and do not run headless; provide a `pyodide` service with --services";
+
+const EXTENSIONS = {
+  "application/json": "json",
+  "text/csv": "csv",
+  "text/plain": "txt",
+  "image/png": "png",
+  "audio/wav": "wav",
+};
+
+/**
+ * Stores artifacts as files (or only in memory when no directory is given).
+ * Same surface as utils/artifactStorage.js.
+ * @param {string|null} directory
+ */
+export function createFileArtifactStorage(directory = null) {
+  const artifacts = new Map();
+
+  return {
+    async saveArtifact(blob, type) {
+      const id = Math.random().toString(36).slice(2, 11);
+      artifacts.set(id, { id, blob, type, createdAt: Date.now() });
+
+      if (directory) {
+        const extension = EXTENSIONS[blob.type] || "bin";
+        await mkdir(directory, { recursive: true });
+        await writeFile(
+          join(directory, `${id}.${extension}`),
+          Buffer.from(await blob.arrayBuffer())
+        );
+      }
+      return id;
+    },
+
+    async getArtifact(id) {
+      return artifacts.get(id)?.blob || null;
+    },
+
+    async listArtifacts() {
+      return [...artifacts.values()].map(({ id, type, createdAt }) => ({
+        id,
+        type,
+        createdAt,
+      }));
+    },
+  };
+}
+
+/**
+ * Read-only workflow library over a directory of exported workflow files.
+ * A workflow is found by its `id` field or, failing that, its file name
+ * without `.json`. This is the `workflowLibrary` service that Execute
+ * Workflow nodes call.
+ * @param {string} directory
+ */
+export function createDirectoryWorkflowLibrary(directory) {
+  const load = async () => {
+    const files = (await readdir(directory)).filter((f) => f.endsWith(".json"));
+    const workflows = await Promise.all(
+      files.map(async (file) => {
+        const workflow = JSON.parse(
+          await readFile(join(directory, file), "utf8")
+        );
+        const id = workflow.id || basename(file, ".json");
+        return {
+          inputSchema: [],
+          outputSchema: [],
+          ...workflow,
+          id,
+          name: workflow.name || id,
+          fileId: basename(file, ".json"),
+        };
+      })
+    );
+    return workflows.filter((w) => Array.isArray(w.nodes));
+  };
+
+  return {
+    async getWorkflow(id) {
+      const workflows = await load();
+      return (
+        workflows.find((w) => w.id === id) ||
+        workflows.find((w) => w.fileId === id) ||
+        null
+      );
+    },
+
+    async listWorkflows() {
+      const workflows = await load();
+      return workflows.map(({ id, name, inputSchema, outputSchema }) => ({
+        id,
+        name,
+        inputSchema,
+        outputSchema,
+      }));
+    },
+  };
+}
+
+/**
+ * Credentials for nodes that reference them by name, read from a JSON
+ * file shaped `{ "<name>": { "type": "bearer", "token": "..." } }`
+ * (fields as in utils/credentials.js CREDENTIAL_TYPES). Same lookup
+ * surface as utils/credentialVault.js.
+ * @param {string} file
+ */
+export function createFileCredentials(file) {
+  let entries = null;
+
+  return {
+    async getCredential(name) {
+      entries ??= JSON.parse(await readFile(file, "utf8"));
+      const entry = entries[name];
+      if (!entry) throw new Error(`Credential "${name}" not found in ${file}`);
+      const { type, ...secret } = entry;
+      return { name, type, secret };
+    },
+  };
+}
+
+/**
+ * Adapts a worker thread to the Web Worker surface CodeSandbox expects
+ * @returns {Object}
+ */
+function createThreadWorker() {
+  const thread = new Worker(new URL("./codeWorkerShim.js", import.meta.url));
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (message) => thread.postMessage(message),
+    terminate: () => thread.terminate(),
+  };
+  thread.on("message", (data) => worker.onmessage?.({ data }));
+  thread.on("error", (error) => worker.onerror?.({ message: error.message }));
+  return worker;
+}
+
+/**
+ * Stands in for PyodideService, which needs a browser, so Python nodes are
+ * flagged before the run with a hint that fits the CLI
+ */
+const headlessPython = {
+  runtimeAvailable: false,
+  unavailableMessage: PYTHON_HEADLESS_MESSAGE,
+  run: async () => {
+    throw new Error(PYTHON_HEADLESS_MESSAGE);
+  },
+};
+
+/**
+ * Chat / embedding backend for any OpenAI-compatible server, shaped like
+ * WebLLMService so LLM and Agent nodes work unchanged.
+ * @param {Object} options
+ * @param {string} options.baseURL - e.g. http://localhost:11434/v1
+ * @param {string} [options.model] - Overrides the model set on each node
+ * @param {string} [options.apiKey]
+ */
+export function createOpenAICompatibleLLM({ baseURL, model, apiKey }) {
+  const request = async (path, body, signal) => {
+    const response = await fetch(`${baseURL.replace(/\/$/, "")}${path}`, {
+      method: "POST",
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new Error(
+        `LLM backend error ${response.status}: ${await response.text()}`
+      );
+    }
+    return response.json();
+  };
+
+  return {
+    currentModelId: model || null,
+
+    // Model names are the API's business, not the browser registry's
+    supportsModel: () => true,
+
+    async chat(messages, options = {}) {
+      const { modelId, temperature, maxTokens, stop, tools, onStream, signal } =
+        options;
+      const data = await request(
+        "/chat/completions",
+        {
+          model: model || modelId,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(stop ? { stop } : {}),
+          ...(tools?.length ? { tools, tool_choice: "auto" } : {}),
+        },
+        signal
+      );
+
+      const choice = data.choices?.[0] || {};
+      const content = choice.message?.content || "";
+      onStream?.({ content, fullContent: content });
+
+      return {
+        content,
+        finishReason: choice.finish_reason,
+        toolCalls: choice.message?.tool_calls,
+        usage: data.usage,
+      };
+    },
+
+    // Same arguments as WebLLMService.embed; progress and priority do not apply
+    async embed(text, onProgress, priority, signal) {
+      const data = await request("/embeddings", { model, input: text }, signal);
+      const embeddings = data.data.map((d) => d.embedding);
+      return {
+        embeddings: Array.isArray(text) ? embeddings : embeddings[0],
+        dimensions: embeddings[0]?.length || 0,
+      };
+    },
+  };
+}
+
+/**
+ * Builds the service set for a headless run
+ * @param {Object} options
+ * @param {string} [options.artifactsDir] - Where artifacts are written
+ * @param {string} [options.workflowsDir] - Workflow files for Execute Workflow nodes
+ * @param {string} [options.credentialsFile] - JSON file of named credentials
+ * @param {string} [options.llmURL] - OpenAI-compatible base URL
+ * @param {string} [options.llmModel]
+ * @param {string} [options.llmApiKey]
+ * @param {string} [options.servicesModule] - Path to a module whose default
+ *   export is a services object, or a function (services) => services
+ * @returns {Promise<Object>}
+ */
+export async function createNodeServices(options = {}) {
+  let services = {
+    artifactStorage: createFileArtifactStorage(options.artifactsDir),
+    codeSandbox: new CodeSandbox(createThreadWorker),
+    pyodide: headlessPython,
+  };
+
+  if (options.workflowsDir) {
+    services.workflowLibrary = createDirectoryWorkflowLibrary(
+      options.workflowsDir
+    );
+  }
+
+  if (options.credentialsFile) {
+    services.credentials = createFileCredentials(options.credentialsFile);
+  }
+
+  if (options.llmURL) {
+    const webLLM = createOpenAICompatibleLLM({
+      baseURL: options.llmURL,
+      model: options.llmModel,
+      apiKey: options.llmApiKey,
+    });
+    services.webLLM = webLLM;
+    services.toolCalling = new ToolCallingService(webLLM);
+  }
+
+  if (options.servicesModule) {
+    const url = pathToFileURL(resolve(options.servicesModule)).href;
+    const { default: custom } = await import(url);
+    services =
+      typeof custom === "function"
+        ? await custom(services)
+        : { ...services, ...custom };
+  }
+
+  return services;
+}
@@ -1,20 +1,95 @@
 /**
  * Execution Controls Component
- * Play/Stop controls for workflow execution.
+ * Play/Stop controls for workflow execution, plus the debugger:
+ * continue / step over when the run is held before a node, and an editor
+ * for the input that node is about to receive.
  * Part of IOSANS Sovereign Architecture.
  */
 
-import React from "react";
+import React, { useState } from "react";
 import PropTypes from "prop-types";
 import useExecutionStore from "../../store/executionStore.js";
-import { executionEngine } from "../../engine/ExecutionEngine.js";
+import useWorkflowStore from "../../store/workflowStore.js";
+import { executionEngine, stopRun } from "../../engine/dashboardEngine.js";
 import "./ExecutionControls.css";
 
+const toText = (value) => {
+  try {
+    return value === undefined ? "" : JSON.stringify(value, null, 2);
+  } catch {
+    return null; // Circular or otherwise not JSON
+  }
+};
+
+/**
+ * JSON editor for the held node's input. Edits are applied as soon as
+ * they parse, so Continue / Step always use the last valid JSON.
+ */
+function PausedInputEditor({ input }) {
+  // Reset when the engine holds a new input (another node or iteration)
+  const [source, setSource] = useState(input);
+  const [text, setText] = useState(() => toText(input));
+  const [error, setError] = useState(null);
+  if (input !== source) {
+    setSource(input);
+    setText(toText(input));
+    setError(null);
+  }
+
+  if (text === null) {
+    return (
+      <div className="execution-controls__input-error">
+        This input cannot be edited as JSON.
+      </div>
+    );
+  }
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    try {
+      const parsed = e.target.value.trim()
+        ? JSON.parse(e.target.value)
+        : undefined;
+      setSource(parsed);
+      setError(null);
+      useExecutionStore.getState().setPausedInput(parsed);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  return (
+    <>
+      <textarea
+        className="execution-controls__input"
+        value={text}
+        onChange={handleChange}
+        spellCheck={false}
+        rows={Math.min(12, Math.max(3, text.split("\n").length))}
+      />
+      {error && (
+        <div className="execution-controls__input-error">
+          Invalid JSON (the last valid input is used): {error}
+        </div>
+      )}
+    </>
+  );
+}
+
+PausedInputEditor.propTypes = {
+  input: PropTypes.any,
+};
+
 function ExecutionControls({ onStart, onStop, services = {} }) {
   const isRunning = useExecutionStore((state) => state.isRunning);
   const isPaused = useExecutionStore((state) => state.isPaused);
   const hasErrors = useExecutionStore((state) => state.hasErrors());
   const duration = useExecutionStore((state) => state.getExecutionDuration());
+  const pausedNodeId = useExecutionStore((state) => state.pausedNodeId);
+  const pausedInput = useExecutionStore((state) => state.pausedInput);
+  const pausedNode = useWorkflowStore((state) =>
+    state.nodes.find((n) => n.id === pausedNodeId)
+  );
 
   const handlePlay = async () => {
     if (isRunning) return;
@@ -28,7 +103,7 @@ function ExecutionControls({ onStart, onStop, services = {} }) {
   };
 
   const handleStop = () => {
-    executionEngine.abort();
+    stopRun();
     onStop?.();
   };
 
@@ -48,50 +123,77 @@ function ExecutionControls({ onStart, onStop, services = {} }) {
 
   return (
     <div className="execution-controls">
-      <div className="execution-controls__buttons">
-        {!isRunning ? (
-          <button
-            className="execution-controls__btn execution-controls__btn--play"
-            onClick={handlePlay}
-            title="Run Workflow"
-          >
-            ▶ Run
-          </button>
-        ) : (
-          <>
+      <div className="execution-controls__row">
+        <div className="execution-controls__buttons">
+          {!isRunning ? (
             <button
-              className="execution-controls__btn execution-controls__btn--pause"
-              onClick={handlePause}
-              title={isPaused ? "Resume" : "Pause"}
+              className="execution-controls__btn execution-controls__btn--play"
+              onClick={handlePlay}
+              title="Run Workflow"
             >
-              {isPaused ? "▶" : "⏸"}
+              ▶ Run
             </button>
-            <button
-              className="execution-controls__btn execution-controls__btn--stop"
-              onClick={handleStop}
-              title="Stop"
+          ) : (
+            <>
+              <button
+                className="execution-controls__btn execution-controls__btn--pause"
+                onClick={handlePause}
+                title={isPaused ? "Continue" : "Pause"}
+              >
+                {isPaused ? "▶" : "⏸"}
+              </button>
+              {isPaused && (
+                <button
+                  className="execution-controls__btn execution-controls__btn--step"
+                  onClick={() => useExecutionStore.getState().stepOver()}
+                  title="Step Over: run the next node, then stop again"
+                >
+                  ⤼ Step
+                </button>
+              )}
+              <button
+                className="execution-controls__btn execution-controls__btn--stop"
+                onClick={handleStop}
+                title="Stop"
+              >
+                ⏹ Stop
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="execution-controls__status">
+          {isRunning && (
+            <span
+              className={
+                isPaused
+                  ? "execution-controls__paused"
+                  : "execution-controls__running"
+              }
             >
-              ⏹ Stop
-            </button>
-          </>
-        )}
+              {isPaused ? "⏸ Paused" : "⚡ Running"}
+              {pausedNodeId &&
+                ` before ${pausedNode?.data?.label || pausedNodeId}`}{" "}
+              ({formatDuration(duration)})
+            </span>
+          )}
+          {!isRunning && hasErrors && (
+            <span className="execution-controls__error">❌ Errors</span>
+          )}
+          {!isRunning && !hasErrors && duration > 0 && (
+            <span className="execution-controls__complete">
+              ✅ Complete ({formatDuration(duration)})
+            </span>
+          )}
+        </div>
       </div>
 
-      <div className="execution-controls__status">
-        {isRunning && (
-          <span className="execution-controls__running">
-            {isPaused ? "⏸ Paused" : "⚡ Running"} ({formatDuration(duration)})
-          </span>
-        )}
-        {!isRunning && hasErrors && (
-          <span className="execution-controls__error">❌ Errors</span>
-        )}
-        {!isRunning && !hasErrors && duration > 0 && (
-          <span className="execution-controls__complete">
-            ✅ Complete ({formatDuration(duration)})
-          </span>
-        )}
-      </div>
+      {pausedNodeId && (
+        <div className="execution-controls__debugger">
+          <label>Input</label>
+          <PausedInputEditor input={pausedInput} />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,75 @@
+/**
+ * WorkflowTabs Component
+ * Tab strip of the workflows open in the editor. Switching, closing and
+ * creating are handled by the Dashboard, which owns the canvas.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React from "react";
+import PropTypes from "prop-types";
+import useLibraryStore from "../../store/libraryStore.js";
+import useWorkflowStore from "../../store/workflowStore.js";
+import "./WorkflowTabs.css";
+
+function WorkflowTabs({ onSelect, onClose, onCreate }) {
+  const openTabIds = useLibraryStore((state) => state.openTabIds);
+  const workflows = useLibraryStore((state) => state.workflows);
+  const activeId = useWorkflowStore((state) => state.workflowId);
+  // The open workflow's name updates live, before autosave catches up
+  const activeName = useWorkflowStore((state) => state.workflowName);
+
+  return (
+    <div className="workflow-tabs" role="tablist">
+      {openTabIds.map((id) => {
+        const summary = workflows.find((w) => w.id === id);
+        const name = id === activeId ? activeName : summary?.name;
+        return (
+          <div
+            key={id}
+            role="tab"
+            aria-selected={id === activeId}
+            className={`workflow-tab ${
+              id === activeId ? "workflow-tab--active" : ""
+            }`}
+            onClick={() => onSelect(id)}
+            title={summary?.description || name}
+          >
+            {summary?.lastRunStatus && (
+              <span
+                className={`workflow-tab__status workflow-tab__status--${summary.lastRunStatus}`}
+              />
+            )}
+            <span className="workflow-tab__name">{name || "…"}</span>
+            {openTabIds.length > 1 && (
+              <button
+                className="workflow-tab__close"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onClose(id);
+                }}
+                title="Close tab"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        );
+      })}
+      <button
+        className="workflow-tabs__new"
+        onClick={onCreate}
+        title="New workflow"
+      >
+        +
+      </button>
+    </div>
+  );
+}
+
+WorkflowTabs.propTypes = {
+  onSelect: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired,
+};
+
+export default WorkflowTabs;
@@ -0,0 +1,53 @@
+/**
+ * CredentialSelect
+ * Picks a vault credential by name for a node. Only the name is saved in
+ * the workflow; the value is looked up when the node runs.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useEffect } from "react";
+import PropTypes from "prop-types";
+import useCredentialStore from "../../store/credentialStore.js";
+import { CREDENTIAL_TYPES } from "../../utils/credentials.js";
+
+export function CredentialSelect({ value, onChange }) {
+  const isLoaded = useCredentialStore((state) => state.isLoaded);
+  const isSetUp = useCredentialStore((state) => state.isSetUp);
+  const isUnlocked = useCredentialStore((state) => state.isUnlocked);
+  const entries = useCredentialStore((state) => state.entries);
+
+  useEffect(() => {
+    if (!isLoaded) useCredentialStore.getState().refresh();
+  }, [isLoaded]);
+
+  const isMissing = value && !entries.some((entry) => entry.name === value);
+
+  let hint = null;
+  if (!isSetUp) {
+    hint = "Create a credential vault in the 🔑 sidebar tab.";
+  } else if (isMissing) {
+    hint = `Credential "${value}" is not in the vault.`;
+  } else if (value && !isUnlocked) {
+    hint = "The vault is locked: unlock it in the 🔑 sidebar tab to run.";
+  }
+
+  return (
+    <>
+      <select value={value || ""} onChange={(e) => onChange(e.target.value)}>
+        <option value="">None</option>
+        {entries.map((entry) => (
+          <option key={entry.name} value={entry.name}>
+            {entry.name} ({CREDENTIAL_TYPES[entry.type]?.label || entry.type})
+          </option>
+        ))}
+        {isMissing && <option value={value}>{value} (missing)</option>}
+      </select>
+      {hint && <div className="variable-error">{hint}</div>}
+    </>
+  );
+}
+
+CredentialSelect.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+};
@@ -1,19 +1,80 @@
 /**
  * ExecutionPanel Component
- * Live execution logs with real-time updates.
+ * Live execution logs with real-time updates, a timeline of the run, the
+ * run history, and the problems found by pre-run validation.
  * Part of IOSANS Sovereign Architecture.
  */
 
-import React, { useEffect, useRef } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
 import useExecutionStore from "../../store/executionStore.js";
+import useValidationStore from "../../store/validationStore.js";
+import useWorkflowStore from "../../store/workflowStore.js";
+import { listRuns, getRun, deleteRun } from "../../utils/executionHistory.js";
+import ExecutionTimeline from "./ExecutionTimeline.jsx";
 import "./ExecutionPanel.css";
 
-function ExecutionPanel() {
+function ExecutionPanel({ onSelectNode }) {
   const logRef = useRef(null);
+  const [view, setView] = useState("log"); // 'log' | 'timeline' | 'history' | 'problems'
+  const [runs, setRuns] = useState([]);
 
   const isRunning = useExecutionStore((state) => state.isRunning);
   const logs = useExecutionStore((state) => state.logs);
   const duration = useExecutionStore((state) => state.getExecutionDuration());
+  const viewingRunId = useExecutionStore((state) => state.viewingRunId);
+  const startTime = useExecutionStore((state) => state.executionStartTime);
+  const problems = useValidationStore((state) => state.problems);
+  const blockedAt = useValidationStore((state) => state.blockedAt);
+  const nodes = useWorkflowStore((state) => state.nodes);
+
+  const errorCount = problems.filter((p) => p.severity === "error").length;
+
+  // A refused run brings its problems up (also when opened right after)
+  const [shownBlockedAt, setShownBlockedAt] = useState(null);
+  if (blockedAt !== shownBlockedAt) {
+    setShownBlockedAt(blockedAt);
+    if (blockedAt && errorCount > 0) setView("problems");
+  }
+  const getNodeLabel = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    return node ? node.data?.label || node.type : nodeId;
+  };
+
+  // Reload history when opened and whenever a run finishes
+  useEffect(() => {
+    if (view !== "history" || isRunning) return;
+    let cancelled = false;
+    listRuns()
+      .then((saved) => {
+        if (!cancelled) setRuns(saved);
+      })
+      .catch((error) =>
+        console.error("[ExecutionPanel] Failed to load history:", error)
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [view, isRunning]);
+
+  const handleLoadRun = async (runId) => {
+    const run = await getRun(runId);
+    if (!run) return;
+    useExecutionStore.getState().loadRun(run);
+    setView("log");
+  };
+
+  const handleCloseRun = () => {
+    const store = useExecutionStore.getState();
+    store.clearResults();
+    store.clearLogs();
+  };
+
+  const handleDeleteRun = async (runId) => {
+    await deleteRun(runId);
+    if (viewingRunId === runId) handleCloseRun();
+    setRuns((current) => current.filter((run) => run.id !== runId));
+  };
 
   // Auto-scroll to bottom on new logs
   useEffect(() => {
@@ -35,19 +96,62 @@ function ExecutionPanel() {
         return "✅";
       case "error":
         return "❌";
+      case "warning":
+        return "⚠️";
       case "action":
         return "🛠️";
+      case "stream":
+        return "💬";
       case "pending":
         return "⏳";
+      case "skipped":
+        return "⏭️";
       default:
         return "○";
     }
   };
 
+  const formatTrigger = (trigger) =>
+    trigger?.type === "schedule" ? "⏰ Scheduled" : "▶ Manual";
+
   return (
     <div className="execution-panel">
       <div className="execution-panel__header">
-        <h4>Execution Log</h4>
+        <div className="execution-panel__views">
+          <button
+            className={view === "log" ? "active" : ""}
+            onClick={() => setView("log")}
+          >
+            Execution Log
+          </button>
+          <button
+            className={view === "timeline" ? "active" : ""}
+            onClick={() => setView("timeline")}
+          >
+            Timeline
+          </button>
+          <button
+            className={view === "history" ? "active" : ""}
+            onClick={() => setView("history")}
+          >
+            History
+          </button>
+          <button
+            className={view === "problems" ? "active" : ""}
+            onClick={() => setView("problems")}
+          >
+            Problems
+            {problems.length > 0 && (
+              <span
+                className={`execution-panel__count ${
+                  errorCount > 0 ? "execution-panel__count--error" : ""
+                }`}
+              >
+                {problems.length}
+              </span>
+            )}
+          </button>
+        </div>
         {isRunning && (
           <span className="execution-panel__status">
             ⚡ Running ({(duration / 1000).toFixed(1)}s)
@@ -55,50 +159,171 @@ function ExecutionPanel() {
         )}
       </div>
 
-      <div className="execution-panel__logs" ref={logRef}>
-        {logs.length === 0 ? (
-          <div className="execution-panel__empty">
-            No execution logs yet.
-            <br />
-            Click <strong>Run</strong> to execute the workflow.
-          </div>
-        ) : (
-          logs.map((log) => (
-            <div
-              key={log.id}
-              className={`execution-panel__entry execution-panel__entry--${log.type}`}
-            >
-              <span className="entry-icon">{getStatusIcon(log.type)}</span>
-              <span className="entry-time">{formatTime(log.timestamp)}</span>
-              {log.nodeId && (
-                <span className="entry-node">[{log.nodeId.slice(0, 8)}]</span>
-              )}
-              <div className="entry-content-wrapper">
-                <div className="entry-message">{log.content}</div>
-                {log.data && (
-                  <div className="entry-data">
-                    {typeof log.data === "object" && log.data.artifactId ? (
-                      <span className="artifact-ref">
-                        📎 Artifact: {log.data.artifactId.slice(0, 8)}...
-                      </span>
-                    ) : (
-                      <code>
-                        {typeof log.data === "object"
-                          ? JSON.stringify(log.data).slice(0, 200) +
-                            (JSON.stringify(log.data).length > 200 ? "..." : "")
-                          : String(log.data).slice(0, 200)}
-                      </code>
-                    )}
-                  </div>
+      {(view === "log" || view === "timeline") && viewingRunId && (
+        <div className="execution-panel__banner">
+          <span>
+            Viewing past run from {new Date(startTime).toLocaleString()}
+          </span>
+          <button className="execution-panel__clear" onClick={handleCloseRun}>
+            Close
+          </button>
+        </div>
+      )}
+
+      {view === "timeline" && <ExecutionTimeline onSelectNode={onSelectNode} />}
+
+      {view === "history" && (
+        <div className="execution-panel__logs">
+          {runs.length === 0 ? (
+            <div className="execution-panel__empty">
+              No saved runs yet.
+              <br />
+              Every run is recorded here once it finishes.
+            </div>
+          ) : (
+            runs.map((run) => (
+              <div
+                key={run.id}
+                className={`execution-panel__run execution-panel__entry--${
+                  run.status === "success" ? "success" : "error"
+                } ${run.id === viewingRunId ? "active" : ""}`}
+              >
+                <div className="run-summary">
+                  <span className="run-trigger">
+                    {formatTrigger(run.trigger)}
+                  </span>
+                  <span className="entry-status">{run.status}</span>
+                  <span className="entry-time">
+                    {new Date(run.startTime).toLocaleString()}
+                  </span>
+                </div>
+                <div className="run-meta">
+                  {((run.endTime - run.startTime) / 1000).toFixed(1)}s ·{" "}
+                  {run.nodeCount} nodes
+                  {run.errorCount > 0 && ` · ${run.errorCount} errors`}
+                </div>
+                <div className="run-actions">
+                  <button
+                    onClick={() => handleLoadRun(run.id)}
+                    disabled={isRunning}
+                  >
+                    Load
+                  </button>
+                  <button onClick={() => handleDeleteRun(run.id)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {view === "problems" && (
+        <div className="execution-panel__logs">
+          {problems.length === 0 ? (
+            <div className="execution-panel__empty">
+              No problems found.
+              <br />
+              The workflow is checked every time you click <strong>Run</strong>.
+            </div>
+          ) : (
+            problems.map((problem, index) => (
+              <div
+                key={index}
+                className={`execution-panel__entry execution-panel__entry--${
+                  problem.severity
+                } ${problem.nodeId ? "execution-panel__problem" : ""}`}
+                onClick={() => problem.nodeId && onSelectNode?.(problem.nodeId)}
+              >
+                <span className="entry-icon">
+                  {getStatusIcon(problem.severity)}
+                </span>
+                {problem.nodeId && (
+                  <span className="entry-node">
+                    {getNodeLabel(problem.nodeId)}
+                  </span>
                 )}
+                <div className="entry-content-wrapper">
+                  <div className="entry-message">{problem.message}</div>
+                </div>
               </div>
+            ))
+          )}
+        </div>
+      )}
+
+      {view === "log" && (
+        <div className="execution-panel__logs" ref={logRef}>
+          {logs.length === 0 ? (
+            <div className="execution-panel__empty">
+              No execution logs yet.
+              <br />
+              Click <strong>Run</strong> to execute the workflow.
             </div>
-          ))
-        )}
-      </div>
+          ) : (
+            logs.map((log) => (
+              <div
+                key={log.id}
+                className={`execution-panel__entry execution-panel__entry--${
+                  log.type
+                } ${log.subRun ? "execution-panel__entry--nested" : ""}`}
+                style={
+                  log.subRun
+                    ? { "--nesting-depth": log.subRun.depth }
+                    : undefined
+                }
+              >
+                <span className="entry-icon">{getStatusIcon(log.type)}</span>
+                <span className="entry-time">{formatTime(log.timestamp)}</span>
+                {log.nodeId && (
+                  <span className="entry-node">
+                    [{log.nodeId.slice(0, 8)}
+                    {log.iteration !== undefined && ` #${log.iteration}`}]
+                  </span>
+                )}
+                {log.subRun && (
+                  <span className="entry-subrun">
+                    ↳ {log.subRun.workflowName} › {log.subRun.nodeLabel}
+                  </span>
+                )}
+                <div className="entry-content-wrapper">
+                  <div className="entry-message">{log.content}</div>
+                  {log.data && (
+                    <div className="entry-data">
+                      {typeof log.data === "object" && log.data.artifactId ? (
+                        <span className="artifact-ref">
+                          📎 Artifact: {log.data.artifactId.slice(0, 8)}...
+                        </span>
+                      ) : (
+                        <code>
+                          {typeof log.data === "object"
+                            ? JSON.stringify(log.data).slice(0, 200) +
+                              (JSON.stringify(log.data).length > 200
+                                ? "..."
+                                : "")
+                            : String(log.data).slice(0, 200)}
+                        </code>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
 
       <div className="execution-panel__footer">
-        <span>{logs.length} events</span>
+        <span>
+          {view === "history"
+            ? `${runs.length} runs`
+            : view === "problems"
+            ? `${errorCount} errors · ${problems.length - errorCount} warnings`
+            : view === "timeline"
+            ? "Click a bar to select its node"
+            : `${logs.length} events`}
+        </span>
         <button
           className="execution-panel__clear"
           onClick={() => useExecutionStore.getState().clearResults()}
@@ -110,4 +335,8 @@ function ExecutionPanel() {
   );
 }
 
+ExecutionPanel.propTypes = {
+  onSelectNode: PropTypes.func,
+};
+
 export default ExecutionPanel;
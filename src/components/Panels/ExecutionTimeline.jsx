@@ -0,0 +1,176 @@
+/**
+ * ExecutionTimeline Component
+ * Gantt view of the current (or loaded) run: one bar per executed node on
+ * a shared time axis, with the wait before it started, token metrics for
+ * LLM and Agent nodes, and the critical path highlighted.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useMemo } from "react";
+import PropTypes from "prop-types";
+import useExecutionStore from "../../store/executionStore.js";
+import useWorkflowStore from "../../store/workflowStore.js";
+import { buildTimeline } from "../../utils/executionTimeline.js";
+
+const AXIS_TICKS = [0, 0.25, 0.5, 0.75, 1];
+
+const formatMs = (ms) =>
+  ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+
+const formatMetrics = (metrics) =>
+  [
+    `${metrics.tokensIn} in`,
+    `${metrics.tokensOut} out`,
+    metrics.tokensPerSecond !== null &&
+      `${metrics.tokensPerSecond.toFixed(1)} tok/s`,
+    metrics.ttftMs !== null && `TTFT ${formatMs(metrics.ttftMs)}`,
+    metrics.turns > 1 && `${metrics.turns} turns`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+function ExecutionTimeline({ onSelectNode }) {
+  const nodeResults = useExecutionStore((state) => state.nodeResults);
+  const startTime = useExecutionStore((state) => state.executionStartTime);
+  const duration = useExecutionStore((state) => state.getExecutionDuration());
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const edges = useWorkflowStore((state) => state.edges);
+
+  const timeline = useMemo(
+    () =>
+      startTime
+        ? buildTimeline(nodeResults, edges, {
+            start: startTime,
+            end: startTime + duration,
+          })
+        : null,
+    [nodeResults, edges, startTime, duration]
+  );
+
+  if (!timeline || timeline.rows.length === 0) {
+    return (
+      <div className="execution-panel__logs">
+        <div className="execution-panel__empty">
+          No timeline yet.
+          <br />
+          Run the workflow to see when each node ran and how long it took.
+        </div>
+      </div>
+    );
+  }
+
+  const { rows, start, end } = timeline;
+  const total = Math.max(end - start, 1);
+  const percent = (time) => `${((time - start) / total) * 100}%`;
+  const span = (from, to) => `${(Math.max(to - from, 0) / total) * 100}%`;
+
+  const getNodeLabel = (nodeId) => {
+    const node = nodes.find((n) => n.id === nodeId);
+    return node ? node.data?.label || node.type : nodeId;
+  };
+
+  const tokens = rows.reduce(
+    (sum, row) => ({
+      in: sum.in + (row.metrics?.tokensIn || 0),
+      out: sum.out + (row.metrics?.tokensOut || 0),
+    }),
+    { in: 0, out: 0 }
+  );
+
+  return (
+    <div className="execution-panel__logs execution-timeline">
+      <div className="execution-timeline__summary">
+        <span>Total {formatMs(end - start)}</span>
+        <span className="execution-timeline__critical-label">
+          Critical path {formatMs(timeline.criticalDuration)}
+        </span>
+        <span title="Sum of node durations divided by the total duration">
+          {(timeline.busyDuration / total).toFixed(1)}× parallel
+        </span>
+        {tokens.in + tokens.out > 0 && (
+          <span>
+            {tokens.in} tokens in · {tokens.out} out
+          </span>
+        )}
+      </div>
+
+      <div className="execution-timeline__row execution-timeline__axis">
+        <span className="execution-timeline__label" />
+        <div className="execution-timeline__track">
+          {AXIS_TICKS.map((tick) => (
+            <span
+              key={tick}
+              className="execution-timeline__tick"
+              style={{ left: `${tick * 100}%` }}
+            >
+              {formatMs(tick * total)}
+            </span>
+          ))}
+        </div>
+        <span className="execution-timeline__duration" />
+      </div>
+
+      {rows.map((row) => (
+        <div
+          key={row.nodeId}
+          className={`execution-timeline__row ${
+            row.critical ? "execution-timeline__row--critical" : ""
+          }`}
+          onClick={() => onSelectNode?.(row.nodeId)}
+        >
+          <span
+            className="execution-timeline__label"
+            title={getNodeLabel(row.nodeId)}
+          >
+            {getNodeLabel(row.nodeId)}
+          </span>
+          <div className="execution-timeline__track">
+            {row.wait > 0 && (
+              <div
+                className="execution-timeline__wait"
+                style={{
+                  left: percent(row.readyAt),
+                  width: span(row.readyAt, row.startTime),
+                }}
+                title={`Waited ${formatMs(
+                  row.wait
+                )} after its inputs were ready`}
+              />
+            )}
+            <div
+              className={`execution-timeline__bar execution-timeline__bar--${row.status}`}
+              style={{
+                left: percent(row.startTime),
+                width: span(row.startTime, row.endTime),
+              }}
+              title={`${formatMs(row.startTime - start)} → ${formatMs(
+                row.endTime - start
+              )} (${row.status})`}
+            />
+          </div>
+          <span className="execution-timeline__duration">
+            {formatMs(row.duration)}
+          </span>
+          {row.metrics && (
+            <div className="execution-timeline__metrics">
+              {formatMetrics(row.metrics)}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {timeline.omitted > 0 && (
+        <div className="execution-timeline__note">
+          {timeline.omitted} node(s) not executed in this run (pinned, skipped
+          or reused by Run From Here) are not shown.
+        </div>
+      )}
+    </div>
+  );
+}
+
+ExecutionTimeline.propTypes = {
+  onSelectNode: PropTypes.func,
+};
+
+export default ExecutionTimeline;
@@ -0,0 +1,144 @@
+/**
+ * ExpressionInput
+ * Text input / textarea with `{{ }}` autocomplete. Typing `{{` opens a
+ * list of upstream outputs, workflow variables and helpers taken from the
+ * last run; picking one inserts the full expression.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useRef, useState } from "react";
+import PropTypes from "prop-types";
+
+const MAX_SUGGESTIONS = 12;
+
+/**
+ * Finds an unclosed `{{` before the cursor.
+ * @param {string} text
+ * @param {number} cursor
+ * @returns {{start: number, query: string} | null}
+ */
+function findOpenExpression(text, cursor) {
+  const before = text.slice(0, cursor);
+  const start = before.lastIndexOf("{{");
+  if (start === -1 || before.lastIndexOf("}}") > start) return null;
+  return { start, query: before.slice(start + 2).trim() };
+}
+
+export function ExpressionInput({
+  multiline = false,
+  value,
+  onChange,
+  suggestions,
+  ...props
+}) {
+  const inputRef = useRef(null);
+  const [open, setOpen] = useState(null); // {start, query}
+  const [highlighted, setHighlighted] = useState(0);
+
+  const matches = open
+    ? suggestions
+        .filter((s) => s.label.toLowerCase().includes(open.query.toLowerCase()))
+        .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const refresh = (text, cursor) => {
+    setOpen(findOpenExpression(text, cursor));
+    setHighlighted(0);
+  };
+
+  const insert = (suggestion) => {
+    const element = inputRef.current;
+    const cursor = element?.selectionStart ?? value.length;
+    const after = value.slice(cursor);
+    // Drop a closing `}}` the user already typed
+    const rest = after.trimStart().startsWith("}}")
+      ? after.trimStart().slice(2)
+      : after;
+    const expression = `{{ ${suggestion.label} }}`;
+    const next = value.slice(0, open.start) + expression + rest;
+
+    onChange(next);
+    setOpen(null);
+
+    const position = open.start + expression.length;
+    requestAnimationFrame(() => {
+      element?.focus();
+      element?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (matches.length === 0) return;
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        setHighlighted((i) => (i + 1) % matches.length);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        setHighlighted((i) => (i - 1 + matches.length) % matches.length);
+        break;
+      case "Enter":
+      case "Tab":
+        e.preventDefault();
+        insert(matches[highlighted]);
+        break;
+      case "Escape":
+        setOpen(null);
+        break;
+    }
+  };
+
+  const Element = multiline ? "textarea" : "input";
+
+  return (
+    <div className="expression-input">
+      <Element
+        {...props}
+        ref={inputRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          refresh(e.target.value, e.target.selectionStart);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => refresh(e.target.value, e.target.selectionStart)}
+        onBlur={() => setOpen(null)}
+      />
+      {matches.length > 0 && (
+        <ul className="expression-input__menu">
+          {matches.map((suggestion, i) => (
+            <li
+              key={suggestion.label}
+              className={`expression-input__option ${
+                i === highlighted ? "expression-input__option--active" : ""
+              }`}
+              // mousedown fires before blur closes the menu
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insert(suggestion);
+              }}
+            >
+              <span className="expression-input__label">
+                {suggestion.label}
+              </span>
+              <span className="expression-input__detail">
+                {suggestion.detail}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+ExpressionInput.propTypes = {
+  multiline: PropTypes.bool,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  suggestions: PropTypes.arrayOf(
+    PropTypes.shape({ label: PropTypes.string, detail: PropTypes.string })
+  ).isRequired,
+};
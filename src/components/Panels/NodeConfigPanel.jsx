@@ -5,14 +5,35 @@
  */
 
 import { SchedulerConfig } from "./SchedulerConfig.jsx";
-import React, { useState, useEffect } from "react";
+import { ExpressionInput } from "./ExpressionInput.jsx";
+import { WorkflowVariables } from "./WorkflowVariables.jsx";
+import { WorkflowSettings } from "./WorkflowSettings.jsx";
+import { SubWorkflowConfig } from "./SubWorkflowConfig.jsx";
+import { CredentialSelect } from "./CredentialSelect.jsx";
+import { PinnedOutputConfig } from "./PinnedOutputConfig.jsx";
+import { OutputCacheConfig } from "./OutputCacheConfig.jsx";
+import React, { useMemo } from "react";
 import PropTypes from "prop-types";
 import useWorkflowStore from "../../store/workflowStore.js";
 import useUIStore from "../../store/uiStore.js";
+import useExecutionStore from "../../store/executionStore.js";
+import { MODEL_REGISTRY } from "../../engine/modelRegistry.js";
+import { ERROR_POLICIES } from "../../engine/ExecutionEngine.js";
+import { PYTHON_PACKAGE_NAMES } from "../../engine/pythonPackages.js";
+import { getExpressionSuggestions } from "../../utils/expressions.js";
+import { findInlineSecrets } from "../../utils/credentials.js";
+import { getKnownSecrets } from "../../utils/credentialVault.js";
+import { canPin } from "../../utils/pinnedOutput.js";
+import { isCacheableType } from "../../utils/outputCache.js";
 import "./NodeConfigPanel.css";
 
 // ... (keeping imports)
 
+// WebLLM chat models (embedding models run in a separate worker)
+const CHAT_MODEL_IDS = MODEL_REGISTRY.filter(
+  (model) => model.type !== "embedding"
+).map((model) => model.id);
+
 // Node configuration schemas (Dynamic)
 const NODE_SCHEMAS = {
   aiAgent: {
@@ -24,7 +45,13 @@ const NODE_SCHEMAS = {
         key: "modelId",
         type: "select",
         label: "Model",
-        options: ["llama-3-8b", "mistral-7b", "gemma-2b"],
+        options: CHAT_MODEL_IDS,
+      },
+      {
+        key: "agentMode",
+        type: "select",
+        label: "Tool Mode",
+        options: ["react", "native"],
       },
       {
         key: "temperature",
@@ -41,13 +68,23 @@ const NODE_SCHEMAS = {
     title: "LLM",
     fields: [
       { key: "label", type: "text", label: "Name" },
+      { key: "systemPrompt", type: "textarea", label: "System Prompt" },
       { key: "prompt", type: "textarea", label: "Prompt" },
       {
         key: "modelId",
         type: "select",
         label: "Model",
-        options: ["llama-3.2-1b", "phi-3.5", "gemma-2-2b"],
+        options: CHAT_MODEL_IDS,
+      },
+      {
+        key: "temperature",
+        type: "range",
+        label: "Temperature",
+        min: 0,
+        max: 2,
+        step: 0.1,
       },
+      { key: "maxTokens", type: "number", label: "Max Tokens" },
     ],
   },
   codeExecutor: {
@@ -74,6 +111,7 @@ const NODE_SCHEMAS = {
         options: ["GET", "POST", "PUT", "DELETE"],
       },
       { key: "url", type: "url", label: "URL" },
+      { key: "credential", type: "credential", label: "Credential" },
       { key: "headers", type: "textarea", label: "Headers (JSON)" },
       { key: "body", type: "textarea", label: "Body (JSON)" },
     ],
@@ -104,7 +142,27 @@ const NODE_SCHEMAS = {
     title: "Merge",
     fields: [
       { key: "label", type: "text", label: "Name" },
-      { key: "expectedBranches", type: "number", label: "Expected Branches" },
+      {
+        key: "mergeStrategy",
+        type: "select",
+        label: "Strategy",
+        options: ["object", "array", "concat", "first"],
+      },
+    ],
+  },
+  loop: {
+    title: "Loop",
+    fields: [
+      { key: "label", type: "text", label: "Name" },
+      { key: "itemsPath", type: "text", label: "Items Path (e.g. data.items)" },
+      { key: "concurrency", type: "number", label: "Concurrency" },
+    ],
+  },
+  executeWorkflow: {
+    title: "Execute Workflow",
+    fields: [
+      { key: "label", type: "text", label: "Name" },
+      { key: "workflowId", type: "workflow", label: "Workflow" },
     ],
   },
   delay: {
@@ -156,6 +214,12 @@ const NODE_SCHEMAS = {
     fields: [
       { key: "label", type: "text", label: "Name" },
       { key: "code", type: "code", label: "Python Code" },
+      {
+        key: "packages",
+        type: "multiselect",
+        label: "Packages",
+        options: PYTHON_PACKAGE_NAMES,
+      },
     ],
   },
   transform: (data) => ({
@@ -178,29 +242,69 @@ const NODE_SCHEMAS = {
   }),
 };
 
+// Retry / timeout / on-error settings applied by the ExecutionEngine
+const ERROR_POLICY_FIELDS = [
+  { key: "maxRetries", type: "number", label: "Max Retries" },
+  { key: "retryDelay", type: "number", label: "Retry Delay (ms)" },
+  {
+    key: "backoff",
+    type: "select",
+    label: "Backoff",
+    options: ["fixed", "exponential"],
+  },
+  { key: "timeout", type: "number", label: "Timeout (ms, 0 = none)" },
+  {
+    key: "onError",
+    type: "select",
+    label: "On Error",
+    options: ERROR_POLICIES,
+  },
+];
+
+// Opt-in output cache (deterministic node types only)
+const getCacheFields = (type) => [
+  { key: "cache", type: "checkbox", label: "Reuse Stored Outputs" },
+  ...(type === "python"
+    ? [
+        {
+          key: "deterministic",
+          type: "checkbox",
+          label: "Script Is Deterministic (no random, time or network)",
+        },
+      ]
+    : []),
+  { key: "cacheTtl", type: "number", label: "Keep For (minutes, 0 = 1 day)" },
+];
+
+// Triggers only emit a payload and cannot fail
+const TRIGGER_TYPES = ["manualTrigger", "scheduleTrigger"];
+
 function NodeConfigPanel({ selectedNodeId }) {
   const node = useWorkflowStore((state) =>
     state.nodes.find((n) => n.id === selectedNodeId)
   );
-  const updateNode = useWorkflowStore((state) => state.updateNode);
+  const updateNodeData = useWorkflowStore((state) => state.updateNodeData);
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const variables = useWorkflowStore((state) => state.variables);
+  const nodeResults = useExecutionStore((state) => state.nodeResults);
 
   const openDocs = useUIStore((state) => state.openDocs);
 
-  const [localData, setLocalData] = useState({});
-
-  // Sync when selected node changes
-  // Sync when selected node changes
-  useEffect(() => {
-    if (node) {
-      setLocalData(JSON.parse(JSON.stringify(node.data))); // Deep copy to avoid ref issues
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [node?.id]);
+  // {{ }} autocomplete entries, based on the last run's outputs
+  const suggestions = useMemo(
+    () =>
+      getExpressionSuggestions(nodes, nodeResults, variables, selectedNodeId),
+    [nodes, nodeResults, variables, selectedNodeId]
+  );
 
   if (!selectedNodeId || !node) {
     return (
       <div className="config-panel">
         <div className="config-panel__empty">Select a node to configure</div>
+        <div className="config-panel__form">
+          <WorkflowSettings />
+          <WorkflowVariables />
+        </div>
       </div>
     );
   }
@@ -210,16 +314,15 @@ function NodeConfigPanel({ selectedNodeId }) {
     title: node.type,
     fields: [{ key: "label", type: "text", label: "Name" }],
   };
+  const nodeData = node.data || {};
   const schema =
-    typeof schemaDef === "function" ? schemaDef(localData) : schemaDef;
+    typeof schemaDef === "function" ? schemaDef(nodeData) : schemaDef;
+  const inlineSecrets = findInlineSecrets(nodeData, getKnownSecrets());
 
-  const handleChange = (key, value) => {
-    const newData = { ...localData, [key]: value };
-    setLocalData(newData);
+  // Edits go straight to the store (undoable; typing in one node coalesces)
+  const handleUpdate = (updates) => updateNodeData(node.id, updates);
 
-    // Debounce updates to global store could be better, but direct update is fine for now
-    updateNode(node.id, { data: newData });
-  };
+  const handleChange = (key, value) => handleUpdate({ [key]: value });
 
   // Helper for List inputs (e.g. Switch Cases)
   const handleListChange = (key, newList) => {
@@ -227,11 +330,32 @@ function NodeConfigPanel({ selectedNodeId }) {
   };
 
   const renderField = (field) => {
-    const value = localData[field.key] ?? "";
+    const value = nodeData[field.key] ?? "";
 
     switch (field.type) {
       case "text":
       case "url":
+        return (
+          <ExpressionInput
+            type={field.type}
+            value={String(value)}
+            onChange={(text) => handleChange(field.key, text)}
+            suggestions={suggestions}
+          />
+        );
+
+      case "textarea":
+        return (
+          <ExpressionInput
+            multiline
+            value={String(value)}
+            onChange={(text) => handleChange(field.key, text)}
+            suggestions={suggestions}
+            rows={3}
+            spellCheck={false}
+          />
+        );
+
       case "number":
         return (
           <input
@@ -248,14 +372,13 @@ function NodeConfigPanel({ selectedNodeId }) {
           />
         );
 
-      case "textarea":
       case "code":
         return (
           <textarea
             value={value}
             onChange={(e) => handleChange(field.key, e.target.value)}
-            rows={field.type === "code" ? 12 : 3}
-            className={field.type === "code" ? "code-input" : ""}
+            rows={12}
+            className="code-input"
             spellCheck={false}
           />
         );
@@ -300,8 +423,51 @@ function NodeConfigPanel({ selectedNodeId }) {
           </div>
         );
 
+      case "multiselect": {
+        const selectedOptions = Array.isArray(value) ? value : [];
+        return (
+          <div className="multiselect-input">
+            {field.options?.map((opt) => (
+              <label key={opt} className="multiselect-option">
+                <input
+                  type="checkbox"
+                  checked={selectedOptions.includes(opt)}
+                  onChange={(e) =>
+                    handleChange(
+                      field.key,
+                      e.target.checked
+                        ? [...selectedOptions, opt]
+                        : selectedOptions.filter((o) => o !== opt)
+                    )
+                  }
+                />
+                {opt}
+              </label>
+            ))}
+          </div>
+        );
+      }
+
       case "scheduler":
-        return <SchedulerConfig data={localData} onChange={handleChange} />;
+        return <SchedulerConfig data={nodeData} onChange={handleChange} />;
+
+      case "credential":
+        return (
+          <CredentialSelect
+            value={value}
+            onChange={(name) => handleChange(field.key, name)}
+          />
+        );
+
+      case "workflow":
+        return (
+          <SubWorkflowConfig
+            nodeId={node.id}
+            data={nodeData}
+            onUpdate={handleUpdate}
+            suggestions={suggestions}
+          />
+        );
 
       case "list": {
         // Simple string list manager
@@ -366,8 +532,46 @@ function NodeConfigPanel({ selectedNodeId }) {
           <div key={field.key} className="config-field">
             {field.label !== "Configuration" && <label>{field.label}</label>}
             {renderField(field)}
+            {inlineSecrets.includes(field.key) && (
+              <div className="variable-error">
+                Holds a secret in plain text: it is saved unencrypted and
+                replaced by a placeholder on export. Use a Credential instead.
+              </div>
+            )}
           </div>
         ))}
+
+        {!TRIGGER_TYPES.includes(node.type) && (
+          <div className="config-section">
+            <div className="config-section__title">Error Handling</div>
+            {ERROR_POLICY_FIELDS.map((field) => (
+              <div key={field.key} className="config-field">
+                <label>{field.label}</label>
+                {renderField(field)}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {isCacheableType(node.type) && (
+          <div className="config-section">
+            <div className="config-section__title">Output Cache</div>
+            {getCacheFields(node.type).map((field) => (
+              <div key={field.key} className="config-field">
+                <label>{field.label}</label>
+                {renderField(field)}
+              </div>
+            ))}
+            <OutputCacheConfig node={node} />
+          </div>
+        )}
+
+        {canPin(node) && (
+          <div className="config-section">
+            <div className="config-section__title">Pinned Output</div>
+            <PinnedOutputConfig node={node} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,87 @@
+/**
+ * OutputCacheConfig Component
+ * Status of a node's output cache in the Inspector: whether its current
+ * settings qualify, how many outputs are stored, and a button to clear them.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import useExecutionStore from "../../store/executionStore.js";
+import useUIStore from "../../store/uiStore.js";
+import {
+  isCacheable,
+  getCacheStats,
+  clearCachedOutputs,
+} from "../../utils/outputCache.js";
+
+// Why a cacheable type is currently not deterministic
+const INELIGIBLE_HINTS = {
+  httpRequest: "Only GET requests are cached: this node always runs.",
+  llm: "Only LLM calls with a Model selected and temperature 0 are cached: this node always runs.",
+  python:
+    "Tick 'Script Is Deterministic' to cache this script: until then it always runs.",
+};
+
+const formatBytes = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+
+export function OutputCacheConfig({ node }) {
+  const isRunning = useExecutionStore((state) => state.isRunning);
+  const addToast = useUIStore((state) => state.addToast);
+  const [stats, setStats] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  // Re-count when the node changes, after each run and after clearing
+  useEffect(() => {
+    if (isRunning) return;
+    let cancelled = false;
+    getCacheStats({ nodeId: node.id })
+      .then((result) => !cancelled && setStats(result))
+      .catch(() => !cancelled && setStats(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [node.id, isRunning, version]);
+
+  const handleClear = async () => {
+    try {
+      const count = await clearCachedOutputs({ nodeId: node.id });
+      addToast({ message: `Cleared ${count} cached output(s)`, type: "info" });
+    } catch (error) {
+      addToast({
+        message: `Could not clear cache: ${error.message}`,
+        type: "error",
+      });
+    }
+    setVersion((v) => v + 1);
+  };
+
+  const data = node.data || {};
+
+  return (
+    <div className="subworkflow-config">
+      {data.cache && !isCacheable(node.type, data) && (
+        <div className="variable-error">{INELIGIBLE_HINTS[node.type]}</div>
+      )}
+      <div className="subworkflow-config__hint">
+        {stats
+          ? `${stats.entries} stored output(s), ${formatBytes(stats.bytes)}`
+          : "Stored outputs are reused for identical settings and inputs."}
+        {node.type === "python" &&
+          " Runs that save tables or figures as artifacts are not stored."}
+      </div>
+      <button
+        className="list-add-btn"
+        onClick={handleClear}
+        disabled={!stats?.entries}
+      >
+        Clear cached outputs
+      </button>
+    </div>
+  );
+}
+
+OutputCacheConfig.propTypes = {
+  node: PropTypes.object.isRequired,
+};
@@ -0,0 +1,138 @@
+/**
+ * PinnedOutputConfig Component
+ * Inspector section to pin a node's last output (or hand-written JSON)
+ * so runs replay it instead of executing the node.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import useWorkflowStore from "../../store/workflowStore.js";
+import useExecutionStore from "../../store/executionStore.js";
+import useUIStore from "../../store/uiStore.js";
+import { createPin } from "../../utils/pinnedOutput.js";
+
+const toText = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * JSON editor for the pinned value. Valid JSON is pinned as it is typed
+ * (as a manual pin); invalid text keeps the previous value.
+ */
+function PinEditor({ nodeId, pin }) {
+  // Reset when the pin changes from outside (re-pin, undo)
+  const [source, setSource] = useState(pin.output);
+  const [text, setText] = useState(() => toText(pin.output));
+  const [error, setError] = useState(null);
+  if (pin.output !== source) {
+    setSource(pin.output);
+    setText(toText(pin.output));
+    setError(null);
+  }
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    try {
+      const output = JSON.parse(e.target.value);
+      setSource(output);
+      setError(null);
+      useWorkflowStore.getState().updateNodeData(nodeId, {
+        pin: { ...pin, output, source: "manual" },
+      });
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  return (
+    <div className="config-field">
+      <textarea
+        className="code-input"
+        value={text}
+        onChange={handleChange}
+        spellCheck={false}
+        rows={Math.min(14, Math.max(4, text.split("\n").length))}
+      />
+      {error && (
+        <div className="variable-error">
+          Invalid JSON (the last valid value stays pinned): {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+PinEditor.propTypes = {
+  nodeId: PropTypes.string.isRequired,
+  pin: PropTypes.object.isRequired,
+};
+
+export function PinnedOutputConfig({ node }) {
+  const lastResult = useExecutionStore((state) =>
+    state.nodeResults.get(node.id)
+  );
+  const addToast = useUIStore((state) => state.addToast);
+  const pin = node.data?.pin;
+
+  const setPin = (output, source) => {
+    try {
+      useWorkflowStore
+        .getState()
+        .updateNodeData(node.id, { pin: createPin(output, source) });
+    } catch (error) {
+      addToast({ message: `Could not pin: ${error.message}`, type: "error" });
+    }
+  };
+
+  if (!pin) {
+    const canPinResult = lastResult?.status === "success";
+    return (
+      <div className="subworkflow-config">
+        <div className="subworkflow-config__hint">
+          A pinned node is not executed: runs feed its pinned output downstream
+          instead.
+        </div>
+        <div className="pinned-output__actions">
+          <button
+            className="list-add-btn"
+            onClick={() => setPin(lastResult.output, "run")}
+            disabled={!canPinResult}
+            title={
+              canPinResult
+                ? "Pin the output of the last run"
+                : "Run the node successfully first"
+            }
+          >
+            📌 Pin last output
+          </button>
+          <button className="list-add-btn" onClick={() => setPin({}, "manual")}>
+            Write mock JSON
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="subworkflow-config">
+      <div className="subworkflow-config__hint">
+        📌 {pin.source === "run" ? "Pinned from a run" : "Mock data"},{" "}
+        {new Date(pin.pinnedAt).toLocaleString()}. This node is skipped.
+      </div>
+      <PinEditor nodeId={node.id} pin={pin} />
+      <button
+        className="list-add-btn"
+        onClick={() =>
+          useWorkflowStore
+            .getState()
+            .updateNodeData(node.id, { pin: undefined })
+        }
+      >
+        Unpin
+      </button>
+    </div>
+  );
+}
+
+PinnedOutputConfig.propTypes = {
+  node: PropTypes.object.isRequired,
+};
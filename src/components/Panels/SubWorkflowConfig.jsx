@@ -0,0 +1,149 @@
+/**
+ * SubWorkflowConfig
+ * Inspector section for the Execute Workflow node: picks a workflow from
+ * the library, maps its declared inputs and checks the call against the
+ * child's interface (missing / required inputs, self-reference).
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { ExpressionInput } from "./ExpressionInput.jsx";
+import useWorkflowStore from "../../store/workflowStore.js";
+import useExecutionStore from "../../store/executionStore.js";
+import { listWorkflows } from "../../utils/workflowLibrary.js";
+
+export function SubWorkflowConfig({ nodeId, data, onUpdate, suggestions }) {
+  const currentWorkflowId = useWorkflowStore((state) => state.workflowId);
+  const edges = useWorkflowStore((state) => state.edges);
+  const nodeResults = useExecutionStore((state) => state.nodeResults);
+
+  const [workflows, setWorkflows] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listWorkflows()
+      .then((list) => !cancelled && setWorkflows(list))
+      .catch((error) => {
+        console.warn("[SubWorkflowConfig] Failed to load library:", error);
+        if (!cancelled) setWorkflows([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const { workflowId = "", inputMap = {} } = data;
+  const selected = workflows?.find((w) => w.id === workflowId);
+
+  // Fields the last run delivered on the node's input
+  const incoming = useMemo(() => {
+    const fields = {};
+    edges
+      .filter((e) => e.target === nodeId)
+      .forEach((e) => {
+        const output = nodeResults.get(e.source)?.output;
+        if (output && typeof output === "object") Object.assign(fields, output);
+      });
+    return fields;
+  }, [edges, nodeResults, nodeId]);
+
+  const warnings = [];
+  if (workflowId && workflows && !selected) {
+    warnings.push("Selected workflow is no longer in the library");
+  }
+  if (workflowId && workflowId === currentWorkflowId) {
+    warnings.push("A workflow calling itself stops at the depth limit");
+  }
+  selected?.inputSchema
+    .filter((field) => field.required)
+    .filter((field) => !inputMap[field.name] && !(field.name in incoming))
+    .forEach((field) =>
+      warnings.push(
+        `Required input "${field.name}" is not mapped and was not in the last run's incoming data`
+      )
+    );
+
+  const handleSelect = (id) => {
+    const workflow = workflows.find((w) => w.id === id);
+    // Name is cached for the node card, which cannot read the library
+    onUpdate({ workflowId: id, workflowName: workflow?.name || "" });
+  };
+
+  return (
+    <div className="subworkflow-config">
+      <select
+        value={workflowId}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={!workflows}
+      >
+        <option value="">
+          {workflows ? "Select a workflow…" : "Loading library…"}
+        </option>
+        {workflows?.map((w) => (
+          <option key={w.id} value={w.id}>
+            {w.name}
+            {w.id === currentWorkflowId ? " (this workflow)" : ""}
+          </option>
+        ))}
+      </select>
+
+      {workflows?.every((w) => w.id === currentWorkflowId) && (
+        <div className="subworkflow-config__hint">
+          No other workflows yet. Create one from the Workflows tab of the
+          sidebar to call it from here.
+        </div>
+      )}
+
+      {selected && (
+        <>
+          <div className="config-section__title">Inputs</div>
+          {selected.inputSchema.length === 0 && (
+            <div className="subworkflow-config__hint">
+              No declared inputs; the incoming data is passed through.
+            </div>
+          )}
+          {selected.inputSchema.map((field) => (
+            <div key={field.name} className="config-field">
+              <label>
+                {field.name}
+                {field.required ? " *" : ""}{" "}
+                <span className="subworkflow-config__type">{field.type}</span>
+              </label>
+              <ExpressionInput
+                value={String(inputMap[field.name] ?? "")}
+                onChange={(text) =>
+                  onUpdate({ inputMap: { ...inputMap, [field.name]: text } })
+                }
+                suggestions={suggestions}
+                placeholder={`{{ $input.${field.name} }}`}
+              />
+            </div>
+          ))}
+
+          <div className="config-section__title">Outputs</div>
+          <div className="subworkflow-config__hint">
+            {selected.outputSchema.length > 0
+              ? selected.outputSchema
+                  .map((field) => `${field.name}: ${field.type}`)
+                  .join(", ")
+              : "Every Output node of the workflow, keyed by label"}
+          </div>
+        </>
+      )}
+
+      {warnings.map((warning) => (
+        <div key={warning} className="variable-error">
+          {warning}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+SubWorkflowConfig.propTypes = {
+  nodeId: PropTypes.string.isRequired,
+  data: PropTypes.object.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  suggestions: PropTypes.array.isRequired,
+};
@@ -0,0 +1,348 @@
+/**
+ * VersionsPanel Component
+ * Named snapshots of the open workflow: save, compare two versions (or a
+ * version and the canvas) with a field-level diff, and restore.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useReactFlow } from "reactflow";
+import useWorkflowStore from "../../store/workflowStore.js";
+import useExecutionStore from "../../store/executionStore.js";
+import useVersionStore, {
+  CURRENT,
+  useComparison,
+} from "../../store/versionStore.js";
+import useUIStore from "../../store/uiStore.js";
+import { diffLines, isEmptyDiff } from "../../utils/workflowDiff.js";
+import ConfirmationModal from "../UI/ConfirmationModal.jsx";
+import "./VersionsPanel.css";
+
+const formatValue = (value) => {
+  if (value === undefined) return "(not set)";
+  if (typeof value === "string") return value;
+  return JSON.stringify(value, null, 2);
+};
+
+const isMultiline = (value) =>
+  typeof value === "string" && value.includes("\n");
+
+function FieldDiff({ change }) {
+  const { key, before, after } = change;
+
+  if (isMultiline(before) || isMultiline(after)) {
+    return (
+      <div className="field-diff">
+        <div className="field-diff__key">{key}</div>
+        <pre className="field-diff__lines">
+          {diffLines(before ?? "", after ?? "").map((line, i) => (
+            <div key={i} className={`diff-line diff-line--${line.type}`}>
+              {line.type === "added"
+                ? "+ "
+                : line.type === "removed"
+                ? "- "
+                : "  "}
+              {line.text}
+            </div>
+          ))}
+        </pre>
+      </div>
+    );
+  }
+
+  return (
+    <div className="field-diff">
+      <div className="field-diff__key">{key}</div>
+      <pre className="field-diff__value field-diff__value--before">
+        {formatValue(before)}
+      </pre>
+      <pre className="field-diff__value field-diff__value--after">
+        {formatValue(after)}
+      </pre>
+    </div>
+  );
+}
+
+FieldDiff.propTypes = {
+  change: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    before: PropTypes.any,
+    after: PropTypes.any,
+  }).isRequired,
+};
+
+function ComparisonView({ comparison, onFocusNode, onRestore, onClose }) {
+  const { before, after, diff } = comparison;
+  const [expanded, setExpanded] = useState(() =>
+    diff.nodes.changed.map((change) => change.id)
+  );
+
+  const toggle = (id) =>
+    setExpanded((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+
+  const label = (node) => node.data?.label || node.type;
+
+  return (
+    <div className="versions-panel__comparison">
+      <div className="versions-panel__comparison-header">
+        <span>
+          <strong>{before.name}</strong> → <strong>{after.name}</strong>
+        </span>
+        <div className="versions-panel__comparison-actions">
+          {before.id !== CURRENT && (
+            <button onClick={() => onRestore(before)}>
+              Restore {before.name}
+            </button>
+          )}
+          <button onClick={onClose}>Exit</button>
+        </div>
+      </div>
+
+      <div className="versions-panel__summary">
+        <span className="diff-chip diff-chip--added">
+          +{diff.nodes.added.length}
+        </span>
+        <span className="diff-chip diff-chip--removed">
+          −{diff.nodes.removed.length}
+        </span>
+        <span className="diff-chip diff-chip--changed">
+          ~{diff.nodes.changed.length}
+        </span>
+        <span className="versions-panel__summary-edges">
+          edges +{diff.edges.added.length} −{diff.edges.removed.length}
+        </span>
+      </div>
+
+      {isEmptyDiff(diff) && (
+        <div className="versions-panel__empty">No differences</div>
+      )}
+
+      {diff.nodes.added.map((node) => (
+        <div
+          key={node.id}
+          className="diff-item diff-item--added"
+          onClick={() => onFocusNode(node.id)}
+        >
+          + {label(node)} <span className="diff-item__type">{node.type}</span>
+        </div>
+      ))}
+      {diff.nodes.removed.map((node) => (
+        <div
+          key={node.id}
+          className="diff-item diff-item--removed"
+          onClick={() => onFocusNode(node.id)}
+        >
+          − {label(node)} <span className="diff-item__type">{node.type}</span>
+        </div>
+      ))}
+      {diff.nodes.changed.map((change) => (
+        <div key={change.id} className="diff-item diff-item--changed">
+          <div
+            className="diff-item__header"
+            onClick={() => {
+              toggle(change.id);
+              onFocusNode(change.id);
+            }}
+          >
+            {expanded.includes(change.id) ? "▾" : "▸"} {change.label}{" "}
+            <span className="diff-item__type">
+              {change.fields.length} field
+              {change.fields.length === 1 ? "" : "s"}
+            </span>
+          </div>
+          {expanded.includes(change.id) &&
+            change.fields.map((field) => (
+              <FieldDiff key={field.key} change={field} />
+            ))}
+        </div>
+      ))}
+
+      {diff.variables.length > 0 && (
+        <div className="diff-item diff-item--changed">
+          <div className="diff-item__header">Variables</div>
+          {diff.variables.map((field) => (
+            <FieldDiff key={field.key} change={field} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ComparisonView.propTypes = {
+  comparison: PropTypes.object.isRequired,
+  onFocusNode: PropTypes.func.isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+function VersionsPanel() {
+  const { fitView } = useReactFlow();
+  const workflowId = useWorkflowStore((state) => state.workflowId);
+  const isRunning = useExecutionStore((state) => state.isRunning);
+  const versions = useVersionStore((state) => state.versions);
+  const comparison = useComparison();
+  const addToast = useUIStore((state) => state.addToast);
+
+  const [name, setName] = useState("");
+  const [beforeId, setBeforeId] = useState("");
+  const [afterId, setAfterId] = useState(CURRENT);
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  useEffect(() => {
+    if (!workflowId) return;
+    useVersionStore
+      .getState()
+      .refresh(workflowId)
+      .catch((error) =>
+        console.error("[VersionsPanel] Failed to load versions:", error)
+      );
+  }, [workflowId]);
+
+  const run = async (action, failure) => {
+    try {
+      await action();
+    } catch (error) {
+      addToast({ message: `${failure}: ${error.message}`, type: "error" });
+    }
+  };
+
+  const handleSave = () =>
+    run(async () => {
+      const versionName = name.trim() || `Version ${versions.length + 1}`;
+      await useVersionStore.getState().saveVersion(versionName);
+      setName("");
+      addToast({ message: `Saved "${versionName}"`, type: "success" });
+    }, "Could not save version");
+
+  const handleCompare = (from, to) =>
+    run(
+      () => useVersionStore.getState().compare(from, to),
+      "Could not compare"
+    );
+
+  const confirmRestore = () =>
+    run(async () => {
+      const version = pendingRestore;
+      setPendingRestore(null);
+      await useVersionStore.getState().restoreVersion(version.id);
+      addToast({
+        message: `Restored "${version.name}" (Ctrl+Z to undo)`,
+        type: "success",
+      });
+    }, "Could not restore");
+
+  const handleDelete = (id) =>
+    run(
+      () => useVersionStore.getState().deleteVersion(id),
+      "Could not delete version"
+    );
+
+  // Ghost (removed) nodes are on the canvas too while comparing
+  const focusNode = (id) =>
+    fitView({ nodes: [{ id }], duration: 300, maxZoom: 1 });
+
+  const firstVersionId = versions[0]?.id || "";
+  const from = beforeId || firstVersionId;
+
+  return (
+    <div className="versions-panel">
+      <div className="versions-panel__save">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSave()}
+          placeholder={`Version ${versions.length + 1}`}
+        />
+        <button onClick={handleSave} disabled={!workflowId}>
+          Save Version
+        </button>
+      </div>
+
+      {versions.length > 0 && (
+        <div className="versions-panel__compare">
+          <select value={from} onChange={(e) => setBeforeId(e.target.value)}>
+            {versions.map((version) => (
+              <option key={version.id} value={version.id}>
+                {version.name}
+              </option>
+            ))}
+          </select>
+          <span>→</span>
+          <select value={afterId} onChange={(e) => setAfterId(e.target.value)}>
+            <option value={CURRENT}>Current</option>
+            {versions.map((version) => (
+              <option key={version.id} value={version.id}>
+                {version.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => handleCompare(from, afterId)}
+            disabled={from === afterId}
+          >
+            Compare
+          </button>
+        </div>
+      )}
+
+      <div className="versions-panel__body">
+        {comparison ? (
+          <ComparisonView
+            key={`${comparison.before.id}:${comparison.after.id}`}
+            comparison={comparison}
+            onFocusNode={focusNode}
+            onRestore={setPendingRestore}
+            onClose={() => useVersionStore.getState().closeComparison()}
+          />
+        ) : versions.length === 0 ? (
+          <div className="versions-panel__empty">
+            No versions yet.
+            <br />
+            Save one before changing prompts, to compare or go back later.
+          </div>
+        ) : (
+          versions.map((version) => (
+            <div key={version.id} className="version-item">
+              <div className="version-item__header">
+                <span className="version-item__name">{version.name}</span>
+                <span className="version-item__meta">
+                  {new Date(version.createdAt).toLocaleString()} ·{" "}
+                  {version.nodeCount} nodes
+                </span>
+              </div>
+              <div className="version-item__actions">
+                <button onClick={() => handleCompare(version.id, CURRENT)}>
+                  Diff vs current
+                </button>
+                <button
+                  onClick={() => setPendingRestore(version)}
+                  disabled={isRunning}
+                >
+                  Restore
+                </button>
+                <button onClick={() => handleDelete(version.id)}>Delete</button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      <ConfirmationModal
+        isOpen={Boolean(pendingRestore)}
+        title="Restore Version"
+        message={`Replace the canvas with "${pendingRestore?.name}"? You can undo this with Ctrl+Z.`}
+        onConfirm={confirmRestore}
+        onCancel={() => setPendingRestore(null)}
+        confirmText="Restore"
+      />
+    </div>
+  );
+}
+
+export default VersionsPanel;
@@ -0,0 +1,146 @@
+/**
+ * WorkflowSettings
+ * Name and call interface of the open workflow, shown in the Inspector
+ * when no node is selected. The declared input / output fields are what
+ * Execute Workflow nodes in other workflows are checked against.
+ * Also clears the cached node outputs of the workflow.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React from "react";
+import PropTypes from "prop-types";
+import useWorkflowStore from "../../store/workflowStore.js";
+import useUIStore from "../../store/uiStore.js";
+import { clearCachedOutputs } from "../../utils/outputCache.js";
+import { SCHEMA_TYPES } from "../../utils/workflowSchema.js";
+
+const OUTPUT_TYPES = ["output", "end"];
+
+function SchemaEditor({ title, fields, onChange, hint }) {
+  const update = (index, changes) =>
+    onChange(fields.map((f, i) => (i === index ? { ...f, ...changes } : f)));
+
+  return (
+    <>
+      <div className="config-section__title">{title}</div>
+      <div className="list-input">
+        {fields.map((field, i) => (
+          <div key={i} className="list-item">
+            <input
+              value={field.name}
+              onChange={(e) => update(i, { name: e.target.value.trim() })}
+              placeholder="name"
+            />
+            <select
+              value={field.type}
+              onChange={(e) => update(i, { type: e.target.value })}
+            >
+              {SCHEMA_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+            <label className="schema-required" title="Required">
+              <input
+                type="checkbox"
+                checked={Boolean(field.required)}
+                onChange={(e) => update(i, { required: e.target.checked })}
+              />
+              req
+            </label>
+            <button onClick={() => onChange(fields.filter((_, j) => j !== i))}>
+              ×
+            </button>
+          </div>
+        ))}
+        {hint && <div className="variable-error">{hint}</div>}
+        <button
+          className="list-add-btn"
+          onClick={() =>
+            onChange([...fields, { name: "", type: "any", required: false }])
+          }
+        >
+          + Add Field
+        </button>
+      </div>
+    </>
+  );
+}
+
+SchemaEditor.propTypes = {
+  title: PropTypes.string.isRequired,
+  fields: PropTypes.array.isRequired,
+  onChange: PropTypes.func.isRequired,
+  hint: PropTypes.string,
+};
+
+export function WorkflowSettings() {
+  const workflowName = useWorkflowStore((state) => state.workflowName);
+  const inputSchema = useWorkflowStore((state) => state.inputSchema);
+  const outputSchema = useWorkflowStore((state) => state.outputSchema);
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const setWorkflowMeta = useWorkflowStore((state) => state.setWorkflowMeta);
+  const workflowId = useWorkflowStore((state) => state.workflowId);
+  const addToast = useUIStore((state) => state.addToast);
+
+  const handleClearCache = async () => {
+    try {
+      const count = await clearCachedOutputs({ workflowId });
+      addToast({ message: `Cleared ${count} cached output(s)`, type: "info" });
+    } catch (error) {
+      addToast({
+        message: `Could not clear cache: ${error.message}`,
+        type: "error",
+      });
+    }
+  };
+
+  // Outputs are the labels of Output nodes
+  const outputLabels = nodes
+    .filter((n) => OUTPUT_TYPES.includes(n.type))
+    .map((n) => n.data?.label || n.id);
+  const unmatched = outputSchema
+    .filter((f) => f.name && !outputLabels.includes(f.name))
+    .map((f) => f.name);
+
+  return (
+    <div className="config-section">
+      <div className="config-section__title">Workflow</div>
+      <div className="config-field">
+        <label>Name</label>
+        <input
+          type="text"
+          value={workflowName}
+          onChange={(e) => setWorkflowMeta({ workflowName: e.target.value })}
+        />
+      </div>
+
+      <SchemaEditor
+        title="Inputs"
+        fields={inputSchema}
+        onChange={(fields) => setWorkflowMeta({ inputSchema: fields })}
+      />
+      <SchemaEditor
+        title="Outputs"
+        fields={outputSchema}
+        onChange={(fields) => setWorkflowMeta({ outputSchema: fields })}
+        hint={
+          unmatched.length > 0
+            ? `No Output node labelled ${unmatched.join(", ")}`
+            : null
+        }
+      />
+
+      <div className="config-section__title">Output Cache</div>
+      <button
+        className="list-add-btn"
+        onClick={handleClearCache}
+        disabled={!workflowId}
+        title={workflowId ? undefined : "Save the workflow first"}
+      >
+        Clear cached outputs of this workflow
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * WorkflowVariables
+ * Editor for workflow-level variables, shown in the Inspector when no
+ * node is selected. Nodes read them as {{ $vars.name }}.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useState } from "react";
+import useWorkflowStore from "../../store/workflowStore.js";
+
+const NAME_PATTERN = /^[A-Za-z_][\w]*$/;
+
+export function WorkflowVariables() {
+  const variables = useWorkflowStore((state) => state.variables);
+  const setVariable = useWorkflowStore((state) => state.setVariable);
+  const removeVariable = useWorkflowStore((state) => state.removeVariable);
+
+  const [newName, setNewName] = useState("");
+  const nameError =
+    newName && !NAME_PATTERN.test(newName)
+      ? "Letters, digits and _ only"
+      : variables[newName] !== undefined
+      ? "Already defined"
+      : null;
+
+  const handleAdd = () => {
+    if (!newName || nameError) return;
+    setVariable(newName, "");
+    setNewName("");
+  };
+
+  return (
+    <div className="config-section">
+      <div className="config-section__title">Workflow Variables</div>
+      <div className="list-input">
+        {Object.entries(variables).map(([name, value]) => (
+          <div key={name} className="list-item">
+            <span className="variable-name" title={`{{ $vars.${name} }}`}>
+              {name}
+            </span>
+            <input
+              value={value}
+              onChange={(e) => setVariable(name, e.target.value)}
+              placeholder="value"
+            />
+            <button onClick={() => removeVariable(name)}>×</button>
+          </div>
+        ))}
+        <div className="list-item">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value.trim())}
+            onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+            placeholder="new variable name"
+          />
+        </div>
+        {nameError && <div className="variable-error">{nameError}</div>}
+        <button
+          className="list-add-btn"
+          onClick={handleAdd}
+          disabled={!newName || Boolean(nameError)}
+        >
+          + Add Variable
+        </button>
+      </div>
+    </div>
+  );
+}
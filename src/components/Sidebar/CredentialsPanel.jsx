@@ -0,0 +1,275 @@
+/**
+ * CredentialsPanel
+ * Passphrase-protected credential vault in the sidebar: set up, unlock,
+ * add / replace / delete entries, lock. Nodes pick entries by name.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import "./NodeSidebar.css";
+import useCredentialStore from "../../store/credentialStore.js";
+import useUIStore from "../../store/uiStore.js";
+import { CREDENTIAL_TYPES } from "../../utils/credentials.js";
+import ConfirmationModal from "../UI/ConfirmationModal.jsx";
+
+function PassphraseForm({ isSetUp, onSubmit }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const mismatch = !isSetUp && confirmation && confirmation !== passphrase;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (mismatch) return;
+    onSubmit(passphrase).then((ok) => ok && setPassphrase(""));
+  };
+
+  return (
+    <form className="workflow-item__form credential-form" onSubmit={submit}>
+      <div className="credential-form__hint">
+        {isSetUp
+          ? "Enter the vault passphrase to use credentials in this session."
+          : "Choose a passphrase to encrypt your credentials. It cannot be recovered."}
+      </div>
+      <input
+        type="password"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        placeholder="Passphrase"
+        autoComplete={isSetUp ? "current-password" : "new-password"}
+        autoFocus
+      />
+      {!isSetUp && (
+        <input
+          type="password"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          placeholder="Repeat passphrase"
+          autoComplete="new-password"
+        />
+      )}
+      {mismatch && (
+        <div className="credential-form__error">Passphrases differ</div>
+      )}
+      <div className="workflow-item__form-actions">
+        <button
+          type="submit"
+          className="workflow-item__save"
+          disabled={!passphrase || (!isSetUp && confirmation !== passphrase)}
+        >
+          {isSetUp ? "Unlock" : "Create Vault"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+PassphraseForm.propTypes = {
+  isSetUp: PropTypes.bool.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+};
+
+function CredentialForm({ initial, onSave, onCancel }) {
+  const [name, setName] = useState(initial?.name || "");
+  const [type, setType] = useState(initial?.type || "bearer");
+  const [secret, setSecret] = useState({});
+  const definition = CREDENTIAL_TYPES[type];
+
+  return (
+    <div className="workflow-item__form" onClick={(e) => e.stopPropagation()}>
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value.trim())}
+        placeholder="Name, e.g. openai"
+        disabled={Boolean(initial)}
+        autoFocus={!initial}
+      />
+      <select
+        value={type}
+        onChange={(e) => {
+          setType(e.target.value);
+          setSecret({});
+        }}
+      >
+        {Object.entries(CREDENTIAL_TYPES).map(([key, { label }]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {definition.fields.map((field) => (
+        <input
+          key={field.key}
+          type={field.secret === false ? "text" : "password"}
+          value={secret[field.key] || ""}
+          onChange={(e) =>
+            setSecret((current) => ({
+              ...current,
+              [field.key]: e.target.value,
+            }))
+          }
+          placeholder={field.label}
+          autoComplete="off"
+        />
+      ))}
+      <div className="workflow-item__form-actions">
+        <button onClick={onCancel}>Cancel</button>
+        <button
+          className="workflow-item__save"
+          disabled={
+            !name || definition.fields.some((field) => !secret[field.key])
+          }
+          onClick={() => onSave(name, type, secret)}
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+CredentialForm.propTypes = {
+  initial: PropTypes.object,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export function CredentialsPanel() {
+  const isLoaded = useCredentialStore((state) => state.isLoaded);
+  const isSetUp = useCredentialStore((state) => state.isSetUp);
+  const isUnlocked = useCredentialStore((state) => state.isUnlocked);
+  const entries = useCredentialStore((state) => state.entries);
+  const addToast = useUIStore((state) => state.addToast);
+
+  // null | "new" | credential name being replaced
+  const [editing, setEditing] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  useEffect(() => {
+    useCredentialStore.getState().refresh();
+  }, []);
+
+  const run = async (action, failure) => {
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      addToast({ message: `${failure}: ${error.message}`, type: "error" });
+      return false;
+    }
+  };
+
+  const handlePassphrase = (passphrase) =>
+    isSetUp
+      ? run(
+          () => useCredentialStore.getState().unlock(passphrase),
+          "Could not unlock"
+        )
+      : run(
+          () => useCredentialStore.getState().createVault(passphrase),
+          "Could not create vault"
+        );
+
+  const handleSave = (name, type, secret) =>
+    run(async () => {
+      await useCredentialStore.getState().saveCredential(name, type, secret);
+      setEditing(null);
+    }, "Could not save credential");
+
+  const confirmDelete = () =>
+    run(async () => {
+      const name = pendingDelete;
+      setPendingDelete(null);
+      await useCredentialStore.getState().deleteCredential(name);
+    }, "Could not delete credential");
+
+  if (!isLoaded) return null;
+
+  return (
+    <>
+      <div className="node-sidebar__categories">
+        <div className="credential-vault__status">
+          <span>
+            {isUnlocked
+              ? "🔓 Vault unlocked"
+              : isSetUp
+              ? "🔒 Vault locked"
+              : "No vault yet"}
+          </span>
+          {isUnlocked && (
+            <button onClick={() => useCredentialStore.getState().lock()}>
+              Lock
+            </button>
+          )}
+        </div>
+
+        {!isUnlocked && (
+          <PassphraseForm isSetUp={isSetUp} onSubmit={handlePassphrase} />
+        )}
+
+        {isUnlocked && (
+          <button
+            className="workflow-list__new"
+            onClick={() => setEditing("new")}
+          >
+            + New Credential
+          </button>
+        )}
+        {editing === "new" && (
+          <CredentialForm
+            onSave={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {isSetUp && entries.length === 0 && (
+          <div className="workflow-list__empty">No credentials yet</div>
+        )}
+
+        {entries.map((entry) => (
+          <div key={entry.name} className="workflow-item">
+            <div className="workflow-item__header">
+              <span className="workflow-item__name">{entry.name}</span>
+              {isUnlocked && (
+                <div className="workflow-item__actions">
+                  <button
+                    onClick={() => setEditing(entry.name)}
+                    title="Replace value"
+                  >
+                    ✏️
+                  </button>
+                  <button
+                    onClick={() => setPendingDelete(entry.name)}
+                    title="Delete"
+                  >
+                    🗑
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="workflow-item__meta">
+              {CREDENTIAL_TYPES[entry.type]?.label || entry.type}
+            </div>
+            {editing === entry.name && (
+              <CredentialForm
+                initial={entry}
+                onSave={handleSave}
+                onCancel={() => setEditing(null)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      <ConfirmationModal
+        isOpen={Boolean(pendingDelete)}
+        title="Delete Credential"
+        message={`Delete "${pendingDelete}"? Nodes using it will fail until you pick another.`}
+        onConfirm={confirmDelete}
+        onCancel={() => setPendingDelete(null)}
+        confirmText="Delete"
+        isDestructive={true}
+      />
+    </>
+  );
+}
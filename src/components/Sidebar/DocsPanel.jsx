@@ -69,6 +69,13 @@ export function DocsPanel() {
         >
           🐍 Python Scripting
         </button>
+        <button
+          style={linkStyle}
+          onClick={() => openDocs("expressionsGuide")}
+          className="docs-link"
+        >
+          {"{}"} Expressions & Variables
+        </button>
       </div>
 
       <div
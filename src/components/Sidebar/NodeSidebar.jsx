@@ -1,6 +1,7 @@
 /**
  * NodeSidebar Component
- * Categorized draggable nodes for workflow building.
+ * Categorized draggable nodes for workflow building, plus the
+ * workflow library, credentials, templates and docs.
  * Part of IOSANS Sovereign Architecture.
  */
 
@@ -9,6 +10,8 @@ import PropTypes from "prop-types";
 import "./NodeSidebar.css";
 import { TemplatesPanel } from "./TemplatesPanel.jsx";
 import { DocsPanel } from "./DocsPanel.jsx";
+import { WorkflowsPanel } from "./WorkflowsPanel.jsx";
+import { CredentialsPanel } from "./CredentialsPanel.jsx";
 
 // Node categories with their types
 const NODE_CATEGORIES = {
@@ -35,6 +38,7 @@ const NODE_CATEGORIES = {
       { type: "ifElse", label: "If/Else", icon: "🔀" },
       { type: "switch", label: "Switch", icon: "🔃" },
       { type: "merge", label: "Merge", icon: "🔗" },
+      { type: "loop", label: "Loop", icon: "🔁" },
       { type: "delay", label: "Delay", icon: "⏳" },
     ],
   },
@@ -45,6 +49,7 @@ const NODE_CATEGORIES = {
       { type: "codeExecutor", label: "Code", icon: "💻" },
       { type: "httpRequest", label: "HTTP", icon: "🌐" },
       { type: "transform", label: "Transform", icon: "🔄" },
+      { type: "executeWorkflow", label: "Sub-workflow", icon: "🧩" },
     ],
   },
   tools: {
@@ -63,12 +68,18 @@ const NODE_CATEGORIES = {
   },
 };
 
-function NodeSidebar({ collapsed = false, onToggle }) {
+function NodeSidebar({
+  collapsed = false,
+  onToggle,
+  onOpenWorkflow,
+  onCreateWorkflow,
+  onDeleteWorkflow,
+}) {
   const [expandedCategories, setExpandedCategories] = useState(
     Object.keys(NODE_CATEGORIES)
   );
   const [searchTerm, setSearchTerm] = useState("");
-  const [activeTab, setActiveTab] = useState("nodes"); // nodes | templates | docs
+  const [activeTab, setActiveTab] = useState("nodes"); // nodes | workflows | credentials | templates | docs
 
   const toggleCategory = (category) => {
     setExpandedCategories((prev) =>
@@ -155,6 +166,20 @@ function NodeSidebar({ collapsed = false, onToggle }) {
           >
             🧩
           </button>
+          <button
+            className={`tab-btn ${activeTab === "workflows" ? "active" : ""}`}
+            onClick={() => setActiveTab("workflows")}
+            title="Workflows"
+          >
+            🗂️
+          </button>
+          <button
+            className={`tab-btn ${activeTab === "credentials" ? "active" : ""}`}
+            onClick={() => setActiveTab("credentials")}
+            title="Credentials"
+          >
+            🔑
+          </button>
           <button
             className={`tab-btn ${activeTab === "templates" ? "active" : ""}`}
             onClick={() => setActiveTab("templates")}
@@ -221,6 +246,14 @@ function NodeSidebar({ collapsed = false, onToggle }) {
           </>
         )}
 
+        {activeTab === "workflows" && (
+          <WorkflowsPanel
+            onOpen={onOpenWorkflow}
+            onCreate={onCreateWorkflow}
+            onDelete={onDeleteWorkflow}
+          />
+        )}
+        {activeTab === "credentials" && <CredentialsPanel />}
         {activeTab === "templates" && <TemplatesPanel />}
         {activeTab === "docs" && <DocsPanel />}
       </div>
@@ -231,6 +264,9 @@ function NodeSidebar({ collapsed = false, onToggle }) {
 NodeSidebar.propTypes = {
   collapsed: PropTypes.bool,
   onToggle: PropTypes.func,
+  onOpenWorkflow: PropTypes.func.isRequired,
+  onCreateWorkflow: PropTypes.func.isRequired,
+  onDeleteWorkflow: PropTypes.func.isRequired,
 };
 
 export default NodeSidebar;
@@ -7,12 +7,15 @@ import { useReactFlow } from "reactflow";
 export function TemplatesPanel() {
   const setNodes = useWorkflowStore((state) => state.setNodes);
   const setEdges = useWorkflowStore((state) => state.setEdges);
+  const transact = useWorkflowStore((state) => state.transact);
   const { fitView } = useReactFlow();
 
   const handleLoad = (template) => {
-    // Confirm? No, just load for speed.
-    setNodes(template.nodes);
-    setEdges(template.edges);
+    // No confirmation: replacing the canvas can be undone
+    transact(() => {
+      setNodes(template.nodes);
+      setEdges(template.edges);
+    });
 
     setTimeout(() => {
       fitView({ padding: 0.2 });
@@ -0,0 +1,252 @@
+/**
+ * WorkflowsPanel
+ * Workflow library in the sidebar: search, create, open (in a tab),
+ * edit name / description / tags, duplicate and delete.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import "./NodeSidebar.css";
+import useLibraryStore from "../../store/libraryStore.js";
+import useWorkflowStore from "../../store/workflowStore.js";
+import useUIStore from "../../store/uiStore.js";
+import ConfirmationModal from "../UI/ConfirmationModal.jsx";
+
+const parseTags = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+  ),
+];
+
+function formatDate(timestamp) {
+  return timestamp
+    ? new Date(timestamp).toLocaleString([], {
+        dateStyle: "short",
+        timeStyle: "short",
+      })
+    : "never";
+}
+
+function WorkflowDetailsForm({ workflow, onSave, onCancel }) {
+  const [name, setName] = useState(workflow.name);
+  const [description, setDescription] = useState(workflow.description);
+  const [tags, setTags] = useState(workflow.tags.join(", "));
+
+  return (
+    <div className="workflow-item__form" onClick={(e) => e.stopPropagation()}>
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name"
+        autoFocus
+      />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description"
+        rows={2}
+      />
+      <input
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated"
+      />
+      <div className="workflow-item__form-actions">
+        <button onClick={onCancel}>Cancel</button>
+        <button
+          className="workflow-item__save"
+          disabled={!name.trim()}
+          onClick={() =>
+            onSave({
+              name: name.trim(),
+              description: description.trim(),
+              tags: parseTags(tags),
+            })
+          }
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
+WorkflowDetailsForm.propTypes = {
+  workflow: PropTypes.object.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export function WorkflowsPanel({ onOpen, onCreate, onDelete }) {
+  const workflows = useLibraryStore((state) => state.workflows);
+  const isLoaded = useLibraryStore((state) => state.isLoaded);
+  const activeId = useWorkflowStore((state) => state.workflowId);
+  const addToast = useUIStore((state) => state.addToast);
+
+  const [searchTerm, setSearchTerm] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  useEffect(() => {
+    useLibraryStore.getState().refresh();
+  }, []);
+
+  const query = searchTerm.toLowerCase();
+  const filtered = workflows.filter(
+    (w) =>
+      !query ||
+      w.name.toLowerCase().includes(query) ||
+      w.description.toLowerCase().includes(query) ||
+      w.tags.some((tag) => tag.toLowerCase().includes(query))
+  );
+
+  const run = async (action, failure) => {
+    try {
+      await action();
+    } catch (error) {
+      addToast({ message: `${failure}: ${error.message}`, type: "error" });
+    }
+  };
+
+  const handleSaveDetails = (id, details) =>
+    run(async () => {
+      await useLibraryStore.getState().updateDetails(id, details);
+      // Keep the open canvas in step, or autosave would restore the old name
+      if (id === activeId) {
+        useWorkflowStore.getState().setWorkflowMeta({
+          workflowName: details.name,
+        });
+      }
+      setEditingId(null);
+    }, "Could not save details");
+
+  const handleDuplicate = (id) =>
+    run(async () => {
+      const copy = await useLibraryStore.getState().duplicateWorkflow(id);
+      await onOpen(copy.id);
+    }, "Could not duplicate");
+
+  const confirmDelete = () =>
+    run(async () => {
+      const { id } = pendingDelete;
+      setPendingDelete(null);
+      await onDelete(id);
+    }, "Could not delete");
+
+  return (
+    <>
+      <div className="node-sidebar__search">
+        <input
+          type="text"
+          placeholder="Search workflows..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+        />
+      </div>
+
+      <div className="node-sidebar__categories">
+        <button
+          className="workflow-list__new"
+          onClick={() => run(onCreate, "Could not create workflow")}
+        >
+          + New Workflow
+        </button>
+
+        {isLoaded && filtered.length === 0 && (
+          <div className="workflow-list__empty">
+            {workflows.length === 0 ? "No workflows yet" : "No matches"}
+          </div>
+        )}
+
+        {filtered.map((workflow) => (
+          <div
+            key={workflow.id}
+            className={`workflow-item ${
+              workflow.id === activeId ? "workflow-item--active" : ""
+            }`}
+            onClick={() => onOpen(workflow.id)}
+            title={workflow.description || workflow.name}
+          >
+            <div className="workflow-item__header">
+              <span
+                className={`workflow-item__status workflow-item__status--${
+                  workflow.lastRunStatus || "none"
+                }`}
+                title={
+                  workflow.lastRunStatus
+                    ? `Last run: ${workflow.lastRunStatus}, ${formatDate(
+                        workflow.lastRunAt
+                      )}`
+                    : "Never run"
+                }
+              />
+              <span className="workflow-item__name">{workflow.name}</span>
+              <div
+                className="workflow-item__actions"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <button onClick={() => setEditingId(workflow.id)} title="Edit">
+                  ✏️
+                </button>
+                <button
+                  onClick={() => handleDuplicate(workflow.id)}
+                  title="Duplicate"
+                >
+                  ⧉
+                </button>
+                <button
+                  onClick={() => setPendingDelete(workflow)}
+                  title="Delete"
+                >
+                  🗑
+                </button>
+              </div>
+            </div>
+
+            {workflow.tags.length > 0 && (
+              <div className="workflow-item__tags">
+                {workflow.tags.map((tag) => (
+                  <span key={tag} className="workflow-item__tag">
+                    {tag}
+                  </span>
+                ))}
+              </div>
+            )}
+            <div className="workflow-item__meta">
+              {workflow.nodeCount} nodes · updated{" "}
+              {formatDate(workflow.updatedAt)}
+            </div>
+
+            {editingId === workflow.id && (
+              <WorkflowDetailsForm
+                workflow={workflow}
+                onSave={(details) => handleSaveDetails(workflow.id, details)}
+                onCancel={() => setEditingId(null)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      <ConfirmationModal
+        isOpen={Boolean(pendingDelete)}
+        title="Delete Workflow"
+        message={`Delete "${pendingDelete?.name}"? This action cannot be undone.`}
+        onConfirm={confirmDelete}
+        onCancel={() => setPendingDelete(null)}
+        confirmText="Delete"
+        isDestructive={true}
+      />
+    </>
+  );
+}
+
+WorkflowsPanel.propTypes = {
+  onOpen: PropTypes.func.isRequired,
+  onCreate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+};
@@ -10,6 +10,8 @@ const ConfirmationModal = ({
   confirmText = "Confirm",
   cancelText = "Cancel",
   isDestructive = false,
+  secondaryText, // Optional third choice, between cancel and confirm
+  onSecondary,
 }) => {
   // Prevent scroll when modal is open
   useEffect(() => {
@@ -36,6 +38,14 @@ const ConfirmationModal = ({
           <button className="modal-btn modal-btn--cancel" onClick={onCancel}>
             {cancelText}
           </button>
+          {secondaryText && (
+            <button
+              className="modal-btn modal-btn--cancel"
+              onClick={onSecondary}
+            >
+              {secondaryText}
+            </button>
+          )}
           <button
             className={`modal-btn modal-btn--confirm ${
               isDestructive ? "modal-btn--destructive" : ""
@@ -17,7 +17,7 @@ export const TEMPLATES = [
         position: { x: 600, y: -50 }, // Position above Agent
         data: {
           label: "Llama-3 Model",
-          modelId: "Llama-3-8B-Instruct-q4f32_1", // Default to a standard model
+          modelId: "Llama-3.1-8B-Instruct-q4f32_1-MLC", // Default to a standard model
           temperature: 0.7,
         },
       },
@@ -38,6 +38,8 @@ Let's build a simple "Hello World" flow to understand the basics.
 ### Navigation Shortcut keys
 - **Delete**: Remove selected node.
 - **Ctrl+S**: Export/Save workflow.
+- **Ctrl+Z / Ctrl+Shift+Z** (or **Ctrl+Y**): Undo / redo canvas and Inspector edits, including template drops, auto-layout and Clear Canvas. Typing in one node's fields counts as a single step. History is kept per open workflow and resets when you switch tabs.
+- **F9**: Toggle a breakpoint on the selected node.
 - **Scroll**: Pan canvas.
 - **Pinch/Ctrl+Scroll**: Zoom.
     `,
@@ -115,15 +117,64 @@ Open the **Right Panel** and switch to the **Logs** tab.
 - It shows a chronological feed of every node execution.
 - **Green**: Success.
 - **Red**: Error (Click to expand details).
+- **Skipped (dashed, faded on the canvas)**: The node sat on a branch that was not taken, e.g. the unused side of an If/Else or Switch. Skips flow downstream, and a Merge still fires once its remaining branches arrive.
+- **Timeline**: The **Timeline** tab draws each executed node as a bar on one time axis, so parallel branches, merges and waits are visible. A dashed line before a bar is time the node waited after its inputs were ready (concurrency limit, a queued model request or a breakpoint). Bars outlined in amber form the **critical path**: the chain of nodes that set the total duration, where speeding up a node shortens the run. LLM and Agent nodes list tokens in/out, decoding speed (tok/s) and time to first token (TTFT); an Agent sums all of its LLM turns. The summary shows how parallel the run was. Loaded runs from **History** have a timeline too.
+- **History**: Every finished run (manual or scheduled) is saved locally with its node outputs, logs and artifacts. Click **Load** to replay its node statuses and edge data on the canvas.
+- **Breakpoints**: Click the dot at a node's top-left corner (or press **F9**, or right-click › **Add Breakpoint**) and the run stops *before* that node. The node glows amber and the controls at the top of the canvas show its input as JSON: edit it to try another prompt or payload without rerunning upstream steps. **▶** continues to the next breakpoint, **⤼ Step** runs one node and stops before the next one. Pausing a run (⏸) and then stepping works too. When parallel branches reach breakpoints together, they are held one at a time, each with its own input. Breakpoints apply to loop iterations and stay set across runs.
+- **Problems**: Every **Run** first checks the whole workflow: each node's settings (missing URL, code, workflow...), cycles, nodes connected to nothing, LLMs wired into a Tool slot (or tools into the Model slot), models not in the registry and Switch cases with no outgoing edge. Errors block the run and open the **Problems** list; offending nodes get a ⛔ (error) or ⚠️ (warning) badge, with details on hover. Click a problem to jump to its node. The list refreshes as you fix things.
+- **Pinned outputs**: In the Inspector's **Pinned Output** section (or right-click › **Pin Output**), pin a node's last output, or write mock JSON by hand. A pinned node (📌, dashed border) is not executed: runs feed its pinned data downstream, so you can work on later steps without paying for an LLM call or HTTP request every time. Edit the JSON to try other data; **Unpin** to run the node again. Pins are saved with the workflow. Branching nodes (If/Else, Switch, Loop) cannot be pinned.
+- **Run From Here**: Right-click a node › **Run From Here** to run only that node and everything downstream of it. Upstream nodes are not re-run: their results from the last run (♻️) or their pins are used. The workflow must have run once (or an upstream node be pinned) first.
+- **Output Cache**: Transform, Python, HTTP Request (GET) and LLM (temperature 0) nodes have an **Output Cache** section in the Inspector. With **Reuse Stored Outputs** on, the output is stored in the browser (IndexedDB) under a hash of the node type, its settings (after \`{{ }}\` expressions are resolved) and its input. The next run with the same settings and input reuses it without executing the node, and the log shows **Cache hit**. The time a trigger fired is not part of the hash, so scheduled runs over unchanged data are nearly free. Only cache what really depends on nothing else: an LLM node is cached only with a **Model** selected (otherwise its answer depends on whichever model is loaded), and a Python node only once **Script Is Deterministic** is ticked (no \`random\`, clock or network calls). Python runs that save tables or figures as artifacts are never stored, since a cache hit would not save them again. Entries expire after **Keep For** minutes (1 day by default); the cache keeps at most 500 outputs / 50 MB, dropping the least recently used, and skips outputs over 5 MB. Clear a node's outputs in its Output Cache section, or the whole workflow's in the Inspector with no node selected.
+- **Stopping a run**: **Stop** (⏹) cancels everything the run started: a streaming LLM or Agent turn is interrupted after its current token, a batch of embeddings stops before its next text, and a running Python script ends (the Python interpreter restarts, so its next run is slower). Queued model requests and Python scripts are dropped. Python scripts run one at a time, so a single node's timeout or cancel never ends Python nodes on other branches. If the GPU or a worker was busy, a toast confirms when the model and Python have really stopped and the hardware is idle.
+- **Versions**: Before tweaking a prompt, open the **Versions** tab and save a named version. **Compare** any two versions (or a version and the current canvas): the canvas turns read-only and outlines added nodes in green, changed ones in amber and removed ones as red ghosts, while the panel lists each changed \`data\` field with a line diff for prompts and code. **Restore** puts a version back on the canvas (Ctrl+Z undoes it).
 2.  **Common Errors**
 - **"Model not loaded"**: The WebLLM engine needs to download weights (2-4GB) on the first run. Check the browser console (F12) for download progress.
 - **"Python Error"**: Pyodide is strict. Ensure you indent correctly and return data.
 - **"Network Error"**: Browser CORS security prevents fetching data from most sites (like Google or API endpoints without headers). Use a CORS proxy or an API designed for public access.
-3.  **Browser DevTools (F12)**
+3.  **Retries & Error Policies**
+Every action node has an **Error Handling** section in the Inspector.
+- **Max Retries / Retry Delay / Backoff**: Re-run flaky HTTP or LLM steps. Exponential backoff doubles the delay after each failed attempt.
+- **Timeout (ms)**: Fails an attempt that runs too long (0 = no limit).
+- **On Error**: \`fail\` stops the workflow and cancels the nodes still running alongside it, \`continue\` passes \`null\` downstream, \`route\` sends \`{ message, nodeId, nodeType, input }\` to the node's error output.
+- **Error Output (red handle, bottom right)**: Works like try/catch. Connect it to a recovery branch and failures are routed there instead of stopping the run. The normal output does not fire when the node fails, and the error output does not fire when it succeeds.
+4.  **Browser DevTools (F12)**
 Since IOSANS runs locally, the Chrome/Edge DevTools are your best friend.
 - **Console Tab**: See raw system logs.
 - **Network Tab**: Inspect HTTP Request node calls.
-- **Application Tab**: Clear LocalStorage ("iosans-workflow") if the app freezes.
+- **Application Tab**: Workflows are stored in IndexedDB ("IOSANS_DB" → "workflows", their saved versions in "versions", the encrypted credential vault in "credentials"); open tabs in LocalStorage ("iosans-library"). Delete a broken workflow from the Workflows sidebar rather than clearing storage, which removes every workflow.
+    `,
+  },
+
+  expressionsGuide: {
+    title: "Expressions & Variables",
+    category: "Guide",
+    description: "Reference upstream data and workflow variables in any field.",
+    isGuide: true,
+    content: `
+### Syntax
+Any text field in the Inspector (prompts, URLs, templates, conditions...) can contain \`{{ expressions }}\`. They are resolved just before the node runs.
+- \`{{ name }}\` or \`{{ $input.name }}\`: A field of the node's direct input.
+- \`{{ $input.items[0].title }}\`: Nested paths and array indices.
+- \`{{ $node["Fetch Users"].output.data }}\`: The output of any node that already ran, by label or id.
+- \`{{ $vars.apiBase }}\`: A workflow variable.
+
+### Helpers
+\`upper\`, \`lower\`, \`trim\`, \`length\`, \`json\`, \`parse\`, \`default\`, \`join\`, \`round\`, \`number\`, \`string\`, \`keys\`, \`now\`.
+- Example: \`{{ upper(default($input.city, "unknown")) }}\`
+- Expressions can only read data and call these helpers. Arbitrary JavaScript is not evaluated.
+
+### Raw values vs text
+- A field that is **only** an expression keeps the raw value (object, array, number).
+- Mixed text is interpolated: objects are inserted as JSON.
+- Code fields (JavaScript / Python) are never resolved, so their braces are left alone.
+- Braces that do not hold a valid expression are kept as literal text, so Handlebars or Jinja blocks (\`{{#each items}}\`, \`{{ name | upper }}\`) and JSON examples in prompts pass through unchanged.
+- To keep text that *is* a valid expression literal, escape it with a backslash: \`\\{{ name }}\` becomes \`{{ name }}\`.
+
+### Workflow Variables
+Click an empty area of the canvas to open **Workflow Variables** in the Inspector. Variables are saved and exported with the workflow.
+
+### Autocomplete
+Type \`{{\` in a field to list the outputs of the last run, the workflow variables and the helpers. Use the arrow keys and Enter to insert one.
     `,
   },
 
@@ -135,22 +186,25 @@ Since IOSANS runs locally, the Chrome/Edge DevTools are your best friend.
     content: `
 ### Pyodide Architecture
 IOSANS embeds **Pyodide**, a port of CPython to WebAssembly.
-- **It runs in your browser**. No server is involved.
+- **It runs in your browser**, inside a dedicated Web Worker, so long scripts never freeze the editor. No server is involved.
+- **Self-hosted**: The runtime is served from the app's own \`/pyodide/\` assets (run \`npm run vendor:pyodide\` once). Nothing is loaded from a CDN, so it works offline. If the runtime is missing (e.g. a fresh clone), Python nodes are reported under **Problems** before the run and fail with the same hint.
 - **Benefits**: Zero latency (after load), absolute privacy.
 - **Limitations**: No raw socket access (no \`requests\` library). You must use JavaScript fetch (via the HTTP Node) or Pyodide's specific fetch wrappers.
 
 ### Standard Library
 Most of the Python standard library is available: \`math\`, \`random\`, \`datetime\`, \`json\`, \`re\`.
 
-### External Packages (Micropip)
-Pyodide supports pure-python wheels.
-- **Included**: \`numpy\`, \`pandas\`, \`matplotlib-inline\`.
-- **To Install**: Use \`await micropip.install('package_name')\` inside your script node (if supported).
+### Packages (Allow-list)
+Tick the packages a node needs under **Packages** in the Inspector. Only allow-listed packages can be installed.
+- **Bundled (offline)**: \`numpy\`, \`pandas\`, \`matplotlib\`, \`scipy\`, \`scikit-learn\`, \`pyyaml\`, \`regex\`, \`beautifulsoup4\`.
+- **Micropip (fetched from PyPI on first use)**: \`tabulate\`, \`faker\`.
 
 ### Input / Output Contract
-- **Input**: The data from the previous node is injected as a global dictionary named \`input_data\`.
-- **Output**: The RETURN value of the script is passed to the next node.
-- **Printing**: \`print()\` statements appear in the Execution Logs provided by the dashboard.
+- **Input**: The data from the previous node is injected as \`inputs\` (also available as \`input_data\`).
+- **Output**: The value of the script's last expression is passed to the next node.
+- **DataFrames**: A returned pandas DataFrame is saved as a **CSV artifact**.
+- **Figures**: Every open matplotlib figure is saved as a **PNG artifact** (no need to call \`plt.show()\`).
+- **Printing**: \`print()\` output appears in the Execution Logs, and stderr appears as warnings.
     `,
   },
 
@@ -372,10 +426,10 @@ Pyodide supports pure-python wheels.
     description:
       "A synchronization gate that waits for multiple parallel execution branches to finish before continuing. Essential for 'Scatter-Gather' patterns.",
     howItWorks:
-      "The Merge node maintains an internal counter. You configure it to expect 'N' signals. It effectively PAUSES execution until it has received exactly N inputs. Once satisfied, it bundles all input data into an array and fires its output.",
+      "The engine counts the connections coming into the Merge node and runs it exactly once, after every upstream branch has either delivered data or been ruled out (e.g. the side of an If/Else that was not taken). Inputs are bundled according to the Strategy. With the 'first' strategy it fires as soon as the first branch arrives and ignores the rest.",
     howToUse: [
       "Place this node where multiple logic branches need to rejoin (e.g., after an If/Else split or parallel HTTP requests).",
-      "**Crucial**: In the Config Panel, set 'Expected Branches' to the exact number of connections coming into the Left Handle.",
+      "Pick a Strategy in the Config Panel. No branch count is needed: every connection is waited for automatically.",
       "Connect the Output to the next step (e.g., Final Summary or Output View).",
     ],
     inputs: [
@@ -394,8 +448,9 @@ Pyodide supports pure-python wheels.
     ],
     configuration: [
       {
-        name: "Expected Branches",
-        description: "The exact Integer number of input signals to wait for.",
+        name: "Strategy",
+        description:
+          "object: `{ [nodeId]: output }`. array: the outputs as a list. concat: the outputs flattened into one list. first: race, fires with the first branch to finish.",
       },
     ],
     examples: [
@@ -403,10 +458,66 @@ Pyodide supports pure-python wheels.
         title: "Parallel Search",
         description:
           "Wait for both Google Search and Wikipedia Search to finish.",
-        code: "Expected Branches: 2",
+        code: "Strategy: object",
       },
     ],
-    tips: "If a branch hangs or errors out upstream, the Merge node will wait forever. Ensure all paths eventually reach the Merge or handle errors gracefully.",
+    tips: "A branch that fails stops the workflow unless its node has an error policy. Use On Error: continue or route if the Merge should still fire.",
+  },
+
+  loop: {
+    title: "Loop",
+    category: "Logic",
+    description:
+      "Iterates over an array, running the connected 'Each item' branch once per element, then fires 'Done' with every result collected in order.",
+    howItWorks:
+      "The Loop node re-enters the subgraph wired to its 'Each item' handle for every element. Each iteration runs in isolation: nodes in the body see only the current item, so iterations can safely run side by side up to the configured concurrency. The output of the last node in the body becomes that iteration's result.",
+    howToUse: [
+      "Feed an array into the Left Handle (or an object, and set 'Items Path' to the array inside it).",
+      "Wire the 'Each item' handle to the steps that process one element. They receive `{ item, index, total }`.",
+      "Wire the 'Done' handle to whatever consumes the collected results array.",
+      "Raise 'Concurrency' to process several items at once (e.g. parallel HTTP calls).",
+    ],
+    inputs: [
+      {
+        id: "target",
+        label: "Flow Input (Left)",
+        description: "The array to iterate, or an object containing it.",
+      },
+    ],
+    outputs: [
+      {
+        id: "body",
+        label: "Each item",
+        description: "Fires once per element with `{ item, index, total }`.",
+      },
+      {
+        id: "done",
+        label: "Done",
+        description:
+          "Fires once with the array of iteration results, in input order.",
+      },
+    ],
+    configuration: [
+      {
+        name: "Items Path",
+        description:
+          "Dot path to the array inside the input (e.g. `data.items`). Leave empty when the input is the array.",
+      },
+      {
+        name: "Concurrency",
+        description:
+          "How many iterations may run at the same time (default 1).",
+      },
+    ],
+    examples: [
+      {
+        title: "Summarize Articles",
+        description:
+          "HTTP Request returns `{ articles: [...] }`; the body sends each article to an LLM.",
+        code: "Items Path: articles\nConcurrency: 2",
+      },
+    ],
+    tips: "If any iteration fails, no new iterations start and the Loop fails once the running ones finish. Give the body nodes an error policy (or connect their error output) to keep going past bad items.",
   },
 
   delay: {
@@ -462,25 +573,27 @@ Pyodide supports pure-python wheels.
     description:
       "The ultimate fallback. Execute raw JavaScript to perform complex data manipulation, math, or logic that no standard node supports.",
     howItWorks:
-      "Uses a sandboxed `Function()` constructor. The previous node's output is injected as a variable named `input`. Your code MUST end with a `return` statement to pass data to the next node.",
+      "Runs your code inside an isolated Web Worker. It has no access to the page, the DOM or `localStorage`, and it is killed outright if it exceeds its time limit, so an infinite loop cannot freeze the editor. The previous node's output is injected as a variable named `inputs`. Your code runs as the body of a strict-mode `async` function, so top-level `await` works and `this` is `undefined`.",
     howToUse: [
       "Open the Code Editor in the Right Panel.",
-      "Write standard JS. No `import`/`require` allowed (synchronous logic only).",
-      "Access data via `input`. Example: `const val = input.field || 0;`.",
-      "**Return Data**: `return { result: val * 2 };`.",
+      "Write standard JS. No `import`/`require` allowed.",
+      "Access data via `inputs`. Example: `const val = inputs.field || 0;`.",
+      "**Return Data**: `return { result: val * 2 };`. Without a `return`, a variable named `output` is used, else the inputs pass through unchanged.",
+      "`console.log` / `console.warn` / `console.error` output appears in the Execution Log.",
     ],
     inputs: [
       {
         id: "target",
         label: "Flow Input (Left)",
-        description: "Available as `input` variable.",
+        description: "Available as `inputs` variable.",
       },
     ],
     outputs: [
       {
         id: "source",
         label: "Flow Output (Right)",
-        description: "Whatever object or value you `return` from the script.",
+        description:
+          "Whatever value you `return` from the script. It must be plain data; functions and class instances are converted to JSON.",
       },
     ],
     configuration: [
@@ -488,22 +601,34 @@ Pyodide supports pure-python wheels.
         name: "Code Editor",
         description: "The JavaScript code body to execute.",
       },
+      {
+        name: "Timeout (Error Handling)",
+        description:
+          "Hard time limit for the script. Defaults to 10 seconds when left at 0.",
+      },
     ],
     examples: [
       {
         title: "Extract Email Domain",
         description: "Simple string manipulation.",
-        code: `const email = input.email;
+        code: `const email = inputs.email;
 const domain = email.split('@')[1];
+console.log('domain:', domain);
 return { domain: domain };`,
       },
       {
         title: "Math Calculation",
         description: "Calculate order total.",
-        code: `return { total: input.price * input.quantity };`,
+        code: `return { total: inputs.price * inputs.quantity };`,
+      },
+      {
+        title: "Async Fetch",
+        description: "Top-level await is supported.",
+        code: `const res = await fetch(inputs.url);
+return await res.json();`,
       },
     ],
-    tips: "If you return a Promise, the system waits for it to resolve! Useful for `fetch` (though HTTP Node is preferred). Errors in code will stop the workflow.",
+    tips: "Stopping the workflow terminates the script immediately. Errors in code will stop the workflow unless the node has an error policy.",
   },
 
   httpRequest: {
@@ -517,7 +642,8 @@ return { domain: domain };`,
     howToUse: [
       "**URL**: Enter the endpoint API address.",
       "**Method**: Select GET (read) or POST (write).",
-      "**Headers**: Add Auth tokens or Content-Type headers in JSON format (e.g., `{'Authorization': 'Bearer ...'}`).",
+      "**Credential**: Pick a Bearer token, Basic auth or API key header from the vault (🔑 sidebar tab). Only its name is saved in the workflow; the value is decrypted and added to the request when the node runs.",
+      '**Headers**: Extra headers in JSON format (e.g., `{"Accept": "text/plain"}`). Keys typed here are stored in plain text and replaced by placeholders on export, so keep secrets in a Credential.',
       "**Body**: By default, the input node's data is sent as the JSON body (for POST). You can override this.",
     ],
     inputs: [
@@ -543,9 +669,15 @@ return { domain: domain };`,
         name: "URL",
         description: "Destination Endpoint. Supports https://.",
       },
+      {
+        name: "Credential",
+        description:
+          "Vault entry used to authenticate. The vault must be unlocked when the workflow runs.",
+      },
       {
         name: "Headers (JSON)",
-        description: "Key-Value pairs for auth. `{'Authorization': '...'}`.",
+        description:
+          "Additional key-value pairs. A selected Credential overrides a header of the same name.",
       },
     ],
     examples: [
@@ -563,6 +695,57 @@ return { domain: domain };`,
     tips: "If you get a 'Network Error', checking the Browser Console (F12) usually reveals a CORS issue. Use a CORS proxy if the API doesn't allow browser calls.",
   },
 
+  executeWorkflow: {
+    title: "Execute Workflow",
+    category: "Action",
+    description:
+      "Calls another workflow as a sub-workflow and returns what it produces. Build a workflow once, then reuse it like a single node.",
+    howItWorks:
+      "The child workflow is loaded from the Workflow Library and runs as a nested run on its own engine. The incoming data, plus any mapped inputs, becomes the payload of the child's trigger node. When the child finishes, the results of its Output nodes (keyed by label) are this node's output. The child's logs appear in the Execution panel indented under this node. Calls can nest up to 5 levels deep, so a workflow that calls itself stops with an error instead of running forever.",
+    howToUse: [
+      "Open the child workflow, name it and declare its **Inputs** and **Outputs** in the Inspector (click empty canvas). Every workflow in the Workflows sidebar can be called.",
+      "In the parent workflow, add **Sub-workflow** from the Actions category and pick the child in the Inspector.",
+      "Map each declared input with an expression, e.g. `{{ $input.city }}`. Inputs left blank are taken from the incoming data.",
+      "Read the results downstream as `{{ $input.<output label> }}`.",
+    ],
+    inputs: [
+      {
+        id: "target",
+        label: "Flow Input (Left)",
+        description:
+          "Object merged into the child's trigger payload (mapped inputs win).",
+      },
+    ],
+    outputs: [
+      {
+        id: "source",
+        label: "Flow Output (Right)",
+        description:
+          'Object with one key per Output node of the child, e.g. `{ summary: "..." }`.',
+      },
+    ],
+    configuration: [
+      {
+        name: "Workflow",
+        description: "Workflow from the library to call.",
+      },
+      {
+        name: "Inputs",
+        description:
+          "One field per declared input. Required inputs (*) must be mapped or present in the incoming data; the Inspector warns when they are not.",
+      },
+    ],
+    examples: [
+      {
+        title: "Reusable summarizer",
+        description:
+          "Child declares input `text` (string, required) and output `summary`.",
+        code: 'Workflow: Summarize\ntext: {{ $node["Fetch Page"].body }}\n\nDownstream: {{ $input.summary }}',
+      },
+    ],
+    tips: "Declared types are checked on both sides of the call: a missing required input or an Output node returning the wrong type fails the node with a message naming the field. Edits to the child are autosaved, so the next call uses them. The headless runner looks workflows up in `--workflows <dir>`.",
+  },
+
   transform: {
     title: "Transform",
     image: "/docs/transform.png",
@@ -658,10 +841,24 @@ return { domain: domain };`,
         name: "System Prompt",
         description: "Top-level instructions for the agent's behavior/persona.",
       },
+      {
+        name: "Model",
+        description:
+          "Model used when no LLM node is connected to the Model slot. A connected LLM node's model takes precedence.",
+      },
       {
         name: "Temperature",
         description: "Creativity (0.0 - 1.0). Default 0.7.",
       },
+      {
+        name: "Max Tokens",
+        description: "Token limit for each reasoning step. Default 1024.",
+      },
+      {
+        name: "Tool Mode",
+        description:
+          "`react` parses Action/Action Input text. `native` sends JSON tool schemas to function-calling models (e.g. Hermes 2 Pro) and falls back to `react` for other models.",
+      },
       {
         name: "Max Steps",
         description:
@@ -690,6 +887,7 @@ return { domain: domain };`,
       "Connect a string prompt to the Left Handle.",
       "Select a Model in config (e.g., `Llama-3-8B-Quantized`).",
       "Adjust 'Temperature': Lower (0.1) for facts, Higher (0.8) for creative writing.",
+      "LLM and AI Agent nodes in parallel branches are safe: the local model answers one request at a time, in order, and each node gets its own stream and errors. Agents that have already started take precedence over new requests.",
     ],
     inputs: [
       {
@@ -711,14 +909,28 @@ return { domain: domain };`,
       },
     ],
     configuration: [
+      {
+        name: "System Prompt",
+        description: "Optional instructions sent as the system message.",
+      },
+      {
+        name: "Prompt",
+        description:
+          "Instruction placed before the upstream input in the user message.",
+      },
       {
         name: "Model ID",
-        description: "Select from available WebLLM models.",
+        description:
+          "Select from available WebLLM models. Defaults to the loaded model.",
       },
       {
         name: "Temperature",
         description: "0.0 (Strict) to 1.0 (Creative).",
       },
+      {
+        name: "Max Tokens",
+        description: "Upper limit on generated tokens. Default 1024.",
+      },
     ],
     examples: [
       {
@@ -740,18 +952,19 @@ return { domain: domain };`,
     description:
       "A full Python 3.11 environment running locally via WebAssembly. Gives your Agent (or Workflow) the power of a real programming language.",
     howItWorks:
-      "Downloads the Pyodide runtime (~10MB) once. Executes code in isolation. Can load pure-python libraries (micropip) like NumPy, Pandas, and Math.",
+      "Loads the self-hosted Pyodide runtime once, in a background Web Worker. Executes code in isolation. Declared packages (NumPy, Pandas, Matplotlib, ...) are installed from an allow-list before the script runs.",
     howToUse: [
-      "**Action Mode**: Use it in the flow to process data. Accessible as `input_data` variable.",
+      "**Action Mode**: Use it in the flow to process data. Accessible as `inputs` variable.",
       "**Tool Mode**: Connect to an AI Agent. The Agent will call this tool and write code for you to solve problems.",
       "**StdOut**: Use `print()` to output logs.",
       "**Return**: The last expression value is returned automatically.",
+      "**Artifacts**: Return a DataFrame to get a CSV, or draw a matplotlib figure to get a PNG.",
     ],
     inputs: [
       {
         id: "target",
         label: "Flow Input (Left)",
-        description: "Data available as `input_data` dict.",
+        description: "Data available as `inputs` (alias `input_data`).",
       },
     ],
     outputs: [
@@ -766,6 +979,11 @@ return { domain: domain };`,
         name: "Script",
         description: "Python code to execute.",
       },
+      {
+        name: "Packages",
+        description:
+          "Allow-listed packages to install before the script runs (e.g. pandas, matplotlib).",
+      },
     ],
     examples: [
       {
@@ -782,8 +1000,15 @@ fib(10)`,
 data = input_data['body']
 print("Processing " + data['id'])`,
       },
+      {
+        title: "Chart a DataFrame",
+        description: "Packages: pandas, matplotlib. Produces a PNG artifact.",
+        code: `import pandas as pd
+df = pd.DataFrame(inputs["rows"])
+df.plot(x="month", y="sales")`,
+      },
     ],
-    tips: "Heavy computations (matrix math) might freeze the UI briefly since it runs on the main thread (for now).",
+    tips: "The first run takes a few seconds while the runtime and packages load; later runs reuse them.",
   },
 
   textToSpeech: {
@@ -0,0 +1,119 @@
+/**
+ * Code Sandbox
+ * Runs untrusted JavaScript in a throwaway Web Worker with a hard timeout.
+ * Terminating the worker is the only reliable way to stop an infinite loop,
+ * so every run gets its own worker.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+export const DEFAULT_CODE_TIMEOUT = 10000;
+
+/**
+ * @typedef {Object} SandboxOptions
+ * @property {number} [timeout] - Hard limit in ms (defaults to DEFAULT_CODE_TIMEOUT)
+ * @property {AbortSignal} [signal] - Cancels the run and kills the worker
+ * @property {Function} [onLog] - (level, message) for captured console output
+ */
+
+/**
+ * Starts the browser code worker
+ * @returns {Worker}
+ */
+function createBrowserWorker() {
+  return new Worker(new URL("./code.worker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+export class CodeSandbox {
+  /**
+   * @param {() => Worker} [createWorker] - Worker factory; anything with the
+   *   Web Worker surface (onmessage, onerror, postMessage, terminate) works
+   */
+  constructor(createWorker = createBrowserWorker) {
+    this.createWorker = createWorker;
+  }
+
+  /**
+   * Runs code with `inputs` in scope and resolves with its result.
+   * @param {string} code
+   * @param {*} inputs - Must be structured-cloneable
+   * @param {SandboxOptions} options
+   * @returns {Promise<*>}
+   */
+  run(code, inputs, options = {}) {
+    const { timeout = DEFAULT_CODE_TIMEOUT, signal, onLog } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(new Error("Execution aborted"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const runId = Math.random().toString(36).slice(2, 11);
+      const worker = this.createWorker();
+
+      let timer = null;
+      let started = false;
+      const finish = (callback, value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        worker.terminate();
+        callback(value);
+      };
+      const onAbort = () => finish(reject, new Error("Execution aborted"));
+
+      signal?.addEventListener("abort", onAbort);
+      if (timeout > 0) {
+        timer = setTimeout(
+          () => finish(reject, new Error(`Code timed out after ${timeout}ms`)),
+          timeout
+        );
+      }
+
+      worker.onmessage = (event) => {
+        const { type, payload } = event.data || {};
+
+        // READY is sent before any user code runs
+        if (type === "READY") {
+          if (started) return;
+          started = true;
+          try {
+            worker.postMessage({
+              type: "RUN",
+              runId,
+              payload: { code, inputs },
+            });
+          } catch (error) {
+            finish(
+              reject,
+              new Error(`Inputs are not transferable: ${error.message}`)
+            );
+          }
+          return;
+        }
+
+        // Ignore anything not tagged with this run (e.g. forged by user code)
+        if (event.data.runId !== runId) return;
+
+        switch (type) {
+          case "LOG":
+            onLog?.(payload.level, payload.message);
+            break;
+          case "RESULT":
+            finish(resolve, payload.output);
+            break;
+          case "ERROR":
+            finish(reject, new Error(payload.message));
+            break;
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        finish(reject, new Error(event.message || "Code worker crashed"));
+      };
+    });
+  }
+}
+
+export const codeSandbox = new CodeSandbox();
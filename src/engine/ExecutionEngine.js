@@ -1,41 +1,126 @@
 /**
  * Execution Engine
- * Graph traversal with parallel execution and merge node synchronization.
+ * Dependency-counting scheduler: independent nodes run in parallel and
+ * every node runs exactly once, when all of its inputs have settled.
+ * Nodes on branches that were not taken are marked "skipped".
+ * Branches can be re-entered (loops) with results isolated per run scope.
+ * Store-free: run state, notifications and history go through an
+ * ExecutionHost (see dashboardEngine.js for the zustand-bound instance).
  * Part of IOSANS Sovereign Architecture.
  */
 
 import { getExecutor } from "./NodeExecutors.js";
-import useExecutionStore from "../store/executionStore.js";
-import useWorkflowStore from "../store/workflowStore.js";
-import useUIStore from "../store/uiStore.js";
+import { createMemoryHost } from "./memoryHost.js";
+import { getErrorHandleId } from "../utils/handleTypes.js";
+import { resolveNodeData } from "../utils/expressions.js";
+import { validateGraph, getBlockingProblems } from "./graphValidation.js";
+import { isCacheable, createCacheKey } from "../utils/outputCache.js";
+
+/**
+ * Per-node "on error" behaviours
+ * fail: stop the workflow, continue: pass null downstream,
+ * route: send the error object down the node's error handle
+ */
+export const ERROR_POLICIES = ["fail", "continue", "route"];
+
+/**
+ * Deepest allowed chain of Execute Workflow calls; guards against a
+ * workflow calling itself, directly or through others
+ */
+export const MAX_SUBWORKFLOW_DEPTH = 5;
+
+/**
+ * Outputs of a finished run: successful Output / End nodes keyed by label
+ * @param {Array} nodes - Workflow nodes
+ * @param {Map<string, Object>} nodeResults
+ * @returns {Object<string, *>}
+ */
+export function collectWorkflowOutputs(nodes, nodeResults) {
+  return Object.fromEntries(
+    nodes
+      .filter((n) => ["output", "end"].includes(n.type))
+      .filter((n) => nodeResults.get(n.id)?.status === "success")
+      .map((n) => [n.data?.label || n.id, nodeResults.get(n.id).output])
+  );
+}
+
+/**
+ * Error thrown when pre-run validation finds blocking problems
+ * @param {import('./graphValidation.js').GraphProblem[]} problems - Every problem found
+ * @param {Array} nodes
+ * @returns {Error} with `problems` attached
+ */
+function createValidationError(problems, nodes) {
+  const labels = new Map(nodes.map((n) => [n.id, n.data?.label || n.type]));
+  const blocking = getBlockingProblems(problems);
+  const summary = blocking
+    .slice(0, 3)
+    .map((p) =>
+      p.nodeId ? `${labels.get(p.nodeId)}: ${p.message}` : p.message
+    )
+    .join("; ");
+  const more = blocking.length > 3 ? ` (+${blocking.length - 3} more)` : "";
+
+  const error = new Error(`Workflow is not valid - ${summary}${more}`);
+  error.problems = problems;
+  return error;
+}
 
 /**
  * @typedef {Object} ExecutionOptions
  * @property {Object} services - Available services (webLLM, embedding, etc.)
  * @property {AbortSignal} signal - Abort signal for cancellation
+ * @property {{type: 'manual'|'schedule'|'cli'|'subworkflow', nodeId?: string, input?: *}} trigger - What started the run (recorded in history); `input` is merged into trigger node outputs
+ * @property {string} [startFrom] - Run only this node and its downstream
+ *   nodes, reusing the previous run's results upstream ("run from here")
  * @property {Function} onNodeStart - Callback when node starts
  * @property {Function} onNodeComplete - Callback when node completes
  * @property {Function} onNodeError - Callback when node errors
  */
 
+/**
+ * @typedef {Object} ExecutionScope
+ * Isolated results for one re-entrant branch run (e.g. a loop iteration).
+ * Reads of nodes inside the scope never see results from other runs.
+ * @property {Map<string, Object>} results - nodeId -> NodeResult for this run
+ * @property {Set<string>} nodeIds - Nodes owned by this scope
+ * @property {number} [iteration] - Iteration index, attached to logs
+ * @property {ExecutionScope|null} parent - Enclosing scope (nested loops)
+ */
+
 class ExecutionEngine {
-  constructor() {
+  /**
+   * @param {import('./memoryHost.js').ExecutionHost} [host]
+   * @param {Object} [options]
+   * @param {number} [options.depth] - Sub-workflow nesting level (0 = top)
+   */
+  constructor(host = createMemoryHost(), { depth = 0 } = {}) {
+    this.host = host;
+    this.depth = depth;
     this.abortController = null;
-    this.pendingMerges = new Map(); // Track merge node inputs
   }
 
   /**
    * Executes the entire workflow graph
-   * @param {Object} workflow - {nodes, edges} from workflowStore
+   * @param {Object} workflow - {nodes, edges, variables?}; defaults to the host workflow
    * @param {ExecutionOptions} options
    * @returns {Promise<Object>} Final execution results
    */
   async executeGraph(workflow = null, options = {}) {
-    const { services = {}, onNodeStart, onNodeComplete, onNodeError } = options;
-
-    // Get workflow from store if not provided
-    const { nodes, edges } = workflow || useWorkflowStore.getState();
-    const executionStore = useExecutionStore.getState();
+    const {
+      services = {},
+      trigger = { type: "manual" },
+      startFrom = null,
+      onNodeStart,
+      onNodeComplete,
+      onNodeError,
+    } = options;
+
+    // Get workflow from the host if not provided
+    const hostWorkflow = this.host.getWorkflow();
+    const { nodes, edges } = workflow || hostWorkflow;
+    const variables = workflow?.variables || hostWorkflow.variables || {};
+    const executionStore = this.host.getState();
 
     // Create abort controller
     this.abortController = new AbortController();
@@ -43,37 +128,182 @@ class ExecutionEngine {
 
     // Build execution graph
     const graph = this._buildExecutionGraph(nodes, edges);
+    if (startFrom && !graph.has(startFrom)) {
+      throw new Error(`Node ${startFrom} not found`);
+    }
 
-    // Find start nodes (nodes with no incoming edges)
-    const startNodes = this._findStartNodes(graph);
-
-    if (startNodes.length === 0) {
-      throw new Error("No start nodes found in graph");
+    // "Run from here": only the node and what lies downstream of it run
+    const memberIds = startFrom
+      ? new Set(this._collectReachable([startFrom], graph))
+      : null;
+
+    // Refuse to start on problems every node would otherwise hit mid-run
+    const problems = validateGraph(
+      { nodes, edges },
+      { services, nodeIds: memberIds }
+    );
+    if (getBlockingProblems(problems).length > 0) {
+      throw createValidationError(problems, nodes);
     }
 
+    // Upstream of a partial run, the previous run's results are reused
+    const cached = startFrom
+      ? this._collectCachedResults(startFrom, graph, memberIds)
+      : null;
+
+    // Find start nodes (nodes with no incoming edges)
+    const startNodes = startFrom ? [startFrom] : this._findStartNodes(graph);
+
     // Initialize execution
     executionStore.startExecution(nodes.map((n) => n.id));
-    this.pendingMerges.clear();
+    if (cached) {
+      cached.forEach((result, id) =>
+        executionStore.restoreNodeResult(id, result)
+      );
+      executionStore.addLog({
+        nodeId: startFrom,
+        type: "info",
+        content: `Running from here with ${cached.size} cached upstream result(s)`,
+      });
+    }
 
     try {
       // Execute from start nodes
-      const results = await this._executeLevel(startNodes, graph, {
-        workflow: { nodes, edges }, // Pass raw workflow for tools
-        services,
-        signal,
-        onNodeStart,
-        onNodeComplete,
-        onNodeError,
-      });
+      const results = await this._schedule(
+        startNodes,
+        graph,
+        {
+          workflow: { nodes, edges }, // Pass raw workflow for tools
+          variables, // Workflow variables for {{ $vars.x }}
+          trigger,
+          services,
+          signal,
+          onNodeStart,
+          onNodeComplete,
+          onNodeError,
+        },
+        memberIds
+      );
 
       executionStore.stopExecution();
+      await this._persistRun({ nodes, edges }, trigger, "success");
       return results;
     } catch (error) {
       executionStore.stopExecution();
+      await this._persistRun(
+        { nodes, edges },
+        trigger,
+        signal.aborted ? "aborted" : "error"
+      );
       throw error;
     }
   }
 
+  /**
+   * Archives the run that just finished to execution history.
+   * Persistence failures are logged, never surfaced as run failures.
+   * @private
+   */
+  async _persistRun(workflow, trigger, status) {
+    if (!this.host.saveRun) return;
+
+    const state = this.host.getState();
+    try {
+      await this.host.saveRun({
+        trigger,
+        status,
+        startTime: state.executionStartTime,
+        endTime: state.executionEndTime,
+        workflow,
+        nodeResults: Array.from(state.nodeResults.entries()),
+        edgeSnapshots: Array.from(state.edgeSnapshots.entries()),
+        logs: state.logs,
+      });
+    } catch (error) {
+      console.warn("[ExecutionEngine] Failed to save run history:", error);
+    }
+  }
+
+  /**
+   * Runs another workflow as a nested run (Execute Workflow node).
+   * The child gets its own engine and in-memory host, so the parent's node
+   * results are untouched; its logs are mirrored into the parent log under
+   * the calling node so the nested run shows in the Execution panel.
+   * @param {Object} workflow - {id, name, nodes, edges, variables}
+   * @param {*} input - Trigger payload for the child's start nodes
+   * @param {Object} options
+   * @param {string} options.parentNodeId - Calling node
+   * @param {Object} [options.services]
+   * @param {AbortSignal} [options.signal] - Parent abort, forwarded to the child
+   * @param {Function} [options.addLog] - Parent log sink
+   * @returns {Promise<{outputs: Object, nodeResults: Map, duration: number}>}
+   */
+  async runSubWorkflow(workflow, input, options) {
+    const { parentNodeId, services = {}, signal, addLog } = options;
+    const depth = this.depth + 1;
+    const name = workflow.name || workflow.id;
+
+    if (depth > MAX_SUBWORKFLOW_DEPTH) {
+      throw new Error(
+        `Sub-workflow depth limit (${MAX_SUBWORKFLOW_DEPTH}) reached calling "${name}" - does it call itself?`
+      );
+    }
+    if (signal?.aborted) throw new Error("Execution aborted");
+
+    const labels = new Map(
+      workflow.nodes.map((n) => [n.id, n.data?.label || n.type])
+    );
+    const log = addLog || ((entry) => this.host.getState().addLog(entry));
+
+    const host = createMemoryHost({
+      workflow,
+      onEvent: (event) => {
+        if (event.type !== "log") return;
+        // eslint-disable-next-line no-unused-vars
+        const { id, timestamp, nodeId, subRun, iteration, ...entry } =
+          event.log;
+        const nodeLabel = labels.get(nodeId) || nodeId;
+        log({
+          ...entry,
+          nodeId: parentNodeId,
+          subRun: subRun
+            ? {
+                ...subRun,
+                nodeLabel: `${nodeLabel} › ${subRun.workflowName} › ${subRun.nodeLabel}`,
+              }
+            : { workflowName: name, nodeLabel, depth },
+        });
+      },
+    });
+    const child = new ExecutionEngine(host, { depth });
+    const abortChild = () => child.abort();
+    signal?.addEventListener("abort", abortChild);
+
+    try {
+      await child.executeGraph(workflow, {
+        services,
+        trigger: { type: "subworkflow", nodeId: parentNodeId, input },
+      });
+    } catch (error) {
+      // Nested failures keep the name of the innermost failing workflow
+      if (error.subWorkflow) throw error;
+      const failure = new Error(
+        `Sub-workflow "${name}" failed: ${error.message}`
+      );
+      failure.subWorkflow = name;
+      throw failure;
+    } finally {
+      signal?.removeEventListener("abort", abortChild);
+    }
+
+    const state = host.getState();
+    return {
+      outputs: collectWorkflowOutputs(workflow.nodes, state.nodeResults),
+      nodeResults: state.nodeResults,
+      duration: state.executionEndTime - state.executionStartTime,
+    };
+  }
+
   /**
    * Aborts current execution
    */
@@ -92,8 +322,8 @@ class ExecutionEngine {
    */
   async executeNode(nodeId, inputs, options = {}) {
     // We need to fetch the node definition.
-    // We assume the store has the latest state.
-    const { nodes } = useWorkflowStore.getState();
+    // We assume the host has the latest state.
+    const { nodes, variables = {} } = this.host.getWorkflow();
     const node = nodes.find((n) => n.id === nodeId);
     if (!node) throw new Error(`Node ${nodeId} not found`);
 
@@ -102,10 +332,20 @@ class ExecutionEngine {
 
     const context = {
       inputs,
-      nodeData: node.data || {},
+      nodeData: resolveNodeData(node.data || {}, {
+        input: inputs,
+        variables,
+        getNode: (ref) => this._lookupNode(ref, nodes, null),
+      }),
       nodeId,
       services: options.services || {},
       signal: this.abortController?.signal,
+      runSubWorkflow: (workflow, input, subOptions) =>
+        this.runSubWorkflow(workflow, input, {
+          parentNodeId: nodeId,
+          services: options.services,
+          ...subOptions,
+        }),
       // We might not have a graph here if running isolated,
       // but tools usually don't need full graph unless recursive.
     };
@@ -122,6 +362,35 @@ class ExecutionEngine {
     return result.output;
   }
 
+  /**
+   * Results of the previous run for every node outside a partial run.
+   * The start node must be able to get its input from them (or a pin).
+   * @private
+   * @param {string} startFrom
+   * @param {Map} graph
+   * @param {Set<string>} memberIds - Nodes that run again
+   * @returns {Map<string, Object>} nodeId -> NodeResult
+   */
+  _collectCachedResults(startFrom, graph, memberIds) {
+    const cached = new Map();
+    this.host.getState().nodeResults.forEach((result, id) => {
+      if (graph.has(id) && !memberIds.has(id)) cached.set(id, result);
+    });
+
+    const { node, incoming } = graph.get(startFrom);
+    const isFed = [...incoming].some(
+      (id) => graph.get(id).node.data?.pin || this._isResolved(cached.get(id))
+    );
+    if (incoming.size > 0 && !isFed) {
+      throw new Error(
+        `"${
+          node.data?.label || startFrom
+        }" has no cached input: run the workflow once (or pin an upstream node) before running from here`
+      );
+    }
+    return cached;
+  }
+
   /**
    * Builds execution graph from nodes and edges
    * @private
@@ -136,6 +405,7 @@ class ExecutionEngine {
         incoming: new Set(),
         outgoing: new Set(),
         incomingEdges: [],
+        outgoingEdges: [],
       });
     });
 
@@ -146,6 +416,7 @@ class ExecutionEngine {
 
       if (source && target) {
         source.outgoing.add(edge.target);
+        source.outgoingEdges.push(edge);
         target.incoming.add(edge.source);
         target.incomingEdges.push(edge);
       }
@@ -169,253 +440,777 @@ class ExecutionEngine {
   }
 
   /**
-   * Executes a level of sibling nodes in parallel
+   * Runs a set of nodes with dependency counting. Every node waits until
+   * each incoming edge from inside the set has settled (fired or not),
+   * then runs exactly once if at least one of them fired; roots run
+   * unconditionally. Race merges ("first") start on the first fired input.
+   * Nodes whose inputs all stayed silent settle their own edges unfired,
+   * so fan-in further down never waits on them.
+   * The first unhandled failure cancels the nodes still running in the set
+   * and waits for them to settle, so none writes a result after the set
+   * has failed.
    * @private
+   * @param {string[]} rootIds - Nodes to start (once their in-set inputs settle)
+   * @param {Map} graph
+   * @param {Object} context
+   * @param {Set<string>} [memberIds] - Nodes in this run (default: all)
+   * @returns {Promise<Map<string, *>>} nodeId -> output of every node that ran
    */
-  async _executeLevel(nodeIds, graph, context) {
-    const { signal, onNodeStart, onNodeComplete, onNodeError } = context;
-    const executionStore = useExecutionStore.getState();
+  async _schedule(rootIds, graph, context, memberIds = null) {
+    const members = memberIds || new Set(graph.keys());
+    const roots = new Set(rootIds);
+    const results = new Map();
 
-    // Check abort
-    if (signal?.aborted) {
-      throw new Error("Execution aborted");
+    const pending = new Map(); // nodeId -> unsettled incoming edges
+    const firedFrom = new Map(); // nodeId -> sources whose edges fired
+    members.forEach((id) => {
+      const { incomingEdges } = graph.get(id);
+      pending.set(
+        id,
+        incomingEdges.filter((e) => members.has(e.source)).length
+      );
+      firedFrom.set(id, new Set());
+    });
+
+    const started = new Set();
+    const running = new Set();
+    let failure = null;
+
+    // Aborted by the run's signal, or by the first failure in this set
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (context.signal?.aborted) controller.abort();
+    context.signal?.addEventListener("abort", onAbort);
+    const scoped = { ...context, signal: controller.signal };
+
+    const settle = (nodeId, firedEdges) => {
+      const targets = new Set();
+      graph.get(nodeId).outgoingEdges.forEach((edge) => {
+        if (!members.has(edge.target)) return;
+        pending.set(edge.target, pending.get(edge.target) - 1);
+        if (firedEdges.includes(edge)) firedFrom.get(edge.target).add(nodeId);
+        targets.add(edge.target);
+      });
+      targets.forEach(check);
+    };
+
+    const start = (nodeId) => {
+      started.add(nodeId);
+      // Inputs come from fired edges, plus anything outside this run
+      const sources = [...graph.get(nodeId).incoming].filter(
+        (id) => !members.has(id) || firedFrom.get(nodeId).has(id)
+      );
+      const task = this._runNode(nodeId, graph, scoped, sources)
+        .then(({ output, firedEdges }) => {
+          results.set(nodeId, output);
+          settle(nodeId, firedEdges);
+        })
+        .catch((error) => {
+          if (!failure) {
+            failure = error;
+            controller.abort();
+          }
+        })
+        .finally(() => running.delete(task));
+      running.add(task);
+    };
+
+    const check = (nodeId) => {
+      if (started.has(nodeId) || failure) return;
+      const active = firedFrom.get(nodeId).size > 0;
+
+      if (active && this._isRaceMerge(graph.get(nodeId).node)) {
+        start(nodeId);
+      } else if (pending.get(nodeId) > 0) {
+        return;
+      } else if (active || roots.has(nodeId)) {
+        start(nodeId);
+      } else {
+        // No input fired (e.g. the branch an If/Else did not take):
+        // skip it and let the skip flow on, so merges below still fire
+        started.add(nodeId);
+        this._markSkipped(nodeId, scoped);
+        settle(nodeId, []);
+      }
+    };
+
+    rootIds.forEach(check);
+
+    try {
+      while (running.size > 0 && !failure) {
+        await Promise.race(running);
+      }
+      if (failure) {
+        await Promise.allSettled([...running]);
+        throw failure;
+      }
+    } finally {
+      context.signal?.removeEventListener("abort", onAbort);
     }
 
-    // Check Pause
-    while (useExecutionStore.getState().isPaused) {
+    // Nodes still waiting once nothing is running sit on a cycle
+    const stuck = [...members].filter((id) => !started.has(id));
+    if (stuck.length > 0) {
+      console.warn(
+        `[ExecutionEngine] Not executed (cycle): ${stuck.join(", ")}`
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Holds a node while the run is paused, and stops before it when it has
+   * a breakpoint or the previous node was stepped over. The input can be
+   * edited while the node is held (host state `pausedInput`).
+   * One node is held at a time: branches reaching a breakpoint meanwhile
+   * queue until it is released, then take their own stop.
+   * Hosts without debugger state (memoryHost) never stop.
+   * @private
+   * @param {string} nodeId
+   * @param {*} inputs - Gathered inputs
+   * @param {{signal: AbortSignal, addLog: Function}} options
+   * @returns {Promise<*>} Inputs to run the node with
+   */
+  async _waitForDebugger(nodeId, inputs, { signal, addLog }) {
+    const poll = async () => {
       if (signal?.aborted) throw new Error("Execution aborted");
       await new Promise((resolve) => setTimeout(resolve, 200));
+    };
+
+    // Checked and taken without awaiting in between, so nodes waking
+    // together cannot both take the stop
+    let state = this.host.getState();
+    while (state.isPaused || state.pausedNodeId) {
+      await poll();
+      state = this.host.getState();
     }
+    const atBreakpoint = Boolean(state.breakpoints?.has(nodeId));
+    if (!atBreakpoint && !state.stepMode) return inputs;
 
-    // Group nodes by their dependencies for parallel execution
-    const results = new Map();
+    state.pauseAtNode(nodeId, inputs);
+    addLog({
+      nodeId,
+      type: "info",
+      content: atBreakpoint ? "Paused at breakpoint" : "Paused after step",
+    });
+    while (this.host.getState().pausedNodeId === nodeId) {
+      await poll();
+    }
 
-    // Execute all nodes at this level in parallel
-    const executions = nodeIds.map(async (nodeId) => {
-      const entry = graph.get(nodeId);
-      if (!entry) return null;
+    const edited = this.host.getState().takeReleasedInput(nodeId);
+    if (edited !== inputs) {
+      addLog({ nodeId, type: "info", content: "Running with edited input" });
+    }
+    return edited;
+  }
 
-      const { node } = entry;
-      const nodeType = node.type || "unknown";
+  /**
+   * Records a node on an inactive branch as skipped. Results from other
+   * runs of a re-entered branch (loop iterations) are never overwritten.
+   * @private
+   */
+  _markSkipped(nodeId, context) {
+    const executionStore = this.host.getState();
+    this._setScopedResult(context, nodeId, { status: "skipped", output: null });
 
-      // Check if this is a merge node that needs to wait
-      if (nodeType === "merge") {
-        const mergeResult = await this._handleMergeNode(nodeId, graph, context);
-        if (!mergeResult.ready) {
-          return null; // Not ready yet, will be triggered by another branch
-        }
-      }
+    if (executionStore.getNodeResult(nodeId)) return;
+    executionStore.setNodeSkipped(nodeId);
+    executionStore.addLog({
+      nodeId,
+      type: "skipped",
+      content: "Skipped: branch not taken",
+      iteration: context.scope?.iteration,
+    });
+  }
 
-      // Get executor
-      const executor = getExecutor(nodeType);
-      if (!executor) {
-        console.warn(`[ExecutionEngine] No executor for type: ${nodeType}`);
-        return null;
-      }
+  /**
+   * Whether a merge node fires on its first input instead of waiting
+   * @private
+   */
+  _isRaceMerge(node) {
+    const strategy = node.data?.mergeStrategy;
+    return (
+      node.type === "merge" && (strategy === "first" || strategy === "race")
+    );
+  }
 
-      // Gather inputs from upstream nodes
-      const inputs = this._gatherInputs(nodeId, graph, executionStore);
+  /**
+   * Executes one node and reports which outgoing edges carried data
+   * @private
+   * @param {string} nodeId
+   * @param {Map} graph
+   * @param {Object} context
+   * @param {string[]} sources - Upstream nodes to read inputs from
+   * @returns {Promise<{output: *, firedEdges: Array}>}
+   */
+  async _runNode(nodeId, graph, context, sources) {
+    const { signal, onNodeStart, onNodeComplete, onNodeError } = context;
+    const executionStore = this.host.getState();
 
-      // Execute node
-      try {
-        onNodeStart?.(nodeId);
-        executionStore.setNodeRunning(nodeId);
-        executionStore.addLog({
-          nodeId,
-          type: "info",
-          content: "Started execution",
-        });
+    // Check abort
+    if (signal?.aborted) {
+      throw new Error("Execution aborted");
+    }
 
-        const executionContext = {
-          inputs,
-          nodeData: node.data || {},
-          nodeId, // Pass ID for tool scanning
-          services: {
-            ...context.services,
-            executionEngine: this, // Pass engine for callbacks
-          },
-          graph: {
-            // Pass graph structure for traversal tools
-            nodes: Array.from(graph.values()).map((e) => e.node),
-            edges: Array.from(graph.values()).flatMap((e) => e.incomingEdges), // Approximation or pass raw edges?
-            // Better: pass the raw 'nodes' and 'edges' arrays from 'processGraph' context?
-            // Since we didn't store them in 'context' passed to _executeLevel, we can't easily.
-            // Let's add 'workflow' to 'context' in executeGraph.
-          },
-          workflow: context.workflow, // { nodes, edges }
-          signal,
-          log: (content, type = "info") =>
-            executionStore.addLog({ nodeId, type, content }),
-          setContent: (content) => {
-            // Optional: Update node data/display live?
-          },
-          // eslint-disable-next-line no-unused-vars
-          setProgress: (status, progress) => {
-            // Update progress through log for now
-            executionStore.addLog({ nodeId, type: "info", content: status });
-          },
-        };
-
-        // Validate
-        const validation = executor.validate(executionContext);
-        if (!validation.valid) {
-          throw new Error(validation.error);
-        }
-
-        // Execute
-        const result = await executor.execute(executionContext);
-
-        // Store result
-        executionStore.setNodeSuccess(nodeId, result.output);
-        executionStore.addLog({
-          nodeId,
-          type: "success",
-          content: "Completed successfully",
-          data: result.output,
-        });
+    const entry = graph.get(nodeId);
+    const { node } = entry;
+    const nodeType = node.type || "unknown";
+
+    // Get executor
+    const executor = getExecutor(nodeType);
+    if (!executor) {
+      console.warn(`[ExecutionEngine] No executor for type: ${nodeType}`);
+      return { output: undefined, firedEdges: [] };
+    }
+
+    const iteration = context.scope?.iteration;
+    const addLog = (log) => executionStore.addLog({ ...log, iteration });
+
+    // Pinned output: replayed instead of running the node
+    const pin = node.data?.pin;
+    if (pin) {
+      const result = { output: pin.output, metadata: { type: "pinned" } };
+      executionStore.setNodeSuccess(nodeId, pin.output);
+      this._setScopedResult(context, nodeId, {
+        status: "success",
+        output: pin.output,
+      });
+      addLog({
+        nodeId,
+        type: "info",
+        content: "Pinned output used (node not executed)",
+        data: pin.output,
+      });
+      const firedEdges = this._fireEdges(entry, result);
+      onNodeComplete?.(nodeId, result);
+      return { output: pin.output, firedEdges };
+    }
 
-        results.set(nodeId, result.output);
+    // Gather inputs from upstream nodes; a breakpoint may replace them
+    const inputs = await this._waitForDebugger(
+      nodeId,
+      this._gatherInputs(nodeId, graph, context, sources),
+      { signal, addLog }
+    );
+    const policy = this._getErrorPolicy(node.data, entry);
+    let result;
 
-        // Store edge snapshots for downstream edges
-        entry.outgoing.forEach((targetId) => {
-          const edge = graph.get(nodeId)?.node
-            ? entry.incomingEdges.find((e) => e.target === targetId)
-            : null;
-          if (edge) {
-            executionStore.setEdgeSnapshot(edge.id, result.output);
-          }
-        });
+    // Execute node
+    try {
+      onNodeStart?.(nodeId);
+      executionStore.setNodeRunning(nodeId);
+      addLog({
+        nodeId,
+        type: "info",
+        content: "Started execution",
+      });
 
-        onNodeComplete?.(nodeId, result);
-
-        // Execute downstream nodes
-        let downstreamIds = Array.from(entry.outgoing);
-
-        // Filter for Conditional Logic (Switch / IfElse)
-        if (downstreamIds.length > 0) {
-          const { metadata } = result;
-
-          // logic for filtering based on active handles
-          if (
-            metadata?.activeHandles &&
-            Array.isArray(metadata.activeHandles)
-          ) {
-            // Filter edges that match the active handles
-            downstreamIds = downstreamIds.filter((targetId) => {
-              // We need access to OUTGOING edges. entry.outgoing is just a Set of IDs.
-              // The graph structure in _buildExecutionGraph puts incomingEdges on target.
-              // So to find the edge connecting Current -> Target:
-              const targetEntry = graph.get(targetId);
-              const connectingEdge = targetEntry?.incomingEdges.find(
-                (e) => e.source === nodeId
-              );
-
-              if (connectingEdge) {
-                return metadata.activeHandles.includes(
-                  connectingEdge.sourceHandle
-                );
-              }
-              return false;
+      // Single live log entry per node, updated as content streams in
+      let streamLogId = null;
+
+      // Resolve {{ expressions }} in every string field
+      const nodeData = resolveNodeData(node.data || {}, {
+        input: inputs,
+        variables: context.variables,
+        getNode: (ref) =>
+          this._lookupNode(ref, context.workflow.nodes, context),
+      });
+
+      const executionContext = {
+        inputs,
+        nodeData,
+        nodeId, // Pass ID for tool scanning
+        services: {
+          ...context.services,
+          executionEngine: this, // Pass engine for callbacks
+        },
+        graph: {
+          // Pass graph structure for traversal tools
+          nodes: Array.from(graph.values()).map((e) => e.node),
+          edges: Array.from(graph.values()).flatMap((e) => e.incomingEdges),
+        },
+        workflow: context.workflow, // { nodes, edges }
+        trigger: context.trigger,
+        signal,
+        log: (content, type = "info") => addLog({ nodeId, type, content }),
+        setContent: (content) => {
+          if (streamLogId) {
+            executionStore.updateLog(streamLogId, { content });
+          } else {
+            streamLogId = addLog({
+              nodeId,
+              type: "stream",
+              content,
             });
           }
-        }
+        },
+        // eslint-disable-next-line no-unused-vars
+        setProgress: (status, progress) => {
+          // Update progress through log for now
+          addLog({ nodeId, type: "info", content: status });
+        },
+        setIterationProgress: (progress) =>
+          executionStore.setIterationProgress(nodeId, progress),
+        // Re-entrant execution of the subgraph behind one source handle
+        runBranch: (handleId, input, options) =>
+          this._runBranch(nodeId, handleId, input, graph, context, options),
+        // Nested run of another workflow, logged under this node
+        runSubWorkflow: (workflow, input, options) =>
+          this.runSubWorkflow(workflow, input, {
+            parentNodeId: nodeId,
+            services: context.services,
+            addLog,
+            ...options,
+          }),
+      };
+
+      // Validate
+      const validation = executor.validate(executionContext);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
 
-        if (downstreamIds.length > 0) {
-          await this._executeLevel(downstreamIds, graph, context);
-        }
+      // Execute (with retry / timeout policy), or reuse a cached output
+      result = await this._executeWithCache(
+        node,
+        executor,
+        executionContext,
+        policy,
+        addLog
+      );
+
+      // Store result
+      executionStore.setNodeSuccess(nodeId, result.output, {
+        metrics: result.metadata?.metrics,
+      });
+      this._setScopedResult(context, nodeId, {
+        status: "success",
+        output: result.output,
+      });
+      addLog({
+        nodeId,
+        type: "success",
+        content: "Completed successfully",
+        data: result.output,
+      });
+    } catch (error) {
+      const handled = policy.onError !== "fail" && !signal?.aborted;
 
-        return result;
-      } catch (error) {
-        executionStore.setNodeError(nodeId, error);
+      // Recover according to the node's "on error" policy
+      if (handled) {
+        result = this._recoverFromError(node, inputs, error, policy);
+      }
+      executionStore.setNodeError(nodeId, error, {
+        handled,
+        output: result?.output ?? null,
+      });
+      this._setScopedResult(context, nodeId, {
+        status: "error",
+        handled,
+        output: result?.output ?? null,
+      });
 
-        // Toast for Runtime Error
-        useUIStore.getState().addToast({
-          message: `[${nodeType}] Failed: ${error.message}`,
-          type: "error",
-        });
+      // Toast for Runtime Error
+      this.host.notify({
+        message: handled
+          ? `[${nodeType}] Failed, continuing: ${error.message}`
+          : `[${nodeType}] Failed: ${error.message}`,
+        type: handled ? "warning" : "error",
+      });
 
-        // Log for Runtime Error
-        executionStore.addLog({
-          nodeId,
-          type: "error",
-          content: error.message,
-        });
+      // Log for Runtime Error
+      addLog({
+        nodeId,
+        type: "error",
+        content: error.message,
+      });
 
-        onNodeError?.(nodeId, error);
-        throw error;
-      }
-    });
+      onNodeError?.(nodeId, error);
+      if (!handled) throw error;
 
-    // Wait for all parallel executions
-    await Promise.all(executions);
+      addLog({
+        nodeId,
+        type: "warning",
+        content:
+          policy.onError === "route"
+            ? "Routing error to error output"
+            : "Continuing with null output",
+      });
+    }
 
-    return results;
+    const firedEdges = this._fireEdges(entry, result);
+    onNodeComplete?.(nodeId, result);
+    return { output: result.output, firedEdges };
   }
 
   /**
-   * Handles merge node synchronization
+   * Picks the outgoing edges a result fires and snapshots their data
    * @private
+   * @returns {Array} Fired edges
    */
-  // eslint-disable-next-line no-unused-vars
-  async _handleMergeNode(nodeId, graph, _context) {
+  _fireEdges(entry, result) {
+    // Filter by active handles: Switch / IfElse pick a branch, and the
+    // error handle only fires when the node's error was routed
+    const activeHandles = Array.isArray(result.metadata?.activeHandles)
+      ? result.metadata.activeHandles
+      : null;
+    const errorHandle = getErrorHandleId(entry.node.id);
+    const firedEdges = entry.outgoingEdges.filter((e) =>
+      activeHandles
+        ? activeHandles.includes(e.sourceHandle)
+        : e.sourceHandle !== errorHandle
+    );
+
+    // Store edge snapshots for the edges that carried data
+    const executionStore = this.host.getState();
+    firedEdges.forEach((edge) => {
+      executionStore.setEdgeSnapshot(edge.id, result.output);
+    });
+    return firedEdges;
+  }
+
+  /**
+   * Gathers inputs from upstream nodes
+   * @private
+   * @param {string[]} [sources] - Upstream nodes to read (default: all)
+   */
+  _gatherInputs(nodeId, graph, context, sources = null) {
     const entry = graph.get(nodeId);
-    const incomingCount = entry.incoming.size;
-    const executionStore = useExecutionStore.getState();
+    const inputs = {};
+
+    (sources || entry.incoming).forEach((sourceId) => {
+      // Pinned nodes always feed their pinned data, even when they did
+      // not run (upstream of a "run from here")
+      const pin = graph.get(sourceId)?.node.data?.pin;
+      const result = pin
+        ? { status: "success", output: pin.output }
+        : this._getResult(sourceId, context);
+      if (this._isResolved(result)) {
+        inputs[sourceId] = result.output;
+      }
+    });
 
-    // Initialize pending merge tracking
-    if (!this.pendingMerges.has(nodeId)) {
-      this.pendingMerges.set(nodeId, new Set());
+    // If single input, unwrap (merge nodes always see inputs by source)
+    const inputKeys = Object.keys(inputs);
+    if (inputKeys.length === 1 && entry.node.type !== "merge") {
+      return inputs[inputKeys[0]];
     }
 
-    // Check which upstream nodes have completed
-    let completedCount = 0;
-    entry.incoming.forEach((sourceId) => {
-      const result = executionStore.getNodeResult(sourceId);
-      if (result?.status === "success") {
-        completedCount++;
-        this.pendingMerges.get(nodeId).add(sourceId);
+    return inputs;
+  }
+
+  /**
+   * Reads a node result, honouring branch scopes: nodes owned by a scope
+   * only ever see that scope's results, everything else comes from the host state.
+   * @private
+   */
+  _getResult(nodeId, context) {
+    for (let scope = context?.scope; scope; scope = scope.parent) {
+      if (scope.nodeIds.has(nodeId)) return scope.results.get(nodeId);
+    }
+    return this.host.getState().getNodeResult(nodeId);
+  }
+
+  /**
+   * Finds a node by id or label for `$node["..."]` expressions
+   * @private
+   * @returns {{output: *, status: string}|undefined}
+   */
+  _lookupNode(ref, nodes, context) {
+    const node =
+      nodes.find((n) => n.id === ref) ||
+      nodes.find((n) => n.data?.label === ref);
+    if (!node) return undefined;
+
+    const result = this._getResult(node.id, context);
+    return result && { output: result.output, status: result.status };
+  }
+
+  /**
+   * Records a result in the scope that owns the node (if any)
+   * @private
+   */
+  _setScopedResult(context, nodeId, result) {
+    for (let scope = context?.scope; scope; scope = scope.parent) {
+      if (scope.nodeIds.has(nodeId)) {
+        scope.results.set(nodeId, { nodeId, ...result });
+        return;
       }
+    }
+  }
+
+  /**
+   * Runs the subgraph behind one of a node's source handles in a fresh
+   * scope, with `input` standing in as that node's output. Safe to call
+   * concurrently; each call sees only its own results.
+   * @private
+   * @param {string} nodeId - Node owning the handle (e.g. a loop)
+   * @param {string} handleId - Source handle whose edges start the branch
+   * @param {*} input - Value fed into the branch
+   * @param {Map} graph
+   * @param {Object} context - Context of the owning node's level
+   * @param {{signal?: AbortSignal, iteration?: number}} [options]
+   * @returns {Promise<*>} Output of the branch's last node, an object keyed
+   *   by node id when it ends in several nodes, or null when it is empty
+   */
+  async _runBranch(nodeId, handleId, input, graph, context, options = {}) {
+    const entry = graph.get(nodeId);
+    const branchEdges = entry.outgoingEdges.filter(
+      (e) => e.sourceHandle === handleId
+    );
+    const startIds = [...new Set(branchEdges.map((e) => e.target))];
+    if (startIds.length === 0) return null;
+
+    const branchIds = this._collectReachable(startIds, graph, nodeId);
+    const scope = {
+      results: new Map([
+        [nodeId, { nodeId, status: "success", output: input }],
+      ]),
+      nodeIds: new Set([nodeId, ...branchIds]),
+      iteration: options.iteration,
+      parent: context.scope || null,
+    };
+
+    const executionStore = this.host.getState();
+    branchEdges.forEach((edge) => {
+      executionStore.setEdgeSnapshot(edge.id, input);
     });
 
-    // Strategy Check
-    const strategy = entry.node.data.mergeStrategy || "object"; // Default to wait-all
+    await this._schedule(
+      startIds,
+      graph,
+      { ...context, signal: options.signal || context.signal, scope },
+      new Set(branchIds)
+    );
+
+    // Terminal nodes: ran in this scope, and nothing downstream of them did
+    const terminals = branchIds.filter(
+      (id) =>
+        this._isResolved(scope.results.get(id)) &&
+        ![...graph.get(id).outgoing].some((t) => scope.results.has(t))
+    );
+
+    if (terminals.length === 0) return null;
+    if (terminals.length === 1) return scope.results.get(terminals[0]).output;
+    return Object.fromEntries(
+      terminals.map((id) => [id, scope.results.get(id).output])
+    );
+  }
 
-    // If strategy is 'first' (race), we are ready if ANY input is here.
-    // Note: This might cause multiple executions if multiple inputs arrive at different times.
-    // For proper 'Race' (run once), we'd need state to know we already ran.
-    // But ExecutionEngine restarts check every level.
+  /**
+   * All node ids reachable from the given start nodes (inclusive),
+   * without passing back through `stopId`
+   * @private
+   */
+  _collectReachable(startIds, graph, stopId = null) {
+    const seen = new Set();
+    const stack = [...startIds];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === stopId || seen.has(id) || !graph.has(id)) continue;
+      seen.add(id);
+      graph.get(id).outgoing.forEach((t) => stack.push(t));
+    }
+    return [...seen];
+  }
 
-    let ready = completedCount === incomingCount; // Default Wait All
+  /**
+   * Whether an upstream result can feed downstream nodes
+   * (succeeded, or failed with a continue/route error policy)
+   * @private
+   */
+  _isResolved(result) {
+    return result?.status === "success" || Boolean(result?.handled);
+  }
 
-    if (strategy === "first" || strategy === "race") {
-      ready = completedCount > 0;
+  /**
+   * Reads a node's retry / timeout / on-error settings.
+   * A connected error handle turns the default "fail" into "route".
+   * @private
+   */
+  _getErrorPolicy(nodeData = {}, entry = null) {
+    const errorHandle = entry && getErrorHandleId(entry.node.id);
+    const hasErrorBranch = Boolean(
+      entry?.outgoingEdges.some((e) => e.sourceHandle === errorHandle)
+    );
+    const onError = ERROR_POLICIES.includes(nodeData.onError)
+      ? nodeData.onError
+      : "fail";
+
+    return {
+      maxRetries: Math.max(0, Number(nodeData.maxRetries) || 0),
+      retryDelay: Math.max(0, Number(nodeData.retryDelay ?? 1000) || 0),
+      backoff: nodeData.backoff === "exponential" ? "exponential" : "fixed",
+      timeout: Math.max(0, Number(nodeData.timeout) || 0),
+      onError: onError === "fail" && hasErrorBranch ? "route" : onError,
+    };
+  }
+
+  /**
+   * Opt-in output cache (`data.cache`) for deterministic nodes: a stored
+   * output for the same type, resolved settings and inputs is returned
+   * without executing. Cache failures never fail the node.
+   * @private
+   */
+  async _executeWithCache(node, executor, executionContext, policy, addLog) {
+    const cache = this.host.outputCache;
+    const { nodeData, inputs, nodeId } = executionContext;
+    if (!cache || !node.data?.cache || !isCacheable(node.type, nodeData)) {
+      return this._executeWithPolicy(executor, executionContext, policy);
     }
 
-    return { ready, completedCount, totalRequired: incomingCount };
+    let key = null;
+    try {
+      key = await createCacheKey(node.type, nodeData, inputs);
+      const hit = key && (await cache.get(key));
+      if (hit) {
+        addLog({
+          nodeId,
+          type: "info",
+          content: `Cache hit: output stored ${new Date(
+            hit.createdAt
+          ).toLocaleString()} reused (node not executed)`,
+        });
+        return { output: hit.output, metadata: { cacheHit: true } };
+      }
+    } catch (error) {
+      console.warn("[ExecutionEngine] Output cache lookup failed:", error);
+    }
+
+    const result = await this._executeWithPolicy(
+      executor,
+      executionContext,
+      policy
+    );
+    // Artifacts are saved as a side effect, which a hit would not repeat
+    if (key && !result.metadata?.hasArtifact) {
+      try {
+        await cache.set({
+          key,
+          nodeId,
+          nodeType: node.type,
+          output: result.output,
+          ttlMinutes: node.data.cacheTtl,
+        });
+      } catch (error) {
+        console.warn("[ExecutionEngine] Failed to cache output:", error);
+      }
+    }
+    return result;
   }
 
   /**
-   * Gathers inputs from upstream nodes
+   * Runs executor.execute, retrying failed attempts with backoff
    * @private
    */
-  _gatherInputs(nodeId, graph, executionStore) {
-    const entry = graph.get(nodeId);
-    const inputs = {};
+  async _executeWithPolicy(executor, executionContext, policy) {
+    const { signal, log } = executionContext;
+    const { maxRetries, retryDelay, backoff, timeout } = policy;
 
-    entry.incoming.forEach((sourceId) => {
-      const result = executionStore.getNodeResult(sourceId);
-      if (result?.status === "success") {
-        inputs[sourceId] = result.output;
+    for (let attempt = 1; ; attempt++) {
+      if (attempt > 1) {
+        log(`Attempt ${attempt}/${maxRetries + 1}`, "info");
+      }
+
+      try {
+        return await this._executeAttempt(executor, executionContext, timeout);
+      } catch (error) {
+        if (signal?.aborted || attempt > maxRetries) throw error;
+
+        const delay =
+          backoff === "exponential"
+            ? retryDelay * 2 ** (attempt - 1)
+            : retryDelay;
+        log(
+          `Attempt ${attempt} failed: ${error.message}. Retrying in ${delay}ms`,
+          "warning"
+        );
+        await this._sleep(delay, signal);
       }
+    }
+  }
+
+  /**
+   * Runs a single attempt. Each attempt gets its own abort signal so a
+   * timeout cancels executors that honour it (fetch, delay, ...); an
+   * abort settles the attempt at once, even if the executor ignores it.
+   * @private
+   */
+  async _executeAttempt(executor, executionContext, timeout) {
+    const { signal } = executionContext;
+    if (signal?.aborted) throw new Error("Execution aborted");
+
+    const controller = new AbortController();
+    let onAbort;
+    const abortPromise = new Promise((_, reject) => {
+      onAbort = () => {
+        controller.abort();
+        reject(new Error("Execution aborted"));
+      };
     });
+    signal?.addEventListener("abort", onAbort);
 
-    // If single input, unwrap
-    const inputKeys = Object.keys(inputs);
-    if (inputKeys.length === 1) {
-      return inputs[inputKeys[0]];
+    let timer;
+    try {
+      const execution = executor.execute({
+        ...executionContext,
+        signal: controller.signal,
+      });
+      if (!timeout) return await Promise.race([execution, abortPromise]);
+
+      const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`Timed out after ${timeout}ms`));
+        }, timeout);
+      });
+      return await Promise.race([execution, abortPromise, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
     }
+  }
 
-    return inputs;
+  /**
+   * Builds the substitute result for a failed node
+   * @private
+   */
+  _recoverFromError(node, inputs, error, policy) {
+    if (policy.onError === "route") {
+      return {
+        output: {
+          message: error.message,
+          nodeId: node.id,
+          nodeType: node.type,
+          input: inputs,
+        },
+        metadata: {
+          type: "error",
+          activeHandles: [getErrorHandleId(node.id)],
+        },
+      };
+    }
+    return { output: null, metadata: { type: "error" } };
+  }
+
+  /**
+   * Abortable sleep
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new Error("Execution aborted"));
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          reject(new Error("Execution aborted"));
+        },
+        { once: true }
+      );
+    });
   }
 
   /**
@@ -449,8 +1244,4 @@ class ExecutionEngine {
   }
 }
 
-// Export singleton
-export const executionEngine = new ExecutionEngine();
-
-// Also export class for testing
 export { ExecutionEngine };
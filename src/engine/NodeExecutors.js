@@ -10,7 +10,15 @@
  * @property {Object} nodeData - Node configuration data
  * @property {Function} setProgress - Progress callback
  * @property {Object} services - Available services (webLLM, embedding, etc.)
+ * @property {{type: string, input?: *}} [trigger] - What started the run
  * @property {AbortSignal} signal - Abort signal for cancellation
+ * @property {Function} [setIterationProgress] - Reports loop progress to executionStore
+ * @property {Function} [runBranch] - (handleId, input, {signal, iteration}) => Promise
+ *   re-entrantly runs the subgraph behind one of this node's source handles
+ * @property {Function} [runSubWorkflow] - (workflow, input, {signal}) => Promise
+ *   runs another workflow as a nested run logged under this node
+ * @property {boolean} [preflight] - Set when validate() runs before the run
+ *   (see graphValidation.js); inputs are not known yet
  */
 
 /**
@@ -56,10 +64,19 @@ class StartNodeExecutor extends BaseNodeExecutor {
     super("start");
   }
 
-  // eslint-disable-next-line no-unused-vars
   async execute(context) {
+    // Run input (e.g. `iosans run --input`): objects are merged in,
+    // anything else is passed as `input`
+    const input = context.trigger?.input;
+    const payload =
+      input === undefined
+        ? {}
+        : input && typeof input === "object" && !Array.isArray(input)
+        ? input
+        : { input };
+
     return {
-      output: { triggered: true, timestamp: Date.now() },
+      output: { triggered: true, timestamp: Date.now(), ...payload },
       metadata: { type: "start" },
     };
   }
@@ -185,6 +202,101 @@ class DelayNodeExecutor extends BaseNodeExecutor {
   }
 }
 
+/**
+ * Loop Node - Runs its "body" branch once per array item
+ * and emits the collected results on its "done" handle
+ */
+class LoopNodeExecutor extends BaseNodeExecutor {
+  constructor() {
+    super("loop");
+  }
+
+  validate(context) {
+    const { inputs, nodeData } = context;
+    // Items only arrive at run time
+    if (context.preflight) return { valid: true };
+    const items = this._resolveItems(inputs, nodeData.itemsPath);
+    if (!Array.isArray(items)) {
+      const where = nodeData.itemsPath ? ` at "${nodeData.itemsPath}"` : "";
+      return {
+        valid: false,
+        error: `Loop expects an array${where}, got ${typeof items}`,
+      };
+    }
+    return { valid: true };
+  }
+
+  async execute(context) {
+    const { inputs, nodeData, nodeId, signal, runBranch } = context;
+    const items = this._resolveItems(inputs, nodeData.itemsPath);
+    const concurrency = Math.max(1, parseInt(nodeData.concurrency, 10) || 1);
+
+    const results = new Array(items.length).fill(null);
+    const progress = {
+      total: items.length,
+      completed: 0,
+      failed: 0,
+      running: 0,
+    };
+    const report = () => context.setIterationProgress?.({ ...progress });
+
+    // Worker pool: each worker pulls the next index until the list is
+    // exhausted, or stops early once any iteration has failed
+    let next = 0;
+    let stopped = false;
+    const worker = async () => {
+      while (!stopped && next < items.length) {
+        if (signal?.aborted) throw new Error("Execution aborted");
+        const index = next++;
+
+        progress.running++;
+        report();
+        try {
+          results[index] = await runBranch(
+            `${nodeId}-body`,
+            { item: items[index], index, total: items.length },
+            { signal, iteration: index }
+          );
+          progress.completed++;
+        } catch (error) {
+          progress.failed++;
+          stopped = true;
+          throw new Error(`Iteration ${index} failed: ${error.message}`);
+        } finally {
+          progress.running--;
+          report();
+        }
+      }
+    };
+
+    report();
+    // Let in-flight iterations settle before surfacing a failure
+    const outcomes = await Promise.allSettled(
+      Array.from({ length: Math.min(concurrency, items.length) }, worker)
+    );
+    const failure = outcomes.find((o) => o.status === "rejected");
+    if (failure) throw failure.reason;
+
+    return {
+      output: results,
+      metadata: {
+        type: "loop",
+        iterations: items.length,
+        concurrency,
+        activeHandles: [`${nodeId}-done`],
+      },
+    };
+  }
+
+  /**
+   * Picks the array to iterate: the input itself, or a dot path into it
+   * @private
+   */
+  _resolveItems(inputs, itemsPath) {
+    return getPath(inputs, itemsPath);
+  }
+}
+
 /**
  * Condition Node - Conditional branching
  */
@@ -203,8 +315,7 @@ class ConditionNodeExecutor extends BaseNodeExecutor {
     try {
       // 1. Resolve Value
       if (field && typeof inputs === "object") {
-        // Simple dot notation support could be added here if needed
-        actualValue = inputs[field];
+        actualValue = getPath(inputs, field);
       } else if (inputs && inputs.value !== undefined) {
         actualValue = inputs.value;
       }
@@ -262,10 +373,21 @@ class ConditionNodeExecutor extends BaseNodeExecutor {
 }
 
 // Add scanConnectedTools import
-import { scanConnectedTools } from "../utils/toolSchemaGenerator.js";
+import {
+  scanConnectedTools,
+  isToolHandle,
+} from "../utils/toolSchemaGenerator.js";
+import { codeSandbox, DEFAULT_CODE_TIMEOUT } from "./CodeSandbox.js";
+import { pyodideService, PYODIDE_MISSING_MESSAGE } from "./PyodideService.js";
+import { PYTHON_PACKAGES } from "./pythonPackages.js";
+import { getPath } from "../utils/expressions.js";
+import { validateAgainstSchema } from "../utils/workflowSchema.js";
+import { credentialHeaders } from "../utils/credentials.js";
+import { summarizeUsage } from "../utils/llmMetrics.js";
 
 /**
- * Code Executor - Javascript Sandbox (Lite)
+ * Code Executor - JavaScript in a sandboxed Web Worker
+ * (no DOM / localStorage access, hard timeout, cancellable)
  */
 class CodeExecutor extends BaseNodeExecutor {
   constructor() {
@@ -283,29 +405,27 @@ class CodeExecutor extends BaseNodeExecutor {
   }
 
   async execute(context) {
-    const { inputs, nodeData } = context;
+    const { inputs, nodeData, services, signal, log } = context;
     const { code } = nodeData;
+    const sandbox = services?.codeSandbox || codeSandbox;
+    const timeout = Number(nodeData.timeout) || DEFAULT_CODE_TIMEOUT;
 
     try {
-      // Create a function with 'inputs' available
-      const func = new Function(
-        "inputs",
-        `
-        try {
-          ${code}
-          // If code doesn't return, we try to grab 'output' var if defined, or just return inputs
-          if (typeof output !== 'undefined') return output;
-          return inputs;
-        } catch(e) { throw e; }
-      `
-      );
-
-      const result = func(inputs);
+      const result = await sandbox.run(code, inputs, {
+        timeout,
+        signal,
+        onLog: (level, message) =>
+          log?.(
+            message,
+            level === "error" ? "error" : level === "warn" ? "warning" : "info"
+          ),
+      });
       return {
         output: result,
         metadata: { type: "codeExecutor", length: code?.length || 0 },
       };
     } catch (error) {
+      if (signal?.aborted) throw error;
       throw new Error(`Code execution failed: ${error.message}`);
     }
   }
@@ -326,23 +446,39 @@ class HTTPRequestNodeExecutor extends BaseNodeExecutor {
         error: "URL is required. Open Inspector to configure.",
       };
     }
+    if (context.nodeData.credential && !context.services?.credentials) {
+      return { valid: false, error: "Credentials not available" };
+    }
     return { valid: true };
   }
 
   async execute(context) {
-    const { inputs, nodeData } = context;
-    let { url, method = "GET", headers = {}, body } = nodeData;
+    const { inputs, nodeData, services } = context;
+    const { url, method = "GET", headers = {}, body, credential } = nodeData;
 
     if (!url) throw new Error("No URL provided");
 
-    // Template url support
-    if (url.includes("{{")) {
-      url = url.replace(/\{\{(\w+)\}\}/g, (_, k) => inputs[k] || "");
+    let parsedHeaders = headers;
+    if (typeof headers === "string") {
+      try {
+        parsedHeaders = headers.trim() ? JSON.parse(headers) : {};
+      } catch (error) {
+        throw new Error(`Headers are not valid JSON: ${error.message}`);
+      }
     }
 
+    // Resolved only now, so the secret never sits in node data or logs
+    const authHeaders = credential
+      ? credentialHeaders(await services.credentials.getCredential(credential))
+      : {};
+
     const options = {
       method,
-      headers: { ...headers, "Content-Type": "application/json" },
+      headers: {
+        ...parsedHeaders,
+        ...authHeaders,
+        "Content-Type": "application/json",
+      },
     };
 
     if (method !== "GET" && method !== "HEAD") {
@@ -372,10 +508,95 @@ class HTTPRequestNodeExecutor extends BaseNodeExecutor {
   }
 }
 
+/**
+ * Execute Workflow Node - Calls another workflow as a sub-workflow.
+ * The incoming object plus the Inspector's input mapping becomes the
+ * child's trigger payload; the child's Output nodes become this output.
+ * Workflows are looked up by id through the `workflowLibrary` service
+ * the host provides.
+ */
+class ExecuteWorkflowNodeExecutor extends BaseNodeExecutor {
+  constructor() {
+    super("executeWorkflow");
+  }
+
+  validate(context) {
+    if (!context.nodeData.workflowId) {
+      return {
+        valid: false,
+        error: "No workflow selected. Open Inspector to configure.",
+      };
+    }
+    if (!context.services?.workflowLibrary) {
+      return { valid: false, error: "Workflow library not available" };
+    }
+    return { valid: true };
+  }
+
+  async execute(context) {
+    const { inputs, nodeData, services, signal, log } = context;
+    const { workflowId, inputMap = {} } = nodeData;
+
+    const workflow = await services.workflowLibrary.getWorkflow(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow "${workflowId}" not found in the library`);
+    }
+
+    // Mapped fields left blank fall back to the incoming data
+    const mapped = Object.fromEntries(
+      Object.entries(inputMap).filter(([, value]) => value !== "")
+    );
+    const incoming =
+      inputs === undefined || inputs === null
+        ? {}
+        : typeof inputs === "object" && !Array.isArray(inputs)
+        ? inputs
+        : { input: inputs };
+    const payload = { ...incoming, ...mapped };
+
+    const inputProblems = validateAgainstSchema(
+      payload,
+      workflow.inputSchema,
+      "input"
+    );
+    if (inputProblems.length > 0) {
+      throw new Error(
+        `Invalid call to "${workflow.name}": ${inputProblems.join("; ")}`
+      );
+    }
+
+    log?.(`Running workflow "${workflow.name}"`);
+    const run = await context.runSubWorkflow(workflow, payload, { signal });
+
+    const outputProblems = validateAgainstSchema(
+      run.outputs,
+      workflow.outputSchema,
+      "output"
+    );
+    if (outputProblems.length > 0) {
+      throw new Error(
+        `"${workflow.name}" returned invalid outputs: ${outputProblems.join(
+          "; "
+        )}`
+      );
+    }
+
+    return {
+      output: run.outputs,
+      metadata: {
+        type: "executeWorkflow",
+        workflowId,
+        workflowName: workflow.name,
+        duration: run.duration,
+      },
+    };
+  }
+}
+
 // ... (StartNodeExecutor, EndNodeExecutor, etc remain the same) ...
 
 /**
- * LLM Node - Placeholder for LLM execution
+ * LLM Node - Single-turn text generation via WebLLM
  */
 class LLMNodeExecutor extends BaseNodeExecutor {
   constructor() {
@@ -390,21 +611,95 @@ class LLMNodeExecutor extends BaseNodeExecutor {
   }
 
   async execute(context) {
-    const { nodeData, setProgress } = context;
+    const { inputs, nodeData, services, setProgress, setContent, signal } =
+      context;
+    const {
+      systemPrompt,
+      prompt,
+      modelId,
+      temperature = 0.7,
+      maxTokens = 1024,
+    } = nodeData;
+
+    const messages = this._buildMessages(systemPrompt, prompt, inputs);
+    if (!messages.some((m) => m.role === "user")) {
+      throw new Error(
+        "No prompt provided: Connect an input or set 'Prompt' in Inspector."
+      );
+    }
 
-    // This will be implemented with actual WebLLM integration
     setProgress?.("Generating response...", 50);
 
+    const result = await services.webLLM.chat(messages, {
+      modelId,
+      temperature,
+      maxTokens,
+      signal,
+      onStream: (chunk) => setContent?.(chunk.fullContent),
+    });
+
     return {
       output: {
-        response: "[LLM response placeholder]",
-        model: nodeData.modelId,
+        response: result.content,
+        model: modelId || services.webLLM.currentModelId,
+      },
+      metadata: {
+        type: "llm",
+        modelId,
+        finishReason: result.finishReason,
+        usage: result.usage,
+        metrics: summarizeUsage(result.usage),
       },
-      metadata: { type: "llm", modelId: nodeData.modelId },
     };
   }
+
+  /**
+   * Builds chat messages from node config and upstream inputs.
+   * The configured prompt comes first, followed by the upstream data.
+   * @private
+   */
+  _buildMessages(systemPrompt, prompt, inputs) {
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: "system", content: systemPrompt });
+    }
+
+    const inputText = this._inputToText(inputs);
+    const userContent = [prompt, inputText].filter(Boolean).join("\n\n");
+    if (userContent) {
+      messages.push({ role: "user", content: userContent });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Converts upstream output into prompt text
+   * @private
+   */
+  _inputToText(inputs) {
+    if (inputs === null || inputs === undefined) return "";
+    if (typeof inputs === "string") return inputs;
+    if (typeof inputs === "object") {
+      // Trigger payloads carry no user content
+      if (inputs.triggered && Object.keys(inputs).length <= 2) return "";
+      const text = inputs.prompt ?? inputs.text ?? inputs.response;
+      if (typeof text === "string") return text;
+      return Object.keys(inputs).length > 0
+        ? JSON.stringify(inputs, null, 2)
+        : "";
+    }
+    return String(inputs);
+  }
 }
 
+// Why the agent ran in ReAct text mode although native mode was selected
+const AGENT_FALLBACK_MESSAGES = {
+  "no-tools": "No tools connected, used ReAct text mode",
+  "unsupported-model":
+    "Model has no native tool-call support, used ReAct text mode",
+};
+
 /**
  * AI Agent Node - ReAct Agent with Tool Calling
  */
@@ -424,7 +719,22 @@ class AIAgentNodeExecutor extends BaseNodeExecutor {
   }
 
   async execute(context) {
-    const { inputs, services, setProgress, workflow, nodeId } = context;
+    const {
+      inputs,
+      nodeData,
+      services,
+      setProgress,
+      setContent,
+      workflow,
+      nodeId,
+    } = context;
+    const {
+      systemPrompt,
+      temperature = 0.7,
+      maxTokens = 1024,
+      agentMode = "react",
+    } = nodeData;
+    const modelId = this._resolveModelId(nodeId, nodeData, workflow);
 
     // 1. Prepare Inputs
     // Combine standard inputs into a user prompt/message
@@ -471,9 +781,7 @@ class AIAgentNodeExecutor extends BaseNodeExecutor {
           // Or just Iterate edges again here to be safe.
 
           workflow.edges
-            .filter(
-              (e) => e.target === nodeId && e.targetHandle?.includes("resource")
-            )
+            .filter((e) => e.target === nodeId && isToolHandle(e.targetHandle))
             .forEach((edge) => {
               const source = workflow.nodes.find((n) => n.id === edge.source);
               if (source && tool.name.includes(source.id.replace(/-/g, "_"))) {
@@ -484,26 +792,25 @@ class AIAgentNodeExecutor extends BaseNodeExecutor {
       }
     }
 
-    // 3. Configure Tool Service
-    services.toolCalling.setTools(
-      tools,
-      toolNodeMap,
-      // Execute Node Callback
-      async (targetNodeId, toolInput) => {
-        // We use the Engine's imperative executeNode
-        // We must pass the 'services' to the tool node as well
-        return await services.executionEngine.executeNode(
-          targetNodeId,
-          toolInput,
-          { services }
-        );
-      }
-    );
-
-    // 4. Run ReAct Loop
+    // 3. Run ReAct Loop with this node's tools
     setProgress?.("Agent Thinking...", 30);
 
-    const result = await services.toolCalling.runReActLoop(userMessage, {
+    const result = await services.toolCalling.runAgent(userMessage, {
+      tools,
+      toolNodeMap,
+      // We use the Engine's imperative executeNode
+      // We must pass the 'services' to the tool node as well
+      executeNode: (targetNodeId, toolInput) =>
+        services.executionEngine.executeNode(targetNodeId, toolInput, {
+          services,
+        }),
+      mode: agentMode,
+      systemPrompt,
+      modelId,
+      temperature,
+      maxTokens,
+      signal: context.signal,
+      onStream: (chunk) => setContent?.(chunk.fullContent),
       onStep: (step) => {
         // Log full detail to execution logs
         if (context.log) {
@@ -528,6 +835,10 @@ class AIAgentNodeExecutor extends BaseNodeExecutor {
       },
     });
 
+    if (result.fallbackReason) {
+      context.log?.(AGENT_FALLBACK_MESSAGES[result.fallbackReason], "info");
+    }
+
     return {
       output: {
         response: result.answer,
@@ -535,11 +846,29 @@ class AIAgentNodeExecutor extends BaseNodeExecutor {
       },
       metadata: {
         type: "aiAgent",
+        modelId,
+        mode: result.mode,
         toolCount: tools.length,
         steps: result.steps.length,
+        metrics: summarizeUsage(result.usage),
       },
     };
   }
+
+  /**
+   * Picks the agent's model: an LLM node wired into the Model slot wins,
+   * otherwise the agent's own modelId (undefined = currently loaded model).
+   * @private
+   */
+  _resolveModelId(nodeId, nodeData, workflow) {
+    const modelEdge = workflow?.edges?.find(
+      (e) => e.target === nodeId && e.targetHandle?.startsWith("model")
+    );
+    const modelNode =
+      modelEdge && workflow.nodes.find((n) => n.id === modelEdge.source);
+
+    return modelNode?.data?.modelId || nodeData.modelId;
+  }
 }
 
 /**
@@ -564,14 +893,11 @@ class TransformNodeExecutor extends BaseNodeExecutor {
         output = JSON.stringify(inputs, null, 2);
         break;
       case "extract":
-        output = inputs[nodeData.key];
+        output = getPath(inputs, nodeData.key);
         break;
       case "template":
-        // Simple template substitution
-        output = nodeData.template?.replace(
-          /\{\{(\w+)\}\}/g,
-          (_, key) => inputs[key] ?? ""
-        );
+        // {{ expressions }} are resolved by the engine before execution
+        output = nodeData.template ?? "";
         break;
       default:
         output = inputs;
@@ -585,13 +911,18 @@ class TransformNodeExecutor extends BaseNodeExecutor {
 }
 
 /**
- * Python Executor - Runs Python code via Pyodide
- * Returns artifacts for complex outputs
+ * Python Executor - Runs Python code via the self-hosted Pyodide worker
+ * DataFrames and matplotlib figures become CSV / PNG artifacts;
+ * other complex outputs are saved as JSON artifacts
  */
+const PYTHON_ARTIFACT_TYPES = {
+  csv: { mimeType: "text/csv", artifactType: "python-csv" },
+  png: { mimeType: "image/png", artifactType: "python-image" },
+};
+
 class PythonNodeExecutor extends BaseNodeExecutor {
   constructor() {
     super("python");
-    this.pyodide = null;
   }
 
   validate(context) {
@@ -601,49 +932,69 @@ class PythonNodeExecutor extends BaseNodeExecutor {
         error: "Python code is required. Open Inspector to add script.",
       };
     }
-    return { valid: true };
-  }
-
-  async _loadPyodide() {
-    if (this.pyodide) return this.pyodide;
-
-    // Dynamically load Pyodide
-    if (typeof loadPyodide === "undefined") {
-      const script = document.createElement("script");
-      script.src = "https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js";
-      document.head.appendChild(script);
-      await new Promise((resolve) => {
-        script.onload = resolve;
-      });
+    const unknown = (context.nodeData.packages || []).filter(
+      (name) => !PYTHON_PACKAGES[name]
+    );
+    if (unknown.length > 0) {
+      return {
+        valid: false,
+        error: `Package(s) not allowed: ${unknown.join(", ")}`,
+      };
     }
-
-    // eslint-disable-next-line no-undef
-    this.pyodide = await loadPyodide();
-    return this.pyodide;
+    // Known once checkRuntime() has run (the editor checks before a run)
+    const python = context.services?.pyodide || pyodideService;
+    if (python.runtimeAvailable === false) {
+      return {
+        valid: false,
+        error: python.unavailableMessage || PYODIDE_MISSING_MESSAGE,
+      };
+    }
+    return { valid: true };
   }
 
   async execute(context) {
-    const { inputs, nodeData, services } = context;
-    const { code } = nodeData;
-
-    if (!code) {
-      throw new Error("No Python code provided");
-    }
-
-    const pyodide = await this._loadPyodide();
-
-    // Inject inputs as Python globals
-    pyodide.globals.set("inputs", pyodide.toPy(inputs));
+    const { inputs, nodeData, services, log, setProgress, signal } = context;
+    const { code, packages = [] } = nodeData;
+    const python = services?.pyodide || pyodideService;
 
-    // Execute code
-    let result;
+    let run;
     try {
-      result = await pyodide.runPythonAsync(code);
-      result = result?.toJs ? result.toJs() : result;
+      run = await python.run(code, inputs, {
+        packages,
+        signal,
+        onProgress: (status) => setProgress?.(status),
+        onLog: (stream, message) =>
+          log?.(message, stream === "stderr" ? "warning" : "info"),
+      });
     } catch (error) {
       throw new Error(`Python execution error: ${error.message}`);
     }
 
+    const { output: result, artifacts = [] } = run;
+
+    // DataFrames / figures -> artifacts
+    if (artifacts.length > 0 && services?.artifactStorage) {
+      const refs = [];
+      for (const artifact of artifacts) {
+        const { mimeType, artifactType } = PYTHON_ARTIFACT_TYPES[artifact.kind];
+        const blob = new Blob([artifact.data], { type: mimeType });
+        const artifactId = await services.artifactStorage.saveArtifact(
+          blob,
+          artifactType
+        );
+        refs.push({ artifactId, type: mimeType });
+      }
+
+      return {
+        // A lone figure / table renders directly in Output nodes
+        output:
+          refs.length === 1 && result == null
+            ? refs[0]
+            : { result, artifacts: refs },
+        metadata: { type: "python", hasArtifact: true, packages },
+      };
+    }
+
     // Check if result is complex (object/array)
     const isComplex =
       result !== null &&
@@ -655,20 +1006,20 @@ class PythonNodeExecutor extends BaseNodeExecutor {
       const blob = new Blob([JSON.stringify(result, null, 2)], {
         type: "application/json",
       });
-      const artifact = await services.artifactStorage.saveArtifact(
+      const artifactId = await services.artifactStorage.saveArtifact(
         blob,
         "python-output"
       );
 
       return {
-        output: { artifactId: artifact.id, type: "json" },
-        metadata: { type: "python", hasArtifact: true },
+        output: { artifactId, type: "json" },
+        metadata: { type: "python", hasArtifact: true, packages },
       };
     }
 
     return {
       output: result,
-      metadata: { type: "python", hasArtifact: false },
+      metadata: { type: "python", hasArtifact: false, packages },
     };
   }
 }
@@ -686,7 +1037,7 @@ class TextToSpeechNodeExecutor extends BaseNodeExecutor {
     const { inputs, nodeData } = context;
     const text =
       typeof inputs === "string" ? inputs : inputs?.text || nodeData.text;
-    if (!text) {
+    if (!text && !context.preflight) {
       return {
         valid: false,
         error: "Missing text: Connect a text input or set 'Text' in Inspector.",
@@ -1165,6 +1516,7 @@ registerExecutor("end", new EndNodeExecutor());
 registerExecutor("merge", new MergeNodeExecutor());
 registerExecutor("branch", new BranchNodeExecutor());
 registerExecutor("delay", new DelayNodeExecutor());
+registerExecutor("loop", new LoopNodeExecutor());
 registerExecutor("condition", new ConditionNodeExecutor());
 registerExecutor("llm", new LLMNodeExecutor());
 registerExecutor("transform", new TransformNodeExecutor());
@@ -1182,6 +1534,7 @@ registerExecutor("ifElse", new ConditionNodeExecutor()); // IfElse = condition
 registerExecutor("switch", new BranchNodeExecutor()); // Switch = branch
 registerExecutor("codeExecutor", new CodeExecutor()); // JS Code Executor
 registerExecutor("httpRequest", new HTTPRequestNodeExecutor()); // HTTP Request Executor
+registerExecutor("executeWorkflow", new ExecuteWorkflowNodeExecutor()); // Sub-workflow call
 registerExecutor("output", new EndNodeExecutor()); // Output = end node
 registerExecutor("base", new TransformNodeExecutor()); // Base node passthrough
 
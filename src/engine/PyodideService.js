@@ -0,0 +1,267 @@
+/**
+ * Pyodide Service
+ * Main-thread facade for the Python worker. The worker is kept alive
+ * between runs because loading the interpreter takes several seconds.
+ * Runs go to the worker one at a time, so aborting the running one only
+ * costs that run: its worker is terminated (Python cannot be interrupted
+ * otherwise) and the next queued run starts a fresh one.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { resolvePythonPackages } from "./pythonPackages.js";
+
+export const PYODIDE_MISSING_MESSAGE =
+  "Python runtime not found in public/pyodide: run `npm run vendor:pyodide`, then reload the page";
+
+/**
+ * @typedef {Object} PythonArtifact
+ * @property {'csv'|'png'} kind
+ * @property {string|Uint8Array} data
+ */
+
+/**
+ * @typedef {Object} PythonRunOptions
+ * @property {string[]} [packages] - Allow-listed packages to install first
+ * @property {Function} [onLog] - (stream: 'stdout'|'stderr'|'info', message)
+ * @property {Function} [onProgress] - (status)
+ * @property {AbortSignal} [signal] - Drops the run if it is still queued,
+ *   or kills the worker if it is running
+ */
+
+/**
+ * @typedef {Object} PythonRun
+ * @property {string} runId
+ * @property {Object} payload - RUN message payload
+ * @property {Function} resolve
+ * @property {Function} reject
+ * @property {Function} [onLog]
+ * @property {Function} [onProgress]
+ */
+
+class PyodideService {
+  constructor() {
+    this.worker = null;
+    this.ready = null;
+    this.runs = new Map(); // runId -> PythonRun, queued or running
+    this.queue = []; // runIds waiting for the worker, in order
+    this.activeRunId = null;
+    this.idleWaiters = [];
+    this.runtimeAvailable = null; // null until checkRuntime() has run
+  }
+
+  /**
+   * Absolute URL of the self-hosted Pyodide distribution.
+   * @returns {string}
+   */
+  getIndexURL() {
+    return new URL(`${import.meta.env.BASE_URL}pyodide/`, self.location.href)
+      .href;
+  }
+
+  /**
+   * Checks that the vendored runtime is served, which a fresh clone lacks
+   * until `npm run vendor:pyodide`. Without it the worker would fail with
+   * an opaque import error. The dev server answers missing files with
+   * index.html, hence the content-type check. Only success is remembered.
+   * @returns {Promise<boolean>}
+   */
+  async checkRuntime() {
+    if (this.runtimeAvailable) return true;
+    try {
+      const response = await fetch(`${this.getIndexURL()}pyodide.mjs`, {
+        method: "HEAD",
+      });
+      const type = response.headers.get("content-type") || "";
+      this.runtimeAvailable = response.ok && !type.includes("text/html");
+    } catch {
+      this.runtimeAvailable = false;
+    }
+    return this.runtimeAvailable;
+  }
+
+  /**
+   * Starts the worker on first use.
+   * @returns {Promise<void>}
+   */
+  _ensureWorker() {
+    if (this.ready) return this.ready;
+
+    this.ready = new Promise((resolve, reject) => {
+      this.worker = new Worker(
+        new URL("./pyodide.worker.js", import.meta.url),
+        { type: "module" }
+      );
+
+      this.worker.onmessage = (event) => {
+        if (event.data?.type === "READY") {
+          resolve();
+          return;
+        }
+        this._handleMessage(event.data);
+      };
+
+      this.worker.onerror = (error) => {
+        console.error("[PyodideService] Worker error:", error);
+        const crash = new Error(error.message || "Python worker crashed");
+        reject(crash);
+        this._restartWorker();
+        if (this.activeRunId) this._finish(this.activeRunId)?.reject(crash);
+        this._drain();
+      };
+
+      this.worker.postMessage({
+        type: "INIT",
+        payload: { indexURL: this.getIndexURL() },
+      });
+    });
+
+    return this.ready;
+  }
+
+  _handleMessage({ type, runId, payload }) {
+    const run = this.runs.get(runId);
+    if (!run || runId !== this.activeRunId) return;
+
+    switch (type) {
+      case "PROGRESS":
+        run.onProgress?.(payload.status);
+        break;
+      case "LOG":
+        run.onLog?.(payload.stream, payload.message);
+        break;
+      case "RESULT":
+        this._finish(runId);
+        run.resolve(payload);
+        this._drain();
+        break;
+      case "ERROR":
+        this._finish(runId);
+        run.reject(new Error(payload.message));
+        this._drain();
+        break;
+    }
+  }
+
+  /**
+   * Sends the next queued run to the worker, if none is running
+   * @private
+   */
+  async _drain() {
+    if (this.activeRunId || this.queue.length === 0) return;
+    const runId = this.queue.shift();
+    this.activeRunId = runId;
+
+    try {
+      if (!(await this.checkRuntime())) {
+        throw new Error(PYODIDE_MISSING_MESSAGE);
+      }
+      await this._ensureWorker();
+    } catch (error) {
+      this._restartWorker();
+      if (this.activeRunId === runId) {
+        this._finish(runId)?.reject(error);
+        this._drain();
+      }
+      return;
+    }
+    // Aborted while the worker started
+    if (this.activeRunId !== runId) return;
+    this.worker.postMessage({
+      type: "RUN",
+      runId,
+      payload: this.runs.get(runId).payload,
+    });
+  }
+
+  /**
+   * Forgets a run once it is settled
+   * @private
+   * @returns {PythonRun|undefined}
+   */
+  _finish(runId) {
+    const run = this.runs.get(runId);
+    this.runs.delete(runId);
+    this.queue = this.queue.filter((id) => id !== runId);
+    if (this.activeRunId === runId) this.activeRunId = null;
+    if (this.isIdle()) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+    return run;
+  }
+
+  /** @private */
+  _restartWorker() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.ready = null;
+  }
+
+  /**
+   * Cancels one run. A queued run is dropped; the running one takes its
+   * worker down with it, and queued runs continue on a fresh worker.
+   * @param {string} runId - Run that was aborted
+   */
+  _abort(runId) {
+    const wasActive = runId === this.activeRunId;
+    const run = this._finish(runId);
+    if (!run) return;
+    run.reject(new Error("Execution aborted"));
+
+    if (wasActive) this._restartWorker();
+    this._drain();
+  }
+
+  /**
+   * Whether no Python run is queued or in flight
+   * @returns {boolean}
+   */
+  isIdle() {
+    return this.runs.size === 0;
+  }
+
+  /**
+   * Resolves once no Python run is queued or in flight
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Runs a Python script with `inputs` in scope.
+   * @param {string} code
+   * @param {*} inputs
+   * @param {PythonRunOptions} options
+   * @returns {Promise<{output: *, artifacts: PythonArtifact[]}>}
+   */
+  run(code, inputs, options = {}) {
+    const { packages = [], onLog, onProgress, signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(new Error("Execution aborted"));
+    }
+
+    const runId = Math.random().toString(36).slice(2, 11);
+    const onAbort = () => this._abort(runId);
+    const settle = (callback) => (value) => {
+      signal?.removeEventListener("abort", onAbort);
+      callback(value);
+    };
+
+    return new Promise((resolve, reject) => {
+      this.runs.set(runId, {
+        runId,
+        payload: { code, inputs, packages: resolvePythonPackages(packages) },
+        resolve: settle(resolve),
+        reject: settle(reject),
+        onLog,
+        onProgress,
+      });
+      this.queue.push(runId);
+      signal?.addEventListener("abort", onAbort);
+      this._drain();
+    });
+  }
+}
+
+export const pyodideService = new PyodideService();
@@ -5,7 +5,19 @@
  */
 
 import { getExecutor } from "./NodeExecutors.js";
-import { generateToolSystemPrompt } from "../utils/toolSchemaGenerator.js";
+import { supportsToolCalling } from "./modelRegistry.js";
+import { REQUEST_PRIORITY } from "./WebLLMService.js";
+import {
+  generateToolSystemPrompt,
+  formatToolsForLLM,
+} from "../utils/toolSchemaGenerator.js";
+
+/**
+ * Turns after an agent's first go ahead of new LLM requests, so agents
+ * that already started finish first when branches share the model
+ */
+const followUpPriority = (iteration) =>
+  iteration > 0 ? REQUEST_PRIORITY.HIGH : REQUEST_PRIORITY.NORMAL;
 
 /**
  * ReAct parsing patterns
@@ -30,6 +42,16 @@ const PATTERNS = {
  * @property {number} maxIterations - Maximum ReAct loop iterations
  * @property {boolean} verbose - Log steps to console
  * @property {Function} onStep - Callback for each step
+ * @property {Function} [onStream] - Receives streamed chunks of each LLM turn
+ * @property {string} [systemPrompt] - Agent persona, prepended to tool instructions
+ * @property {string} [modelId] - Model to run the agent on
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxTokens] - Token limit per LLM turn
+ * @property {'react'|'native'} [mode] - Text ReAct parsing or JSON tool calls
+ * @property {AbortSignal} [signal] - Stops the loop and the LLM turn in flight
+ * @property {Array} [tools] - Tool schemas this run may call
+ * @property {Map<string, string>} [toolNodeMap] - Tool name to node ID
+ * @property {Function} [executeNode] - (nodeId, toolInput) => result, runs a tool node
  */
 
 const DEFAULT_CONFIG = {
@@ -38,29 +60,16 @@ const DEFAULT_CONFIG = {
   onStep: null,
 };
 
+/**
+ * One instance is shared by every agent node, so the tools of a run travel
+ * in its config rather than on the instance.
+ */
 class ToolCallingService {
   constructor(webLLMService) {
     this.webLLM = webLLMService;
-    this.tools = [];
     this.services = {};
   }
 
-  /**
-   * Sets available tools
-   * @param {Array} tools - Tool schemas
-   */
-  /**
-   * Sets available tools and their node mappings
-   * @param {Array} tools - Tool schemas
-   * @param {Map<string, string>} toolNodeMap - Map of tool name to node ID
-   * @param {Function} executeNodeCallback - Callback to execute a node by ID
-   */
-  setTools(tools, toolNodeMap, executeNodeCallback) {
-    this.tools = tools;
-    this.toolNodeMap = toolNodeMap || new Map();
-    this.executeNodeCallback = executeNodeCallback;
-  }
-
   /**
    * Sets service dependencies
    * @param {Object} services - artifactStorage, etc.
@@ -75,18 +84,20 @@ class ToolCallingService {
    * Executes a tool and returns the result
    * @private
    */
-  async _executeTool(toolName, toolInput) {
+  async _executeTool(toolName, toolInput, config = {}) {
+    const { toolNodeMap, executeNode } = config;
+
     // 1. Check if it's a connected Tool Node
-    if (this.toolNodeMap && this.toolNodeMap.has(toolName)) {
-      const nodeId = this.toolNodeMap.get(toolName);
-      if (this.executeNodeCallback) {
+    if (toolNodeMap && toolNodeMap.has(toolName)) {
+      const nodeId = toolNodeMap.get(toolName);
+      if (executeNode) {
         try {
           console.log(
             `[ToolCalling] Executing node tool: ${toolName} (${nodeId})`
           );
-          // Execute the node. We assume executeNodeCallback handles result extraction.
+          // Execute the node. We assume executeNode handles result extraction.
           // We pass 'toolInput' as if it came from the workflow or merged with config.
-          const result = await this.executeNodeCallback(nodeId, toolInput);
+          const result = await executeNode(nodeId, toolInput);
           return result;
         } catch (err) {
           return { error: `Tool execution failed: ${err.message}` };
@@ -129,19 +140,172 @@ class ToolCallingService {
     return this._executeTool(toolName, toolInput);
   }
 
+  /**
+   * Runs the agent in the requested mode.
+   * Native mode falls back to ReAct when the model has no tool-call support.
+   * @param {string} userPrompt
+   * @param {ReActConfig} config
+   * @returns {Promise<{answer: string, steps: ReActStep[], usage: Object[], mode: string, fallbackReason: 'no-tools'|'unsupported-model'|null}>}
+   *   fallbackReason: why native mode was asked for but ReAct was used
+   */
+  async runAgent(userPrompt, config = {}) {
+    const { mode = "react", tools = [] } = config;
+    let fallbackReason = null;
+
+    if (mode === "native") {
+      const modelId = config.modelId || this.webLLM.currentModelId;
+      if (tools.length === 0) {
+        fallbackReason = "no-tools";
+      } else if (!supportsToolCalling(modelId)) {
+        fallbackReason = "unsupported-model";
+      } else {
+        const result = await this.runFunctionCallingLoop(userPrompt, config);
+        return { ...result, mode: "native", fallbackReason };
+      }
+    }
+
+    const result = await this.runReActLoop(userPrompt, config);
+    return { ...result, mode: "react", fallbackReason };
+  }
+
+  /**
+   * Native function-calling loop: tools are sent as JSON schemas and the
+   * model answers with structured tool_calls instead of Action text.
+   * @param {string} userPrompt
+   * @param {ReActConfig} config
+   */
+  async runFunctionCallingLoop(userPrompt, config = {}) {
+    const {
+      maxIterations = DEFAULT_CONFIG.maxIterations,
+      onStep,
+      systemPrompt,
+      modelId,
+      temperature,
+      maxTokens,
+      signal,
+    } = config;
+
+    const tools = formatToolsForLLM(config.tools || []);
+    // Function-calling models reserve the system message for their tool
+    // template, so the agent persona travels with the first user message.
+    const messages = [
+      {
+        role: "user",
+        content: systemPrompt ? `${systemPrompt}\n\n${userPrompt}` : userPrompt,
+      },
+    ];
+
+    const steps = [];
+    const usage = [];
+
+    for (let i = 0; i < maxIterations; i++) {
+      let result;
+      try {
+        result = await this.webLLM.chat(messages, {
+          modelId,
+          temperature,
+          maxTokens,
+          tools,
+          priority: followUpPriority(i),
+          signal,
+        });
+        if (result.usage) usage.push(result.usage);
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        console.error("LLM Error:", e);
+        throw new Error(`LLM Generation failed: ${e.message}`);
+      }
+
+      const toolCalls = result.toolCalls || [];
+      if (toolCalls.length === 0) {
+        const step = { type: "answer", content: (result.content || "").trim() };
+        steps.push(step);
+        onStep?.(step);
+        return { answer: step.content, steps, usage };
+      }
+
+      messages.push({
+        role: "assistant",
+        content: result.content || "",
+        tool_calls: toolCalls,
+      });
+
+      for (const call of toolCalls) {
+        const name = call.function?.name;
+        let input = {};
+        try {
+          input = JSON.parse(call.function?.arguments || "{}");
+        } catch {
+          input = call.function?.arguments;
+        }
+
+        const actionStep = {
+          type: "action",
+          content: result.content || "",
+          toolCall: { id: call.id, name, input },
+        };
+        steps.push(actionStep);
+        onStep?.(actionStep);
+
+        const observation = await this._observe(name, input, config);
+        messages.push({
+          role: "tool",
+          tool_call_id: call.id,
+          content: observation,
+        });
+
+        const obsStep = {
+          type: "observation",
+          content: `Observation: ${observation}`,
+          result: observation,
+        };
+        steps.push(obsStep);
+        onStep?.(obsStep);
+      }
+    }
+
+    return { answer: "Max iterations reached.", steps, usage };
+  }
+
+  /**
+   * Executes a tool and serializes the result for the LLM
+   * @private
+   */
+  async _observe(toolName, toolInput, config) {
+    try {
+      const result = await this._executeTool(toolName, toolInput, config);
+      return typeof result === "string" ? result : JSON.stringify(result);
+    } catch (err) {
+      return `Error: ${err.message}`;
+    }
+  }
+
   /**
    * Main ReAct Loop
    * @param {string} userPrompt
    * @param {ReActConfig} config
    */
   async runReActLoop(userPrompt, config = {}) {
-    const { maxIterations = DEFAULT_CONFIG.maxIterations, onStep } = config;
+    const {
+      maxIterations = DEFAULT_CONFIG.maxIterations,
+      onStep,
+      onStream,
+      systemPrompt: agentPrompt,
+      modelId,
+      temperature,
+      maxTokens,
+      signal,
+    } = config;
 
     // Initialize prompt with system instruction
-    const systemPrompt = generateToolSystemPrompt(this.tools);
+    const toolPrompt = generateToolSystemPrompt(config.tools || []);
+    const systemPrompt = agentPrompt
+      ? `${agentPrompt}\n\n${toolPrompt}`
+      : toolPrompt;
     let currentScratchpad = `Question: ${userPrompt}\nThought: `;
 
     const steps = [];
+    const usage = [];
 
     for (let i = 0; i < maxIterations; i++) {
       const messages = [
@@ -149,26 +313,22 @@ class ToolCallingService {
         { role: "user", content: currentScratchpad },
       ];
 
-      // Assuming webLLM.chat(messages) returns just the string content
       let response = "";
       try {
-        if (this.webLLM.chat) {
-          response = await this.webLLM.chat(messages);
-        } else if (this.webLLM.generate) {
-          // Fallback if chat not available
-          response = await this.webLLM.generate(
-            systemPrompt + "\n\n" + currentScratchpad
-          );
-        } else {
-          throw new Error("WebLLM service has no chat or generate method");
-        }
-
-        if (typeof response !== "string") {
-          // If response object, try to extract content
-          response =
-            response.content || response.message || JSON.stringify(response);
-        }
+        const result = await this.webLLM.chat(messages, {
+          modelId,
+          temperature,
+          maxTokens,
+          // The model must wait for the real tool result
+          stop: ["Observation:"],
+          onStream,
+          priority: followUpPriority(i),
+          signal,
+        });
+        response = result.content || "";
+        if (result.usage) usage.push(result.usage);
       } catch (e) {
+        if (signal?.aborted) throw e;
         console.error("LLM Error:", e);
         throw new Error(`LLM Generation failed: ${e.message}`);
       }
@@ -183,21 +343,14 @@ class ToolCallingService {
       onStep?.(step);
 
       if (step.type === "answer") {
-        return { answer: step.content, steps };
+        return { answer: step.content, steps, usage };
       }
 
       if (step.type === "action") {
         const { name, input } = step.toolCall;
 
         // Execute Tool
-        let observation;
-        try {
-          const result = await this._executeTool(name, input);
-          observation =
-            typeof result === "string" ? result : JSON.stringify(result);
-        } catch (err) {
-          observation = `Error: ${err.message}`;
-        }
+        const observation = await this._observe(name, input, config);
 
         const obsText = `Observation: ${observation}`;
         currentScratchpad += obsText + "\nThought:"; // Next iteration expects prompt ending in Thought:
@@ -216,7 +369,7 @@ class ToolCallingService {
       }
     }
 
-    return { answer: "Max iterations reached.", steps };
+    return { answer: "Max iterations reached.", steps, usage };
   }
 
   /**
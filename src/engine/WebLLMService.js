@@ -6,12 +6,36 @@
 
 import { getModelById, MODEL_REGISTRY } from "./modelRegistry.js";
 
+/**
+ * Request priorities: within a worker's queue, higher runs first
+ * (same priority: first come, first served)
+ */
+export const REQUEST_PRIORITY = {
+  LOW: -1,
+  NORMAL: 0,
+  HIGH: 1,
+};
+
 /**
  * @typedef {Object} GenerateOptions
  * @property {number} temperature - Sampling temperature (0-2)
  * @property {number} top_p - Nucleus sampling parameter
  * @property {number} max_tokens - Maximum tokens to generate
  * @property {boolean} stream - Enable streaming responses
+ * @property {number} [priority] - REQUEST_PRIORITY (not sent to the model)
+ * @property {AbortSignal} [signal] - Cancels the request (not sent to the model)
+ */
+
+/**
+ * @typedef {Object} ChatOptions
+ * @property {string} [modelId] - Model to use (defaults to the loaded model)
+ * @property {number} [temperature] - Sampling temperature (0-2)
+ * @property {number} [maxTokens] - Maximum tokens to generate
+ * @property {string[]} [stop] - Stop sequences
+ * @property {Array} [tools] - OpenAI-style function definitions
+ * @property {function} [onStream] - Receives {content, fullContent} chunks
+ * @property {number} [priority] - REQUEST_PRIORITY of this call
+ * @property {AbortSignal} [signal] - Stops the generation, on the GPU too
  */
 
 /**
@@ -20,6 +44,26 @@ import { getModelById, MODEL_REGISTRY } from "./modelRegistry.js";
  * @property {string|Array} content - Text or multimodal content
  */
 
+/**
+ * @typedef {Object} WorkerRequest
+ * One message to a worker and the reply that settles it. Every message
+ * the worker sends about it carries the same requestId.
+ * @property {string} requestId
+ * @property {string} type - Message type sent (GENERATE, EMBED, ...)
+ * @property {string} doneType - Reply type that resolves the request
+ * @property {Object} [payload]
+ * @property {number} priority
+ * @property {Function} resolve
+ * @property {Function} reject
+ * @property {Function} [onStream] - STREAM_CHUNK payloads
+ * @property {Function} [onProgress] - PROGRESS payloads
+ * @property {boolean} [cancelled] - Aborted while running: the worker
+ *   still has to confirm (CANCELLED or its last reply) before it is idle
+ * @property {Function} [cleanup] - Detaches the abort listener
+ */
+
+let requestSeq = 0;
+
 class WebLLMService {
   constructor() {
     this.llmWorker = null;
@@ -28,7 +72,10 @@ class WebLLMService {
     this.embeddingReady = false;
     this.currentModelId = null;
     this.listeners = new Map();
-    this.messageQueue = [];
+    // Workers run one request at a time; the rest wait here by priority
+    this.queues = { llm: [], embedding: [] };
+    this.active = { llm: null, embedding: null };
+    this.idleWaiters = [];
   }
 
   /**
@@ -52,6 +99,10 @@ class WebLLMService {
         this.llmWorker.onerror = (error) => {
           console.error("[WebLLMService] LLM Worker error:", error);
           this._emit("error", { source: "llm", error });
+          this._rejectAll(
+            "llm",
+            new Error(error.message || "LLM worker crashed")
+          );
           reject(error);
         };
 
@@ -90,6 +141,10 @@ class WebLLMService {
         this.embeddingWorker.onerror = (error) => {
           console.error("[WebLLMService] Embedding Worker error:", error);
           this._emit("error", { source: "embedding", error });
+          this._rejectAll(
+            "embedding",
+            new Error(error.message || "Embedding worker crashed")
+          );
           reject(error);
         };
 
@@ -120,9 +175,14 @@ class WebLLMService {
    * Loads a specific model.
    * @param {string} modelId - Model ID from registry
    * @param {function} onProgress - Progress callback
+   * @param {number} [priority] - REQUEST_PRIORITY
    * @returns {Promise<void>}
    */
-  async loadModel(modelId, onProgress = null) {
+  async loadModel(
+    modelId,
+    onProgress = null,
+    priority = REQUEST_PRIORITY.NORMAL
+  ) {
     if (!this.llmWorker) {
       await this.initLLMWorker();
     }
@@ -132,36 +192,10 @@ class WebLLMService {
       throw new Error(`Model not found: ${modelId}`);
     }
 
-    return new Promise((resolve, reject) => {
-      const progressHandler = (data) => {
-        if (onProgress && data.payload) {
-          onProgress(data.payload);
-        }
-      };
-
-      const loadedHandler = (data) => {
-        if (data.type === "MODEL_LOADED") {
-          this.currentModelId = modelId;
-          this._off("progress", progressHandler);
-          resolve();
-        }
-      };
-
-      const errorHandler = (data) => {
-        if (data.type === "ERROR") {
-          this._off("progress", progressHandler);
-          reject(new Error(data.payload.message));
-        }
-      };
-
-      this._on("progress", progressHandler);
-      this._once("model-loaded", loadedHandler);
-      this._once("error", errorHandler);
-
-      this.llmWorker.postMessage({
-        type: "LOAD_MODEL",
-        payload: { modelId },
-      });
+    await this._request("llm", "LOAD_MODEL", "MODEL_LOADED", {
+      payload: { modelId },
+      priority,
+      onProgress,
     });
   }
 
@@ -174,7 +208,7 @@ class WebLLMService {
    */
   async generate(messages, options = {}, onStream = null) {
     if (!this.llmWorker) {
-      throw new Error("LLM Worker not initialized");
+      await this.initLLMWorker();
     }
 
     const modelId = options.modelId || this.currentModelId;
@@ -182,84 +216,79 @@ class WebLLMService {
       throw new Error("No model loaded");
     }
 
-    return new Promise((resolve, reject) => {
-      const streamHandler = (data) => {
-        if (data.type === "STREAM_CHUNK" && onStream) {
-          onStream(data.payload);
-        }
-      };
-
-      const completeHandler = (data) => {
-        if (data.type === "GENERATE_COMPLETE") {
-          this._off("stream", streamHandler);
-          resolve(data.payload);
-        }
-      };
-
-      const errorHandler = (data) => {
-        if (data.type === "ERROR") {
-          this._off("stream", streamHandler);
-          reject(new Error(data.payload.message));
-        }
-      };
-
-      if (options.stream) {
-        this._on("stream", streamHandler);
-      }
-      this._once("generate-complete", completeHandler);
-      this._once("error", errorHandler);
-
-      this.llmWorker.postMessage({
-        type: "GENERATE",
-        payload: {
-          modelId,
-          messages,
-          options,
-        },
-      });
+    const {
+      priority = REQUEST_PRIORITY.NORMAL,
+      signal,
+      ...generateOptions
+    } = options;
+    return this._request("llm", "GENERATE", "GENERATE_COMPLETE", {
+      payload: { modelId, messages, options: generateOptions },
+      priority,
+      signal,
+      onStream: options.stream ? onStream : null,
     });
   }
 
+  /**
+   * Chat completion contract shared by node executors and the agent loop.
+   * Streams when an onStream callback is supplied, except for tool calls,
+   * which are only reported on the complete (non-streamed) response.
+   * @param {Message[]} messages - Conversation messages
+   * @param {ChatOptions} options - Chat options
+   * @returns {Promise<{content: string, finishReason: string, toolCalls?: Array, usage?: Object}>}
+   */
+  async chat(messages, options = {}) {
+    const {
+      modelId,
+      temperature,
+      maxTokens,
+      stop,
+      tools,
+      onStream,
+      priority,
+      signal,
+    } = options;
+    const hasTools = Array.isArray(tools) && tools.length > 0;
+
+    return this.generate(
+      messages,
+      {
+        modelId,
+        temperature,
+        max_tokens: maxTokens,
+        ...(stop ? { stop } : {}),
+        ...(hasTools ? { tools, tool_choice: "auto" } : {}),
+        stream: Boolean(onStream) && !hasTools,
+        ...(priority !== undefined ? { priority } : {}),
+        signal,
+      },
+      onStream
+    );
+  }
+
   /**
    * Generates embeddings for text.
    * @param {string|string[]} text - Text(s) to embed
    * @param {function} onProgress - Progress callback
+   * @param {number} [priority] - REQUEST_PRIORITY
+   * @param {AbortSignal} [signal] - Stops embedding between texts
    * @returns {Promise<{embeddings: Float32Array|Float32Array[], dimensions: number}>}
    */
-  async embed(text, onProgress = null) {
+  async embed(
+    text,
+    onProgress = null,
+    priority = REQUEST_PRIORITY.NORMAL,
+    signal = null
+  ) {
     if (!this.embeddingWorker) {
       await this.initEmbeddingWorker();
     }
 
-    return new Promise((resolve, reject) => {
-      const progressHandler = (data) => {
-        if (onProgress && data.payload) {
-          onProgress(data.payload);
-        }
-      };
-
-      const completeHandler = (data) => {
-        if (data.type === "EMBED_COMPLETE") {
-          this._off("progress", progressHandler);
-          resolve(data.payload);
-        }
-      };
-
-      const errorHandler = (data) => {
-        if (data.type === "ERROR") {
-          this._off("progress", progressHandler);
-          reject(new Error(data.payload.message));
-        }
-      };
-
-      this._on("progress", progressHandler);
-      this._once("embed-complete", completeHandler);
-      this._once("error", errorHandler);
-
-      this.embeddingWorker.postMessage({
-        type: "EMBED",
-        payload: { text },
-      });
+    return this._request("embedding", "EMBED", "EMBED_COMPLETE", {
+      payload: { text },
+      priority,
+      signal,
+      onProgress,
     });
   }
 
@@ -267,54 +296,61 @@ class WebLLMService {
    * Computes similarity between two texts.
    * @param {string} text1
    * @param {string} text2
+   * @param {AbortSignal} [signal]
    * @returns {Promise<number>} Cosine similarity
    */
-  async computeSimilarity(text1, text2) {
-    const { embeddings } = await this.embed([text1, text2]);
-
-    return new Promise((resolve, reject) => {
-      const completeHandler = (data) => {
-        if (data.type === "SIMILARITY_COMPLETE") {
-          resolve(data.payload.similarity);
-        }
-      };
-
-      const errorHandler = (data) => {
-        if (data.type === "ERROR") {
-          reject(new Error(data.payload.message));
-        }
-      };
-
-      this._once("similarity-complete", completeHandler);
-      this._once("error", errorHandler);
-
-      this.embeddingWorker.postMessage({
-        type: "SIMILARITY",
+  async computeSimilarity(text1, text2, signal = null) {
+    const { embeddings } = await this.embed(
+      [text1, text2],
+      null,
+      REQUEST_PRIORITY.NORMAL,
+      signal
+    );
+
+    const { similarity } = await this._request(
+      "embedding",
+      "SIMILARITY",
+      "SIMILARITY_COMPLETE",
+      {
         payload: {
           embedding1: Array.from(embeddings[0]),
           embedding2: Array.from(embeddings[1]),
         },
-      });
-    });
+        signal,
+      }
+    );
+    return similarity;
   }
 
   /**
-   * Unloads the current model.
+   * Unloads the current model, once queued requests ahead of it are done.
    * @returns {Promise<void>}
    */
   async unloadModel() {
     if (!this.llmWorker) return;
 
-    return new Promise((resolve) => {
-      const unloadHandler = () => {
-        this.currentModelId = null;
-        resolve();
-      };
+    await this._request("llm", "UNLOAD", "MODEL_UNLOADED");
+    this.currentModelId = null;
+  }
 
-      this._once("model-unloaded", unloadHandler);
+  /**
+   * Whether no request is running or waiting on either worker
+   * @returns {boolean}
+   */
+  isIdle() {
+    return ["llm", "embedding"].every(
+      (key) => !this.active[key] && this.queues[key].length === 0
+    );
+  }
 
-      this.llmWorker.postMessage({ type: "UNLOAD" });
-    });
+  /**
+   * Resolves once both workers are idle, i.e. cancelled generations have
+   * really stopped using the GPU.
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
   }
 
   /**
@@ -327,6 +363,11 @@ class WebLLMService {
       embeddingReady: this.embeddingReady,
       currentModelId: this.currentModelId,
       availableModels: MODEL_REGISTRY,
+      pendingRequests: {
+        llm: this.queues.llm.length + (this.active.llm ? 1 : 0),
+        embedding:
+          this.queues.embedding.length + (this.active.embedding ? 1 : 0),
+      },
     };
   }
 
@@ -334,6 +375,9 @@ class WebLLMService {
    * Terminates all workers.
    */
   terminate() {
+    const error = new Error("WebLLM service terminated");
+    this._rejectAll("llm", error);
+    this._rejectAll("embedding", error);
     if (this.llmWorker) {
       this.llmWorker.terminate();
       this.llmWorker = null;
@@ -348,54 +392,211 @@ class WebLLMService {
     console.log("[WebLLMService] All workers terminated");
   }
 
-  // Internal event handling
-  _handleLLMMessage(data) {
+  // Request queue
+
+  /**
+   * Queues a request for a worker and resolves with the payload of its
+   * `doneType` reply (rejects on its ERROR reply, or on abort).
+   * @private
+   * @param {'llm'|'embedding'} workerKey
+   * @param {string} type
+   * @param {string} doneType
+   * @param {Object} [options]
+   * @returns {Promise<*>}
+   */
+  _request(workerKey, type, doneType, options = {}) {
+    const {
+      payload,
+      priority = REQUEST_PRIORITY.NORMAL,
+      signal,
+      onStream,
+      onProgress,
+    } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(new Error("Execution aborted"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        requestId: `${workerKey}-${++requestSeq}-${Math.random()
+          .toString(36)
+          .slice(2, 7)}`,
+        type,
+        doneType,
+        payload,
+        priority,
+        resolve,
+        reject,
+        onStream,
+        onProgress,
+      };
+
+      if (signal) {
+        const onAbort = () => this._cancel(workerKey, request);
+        signal.addEventListener("abort", onAbort);
+        request.cleanup = () => signal.removeEventListener("abort", onAbort);
+      }
+
+      // Behind every request of the same or higher priority
+      const queue = this.queues[workerKey];
+      const index = queue.findIndex((queued) => queued.priority < priority);
+      queue.splice(index === -1 ? queue.length : index, 0, request);
+      this._drain(workerKey);
+    });
+  }
+
+  /**
+   * Sends the next queued request if the worker is idle.
+   * @private
+   */
+  _drain(workerKey) {
+    if (this.active[workerKey]) return;
+    if (this.queues[workerKey].length === 0) {
+      this._notifyIdle();
+      return;
+    }
+
+    const worker = workerKey === "llm" ? this.llmWorker : this.embeddingWorker;
+    const request = this.queues[workerKey].shift();
+    this.active[workerKey] = request;
+    worker.postMessage({
+      type: request.type,
+      requestId: request.requestId,
+      payload: request.payload,
+    });
+  }
+
+  /**
+   * Settles the active request and moves the queue on.
+   * @private
+   */
+  _settle(workerKey, request, error, result) {
+    if (this.active[workerKey] !== request) return;
+    this.active[workerKey] = null;
+    request.cleanup?.();
+    // A cancelled request was rejected already
+    if (error) request.reject(error);
+    else request.resolve(result);
+    this._drain(workerKey);
+  }
+
+  /**
+   * Aborts a request: a queued one is dropped, a running one is
+   * interrupted in the worker. Either way its promise rejects now.
+   * @private
+   */
+  _cancel(workerKey, request) {
+    request.cleanup?.();
+    const error = new Error("Execution aborted");
+
+    const queue = this.queues[workerKey];
+    if (queue.includes(request)) {
+      queue.splice(queue.indexOf(request), 1);
+      request.reject(error);
+      this._drain(workerKey);
+      return;
+    }
+
+    if (this.active[workerKey] === request && !request.cancelled) {
+      request.cancelled = true;
+      request.reject(error);
+      const worker =
+        workerKey === "llm" ? this.llmWorker : this.embeddingWorker;
+      worker?.postMessage({ type: "CANCEL", requestId: request.requestId });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _notifyIdle() {
+    if (!this.isIdle()) return;
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Fails the active and every queued request of a worker.
+   * @private
+   */
+  _rejectAll(workerKey, error) {
+    const requests = [this.active[workerKey], ...this.queues[workerKey]].filter(
+      Boolean
+    );
+    this.active[workerKey] = null;
+    this.queues[workerKey] = [];
+    requests.forEach((request) => {
+      request.cleanup?.();
+      request.reject(error);
+    });
+    this._notifyIdle();
+  }
+
+  /**
+   * Routes a worker message to the request it names. Untagged messages
+   * (READY, progress outside any request) go to the event listeners.
+   * @private
+   */
+  _routeMessage(workerKey, data) {
+    const request = this.active[workerKey];
+    if (!data.requestId || data.requestId !== request?.requestId) {
+      if (data.requestId) return; // Late reply to a settled request
+      this._emit(data.type === "PROGRESS" ? "progress" : data.type, data);
+      return;
+    }
+
+    // Cancelled: only the worker's last word about it matters
+    if (request.cancelled && ["PROGRESS", "STREAM_CHUNK"].includes(data.type)) {
+      return;
+    }
+
     switch (data.type) {
-      case "READY":
-        this._emit("llm-ready", data);
-        break;
       case "PROGRESS":
+        request.onProgress?.(data.payload);
         this._emit("progress", data);
         break;
-      case "MODEL_LOADED":
-        this._emit("model-loaded", data);
-        break;
-      case "MODEL_UNLOADED":
-        this._emit("model-unloaded", data);
-        break;
       case "STREAM_CHUNK":
-        this._emit("stream", data);
+        request.onStream?.(data.payload);
         break;
-      case "GENERATE_COMPLETE":
-        this._emit("generate-complete", data);
+      case "CANCELLED":
+        this._settle(workerKey, request, new Error("Execution aborted"));
+        break;
+      case "ERROR": {
+        const { message, error } = data.payload;
+        this._settle(
+          workerKey,
+          request,
+          new Error(error ? `${message}: ${error}` : message)
+        );
         break;
-      case "ERROR":
-        this._emit("error", data);
+      }
+      case request.doneType:
+        this._settle(workerKey, request, null, data.payload);
         break;
     }
   }
 
+  // Internal event handling
+  _handleLLMMessage(data) {
+    if (data.type === "READY") {
+      this._emit("llm-ready", data);
+      return;
+    }
+    // Generations switch models too
+    if (data.type === "MODEL_LOADED") {
+      this.currentModelId = data.payload.modelId;
+    }
+    this._routeMessage("llm", data);
+  }
+
   _handleEmbeddingMessage(data) {
-    switch (data.type) {
-      case "READY":
-        this._emit("embedding-ready", data);
-        break;
-      case "PROGRESS":
-        this._emit("progress", data);
-        break;
-      case "MODEL_LOADED":
-        this._emit("embedding-model-loaded", data);
-        break;
-      case "EMBED_COMPLETE":
-        this._emit("embed-complete", data);
-        break;
-      case "SIMILARITY_COMPLETE":
-        this._emit("similarity-complete", data);
-        break;
-      case "ERROR":
-        this._emit("error", data);
-        break;
+    if (data.type === "READY") {
+      this._emit("embedding-ready", data);
+      return;
     }
+    this._routeMessage("embedding", data);
   }
 
   _on(event, handler) {
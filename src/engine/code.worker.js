@@ -0,0 +1,155 @@
+/**
+ * Code Worker
+ * Isolated Web Worker that runs user JavaScript for the Code node.
+ * No DOM, window or localStorage; storage APIs and the worker's own
+ * messaging are removed from the scope as well.
+ * One worker per run, so the main thread can terminate it at any time.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+const scope = globalThis;
+const post = self.postMessage.bind(self);
+
+// Globals removed from the worker scope before any user code runs
+const HIDDEN_GLOBALS = [
+  "self",
+  "globalThis",
+  "postMessage",
+  "close",
+  "importScripts",
+  "indexedDB",
+  "caches",
+];
+
+/**
+ * Removes the hidden globals from the scope and the prototypes it inherits
+ * them from, so neither the names nor the global object (reachable through
+ * `Function("return this")()`) lead to them. `post` keeps its own reference.
+ */
+function hideGlobals() {
+  HIDDEN_GLOBALS.forEach((name) => {
+    for (
+      let target = scope;
+      target && target !== Object.prototype;
+      target = Object.getPrototypeOf(target)
+    ) {
+      if (Object.prototype.hasOwnProperty.call(target, name)) {
+        delete target[name];
+      }
+    }
+    Object.defineProperty(scope, name, { value: undefined, writable: true });
+  });
+}
+
+/**
+ * Makes a value safe to send across the worker boundary.
+ * @param {*} value
+ * @returns {*}
+ */
+function toTransferable(value) {
+  try {
+    structuredClone(value);
+    return value;
+  } catch {
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch {
+      return String(value);
+    }
+  }
+}
+
+/**
+ * Formats console arguments the way DevTools would print them.
+ * @param {Array} args
+ * @returns {string}
+ */
+function formatArgs(args) {
+  return args
+    .map((arg) => {
+      if (typeof arg === "string") return arg;
+      if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+      try {
+        return JSON.stringify(arg);
+      } catch {
+        return String(arg);
+      }
+    })
+    .join(" ");
+}
+
+/**
+ * Console replacement that forwards output to the main thread.
+ * @param {string} runId
+ */
+function createConsole(runId) {
+  const forward =
+    (level) =>
+    (...args) =>
+      post({
+        type: "LOG",
+        runId,
+        payload: { level, message: formatArgs(args) },
+      });
+
+  return {
+    log: forward("log"),
+    info: forward("info"),
+    debug: forward("debug"),
+    warn: forward("warn"),
+    error: forward("error"),
+  };
+}
+
+/**
+ * Runs user code as the body of a strict-mode async function called
+ * without a receiver, so `this` is undefined.
+ * `return` ends the run; otherwise a top-level `output` variable wins,
+ * falling back to the unchanged inputs.
+ * @param {string} runId
+ * @param {string} code
+ * @param {*} inputs
+ */
+async function run(runId, code, inputs) {
+  try {
+    // An undeclared `output = ...` lands here instead of throwing
+    Object.defineProperty(scope, "output", {
+      value: undefined,
+      writable: true,
+      configurable: true,
+    });
+    const fn = new AsyncFunction(
+      "inputs",
+      "console",
+      `"use strict"; ${code}
+      ;if (typeof output !== 'undefined') return output;
+      return inputs;`
+    );
+    const output = await fn.call(undefined, inputs, createConsole(runId));
+    post({
+      type: "RESULT",
+      runId,
+      payload: { output: toTransferable(output) },
+    });
+  } catch (error) {
+    post({
+      type: "ERROR",
+      runId,
+      payload: {
+        message: error?.message || String(error),
+        stack: error?.stack,
+      },
+    });
+  }
+}
+
+self.onmessage = (event) => {
+  const { type, runId, payload } = event.data || {};
+  if (type === "RUN") {
+    run(runId, payload.code, payload.inputs);
+  }
+};
+
+hideGlobals();
+post({ type: "READY" });
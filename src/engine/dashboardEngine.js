@@ -0,0 +1,68 @@
+/**
+ * Dashboard Engine
+ * The editor's ExecutionEngine instance, bound to the zustand stores:
+ * run state feeds the canvas, toasts go to the UI and finished runs are
+ * archived to IndexedDB history and noted on the workflow's library record.
+ * Cached node outputs live in IndexedDB too, filed under the open workflow.
+ * Stopping a run also waits for the model and Python workers to go idle.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { ExecutionEngine } from "./ExecutionEngine.js";
+import useExecutionStore from "../store/executionStore.js";
+import useWorkflowStore from "../store/workflowStore.js";
+import useUIStore from "../store/uiStore.js";
+import useLibraryStore from "../store/libraryStore.js";
+import { saveRun } from "../utils/executionHistory.js";
+import { getCachedOutput, saveCachedOutput } from "../utils/outputCache.js";
+import { webLLMService } from "./WebLLMService.js";
+import { pyodideService } from "./PyodideService.js";
+
+/**
+ * @returns {import('./memoryHost.js').ExecutionHost}
+ */
+export function createStoreHost() {
+  return {
+    getState: () => useExecutionStore.getState(),
+    getWorkflow: () => useWorkflowStore.getState(),
+    notify: (toast) => useUIStore.getState().addToast(toast),
+    saveRun: async (run) => {
+      const { workflowId } = useWorkflowStore.getState();
+      if (workflowId) {
+        await useLibraryStore
+          .getState()
+          .recordRun(workflowId, run.status, run.endTime);
+      }
+      return saveRun(run);
+    },
+    outputCache: {
+      get: getCachedOutput,
+      set: (entry) =>
+        saveCachedOutput({
+          ...entry,
+          workflowId: useWorkflowStore.getState().workflowId,
+        }),
+    },
+  };
+}
+
+export const executionEngine = new ExecutionEngine(createStoreHost());
+
+/**
+ * Aborts the current run. Cancelled generations and embeddings keep the
+ * GPU busy until their worker confirms, and Python runs until their worker
+ * is restarted, so the user is told once the hardware is really idle.
+ * @returns {Promise<void>}
+ */
+export async function stopRun() {
+  executionEngine.abort();
+  if (webLLMService.isIdle() && pyodideService.isIdle()) return;
+
+  const { addToast } = useUIStore.getState();
+  addToast({
+    message: "Stopping: waiting for the model and Python workers to finish…",
+    type: "info",
+  });
+  await Promise.all([webLLMService.whenIdle(), pyodideService.whenIdle()]);
+  addToast({ message: "Stopped: GPU and workers are idle", type: "success" });
+}
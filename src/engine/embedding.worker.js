@@ -2,6 +2,7 @@
  * Embedding Worker
  * Isolated Web Worker for generating text embeddings.
  * Uses @xenova/transformers with all-MiniLM-L6-v2 model.
+ * Every reply carries the requestId of the message it answers.
  * Part of IOSANS Sovereign Architecture.
  */
 
@@ -14,37 +15,47 @@ env.useBrowserCache = true;
 let embedder = null;
 let isInitializing = false;
 
+// The embedding being served, and whether it was asked to stop
+let activeRequestId = null;
+let cancelRequested = false;
+
 /**
  * Posts a progress event to the main thread.
+ * @param {string} requestId - Request being served
  * @param {string} status - Progress status message
  * @param {number} progress - Progress percentage (0-100)
  */
-function postProgress(status, progress = 0) {
+function postProgress(requestId, status, progress = 0) {
   self.postMessage({
     type: "PROGRESS",
+    requestId,
     payload: { status, progress },
   });
 }
 
 /**
  * Posts an error event to the main thread.
+ * @param {string} requestId - Request that failed
  * @param {string} message - Error message
  * @param {Error} error - Original error object
  */
-function postError(message, error) {
+function postError(requestId, message, error) {
   self.postMessage({
     type: "ERROR",
+    requestId,
     payload: {
       message,
-      error: error?.message || String(error),
+      error: error ? error.message || String(error) : null,
     },
   });
 }
 
 /**
  * Initializes the embedding pipeline.
+ * Errors are thrown; the caller reports them for its request.
+ * @param {string} requestId - Request that needs the model
  */
-async function initializeEmbedder() {
+async function initializeEmbedder(requestId) {
   if (embedder) return;
   if (isInitializing) {
     // Wait for initialization to complete
@@ -55,27 +66,29 @@ async function initializeEmbedder() {
   }
 
   isInitializing = true;
-  postProgress("Loading embedding model...", 0);
+  postProgress(requestId, "Loading embedding model...", 0);
 
   try {
     embedder = await pipeline("feature-extraction", "Xenova/all-MiniLM-L6-v2", {
       progress_callback: (data) => {
         if (data.status === "progress") {
           const progress = Math.round((data.loaded / data.total) * 100);
-          postProgress(`Loading: ${data.file}`, progress);
+          postProgress(requestId, `Loading: ${data.file}`, progress);
         }
       },
     });
 
-    postProgress("Embedding model ready", 100);
+    postProgress(requestId, "Embedding model ready", 100);
 
     self.postMessage({
       type: "MODEL_LOADED",
+      requestId,
       payload: { modelId: "Xenova/all-MiniLM-L6-v2" },
     });
   } catch (error) {
-    postError("Failed to load embedding model", error);
-    throw error;
+    throw new Error(
+      `Failed to load embedding model: ${error?.message || error}`
+    );
   } finally {
     isInitializing = false;
   }
@@ -83,24 +96,36 @@ async function initializeEmbedder() {
 
 /**
  * Generates embeddings for the given text(s).
+ * @param {string} requestId - Tags progress and the reply
  * @param {Object} request - Embed request
  * @param {string|string[]} request.text - Text or array of texts to embed
  * @param {boolean} request.normalize - Whether to normalize embeddings (default: true)
  * @param {boolean} request.pooling - Pooling strategy: 'mean' | 'cls' (default: 'mean')
  */
-async function handleEmbed(request) {
+async function handleEmbed(requestId, request) {
   const { text, normalize = true, pooling = "mean" } = request;
+  activeRequestId = requestId;
+  cancelRequested = false;
 
   try {
-    await initializeEmbedder();
+    await initializeEmbedder(requestId);
 
     const texts = Array.isArray(text) ? text : [text];
 
-    postProgress(`Generating embeddings for ${texts.length} text(s)...`, 0);
+    postProgress(
+      requestId,
+      `Generating embeddings for ${texts.length} text(s)...`,
+      0
+    );
 
     const embeddings = [];
 
     for (let i = 0; i < texts.length; i++) {
+      // A single text cannot be interrupted; stop before the next one
+      if (cancelRequested) {
+        self.postMessage({ type: "CANCELLED", requestId, payload: {} });
+        return;
+      }
       const output = await embedder(texts[i], {
         pooling,
         normalize,
@@ -111,7 +136,7 @@ async function handleEmbed(request) {
       embeddings.push(embedding);
 
       const progress = Math.round(((i + 1) / texts.length) * 100);
-      postProgress(`Processed ${i + 1}/${texts.length}`, progress);
+      postProgress(requestId, `Processed ${i + 1}/${texts.length}`, progress);
     }
 
     // Return single embedding or array based on input
@@ -119,6 +144,7 @@ async function handleEmbed(request) {
 
     self.postMessage({
       type: "EMBED_COMPLETE",
+      requestId,
       payload: {
         embeddings: result,
         dimensions: embeddings[0]?.length || 384,
@@ -126,7 +152,9 @@ async function handleEmbed(request) {
       },
     });
   } catch (error) {
-    postError("Embedding generation failed", error);
+    postError(requestId, "Embedding generation failed", error);
+  } finally {
+    activeRequestId = null;
   }
 }
 
@@ -156,11 +184,12 @@ function cosineSimilarity(a, b) {
 
 /**
  * Handles similarity computation request.
+ * @param {string} requestId
  * @param {Object} request
  * @param {Float32Array} request.embedding1
  * @param {Float32Array} request.embedding2
  */
-function handleSimilarity(request) {
+function handleSimilarity(requestId, request) {
   const { embedding1, embedding2 } = request;
 
   try {
@@ -171,19 +200,22 @@ function handleSimilarity(request) {
 
     self.postMessage({
       type: "SIMILARITY_COMPLETE",
+      requestId,
       payload: { similarity },
     });
   } catch (error) {
-    postError("Similarity computation failed", error);
+    postError(requestId, "Similarity computation failed", error);
   }
 }
 
 /**
  * Gets the current status.
+ * @param {string} requestId
  */
-function handleStatus() {
+function handleStatus(requestId) {
   self.postMessage({
     type: "STATUS",
+    requestId,
     payload: {
       loaded: embedder !== null,
       modelId: "Xenova/all-MiniLM-L6-v2",
@@ -194,31 +226,35 @@ function handleStatus() {
 
 // Message handler
 self.onmessage = async (event) => {
-  const { type, payload } = event.data;
+  const { type, requestId, payload } = event.data;
 
   try {
     switch (type) {
       case "EMBED":
-        await handleEmbed(payload);
+        await handleEmbed(requestId, payload);
+        break;
+
+      case "CANCEL":
+        if (requestId === activeRequestId) cancelRequested = true;
         break;
 
       case "SIMILARITY":
-        handleSimilarity(payload);
+        handleSimilarity(requestId, payload);
         break;
 
       case "INIT":
-        await initializeEmbedder();
+        await initializeEmbedder(requestId);
         break;
 
       case "STATUS":
-        handleStatus();
+        handleStatus(requestId);
         break;
 
       default:
-        postError(`Unknown message type: ${type}`, null);
+        postError(requestId, `Unknown message type: ${type}`, null);
     }
   } catch (error) {
-    postError(`Worker error handling ${type}`, error);
+    postError(requestId, `Worker error handling ${type}`, error);
   }
 };
 
@@ -0,0 +1,242 @@
+/**
+ * Graph Validation
+ * Pre-run checks over a whole workflow: every executor's validate() run
+ * statically, plus structural problems the scheduler would otherwise only
+ * hit mid-run (cycles, loose nodes, mis-wired resource slots, unknown
+ * models, Switch cases that lead nowhere).
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { getExecutor } from "./NodeExecutors.js";
+import { getModelById } from "./modelRegistry.js";
+import {
+  HANDLE_TYPES,
+  canConnect,
+  getProvidedSlot,
+  getTargetHandleInfo,
+} from "../utils/handleTypes.js";
+
+/**
+ * @typedef {Object} GraphProblem
+ * @property {string|null} nodeId - Offending node (null = whole workflow)
+ * @property {'error'|'warning'} severity - Errors block the run
+ * @property {string} message
+ */
+
+/**
+ * Node types that start a run on their own
+ */
+const TRIGGER_TYPES = ["start", "manualTrigger", "scheduleTrigger"];
+
+/**
+ * Nodes that can reach themselves, i.e. sit on a cycle.
+ * Nodes merely downstream of a cycle are not included.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {Set<string>}
+ */
+export function findCycleNodes(nodes, edges) {
+  const outgoing = new Map(nodes.map((n) => [n.id, []]));
+  edges.forEach((edge) => {
+    if (outgoing.has(edge.source) && outgoing.has(edge.target)) {
+      outgoing.get(edge.source).push(edge.target);
+    }
+  });
+
+  // Peel off nodes that cannot be on a cycle (no inputs left), Kahn-style
+  const indegree = new Map(nodes.map((n) => [n.id, 0]));
+  outgoing.forEach((targets) =>
+    targets.forEach((id) => indegree.set(id, indegree.get(id) + 1))
+  );
+  const queue = [...indegree].filter(([, d]) => d === 0).map(([id]) => id);
+  const remaining = new Set(outgoing.keys());
+  while (queue.length > 0) {
+    const id = queue.shift();
+    remaining.delete(id);
+    outgoing.get(id).forEach((target) => {
+      indegree.set(target, indegree.get(target) - 1);
+      if (indegree.get(target) === 0) queue.push(target);
+    });
+  }
+
+  // Of what is left, keep the nodes that lead back to themselves
+  const onCycle = new Set();
+  remaining.forEach((start) => {
+    const stack = [...outgoing.get(start)];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === start) {
+        onCycle.add(start);
+        return;
+      }
+      if (seen.has(id) || !remaining.has(id)) continue;
+      seen.add(id);
+      stack.push(...outgoing.get(id));
+    }
+  });
+  return onCycle;
+}
+
+/**
+ * A node and every node downstream of it (what "run from here" runs)
+ * @param {string} nodeId
+ * @param {Array} edges
+ * @returns {Set<string>}
+ */
+export function findDownstreamNodes(nodeId, edges) {
+  const seen = new Set();
+  const stack = [nodeId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    edges.forEach((e) => e.source === id && stack.push(e.target));
+  }
+  return seen;
+}
+
+/**
+ * Whether the LLM backend can serve a model id. Backends may answer
+ * themselves (supportsModel); otherwise the id must be in MODEL_REGISTRY.
+ * @private
+ */
+function isKnownModel(modelId, services) {
+  if (typeof services.webLLM?.supportsModel === "function") {
+    return services.webLLM.supportsModel(modelId);
+  }
+  return Boolean(getModelById(modelId));
+}
+
+/**
+ * Validates a workflow without running it
+ * @param {{nodes: Array, edges: Array}} workflow
+ * @param {Object} [options]
+ * @param {Object} [options.services] - Services the run would get
+ * @param {Set<string>} [options.nodeIds] - Only report problems of these
+ *   nodes (a partial run); workflow-wide problems are skipped
+ * @returns {GraphProblem[]}
+ */
+export function validateGraph(
+  workflow,
+  { services = {}, nodeIds = null } = {}
+) {
+  const { nodes = [], edges = [] } = workflow;
+  const nodesById = new Map(nodes.map((n) => [n.id, n]));
+  const links = edges.filter(
+    (e) => nodesById.has(e.source) && nodesById.has(e.target)
+  );
+  const problems = [];
+  const report = (nodeId, severity, message) =>
+    problems.push({ nodeId, severity, message });
+
+  if (nodes.length === 0) return problems;
+
+  // Cycles: the scheduler never starts nodes that wait on themselves
+  const cycleNodes = findCycleNodes(nodes, links);
+  cycleNodes.forEach((id) =>
+    report(id, "error", "Part of a cycle: this node would never run")
+  );
+  if (!nodes.some((n) => !links.some((e) => e.target === n.id))) {
+    report(null, "error", "No start nodes found in graph");
+  }
+
+  nodes.forEach((node) => {
+    const data = node.data || {};
+    const connected = links.some(
+      (e) => e.source === node.id || e.target === node.id
+    );
+
+    if (!connected && nodes.length > 1) {
+      report(
+        node.id,
+        "warning",
+        TRIGGER_TYPES.includes(node.type)
+          ? "Trigger is not connected to anything"
+          : "Not connected: runs on its own as a start node"
+      );
+    }
+
+    // Pinned nodes replay their data: their own settings do not matter
+    if (data.pin) return;
+
+    // Executor checks, with inputs unknown until run time
+    const executor = getExecutor(node.type);
+    if (!executor) {
+      report(
+        node.id,
+        "warning",
+        `No executor for type "${node.type}": it will be skipped`
+      );
+    } else {
+      const validation = executor.validate({
+        inputs: undefined,
+        nodeData: data,
+        nodeId: node.id,
+        services,
+        workflow: { nodes, edges },
+        preflight: true,
+      });
+      if (!validation.valid) report(node.id, "error", validation.error);
+    }
+
+    if (
+      typeof data.modelId === "string" &&
+      data.modelId &&
+      !data.modelId.includes("{{") &&
+      !isKnownModel(data.modelId, services)
+    ) {
+      report(node.id, "error", `Unknown model "${data.modelId}"`);
+    }
+
+    if (node.type === "switch") {
+      (data.cases || []).forEach((value) => {
+        const handle = `${node.id}-case-${value}`;
+        if (
+          !links.some((e) => e.source === node.id && e.sourceHandle === handle)
+        ) {
+          report(
+            node.id,
+            "warning",
+            `Case "${value}" has no outgoing edge: matching inputs stop here`
+          );
+        }
+      });
+    }
+  });
+
+  // Resource slots: what the source provides must match the slot it feeds
+  links.forEach((edge) => {
+    const target = getTargetHandleInfo(edge.targetHandle, edge.target);
+    if (target.type !== HANDLE_TYPES.RESOURCE) return;
+
+    const sourceNode = nodesById.get(edge.source);
+    const slot = getProvidedSlot(sourceNode.type);
+    const source = slot
+      ? { type: HANDLE_TYPES.RESOURCE, slot }
+      : { type: HANDLE_TYPES.WORKFLOW };
+    if (!canConnect(source, target)) {
+      const label = sourceNode.data?.label || sourceNode.type;
+      report(
+        edge.target,
+        "error",
+        slot
+          ? `"${label}" provides a ${slot}, not a ${target.slot}: rewire it to the ${slot} slot`
+          : `"${label}" cannot be wired into the ${target.slot} slot`
+      );
+    }
+  });
+
+  return nodeIds
+    ? problems.filter((problem) => nodeIds.has(problem.nodeId))
+    : problems;
+}
+
+/**
+ * Problems that block a run
+ * @param {GraphProblem[]} problems
+ * @returns {GraphProblem[]}
+ */
+export function getBlockingProblems(problems) {
+  return problems.filter((problem) => problem.severity === "error");
+}
@@ -0,0 +1,161 @@
+/**
+ * Memory Host
+ * Store-free ExecutionHost for running workflows outside the dashboard
+ * (Node CLI, batch jobs, tests). Keeps run state in plain Maps and
+ * reports every state change as a progress event.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+/**
+ * @typedef {Object} ExecutionHost
+ * What ExecutionEngine needs from its surroundings.
+ * @property {() => Object} getState - Run state with the executionStore
+ *   actions the engine calls (startExecution, setNodeRunning, addLog, ...).
+ *   Debugger state (breakpoints, stepMode, pauseAtNode, takeReleasedInput)
+ *   is optional.
+ * @property {() => {nodes: Array, edges: Array, variables?: Object}} getWorkflow
+ *   - Workflow used when executeGraph / executeNode get none
+ * @property {(toast: {message: string, type: string}) => void} notify
+ * @property {(run: Object) => Promise<*>} [saveRun] - Archives a finished run
+ * @property {{get: (key: string) => Promise<Object|null>, set: (entry: Object) => Promise<*>}} [outputCache]
+ *   - Stored outputs of nodes with `data.cache` on (see utils/outputCache.js)
+ */
+
+/**
+ * @typedef {Object} ExecutionEvent
+ * @property {'run:start'|'run:end'|'node:start'|'node:success'|'node:error'|'node:skipped'|'log'|'notify'} type
+ * @property {number} timestamp
+ * @property {string} [nodeId]
+ */
+
+/**
+ * Creates an in-memory host.
+ * @param {Object} [options]
+ * @param {{nodes: Array, edges: Array, variables?: Object}} [options.workflow]
+ * @param {(event: ExecutionEvent) => void} [options.onEvent] - Progress sink
+ * @returns {ExecutionHost}
+ */
+export function createMemoryHost({ workflow = null, onEvent } = {}) {
+  const emit = (type, fields = {}) =>
+    onEvent?.({ type, timestamp: Date.now(), ...fields });
+
+  const state = {
+    isRunning: false,
+    isPaused: false,
+    nodeResults: new Map(),
+    edgeSnapshots: new Map(),
+    iterationProgress: new Map(),
+    logs: [],
+    executionStartTime: null,
+    executionEndTime: null,
+
+    startExecution(nodeOrder = []) {
+      Object.assign(state, {
+        isRunning: true,
+        nodeResults: new Map(),
+        edgeSnapshots: new Map(),
+        iterationProgress: new Map(),
+        logs: [],
+        executionStartTime: Date.now(),
+        executionEndTime: null,
+      });
+      emit("run:start", { nodeCount: nodeOrder.length });
+    },
+
+    stopExecution() {
+      state.isRunning = false;
+      state.executionEndTime = Date.now();
+      emit("run:end", {
+        duration: state.executionEndTime - state.executionStartTime,
+      });
+    },
+
+    addLog(log) {
+      const entry = {
+        id: Math.random().toString(36).slice(2, 11),
+        timestamp: Date.now(),
+        ...log,
+      };
+      state.logs.push(entry);
+      // Streaming tokens are reported once, with the final log
+      if (log.type !== "stream") emit("log", { log: entry });
+      return entry.id;
+    },
+
+    updateLog(logId, updates) {
+      const entry = state.logs.find((log) => log.id === logId);
+      if (entry) Object.assign(entry, updates);
+    },
+
+    setNodeRunning(nodeId) {
+      state._setResult(nodeId, { status: "running", startTime: Date.now() });
+      emit("node:start", { nodeId });
+    },
+
+    setNodeSuccess(nodeId, output, { metrics = null } = {}) {
+      state._setResult(nodeId, {
+        status: "success",
+        output,
+        error: null,
+        metrics,
+        endTime: Date.now(),
+      });
+      emit("node:success", { nodeId, output });
+    },
+
+    setNodeError(nodeId, error, { handled = false, output = null } = {}) {
+      const message =
+        typeof error === "string" ? error : error?.message || String(error);
+      state._setResult(nodeId, {
+        status: "error",
+        handled,
+        output,
+        error: message,
+        endTime: Date.now(),
+      });
+      emit("node:error", { nodeId, error: message, handled });
+    },
+
+    setNodeSkipped(nodeId) {
+      state.nodeResults.set(nodeId, {
+        nodeId,
+        status: "skipped",
+        output: null,
+        error: null,
+        startTime: null,
+        endTime: Date.now(),
+      });
+      emit("node:skipped", { nodeId });
+    },
+
+    restoreNodeResult(nodeId, result) {
+      state.nodeResults.set(nodeId, { ...result, nodeId, cached: true });
+    },
+
+    getNodeResult(nodeId) {
+      return state.nodeResults.get(nodeId);
+    },
+
+    setIterationProgress(nodeId, progress) {
+      state.iterationProgress.set(nodeId, progress);
+    },
+
+    setEdgeSnapshot(edgeId, data) {
+      state.edgeSnapshots.set(edgeId, { data, timestamp: Date.now() });
+    },
+
+    _setResult(nodeId, fields) {
+      state.nodeResults.set(nodeId, {
+        ...state.nodeResults.get(nodeId),
+        nodeId,
+        ...fields,
+      });
+    },
+  };
+
+  return {
+    getState: () => state,
+    getWorkflow: () => workflow || { nodes: [], edges: [], variables: {} },
+    notify: (toast) => emit("notify", toast),
+  };
+}
@@ -11,6 +11,7 @@
  * @property {'text'|'vision'|'code'|'embedding'} type - Model capability type
  * @property {number} vram_required - Minimum VRAM required in GB
  * @property {string} description - Brief model description
+ * @property {boolean} [toolCalling] - Supports native OpenAI-style tool calls
  */
 
 /**
@@ -55,6 +56,14 @@ export const MODEL_REGISTRY = [
     vram_required: 5,
     description: "Efficient instruction-following model",
   },
+  {
+    id: "Hermes-2-Pro-Llama-3-8B-q4f32_1-MLC",
+    name: "Hermes 2 Pro Llama 3 8B",
+    type: "text",
+    vram_required: 6,
+    description: "Function-calling model for native tool use",
+    toolCalling: true,
+  },
 
   // Vision Models
   {
@@ -131,3 +140,12 @@ export function getRecommendedModel(availableVram, type = "text") {
 
   return compatible[0];
 }
+
+/**
+ * Checks whether a model supports native (JSON) tool calling.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function supportsToolCalling(id) {
+  return Boolean(getModelById(id)?.toolCalling);
+}
@@ -0,0 +1,160 @@
+/**
+ * Pyodide Worker
+ * Runs Python off the main thread using the self-hosted Pyodide
+ * distribution (public/pyodide, see scripts/vendor-pyodide.js).
+ * Runs are serialized: Pyodide has a single interpreter and shared globals.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+let pyodide = null;
+let indexURL = null;
+let queue = Promise.resolve();
+
+// Converts the script result and any pandas / matplotlib objects into
+// plain values plus exportable artifacts
+const EXPORT_HELPER = `
+import sys, io
+
+def __iosans_export(value):
+    artifacts = []
+
+    if "pandas" in sys.modules:
+        import pandas as pd
+        if isinstance(value, pd.Series):
+            value = value.to_frame()
+        if isinstance(value, pd.DataFrame):
+            artifacts.append({"kind": "csv", "data": value.to_csv(index=False)})
+            value = {"rows": len(value), "columns": [str(c) for c in value.columns]}
+
+    if "matplotlib" in sys.modules:
+        import matplotlib.pyplot as plt
+        from matplotlib.figure import Figure
+        figures = [plt.figure(n) for n in plt.get_fignums()]
+        if isinstance(value, Figure):
+            if value not in figures:
+                figures.append(value)
+            value = None
+        for fig in figures:
+            buf = io.BytesIO()
+            fig.savefig(buf, format="png", bbox_inches="tight")
+            artifacts.append({"kind": "png", "data": buf.getvalue()})
+        plt.close("all")
+
+    return value, artifacts
+`;
+
+/**
+ * Loads Pyodide from the app's own assets (once per worker).
+ * @param {string} runId - Run waiting for it, told about the progress
+ * @returns {Promise<Object>}
+ */
+async function getPyodide(runId) {
+  if (pyodide) return pyodide;
+
+  post({
+    type: "PROGRESS",
+    runId,
+    payload: { status: "Loading Python runtime..." },
+  });
+  let loadPyodide;
+  try {
+    ({ loadPyodide } = await import(
+      /* @vite-ignore */ `${indexURL}pyodide.mjs`
+    ));
+  } catch (error) {
+    throw new Error(
+      `Could not load the Python runtime from ${indexURL} (run \`npm run vendor:pyodide\`): ${error.message}`
+    );
+  }
+  pyodide = await loadPyodide({ indexURL });
+
+  // Figures must render without a DOM
+  pyodide.runPython(`import os; os.environ["MPLBACKEND"] = "AGG"`);
+  pyodide.runPython(EXPORT_HELPER);
+  return pyodide;
+}
+
+function post(message) {
+  self.postMessage(message);
+}
+
+/**
+ * Installs declared packages: bundled ones from the local distribution,
+ * micropip ones from PyPI.
+ */
+async function installPackages(py, runId, { bundled = [], micropip = [] }) {
+  const log = (message) =>
+    post({ type: "LOG", runId, payload: { stream: "info", message } });
+
+  if (bundled.length > 0) {
+    await py.loadPackage(bundled, { messageCallback: log, errorCallback: log });
+  }
+  if (micropip.length > 0) {
+    await py.loadPackage("micropip", { messageCallback: log });
+    const installer = py.pyimport("micropip");
+    await installer.install(micropip);
+  }
+}
+
+/**
+ * Converts a Python value to structured-cloneable JS.
+ */
+function toJs(value) {
+  if (value?.toJs) {
+    const converted = value.toJs({ dict_converter: Object.fromEntries });
+    value.destroy?.();
+    return converted;
+  }
+  return value;
+}
+
+async function run(runId, { code, inputs, packages }) {
+  try {
+    const py = await getPyodide(runId);
+    await installPackages(py, runId, packages);
+
+    py.setStdout({
+      batched: (message) =>
+        post({ type: "LOG", runId, payload: { stream: "stdout", message } }),
+    });
+    py.setStderr({
+      batched: (message) =>
+        post({ type: "LOG", runId, payload: { stream: "stderr", message } }),
+    });
+
+    const globals = py.globals.get("dict")();
+    const pyInputs = py.toPy(inputs);
+    globals.set("inputs", pyInputs);
+    globals.set("input_data", pyInputs); // Legacy name used by older scripts
+    globals.set("__iosans_export", py.globals.get("__iosans_export"));
+
+    const result = await py.runPythonAsync(code, { globals });
+    const exported = globals.get("__iosans_export")(result);
+    const [output, artifacts] = toJs(exported);
+    result?.destroy?.();
+    pyInputs?.destroy?.();
+    globals.destroy();
+
+    post({ type: "RESULT", runId, payload: { output, artifacts } });
+  } catch (error) {
+    post({
+      type: "ERROR",
+      runId,
+      payload: { message: error?.message || String(error) },
+    });
+  }
+}
+
+self.onmessage = (event) => {
+  const { type, runId, payload } = event.data || {};
+
+  switch (type) {
+    case "INIT":
+      indexURL = payload.indexURL;
+      post({ type: "READY" });
+      break;
+    case "RUN":
+      queue = queue.then(() => run(runId, payload));
+      break;
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * Python Package Allow-list
+ * Packages a Python node may declare. "bundled" packages ship with the
+ * self-hosted Pyodide distribution (offline); "micropip" packages are
+ * pure-Python wheels fetched from PyPI on first use.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+export const PYODIDE_VERSION = "0.26.4";
+
+/**
+ * @typedef {Object} PythonPackage
+ * @property {'bundled'|'micropip'} source
+ * @property {string} description
+ */
+
+/** @type {Object<string, PythonPackage>} */
+export const PYTHON_PACKAGES = {
+  numpy: { source: "bundled", description: "Numerical arrays" },
+  pandas: { source: "bundled", description: "DataFrames (exported as CSV)" },
+  matplotlib: {
+    source: "bundled",
+    description: "Plotting (figures exported as PNG)",
+  },
+  scipy: { source: "bundled", description: "Scientific computing" },
+  "scikit-learn": { source: "bundled", description: "Machine learning" },
+  pyyaml: { source: "bundled", description: "YAML parsing" },
+  regex: { source: "bundled", description: "Extended regular expressions" },
+  beautifulsoup4: { source: "bundled", description: "HTML parsing" },
+  tabulate: { source: "micropip", description: "Pretty-print tables" },
+  faker: { source: "micropip", description: "Fake test data" },
+};
+
+export const PYTHON_PACKAGE_NAMES = Object.keys(PYTHON_PACKAGES);
+
+/**
+ * Splits declared packages by install source, rejecting anything
+ * outside the allow-list.
+ * @param {string[]} names
+ * @returns {{bundled: string[], micropip: string[]}}
+ */
+export function resolvePythonPackages(names = []) {
+  const rejected = names.filter((name) => !PYTHON_PACKAGES[name]);
+  if (rejected.length > 0) {
+    throw new Error(
+      `Package(s) not allowed: ${rejected.join(", ")}. ` +
+        `Allowed: ${PYTHON_PACKAGE_NAMES.join(", ")}`
+    );
+  }
+
+  return {
+    bundled: names.filter((name) => PYTHON_PACKAGES[name].source === "bundled"),
+    micropip: names.filter(
+      (name) => PYTHON_PACKAGES[name].source === "micropip"
+    ),
+  };
+}
@@ -1,6 +1,7 @@
 /**
  * WebLLM Worker
  * Isolated Web Worker for running LLM inference without blocking UI.
+ * Every reply carries the requestId of the message it answers.
  * Part of IOSANS Sovereign Architecture.
  */
 
@@ -9,49 +10,59 @@ import * as webllm from "@mlc-ai/web-llm";
 let engine = null;
 let currentModelId = null;
 
+// The generation being served, and whether it was asked to stop
+let activeRequestId = null;
+let cancelRequested = false;
+
 /**
  * Posts a progress event to the main thread.
+ * @param {string} requestId - Request being served
  * @param {string} status - Progress status message
  * @param {number} progress - Progress percentage (0-100)
  */
-function postProgress(status, progress = 0) {
+function postProgress(requestId, status, progress = 0) {
   self.postMessage({
     type: "PROGRESS",
+    requestId,
     payload: { status, progress },
   });
 }
 
 /**
  * Posts an error event to the main thread.
+ * @param {string} requestId - Request that failed
  * @param {string} message - Error message
  * @param {Error} error - Original error object
  */
-function postError(message, error) {
+function postError(requestId, message, error) {
   self.postMessage({
     type: "ERROR",
+    requestId,
     payload: {
       message,
-      error: error?.message || String(error),
+      error: error ? error.message || String(error) : null,
     },
   });
 }
 
 /**
  * Initializes or switches the LLM engine to the specified model.
+ * Errors are thrown; the caller reports them for its request.
+ * @param {string} requestId - Request that needs the model
  * @param {string} modelId - Model ID from the registry
  */
-async function initializeEngine(modelId) {
+async function initializeEngine(requestId, modelId) {
   if (engine && currentModelId === modelId) {
     return; // Already loaded
   }
 
-  postProgress("Initializing WebLLM engine...", 0);
+  postProgress(requestId, "Initializing WebLLM engine...", 0);
 
   try {
     // Create progress callback
     const progressCallback = (report) => {
       const progress = Math.round(report.progress * 100);
-      postProgress(report.text || "Loading model...", progress);
+      postProgress(requestId, report.text || "Loading model...", progress);
     };
 
     // Create new engine with the specified model
@@ -61,33 +72,78 @@ async function initializeEngine(modelId) {
     });
 
     currentModelId = modelId;
-    postProgress("Model loaded successfully", 100);
+    postProgress(requestId, "Model loaded successfully", 100);
 
     self.postMessage({
       type: "MODEL_LOADED",
+      requestId,
       payload: { modelId },
     });
   } catch (error) {
-    postError("Failed to initialize model", error);
-    throw error;
+    throw new Error(`Failed to initialize model: ${error?.message || error}`);
   }
 }
 
+/**
+ * Loads a model on request, answering MODEL_LOADED even when it was
+ * already loaded.
+ * @param {string} requestId
+ * @param {string} modelId
+ */
+async function handleLoadModel(requestId, modelId) {
+  const wasLoaded = engine && currentModelId === modelId;
+  await initializeEngine(requestId, modelId);
+  if (wasLoaded) {
+    self.postMessage({
+      type: "MODEL_LOADED",
+      requestId,
+      payload: { modelId },
+    });
+  }
+}
+
+/**
+ * Confirms that a cancelled generation has stopped.
+ * @param {string} requestId
+ */
+function postCancelled(requestId) {
+  self.postMessage({ type: "CANCELLED", requestId, payload: {} });
+}
+
+/**
+ * Stops the running generation: web-llm ends its decode loop at the next
+ * token and the pending completion returns early.
+ * @param {string} requestId - Ignored unless it is the running request
+ */
+function handleCancel(requestId) {
+  if (requestId !== activeRequestId) return;
+  cancelRequested = true;
+  engine?.interruptGenerate();
+}
+
 /**
  * Generates a response from the LLM.
+ * @param {string} requestId - Tags stream chunks and the reply
  * @param {Object} request - Generation request
  * @param {string} request.modelId - Model ID to use
  * @param {Array} request.messages - Chat messages
  * @param {Object} request.options - Generation options
  */
-async function handleGenerate(request) {
+async function handleGenerate(requestId, request) {
   const { modelId, messages, options = {} } = request;
+  activeRequestId = requestId;
+  cancelRequested = false;
 
   try {
     // Ensure engine is initialized with correct model
-    await initializeEngine(modelId);
+    await initializeEngine(requestId, modelId);
+    // Loading cannot be interrupted, but the generation can be skipped
+    if (cancelRequested) {
+      postCancelled(requestId);
+      return;
+    }
 
-    postProgress("Generating response...", 0);
+    postProgress(requestId, "Generating response...", 0);
 
     // Process messages for vision models (handle image_url content)
     const processedMessages = messages.map((msg) => {
@@ -111,32 +167,38 @@ async function handleGenerate(request) {
       return msg;
     });
 
-    // Generation options
+    // Generation options (modelId selects the engine, it is not a request field)
+    const { modelId: _modelId, ...requestOptions } = options;
     const genOptions = {
+      ...requestOptions,
       temperature: options.temperature ?? 0.7,
       top_p: options.top_p ?? 0.9,
       max_tokens: options.max_tokens ?? 1024,
       stream: options.stream ?? false,
-      ...options,
     };
 
     let response;
 
     if (genOptions.stream) {
-      // Streaming generation
+      // Streaming generation; the last chunk carries the token usage
       let fullContent = "";
+      let usage;
       const chunks = await engine.chat.completions.create({
         messages: processedMessages,
         ...genOptions,
         stream: true,
+        stream_options: { include_usage: true },
       });
 
       for await (const chunk of chunks) {
+        if (cancelRequested) break;
+        if (chunk.usage) usage = chunk.usage;
         const delta = chunk.choices[0]?.delta?.content || "";
         fullContent += delta;
 
         self.postMessage({
           type: "STREAM_CHUNK",
+          requestId,
           payload: {
             content: delta,
             fullContent,
@@ -147,6 +209,7 @@ async function handleGenerate(request) {
       response = {
         content: fullContent,
         finishReason: "stop",
+        usage,
       };
     } else {
       // Non-streaming generation
@@ -158,45 +221,60 @@ async function handleGenerate(request) {
       response = {
         content: result.choices[0]?.message?.content || "",
         finishReason: result.choices[0]?.finish_reason || "stop",
+        toolCalls: result.choices[0]?.message?.tool_calls || [],
         usage: result.usage,
       };
     }
 
+    if (cancelRequested) {
+      postCancelled(requestId);
+      return;
+    }
+
     self.postMessage({
       type: "GENERATE_COMPLETE",
+      requestId,
       payload: response,
     });
   } catch (error) {
-    postError("Generation failed", error);
+    if (cancelRequested) postCancelled(requestId);
+    else postError(requestId, "Generation failed", error);
+  } finally {
+    activeRequestId = null;
   }
 }
 
 /**
  * Unloads the current model to free memory.
+ * Answers MODEL_UNLOADED even when nothing was loaded.
+ * @param {string} requestId
  */
-async function handleUnload() {
-  if (engine) {
-    try {
+async function handleUnload(requestId) {
+  try {
+    if (engine) {
       await engine.unload();
       engine = null;
       currentModelId = null;
-
-      self.postMessage({
-        type: "MODEL_UNLOADED",
-        payload: {},
-      });
-    } catch (error) {
-      postError("Failed to unload model", error);
     }
+
+    self.postMessage({
+      type: "MODEL_UNLOADED",
+      requestId,
+      payload: {},
+    });
+  } catch (error) {
+    postError(requestId, "Failed to unload model", error);
   }
 }
 
 /**
  * Gets the current engine status.
+ * @param {string} requestId
  */
-function handleStatus() {
+function handleStatus(requestId) {
   self.postMessage({
     type: "STATUS",
+    requestId,
     payload: {
       loaded: engine !== null,
       modelId: currentModelId,
@@ -206,31 +284,35 @@ function handleStatus() {
 
 // Message handler
 self.onmessage = async (event) => {
-  const { type, payload } = event.data;
+  const { type, requestId, payload } = event.data;
 
   try {
     switch (type) {
       case "GENERATE":
-        await handleGenerate(payload);
+        await handleGenerate(requestId, payload);
+        break;
+
+      case "CANCEL":
+        handleCancel(requestId);
         break;
 
       case "LOAD_MODEL":
-        await initializeEngine(payload.modelId);
+        await handleLoadModel(requestId, payload.modelId);
         break;
 
       case "UNLOAD":
-        await handleUnload();
+        await handleUnload(requestId);
         break;
 
       case "STATUS":
-        handleStatus();
+        handleStatus(requestId);
         break;
 
       default:
-        postError(`Unknown message type: ${type}`, null);
+        postError(requestId, `Unknown message type: ${type}`, null);
     }
   } catch (error) {
-    postError(`Worker error handling ${type}`, error);
+    postError(requestId, `Worker error handling ${type}`, error);
   }
 };
 
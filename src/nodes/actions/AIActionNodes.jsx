@@ -210,6 +210,11 @@ export function PythonNode({
         >
           script.py
         </div>
+        {data.packages?.length > 0 && (
+          <div className="action-node__info" style={{ fontSize: 10 }}>
+            📦 {data.packages.join(", ")}
+          </div>
+        )}
       </div>
     </BaseNode>
   );
@@ -130,3 +130,48 @@ TransformNode.propTypes = {
   selected: PropTypes.bool,
   status: PropTypes.string,
 };
+
+/**
+ * ExecuteWorkflowNode - Sub-workflow call
+ */
+export function ExecuteWorkflowNode({
+  id,
+  data = {},
+  selected = false,
+  status = "idle",
+}) {
+  const { workflowId, workflowName, inputMap = {} } = data;
+  const mappedCount = Object.values(inputMap).filter((v) => v !== "").length;
+
+  return (
+    <BaseNode
+      id={id}
+      title={data.label || "Execute Workflow"}
+      type="action"
+      icon="🧩"
+      slots={[]}
+      selected={selected}
+      status={status}
+      hasWorkflowInput={true}
+      hasWorkflowOutput={true}
+    >
+      <div className="action-node">
+        <div className="action-node__info">
+          <span className="action-node__url" title={workflowName || workflowId}>
+            {workflowName || workflowId || "No workflow selected"}
+          </span>
+          {mappedCount > 0 && (
+            <span style={{ opacity: 0.7 }}>{mappedCount} mapped</span>
+          )}
+        </div>
+      </div>
+    </BaseNode>
+  );
+}
+
+ExecuteWorkflowNode.propTypes = {
+  id: PropTypes.string.isRequired,
+  data: PropTypes.object,
+  selected: PropTypes.bool,
+  status: PropTypes.string,
+};
@@ -7,7 +7,14 @@
 import React from "react";
 import PropTypes from "prop-types";
 import { Handle, Position } from "reactflow";
-import { HANDLE_TYPES, RESOURCE_SLOTS } from "../../utils/handleTypes.js"; // Import handle constants
+import useExecutionStore from "../../store/executionStore.js";
+import useValidationStore from "../../store/validationStore.js";
+import useWorkflowStore from "../../store/workflowStore.js";
+import {
+  HANDLE_TYPES,
+  RESOURCE_SLOTS,
+  getErrorHandleId,
+} from "../../utils/handleTypes.js"; // Import handle constants
 import "./BaseNode.css";
 import "./NodeInputs.css";
 
@@ -24,13 +31,32 @@ function BaseNode({
   children,
   hasWorkflowInput = true,
   hasWorkflowOutput = true,
+  hasErrorOutput = true, // Try/catch-style recovery branch
   slots = [], // Array of slot types (e.g. ['model', 'tool'])
 }) {
+  // Live run status wins over the prop (React Flow never passes one)
+  const runStatus = useExecutionStore(
+    (state) => state.nodeResults.get(id)?.status
+  );
+  const currentStatus = runStatus || status;
+  const problems = useValidationStore((state) => state.byNode.get(id));
+  const hasError = problems?.some((p) => p.severity === "error");
+  const hasBreakpoint = useExecutionStore((state) => state.breakpoints.has(id));
+  const isPausedHere = useExecutionStore((state) => state.pausedNodeId === id);
+  const isCached = useExecutionStore(
+    (state) => state.nodeResults.get(id)?.cached === true
+  );
+  const isPinned = useWorkflowStore((state) =>
+    Boolean(state.nodes.find((n) => n.id === id)?.data?.pin)
+  );
+
   // Build class names based on state
   const nodeClasses = [
     "base-node",
     selected && "base-node--selected",
-    status !== "idle" && `base-node--${status}`,
+    currentStatus !== "idle" && `base-node--${currentStatus}`,
+    isPausedHere && "base-node--paused",
+    isPinned && "base-node--pinned",
   ]
     .filter(Boolean)
     .join(" ");
@@ -78,6 +104,21 @@ function BaseNode({
 
   return (
     <div className={nodeClasses} data-nodeid={id}>
+      {/* Breakpoint toggle (Top Left): the run stops before this node */}
+      <button
+        className={`base-node__breakpoint nodrag ${
+          hasBreakpoint ? "base-node__breakpoint--set" : ""
+        }`}
+        onClick={(e) => {
+          e.stopPropagation();
+          useExecutionStore.getState().toggleBreakpoint(id);
+        }}
+        title={hasBreakpoint ? "Remove breakpoint (F9)" : "Add breakpoint (F9)"}
+      />
+      {isPausedHere && (
+        <div className="base-node__paused-label">⏸ Paused before run</div>
+      )}
+
       {/* Resource Handles (Top/Bottom) */}
       {slots.map((slot, i) => renderResourceHandle(slot, i))}
 
@@ -96,6 +137,32 @@ function BaseNode({
         <span className="base-node__icon">{icon}</span>
         <span className="base-node__title">{title}</span>
         {type && <span className="base-node__type">{type}</span>}
+        {isPinned && (
+          <span
+            className="base-node__pin"
+            title="Pinned output: this node is skipped and replays its data"
+          >
+            📌
+          </span>
+        )}
+        {isCached && !isPinned && (
+          <span
+            className="base-node__pin"
+            title="Not re-run: result reused from the previous run"
+          >
+            ♻️
+          </span>
+        )}
+        {problems && (
+          <span
+            className={`base-node__problems base-node__problems--${
+              hasError ? "error" : "warning"
+            }`}
+            title={problems.map((p) => p.message).join("\n")}
+          >
+            {hasError ? "⛔" : "⚠️"} {problems.length}
+          </span>
+        )}
       </div>
 
       {/* Node Content */}
@@ -110,6 +177,17 @@ function BaseNode({
           className="base-node__handle base-node__handle--output"
         />
       )}
+
+      {/* Error Handle (Bottom Right) - receives {message, nodeId, input} */}
+      {hasErrorOutput && (
+        <Handle
+          type="source"
+          position={Position.Bottom}
+          id={getErrorHandleId(id)}
+          className="base-node__handle base-node__handle--error"
+          title="On Error"
+        />
+      )}
     </div>
   );
 }
@@ -120,10 +198,11 @@ BaseNode.propTypes = {
   type: PropTypes.string,
   icon: PropTypes.string,
   selected: PropTypes.bool,
-  status: PropTypes.oneOf(["idle", "running", "success", "error"]),
+  status: PropTypes.oneOf(["idle", "running", "success", "error", "skipped"]),
   children: PropTypes.node,
   hasWorkflowInput: PropTypes.bool,
   hasWorkflowOutput: PropTypes.bool,
+  hasErrorOutput: PropTypes.bool,
 };
 
 export default BaseNode;
@@ -1,12 +1,14 @@
 /**
  * Logic Nodes
- * IfElse, Switch, and Merge nodes.
+ * IfElse, Switch, Merge, Loop and Delay nodes.
  * Part of IOSANS Sovereign Architecture.
  */
 
 import { Handle, Position } from "reactflow"; // useReactFlow removed as it's no longer needed in these simplified nodes
 import PropTypes from "prop-types";
 import BaseNode from "../base/BaseNode.jsx";
+import useExecutionStore from "../../store/executionStore.js";
+import useWorkflowStore from "../../store/workflowStore.js";
 import "./LogicNodes.css";
 
 /**
@@ -154,7 +156,10 @@ export function MergeNode({
   selected = false,
   status = "idle",
 }) {
-  const { mergeStrategy = "object", expectedBranches = 2 } = data;
+  const { mergeStrategy = "object" } = data;
+  const branchCount = useWorkflowStore(
+    (state) => state.edges.filter((e) => e.target === id).length
+  );
 
   return (
     <BaseNode
@@ -173,7 +178,9 @@ export function MergeNode({
           Strategy: <code>{mergeStrategy}</code>
         </div>
         <div className="logic-node__branches-count">
-          Expecting {expectedBranches} branches
+          {mergeStrategy === "first"
+            ? `First of ${branchCount} branches`
+            : `Waiting for ${branchCount} branches`}
         </div>
       </div>
     </BaseNode>
@@ -187,6 +194,84 @@ MergeNode.propTypes = {
   status: PropTypes.string,
 };
 
+/**
+ * LoopNode - Runs the "body" branch once per array item,
+ * then fires "done" with the collected results
+ */
+export function LoopNode({ id, data = {}, selected = false, status = "idle" }) {
+  const { itemsPath = "", concurrency = 1 } = data;
+  const progress = useExecutionStore((state) =>
+    state.iterationProgress.get(id)
+  );
+
+  return (
+    <BaseNode
+      id={id}
+      title={data.label || "Loop"}
+      type="logic"
+      icon="🔁"
+      slots={[]}
+      selected={selected}
+      status={status}
+      hasWorkflowInput={true}
+      hasWorkflowOutput={false} // body / done handles below
+    >
+      <div className="logic-node">
+        <div className="logic-node__info">
+          Items: <code>{itemsPath || "input"}</code> · x{concurrency}
+        </div>
+        {progress && (
+          <div className="logic-node__progress">
+            <div
+              className="logic-node__progress-bar"
+              style={{
+                width: `${
+                  progress.total
+                    ? ((progress.completed + progress.failed) /
+                        progress.total) *
+                      100
+                    : 100
+                }%`,
+              }}
+            />
+            <span>
+              {progress.completed}/{progress.total}
+              {progress.failed > 0 && ` · ${progress.failed} failed`}
+            </span>
+          </div>
+        )}
+        <div className="logic-node__loop-handles">
+          <div className="logic-node__loop-handle">
+            ↻ Each item
+            <Handle
+              type="source"
+              position={Position.Right}
+              id={`${id}-body`}
+              style={{ top: "50%", right: -8 }}
+            />
+          </div>
+          <div className="logic-node__loop-handle">
+            ✓ Done
+            <Handle
+              type="source"
+              position={Position.Right}
+              id={`${id}-done`}
+              style={{ top: "50%", right: -8 }}
+            />
+          </div>
+        </div>
+      </div>
+    </BaseNode>
+  );
+}
+
+LoopNode.propTypes = {
+  id: PropTypes.string.isRequired,
+  data: PropTypes.object,
+  selected: PropTypes.bool,
+  status: PropTypes.string,
+};
+
 /**
  * Delay Node - Pauses execution
  */
@@ -28,6 +28,7 @@ export function ManualTriggerNode({
       selected={selected}
       status={status}
       hasWorkflowInput={false}
+      hasErrorOutput={false}
       hasWorkflowOutput={true}
     >
       <div className="trigger-node">
@@ -132,6 +133,7 @@ export function ScheduleTriggerNode({
       selected={selected}
       status={status}
       hasWorkflowInput={false}
+      hasErrorOutput={false}
       hasWorkflowOutput={true}
     >
       <div className="trigger-node">
@@ -0,0 +1,62 @@
+/**
+ * Credential Store
+ * Vault status and credential names for the UI. Secret values stay in
+ * utils/credentialVault.js and never enter this store.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { create } from "zustand";
+import * as credentialVault from "../utils/credentialVault.js";
+
+/**
+ * @typedef {import('../utils/credentialVault.js').CredentialSummary} CredentialSummary
+ */
+
+const useCredentialStore = create((set) => ({
+  // State
+  isLoaded: false,
+  isSetUp: false,
+  isUnlocked: false,
+  /** @type {CredentialSummary[]} */
+  entries: [],
+
+  refresh: async () => {
+    const status = await credentialVault.getVaultStatus();
+    set({ ...status, isLoaded: true });
+  },
+
+  /** @param {string} passphrase */
+  createVault: async (passphrase) => {
+    const entries = await credentialVault.createVault(passphrase);
+    set({ isSetUp: true, isUnlocked: true, entries });
+  },
+
+  /** @param {string} passphrase */
+  unlock: async (passphrase) => {
+    const entries = await credentialVault.unlockVault(passphrase);
+    set({ isUnlocked: true, entries });
+  },
+
+  lock: () => {
+    credentialVault.lockVault();
+    set({ isUnlocked: false });
+  },
+
+  /**
+   * @param {string} name
+   * @param {string} type
+   * @param {Object<string, string>} secret
+   */
+  saveCredential: async (name, type, secret) => {
+    const entries = await credentialVault.saveCredential(name, type, secret);
+    set({ entries });
+  },
+
+  /** @param {string} name */
+  deleteCredential: async (name) => {
+    const entries = await credentialVault.deleteCredential(name);
+    set({ entries });
+  },
+}));
+
+export default useCredentialStore;
@@ -1,6 +1,8 @@
 /**
  * Execution Store
  * Tracks runtime execution state - NOT persisted.
+ * Finished runs are archived to IndexedDB by utils/executionHistory.js and
+ * can be loaded back here for inspection.
  * Part of IOSANS Sovereign Architecture.
  */
 
@@ -9,13 +11,41 @@ import { create } from "zustand";
 /**
  * @typedef {Object} NodeResult
  * @property {string} nodeId
- * @property {'pending'|'running'|'success'|'error'} status
+ * @property {'pending'|'running'|'success'|'error'|'skipped'} status
+ *   skipped: on a branch that was not taken (none of its inputs fired)
  * @property {*} output - Node output data
  * @property {string} error - Error message if failed
+ * @property {boolean} [handled] - Error absorbed by the node's error policy
+ *   (output holds the substitute value passed downstream)
+ * @property {boolean} [cached] - Carried over from the previous run, not
+ *   executed in this one ("run from here")
  * @property {number} startTime
  * @property {number} endTime
+ * @property {import('../utils/llmMetrics.js').LLMMetrics} [metrics] - Token
+ *   usage and speed of LLM and Agent nodes
  */
 
+/**
+ * @typedef {Object} IterationProgress
+ * @property {number} total - Items to process
+ * @property {number} completed - Iterations finished successfully
+ * @property {number} failed - Iterations that threw
+ * @property {number} running - Iterations currently in flight
+ */
+
+/**
+ * Clears the held node, keeping its input for the engine under its id, so
+ * a node held next cannot overwrite it
+ * @param {Object} state
+ * @returns {Object} State changes
+ */
+function releaseHeldNode(state) {
+  if (!state.pausedNodeId) return { pausedNodeId: null, pausedInput: null };
+  const releasedInputs = new Map(state.releasedInputs);
+  releasedInputs.set(state.pausedNodeId, state.pausedInput);
+  return { pausedNodeId: null, pausedInput: null, releasedInputs };
+}
+
 const useExecutionStore = create((set, get) => ({
   // State
   isRunning: false,
@@ -23,10 +53,19 @@ const useExecutionStore = create((set, get) => ({
   currentNodeId: null,
   nodeResults: new Map(),
   edgeSnapshots: new Map(),
+  iterationProgress: new Map(), // loop nodeId -> IterationProgress
   logs: [],
   executionOrder: [],
   executionStartTime: null,
   executionEndTime: null,
+  viewingRunId: null, // Set while a past run from history is displayed
+
+  // Debugger (ExecutionEngine stops before nodes; see _waitForDebugger)
+  breakpoints: new Set(), // nodeIds to stop before, kept across runs
+  pausedNodeId: null, // Node held at a breakpoint or after a step
+  pausedInput: null, // Its input, editable until it runs
+  releasedInputs: new Map(), // nodeId -> input it was released with
+  stepMode: false, // Stop before the next node that starts
 
   // Execution Control
   startExecution: (nodeOrder = []) =>
@@ -36,10 +75,16 @@ const useExecutionStore = create((set, get) => ({
       currentNodeId: null,
       nodeResults: new Map(),
       edgeSnapshots: new Map(),
+      iterationProgress: new Map(),
       logs: [],
       executionOrder: nodeOrder,
       executionStartTime: Date.now(),
       executionEndTime: null,
+      viewingRunId: null,
+      pausedNodeId: null,
+      pausedInput: null,
+      releasedInputs: new Map(),
+      stepMode: false,
     }),
 
   stopExecution: () =>
@@ -48,23 +93,114 @@ const useExecutionStore = create((set, get) => ({
       isPaused: false,
       currentNodeId: null,
       executionEndTime: Date.now(),
+      pausedNodeId: null,
+      pausedInput: null,
+      releasedInputs: new Map(),
+      stepMode: false,
     }),
 
   pauseExecution: () => set({ isPaused: true }),
 
-  resumeExecution: () => set({ isPaused: false }),
+  resumeExecution: () =>
+    set((state) => ({
+      ...releaseHeldNode(state),
+      isPaused: false,
+      stepMode: false,
+    })),
+
+  // Debugger Actions
+  /** @param {string} nodeId */
+  toggleBreakpoint: (nodeId) =>
+    set((state) => {
+      const breakpoints = new Set(state.breakpoints);
+      if (breakpoints.has(nodeId)) breakpoints.delete(nodeId);
+      else breakpoints.add(nodeId);
+      return { breakpoints };
+    }),
+
+  clearBreakpoints: () => set({ breakpoints: new Set() }),
+
+  /**
+   * Holds the run before a node (called by the engine)
+   * @param {string} nodeId
+   * @param {*} input - What the node is about to receive
+   */
+  pauseAtNode: (nodeId, input) =>
+    set({
+      isPaused: true,
+      pausedNodeId: nodeId,
+      pausedInput: input,
+      stepMode: false,
+    }),
+
+  /** @param {*} input - Replaces the held node's input */
+  setPausedInput: (input) => set({ pausedInput: input }),
+
+  /** Runs the held node (or the next waiting one) and stops before the next */
+  stepOver: () =>
+    set((state) => ({
+      ...releaseHeldNode(state),
+      isPaused: false,
+      stepMode: true,
+    })),
+
+  /**
+   * Hands a released node its (possibly edited) input, once
+   * @param {string} nodeId
+   * @returns {*}
+   */
+  takeReleasedInput: (nodeId) => {
+    const releasedInputs = new Map(get().releasedInputs);
+    const input = releasedInputs.get(nodeId);
+    releasedInputs.delete(nodeId);
+    set({ releasedInputs });
+    return input;
+  },
+
+  /**
+   * Restores a persisted run so the canvas renders it as it was
+   * @param {import('../utils/executionHistory.js').RunRecord} run
+   */
+  loadRun: (run) =>
+    set({
+      isRunning: false,
+      isPaused: false,
+      currentNodeId: null,
+      nodeResults: new Map(run.nodeResults),
+      edgeSnapshots: new Map(run.edgeSnapshots),
+      iterationProgress: new Map(),
+      logs: run.logs,
+      executionOrder: run.workflow?.nodes.map((n) => n.id) || [],
+      executionStartTime: run.startTime,
+      executionEndTime: run.endTime,
+      viewingRunId: run.id,
+      pausedNodeId: null,
+      pausedInput: null,
+      releasedInputs: new Map(),
+      stepMode: false,
+    }),
 
   // Log Actions
-  addLog: (log) =>
+  addLog: (log) => {
+    const id = Math.random().toString(36).slice(2, 11);
     set((state) => ({
       logs: [
         ...state.logs,
         {
-          id: Math.random().toString(36).substr(2, 9),
+          id,
           timestamp: Date.now(),
           ...log,
         },
       ],
+    }));
+    return id;
+  },
+
+  updateLog: (logId, updates) =>
+    set((state) => ({
+      logs: state.logs.map((log) =>
+        log.id === logId ? { ...log, ...updates } : log
+      ),
     })),
 
   clearLogs: () => set({ logs: [] }),
@@ -97,7 +233,7 @@ const useExecutionStore = create((set, get) => ({
       return { nodeResults: results, currentNodeId: nodeId };
     }),
 
-  setNodeSuccess: (nodeId, output) =>
+  setNodeSuccess: (nodeId, output, { metrics = null } = {}) =>
     set((state) => {
       const results = new Map(state.nodeResults);
       const existing = results.get(nodeId) || {};
@@ -107,12 +243,13 @@ const useExecutionStore = create((set, get) => ({
         status: "success",
         output,
         error: null,
+        metrics,
         endTime: Date.now(),
       });
       return { nodeResults: results };
     }),
 
-  setNodeError: (nodeId, error) =>
+  setNodeError: (nodeId, error, { handled = false, output = null } = {}) =>
     set((state) => {
       const results = new Map(state.nodeResults);
       const existing = results.get(nodeId) || {};
@@ -120,7 +257,8 @@ const useExecutionStore = create((set, get) => ({
         ...existing,
         nodeId,
         status: "error",
-        output: null,
+        handled,
+        output,
         error:
           typeof error === "string" ? error : error?.message || String(error),
         endTime: Date.now(),
@@ -128,8 +266,45 @@ const useExecutionStore = create((set, get) => ({
       return { nodeResults: results };
     }),
 
+  setNodeSkipped: (nodeId) =>
+    set((state) => {
+      const results = new Map(state.nodeResults);
+      results.set(nodeId, {
+        nodeId,
+        status: "skipped",
+        output: null,
+        error: null,
+        startTime: null,
+        endTime: Date.now(),
+      });
+      return { nodeResults: results };
+    }),
+
+  /**
+   * Carries a result over from the previous run ("run from here")
+   * @param {string} nodeId
+   * @param {NodeResult} result
+   */
+  restoreNodeResult: (nodeId, result) =>
+    set((state) => {
+      const results = new Map(state.nodeResults);
+      results.set(nodeId, { ...result, nodeId, cached: true });
+      return { nodeResults: results };
+    }),
+
   getNodeResult: (nodeId) => get().nodeResults.get(nodeId),
 
+  /**
+   * @param {string} nodeId
+   * @param {IterationProgress} progress
+   */
+  setIterationProgress: (nodeId, progress) =>
+    set((state) => {
+      const iterationProgress = new Map(state.iterationProgress);
+      iterationProgress.set(nodeId, progress);
+      return { iterationProgress };
+    }),
+
   // Edge Snapshot Actions
   setEdgeSnapshot: (edgeId, data) =>
     set((state) => {
@@ -155,7 +330,9 @@ const useExecutionStore = create((set, get) => ({
     set({
       nodeResults: new Map(),
       edgeSnapshots: new Map(),
+      iterationProgress: new Map(),
       currentNodeId: null,
+      viewingRunId: null,
     }),
 
   resetExecution: () =>
@@ -163,11 +340,16 @@ const useExecutionStore = create((set, get) => ({
       isRunning: false,
       isPaused: false,
       currentNodeId: null,
+      pausedNodeId: null,
+      pausedInput: null,
+      stepMode: false,
       nodeResults: new Map(),
       edgeSnapshots: new Map(),
+      iterationProgress: new Map(),
       executionOrder: [],
       executionStartTime: null,
       executionEndTime: null,
+      viewingRunId: null,
     }),
 
   // Selectors
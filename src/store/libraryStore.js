@@ -0,0 +1,144 @@
+/**
+ * Library Store
+ * Workflow library listing and open tabs. Records live in IndexedDB
+ * (utils/workflowLibrary.js); only the tab strip is kept in localStorage.
+ * Swapping the canvas itself is left to the editor, which owns it.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { create } from "zustand";
+import { persist, createJSONStorage } from "zustand/middleware";
+import * as workflowLibrary from "../utils/workflowLibrary.js";
+import { deleteVersionsOf } from "../utils/workflowVersions.js";
+
+/**
+ * @typedef {import('../utils/workflowLibrary.js').WorkflowSummary} WorkflowSummary
+ */
+
+// Shared so a double-mounted editor (StrictMode) migrates only once
+let initialization = null;
+
+const useLibraryStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      /** @type {WorkflowSummary[]} */
+      workflows: [],
+      openTabIds: [],
+      activeWorkflowId: null,
+      isLoaded: false,
+
+      /**
+       * Migrates the legacy canvas, loads the listing and picks the
+       * workflow to show (last active, else newest, else a new one).
+       * @returns {Promise<import('../utils/workflowLibrary.js').WorkflowRecord>}
+       */
+      initialize: () => {
+        initialization ??= (async () => {
+          const migrated = await workflowLibrary.migrateLegacyWorkflow();
+          await get().refresh();
+
+          const known = new Set(get().workflows.map((w) => w.id));
+          let openTabIds = get().openTabIds.filter((id) => known.has(id));
+          let activeId = migrated?.id || get().activeWorkflowId;
+
+          if (!known.has(activeId)) {
+            activeId = openTabIds[0] || get().workflows[0]?.id;
+          }
+          if (!activeId) {
+            activeId = (await get().createWorkflow()).id;
+          }
+          if (!openTabIds.includes(activeId)) {
+            openTabIds = [...openTabIds, activeId];
+          }
+
+          set({ openTabIds, activeWorkflowId: activeId });
+          return workflowLibrary.getWorkflow(activeId);
+        })();
+        return initialization;
+      },
+
+      refresh: async () => {
+        const workflows = await workflowLibrary.listWorkflows();
+        set({ workflows, isLoaded: true });
+      },
+
+      /**
+       * @param {string} [name]
+       * @returns {Promise<import('../utils/workflowLibrary.js').WorkflowRecord>}
+       */
+      createWorkflow: async (name = "Untitled workflow") => {
+        const record = await workflowLibrary.saveWorkflow({ name });
+        await get().refresh();
+        return record;
+      },
+
+      /**
+       * Updates name / description / tags
+       * @param {string} id
+       * @param {{name?: string, description?: string, tags?: string[]}} details
+       */
+      updateDetails: async (id, details) => {
+        await workflowLibrary.saveWorkflow({ ...details, id });
+        await get().refresh();
+      },
+
+      duplicateWorkflow: async (id) => {
+        const record = await workflowLibrary.duplicateWorkflow(id);
+        await get().refresh();
+        return record;
+      },
+
+      deleteWorkflow: async (id) => {
+        await workflowLibrary.deleteWorkflow(id);
+        await deleteVersionsOf(id);
+        set((state) => ({
+          openTabIds: state.openTabIds.filter((tabId) => tabId !== id),
+        }));
+        await get().refresh();
+      },
+
+      recordRun: async (id, status, at) => {
+        await workflowLibrary.recordWorkflowRun(id, status, at);
+        await get().refresh();
+      },
+
+      // Tab Actions
+      openTab: (id) =>
+        set((state) => ({
+          openTabIds: state.openTabIds.includes(id)
+            ? state.openTabIds
+            : [...state.openTabIds, id],
+          activeWorkflowId: id,
+        })),
+
+      /**
+       * Removes a tab; returns the neighbour to show if it was active
+       * @param {string} id
+       * @returns {string|null}
+       */
+      closeTab: (id) => {
+        const { openTabIds, activeWorkflowId } = get();
+        const index = openTabIds.indexOf(id);
+        const remaining = openTabIds.filter((tabId) => tabId !== id);
+        set({ openTabIds: remaining });
+
+        if (id !== activeWorkflowId) return null;
+        return remaining[Math.min(index, remaining.length - 1)] || null;
+      },
+
+      // Selectors
+      getSummary: (id) => get().workflows.find((w) => w.id === id),
+    }),
+    {
+      name: "iosans-library",
+      storage: createJSONStorage(() => localStorage),
+      partialize: (state) => ({
+        openTabIds: state.openTabIds,
+        activeWorkflowId: state.activeWorkflowId,
+      }),
+    }
+  )
+);
+
+export default useLibraryStore;
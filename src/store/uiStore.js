@@ -12,7 +12,7 @@ const useUIStore = create((set) => ({
    * @param {Object} toast - { message, type: 'error'|'success'|'warning'|'info', duration }
    */
   addToast: (toast) => {
-    const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2);
     set((state) => ({
       toasts: [...state.toasts, { ...toast, id }],
     }));
@@ -0,0 +1,45 @@
+/**
+ * Validation Store
+ * Problems found by the last pre-run validation, for the Problems list
+ * and the badges on offending nodes.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { create } from "zustand";
+
+/**
+ * @typedef {import('../engine/graphValidation.js').GraphProblem} GraphProblem
+ */
+
+const groupByNode = (problems) => {
+  const byNode = new Map();
+  problems.forEach((problem) => {
+    if (!problem.nodeId) return;
+    byNode.set(problem.nodeId, [
+      ...(byNode.get(problem.nodeId) || []),
+      problem,
+    ]);
+  });
+  return byNode;
+};
+
+const useValidationStore = create((set) => ({
+  // State
+  /** @type {GraphProblem[]} */
+  problems: [],
+  /** @type {Map<string, GraphProblem[]>} nodeId -> problems (stable per update) */
+  byNode: new Map(),
+  blockedAt: null, // Last time a run was refused, to bring the list up
+
+  /** @param {GraphProblem[]} problems */
+  setProblems: (problems) => set({ problems, byNode: groupByNode(problems) }),
+
+  /** @param {GraphProblem[]} problems - Includes at least one error */
+  reportBlockedRun: (problems) =>
+    set({ problems, byNode: groupByNode(problems), blockedAt: Date.now() }),
+
+  clearProblems: () =>
+    set({ problems: [], byNode: new Map(), blockedAt: null }),
+}));
+
+export default useValidationStore;
@@ -0,0 +1,154 @@
+/**
+ * Version Store
+ * Named snapshots of the open workflow and the comparison shown on the
+ * canvas. Records live in IndexedDB (utils/workflowVersions.js).
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { useMemo } from "react";
+import { create } from "zustand";
+import * as workflowVersions from "../utils/workflowVersions.js";
+import { diffWorkflows } from "../utils/workflowDiff.js";
+import useWorkflowStore from "./workflowStore.js";
+
+/**
+ * @typedef {import('../utils/workflowVersions.js').VersionSummary} VersionSummary
+ */
+
+/**
+ * One side of a comparison: a saved version or the canvas
+ * @typedef {Object} ComparedSide
+ * @property {string} id - Version id, or CURRENT
+ * @property {string} name
+ * @property {Array} nodes
+ * @property {Array} edges
+ * @property {Object<string, string>} variables
+ */
+
+/**
+ * Versions being compared. A CURRENT side holds no graph: it follows the
+ * canvas (see useComparison).
+ * @typedef {Object} Comparison
+ * @property {ComparedSide|{id: string, name: string}} before
+ * @property {ComparedSide|{id: string, name: string}} after
+ */
+
+// Pseudo version id of the canvas as it is now
+export const CURRENT = "current";
+
+const loadSide = async (id) => {
+  if (id === CURRENT) return { id: CURRENT, name: "Current" };
+  const version = await workflowVersions.getVersion(id);
+  if (!version) throw new Error("Version not found");
+  return version;
+};
+
+const useVersionStore = create((set, get) => ({
+  // State
+  workflowId: null,
+  /** @type {VersionSummary[]} */
+  versions: [],
+  /** @type {Comparison|null} */
+  comparison: null,
+
+  /**
+   * Loads the version list of a workflow
+   * @param {string} workflowId
+   */
+  refresh: async (workflowId = get().workflowId) => {
+    if (!workflowId) return;
+    const versions = await workflowVersions.listVersions(workflowId);
+    // Ignore a slow answer for a workflow that is no longer open
+    if (workflowId !== useWorkflowStore.getState().workflowId) return;
+    set({ workflowId, versions });
+  },
+
+  /**
+   * Snapshots the open workflow under a name
+   * @param {string} name
+   * @returns {Promise<import('../utils/workflowVersions.js').VersionRecord>}
+   */
+  saveVersion: async (name) => {
+    const workflow = useWorkflowStore.getState();
+    const record = await workflowVersions.saveVersion(
+      workflow.workflowId,
+      name,
+      workflow
+    );
+    await get().refresh(workflow.workflowId);
+    return record;
+  },
+
+  deleteVersion: async (id) => {
+    await workflowVersions.deleteVersion(id);
+    const { comparison } = get();
+    if (comparison?.before.id === id || comparison?.after.id === id) {
+      set({ comparison: null });
+    }
+    await get().refresh();
+  },
+
+  /**
+   * Compares two versions (either may be CURRENT)
+   * @param {string} beforeId
+   * @param {string} afterId
+   */
+  compare: async (beforeId, afterId) => {
+    const [before, after] = await Promise.all([
+      loadSide(beforeId),
+      loadSide(afterId),
+    ]);
+    set({ comparison: { before, after } });
+  },
+
+  /**
+   * Puts a version's graph, variables and schemas back on the canvas as
+   * one undo step. The workflow keeps its name and library identity.
+   * @param {string} id
+   * @returns {Promise<import('../utils/workflowVersions.js').VersionRecord>}
+   */
+  restoreVersion: async (id) => {
+    const version = await workflowVersions.getVersion(id);
+    if (!version) throw new Error("Version not found");
+
+    const workflow = useWorkflowStore.getState();
+    workflow.transact(() => {
+      workflow.setNodes(version.nodes);
+      workflow.setEdges(version.edges);
+      workflow.setVariables(version.variables);
+      workflow.setWorkflowMeta({
+        inputSchema: version.inputSchema,
+        outputSchema: version.outputSchema,
+      });
+    });
+    set({ comparison: null });
+    return version;
+  },
+
+  closeComparison: () => set({ comparison: null }),
+
+  /** Forgets the previous workflow's versions when another one opens */
+  reset: (workflowId) => set({ workflowId, versions: [], comparison: null }),
+}));
+
+export default useVersionStore;
+
+/**
+ * The open comparison with its diff, kept up to date with the canvas
+ * @returns {(Comparison & {diff: import('../utils/workflowDiff.js').WorkflowDiff})|null}
+ */
+export function useComparison() {
+  const comparison = useVersionStore((state) => state.comparison);
+  const nodes = useWorkflowStore((state) => state.nodes);
+  const edges = useWorkflowStore((state) => state.edges);
+  const variables = useWorkflowStore((state) => state.variables);
+
+  return useMemo(() => {
+    if (!comparison) return null;
+    const resolve = (side) =>
+      side.id === CURRENT ? { ...side, nodes, edges, variables } : side;
+    const before = resolve(comparison.before);
+    const after = resolve(comparison.after);
+    return { before, after, diff: diffWorkflows(before, after) };
+  }, [comparison, nodes, edges, variables]);
+}
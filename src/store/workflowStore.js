@@ -1,11 +1,12 @@
 /**
  * Workflow Store
- * Central state for nodes and edges with localStorage persistence.
+ * Central state for the nodes and edges of the open workflow, the single
+ * source for the canvas, Inspector and autosave, with undo / redo history.
+ * Saving is done by the editor into the workflow library (see libraryStore.js).
  * Part of IOSANS Sovereign Architecture.
  */
 
 import { create } from "zustand";
-import { persist, createJSONStorage } from "zustand/middleware";
 import { v4 as uuidv4 } from "uuid";
 
 /**
@@ -25,177 +26,361 @@ import { v4 as uuidv4 } from "uuid";
  * @property {string} targetHandle - Target handle ID
  */
 
-const useWorkflowStore = create(
-  persist(
-    (set, get) => ({
-      // State
+/**
+ * Workflow variables: name -> string value, readable in any node field
+ * as {{ $vars.name }}
+ * @typedef {Object<string, string>} WorkflowVariables
+ */
+
+/**
+ * Library identity and call interface of the open workflow
+ * (see utils/workflowLibrary.js and utils/workflowSchema.js)
+ * @typedef {Object} WorkflowMeta
+ * @property {string|null} workflowId - Library id once saved
+ * @property {string} workflowName
+ * @property {import('../utils/workflowSchema.js').SchemaField[]} inputSchema
+ * @property {import('../utils/workflowSchema.js').SchemaField[]} outputSchema
+ */
+
+/**
+ * Undo / redo entry: the editable parts of the workflow before a change
+ * @typedef {Object} HistoryEntry
+ * @property {Pick<WorkflowMeta, 'workflowName'|'inputSchema'|'outputSchema'> & {nodes: Node[], edges: Edge[], variables: WorkflowVariables}} snapshot
+ * @property {string|null} key - Coalescing key (e.g. "node:<id>" for typing)
+ * @property {number} time - Last change folded into this entry
+ */
+
+const HISTORY_LIMIT = 100;
+// Edits with the same key this close together form one undo step
+const COALESCE_WINDOW = 1000;
+
+const HISTORY_FIELDS = [
+  "nodes",
+  "edges",
+  "variables",
+  "workflowName",
+  "inputSchema",
+  "outputSchema",
+];
+
+const takeSnapshot = (state) =>
+  Object.fromEntries(HISTORY_FIELDS.map((field) => [field, state[field]]));
+
+// Nesting depth of transact(); inner actions add no entries of their own
+let transactionDepth = 0;
+
+const useWorkflowStore = create((set, get) => ({
+  // State
+  nodes: [],
+  edges: [],
+  variables: {},
+  workflowId: null,
+  workflowName: "Untitled workflow",
+  inputSchema: [],
+  outputSchema: [],
+  selectedNodeIds: [],
+  selectedEdgeIds: [],
+  /** @type {HistoryEntry[]} */
+  past: [],
+  /** @type {HistoryEntry[]} */
+  future: [],
+
+  // History Actions
+  /**
+   * Records the current state as one undo step, before a change.
+   * Consecutive calls with the same key within COALESCE_WINDOW extend
+   * the previous step instead (rapid typing in one field).
+   * @param {string} [key]
+   */
+  checkpoint: (key = null) => {
+    if (transactionDepth > 0) return;
+
+    set((state) => {
+      const now = Date.now();
+      const last = state.past[state.past.length - 1];
+      if (key && last?.key === key && now - last.time < COALESCE_WINDOW) {
+        return {
+          past: [...state.past.slice(0, -1), { ...last, time: now }],
+          future: [],
+        };
+      }
+      return {
+        past: [
+          ...state.past,
+          { snapshot: takeSnapshot(state), key, time: now },
+        ].slice(-HISTORY_LIMIT),
+        future: [],
+      };
+    });
+  },
+
+  /**
+   * Runs several actions as a single undo step
+   * @param {() => void} fn
+   * @param {string} [key]
+   */
+  transact: (fn, key) => {
+    get().checkpoint(key);
+    transactionDepth += 1;
+    try {
+      fn();
+    } finally {
+      transactionDepth -= 1;
+    }
+  },
+
+  undo: () =>
+    set((state) => {
+      const entry = state.past[state.past.length - 1];
+      if (!entry) return state;
+      return {
+        ...entry.snapshot,
+        past: state.past.slice(0, -1),
+        future: [
+          { snapshot: takeSnapshot(state), key: null, time: 0 },
+          ...state.future,
+        ],
+      };
+    }),
+
+  redo: () =>
+    set((state) => {
+      const [entry, ...future] = state.future;
+      if (!entry) return state;
+      return {
+        ...entry.snapshot,
+        past: [
+          ...state.past,
+          { snapshot: takeSnapshot(state), key: null, time: 0 },
+        ],
+        future,
+      };
+    }),
+
+  // Node Actions
+  addNode: (node) => {
+    get().checkpoint();
+    set((state) => ({
+      nodes: [
+        ...state.nodes,
+        {
+          id: node.id || uuidv4(),
+          type: node.type,
+          position: node.position || { x: 0, y: 0 },
+          data: node.data || {},
+          ...node,
+        },
+      ],
+    }));
+  },
+
+  updateNode: (nodeId, updates) => {
+    get().checkpoint(`node:${nodeId}`);
+    set((state) => ({
+      nodes: state.nodes.map((node) =>
+        node.id === nodeId ? { ...node, ...updates } : node
+      ),
+    }));
+  },
+
+  updateNodeData: (nodeId, dataUpdates) => {
+    get().checkpoint(`node:${nodeId}`);
+    set((state) => ({
+      nodes: state.nodes.map((node) =>
+        node.id === nodeId
+          ? { ...node, data: { ...node.data, ...dataUpdates } }
+          : node
+      ),
+    }));
+  },
+
+  removeNode: (nodeId) => {
+    get().checkpoint();
+    set((state) => ({
+      nodes: state.nodes.filter((node) => node.id !== nodeId),
+      edges: state.edges.filter(
+        (edge) => edge.source !== nodeId && edge.target !== nodeId
+      ),
+    }));
+  },
+
+  removeNodes: (nodeIds) => {
+    get().checkpoint();
+    set((state) => ({
+      nodes: state.nodes.filter((node) => !nodeIds.includes(node.id)),
+      edges: state.edges.filter(
+        (edge) =>
+          !nodeIds.includes(edge.source) && !nodeIds.includes(edge.target)
+      ),
+    }));
+  },
+
+  /**
+   * Replaces nodes without recording history (React Flow internals, run
+   * status); call checkpoint() / transact() first for user edits
+   * @param {Node[] | ((nodes: Node[]) => Node[])} nodes - Value or updater
+   */
+  setNodes: (nodes) =>
+    set((state) => ({
+      nodes: typeof nodes === "function" ? nodes(state.nodes) : nodes,
+    })),
+
+  // Edge Actions
+  addEdge: (edge) => {
+    // Prevent duplicate edges
+    const exists = get().edges.some(
+      (e) =>
+        e.source === edge.source &&
+        e.sourceHandle === edge.sourceHandle &&
+        e.target === edge.target &&
+        e.targetHandle === edge.targetHandle
+    );
+    if (exists) return;
+
+    get().checkpoint();
+    set((state) => ({
+      edges: [
+        ...state.edges,
+        {
+          id: edge.id || uuidv4(),
+          ...edge,
+        },
+      ],
+    }));
+  },
+
+  updateEdge: (edgeId, updates) => {
+    get().checkpoint(`edge:${edgeId}`);
+    set((state) => ({
+      edges: state.edges.map((edge) =>
+        edge.id === edgeId ? { ...edge, ...updates } : edge
+      ),
+    }));
+  },
+
+  removeEdge: (edgeId) => {
+    get().checkpoint();
+    set((state) => ({
+      edges: state.edges.filter((edge) => edge.id !== edgeId),
+    }));
+  },
+
+  removeEdges: (edgeIds) => {
+    get().checkpoint();
+    set((state) => ({
+      edges: state.edges.filter((edge) => !edgeIds.includes(edge.id)),
+    }));
+  },
+
+  /**
+   * Replaces edges without recording history (see setNodes)
+   * @param {Edge[] | ((edges: Edge[]) => Edge[])} edges - Value or updater
+   */
+  setEdges: (edges) =>
+    set((state) => ({
+      edges: typeof edges === "function" ? edges(state.edges) : edges,
+    })),
+
+  // Variable Actions
+  setVariable: (name, value) => {
+    get().checkpoint(`variable:${name}`);
+    set((state) => ({
+      variables: { ...state.variables, [name]: value },
+    }));
+  },
+
+  removeVariable: (name) => {
+    get().checkpoint();
+    set((state) => {
+      const variables = { ...state.variables };
+      delete variables[name];
+      return { variables };
+    });
+  },
+
+  setVariables: (variables) => {
+    get().checkpoint();
+    set({ variables });
+  },
+
+  /** @param {Partial<WorkflowMeta>} meta */
+  setWorkflowMeta: (meta) => {
+    // Library identity is not an edit
+    const edited = Object.keys(meta).filter((key) => key !== "workflowId");
+    if (edited.length > 0) get().checkpoint(`meta:${edited.join(",")}`);
+    set(meta);
+  },
+
+  // Selection Actions
+  setSelectedNodes: (nodeIds) => set({ selectedNodeIds: nodeIds }),
+
+  setSelectedEdges: (edgeIds) => set({ selectedEdgeIds: edgeIds }),
+
+  clearSelection: () => set({ selectedNodeIds: [], selectedEdgeIds: [] }),
+
+  // Bulk Actions
+  clearWorkflow: () =>
+    set({
       nodes: [],
       edges: [],
+      variables: {},
+      workflowId: null,
+      workflowName: "Untitled workflow",
+      inputSchema: [],
+      outputSchema: [],
       selectedNodeIds: [],
       selectedEdgeIds: [],
+      past: [],
+      future: [],
+    }),
 
-      // Node Actions
-      addNode: (node) =>
-        set((state) => ({
-          nodes: [
-            ...state.nodes,
-            {
-              id: node.id || uuidv4(),
-              type: node.type,
-              position: node.position || { x: 0, y: 0 },
-              data: node.data || {},
-              ...node,
-            },
-          ],
-        })),
-
-      updateNode: (nodeId, updates) =>
-        set((state) => ({
-          nodes: state.nodes.map((node) =>
-            node.id === nodeId ? { ...node, ...updates } : node
-          ),
-        })),
-
-      updateNodeData: (nodeId, dataUpdates) =>
-        set((state) => ({
-          nodes: state.nodes.map((node) =>
-            node.id === nodeId
-              ? { ...node, data: { ...node.data, ...dataUpdates } }
-              : node
-          ),
-        })),
-
-      removeNode: (nodeId) =>
-        set((state) => ({
-          nodes: state.nodes.filter((node) => node.id !== nodeId),
-          edges: state.edges.filter(
-            (edge) => edge.source !== nodeId && edge.target !== nodeId
-          ),
-        })),
-
-      removeNodes: (nodeIds) =>
-        set((state) => ({
-          nodes: state.nodes.filter((node) => !nodeIds.includes(node.id)),
-          edges: state.edges.filter(
-            (edge) =>
-              !nodeIds.includes(edge.source) && !nodeIds.includes(edge.target)
-          ),
-        })),
-
-      setNodes: (nodes) => set({ nodes }),
-
-      // Edge Actions
-      addEdge: (edge) =>
-        set((state) => {
-          // Prevent duplicate edges
-          const exists = state.edges.some(
-            (e) =>
-              e.source === edge.source &&
-              e.sourceHandle === edge.sourceHandle &&
-              e.target === edge.target &&
-              e.targetHandle === edge.targetHandle
-          );
-          if (exists) return state;
-
-          return {
-            edges: [
-              ...state.edges,
-              {
-                id: edge.id || uuidv4(),
-                ...edge,
-              },
-            ],
-          };
-        }),
-
-      updateEdge: (edgeId, updates) =>
-        set((state) => ({
-          edges: state.edges.map((edge) =>
-            edge.id === edgeId ? { ...edge, ...updates } : edge
-          ),
-        })),
-
-      removeEdge: (edgeId) =>
-        set((state) => ({
-          edges: state.edges.filter((edge) => edge.id !== edgeId),
-        })),
-
-      removeEdges: (edgeIds) =>
-        set((state) => ({
-          edges: state.edges.filter((edge) => !edgeIds.includes(edge.id)),
-        })),
-
-      setEdges: (edges) => set({ edges }),
-
-      // Selection Actions
-      setSelectedNodes: (nodeIds) => set({ selectedNodeIds: nodeIds }),
-
-      setSelectedEdges: (edgeIds) => set({ selectedEdgeIds: edgeIds }),
-
-      clearSelection: () => set({ selectedNodeIds: [], selectedEdgeIds: [] }),
-
-      // Bulk Actions
-      clearWorkflow: () =>
-        set({
-          nodes: [],
-          edges: [],
-          selectedNodeIds: [],
-          selectedEdgeIds: [],
-        }),
-
-      loadWorkflow: (workflow) =>
-        set({
-          nodes: workflow.nodes || [],
-          edges: workflow.edges || [],
-          selectedNodeIds: [],
-          selectedEdgeIds: [],
-        }),
-
-      // Selectors (accessed via get())
-      getNode: (nodeId) => get().nodes.find((node) => node.id === nodeId),
-
-      getEdge: (edgeId) => get().edges.find((edge) => edge.id === edgeId),
-
-      getConnectedEdges: (nodeId) =>
-        get().edges.filter(
-          (edge) => edge.source === nodeId || edge.target === nodeId
-        ),
-
-      getIncomingEdges: (nodeId) =>
-        get().edges.filter((edge) => edge.target === nodeId),
-
-      getOutgoingEdges: (nodeId) =>
-        get().edges.filter((edge) => edge.source === nodeId),
-
-      getUpstreamNodes: (nodeId) => {
-        const state = get();
-        const incomingEdges = state.edges.filter(
-          (edge) => edge.target === nodeId
-        );
-        return incomingEdges
-          .map((edge) => state.nodes.find((node) => node.id === edge.source))
-          .filter(Boolean);
-      },
-
-      getDownstreamNodes: (nodeId) => {
-        const state = get();
-        const outgoingEdges = state.edges.filter(
-          (edge) => edge.source === nodeId
-        );
-        return outgoingEdges
-          .map((edge) => state.nodes.find((node) => node.id === edge.target))
-          .filter(Boolean);
-      },
+  loadWorkflow: (workflow) =>
+    set({
+      nodes: workflow.nodes || [],
+      edges: workflow.edges || [],
+      variables: workflow.variables || {},
+      workflowId: workflow.id || null,
+      workflowName: workflow.name || "Untitled workflow",
+      inputSchema: workflow.inputSchema || [],
+      outputSchema: workflow.outputSchema || [],
+      selectedNodeIds: [],
+      selectedEdgeIds: [],
+      // History belongs to one workflow
+      past: [],
+      future: [],
     }),
-    {
-      name: "iosans-workflow",
-      storage: createJSONStorage(() => localStorage),
-      partialize: (state) => ({
-        nodes: state.nodes,
-        edges: state.edges,
-      }),
-    }
-  )
-);
+
+  // Selectors (accessed via get())
+  getNode: (nodeId) => get().nodes.find((node) => node.id === nodeId),
+
+  getEdge: (edgeId) => get().edges.find((edge) => edge.id === edgeId),
+
+  getConnectedEdges: (nodeId) =>
+    get().edges.filter(
+      (edge) => edge.source === nodeId || edge.target === nodeId
+    ),
+
+  getIncomingEdges: (nodeId) =>
+    get().edges.filter((edge) => edge.target === nodeId),
+
+  getOutgoingEdges: (nodeId) =>
+    get().edges.filter((edge) => edge.source === nodeId),
+
+  getUpstreamNodes: (nodeId) => {
+    const state = get();
+    const incomingEdges = state.edges.filter((edge) => edge.target === nodeId);
+    return incomingEdges
+      .map((edge) => state.nodes.find((node) => node.id === edge.source))
+      .filter(Boolean);
+  },
+
+  getDownstreamNodes: (nodeId) => {
+    const state = get();
+    const outgoingEdges = state.edges.filter((edge) => edge.source === nodeId);
+    return outgoingEdges
+      .map((edge) => state.nodes.find((node) => node.id === edge.target))
+      .filter(Boolean);
+  },
+}));
 
 export default useWorkflowStore;
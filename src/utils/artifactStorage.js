@@ -4,31 +4,8 @@
  * Part of IOSANS Sovereign Architecture - Local-First, Privacy-guaranteed.
  */
 
-import { openDB } from "idb";
 import { v4 as uuidv4 } from "uuid";
-
-const DB_NAME = "IOSANS_DB";
-const DB_VERSION = 1;
-const ARTIFACTS_STORE = "artifacts";
-
-/**
- * Gets or creates the IndexedDB database instance.
- * @returns {Promise<IDBDatabase>}
- */
-async function getDatabase() {
-  return openDB(DB_NAME, DB_VERSION, {
-    upgrade(db) {
-      // Create artifacts store with id as keyPath
-      if (!db.objectStoreNames.contains(ARTIFACTS_STORE)) {
-        const store = db.createObjectStore(ARTIFACTS_STORE, { keyPath: "id" });
-        // Create indexes for efficient querying
-        store.createIndex("type", "type");
-        store.createIndex("createdAt", "createdAt");
-        console.log("[ArtifactStorage] Created artifacts store");
-      }
-    },
-  });
-}
+import { getDatabase, ARTIFACTS_STORE } from "./database.js";
 
 /**
  * Saves a binary artifact to IndexedDB.
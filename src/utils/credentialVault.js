@@ -0,0 +1,223 @@
+/**
+ * Credential Vault
+ * Secrets encrypted with WebCrypto (AES-GCM, key derived from a user
+ * passphrase with PBKDF2) and kept in IndexedDB. Only names and types are
+ * stored in clear; values are decrypted into memory on unlock and handed
+ * to nodes at execution time. Nothing is kept across a page reload.
+ * Part of IOSANS Sovereign Architecture - Local-First, Privacy-guaranteed.
+ */
+
+import { getDatabase, CREDENTIALS_STORE } from "./database.js";
+import { CREDENTIAL_TYPES } from "./credentials.js";
+
+/** @typedef {import('./credentials.js').Credential} Credential */
+
+/**
+ * @typedef {Object} CredentialSummary
+ * @property {string} name
+ * @property {string} type
+ * @property {number} updatedAt
+ */
+
+/**
+ * @typedef {Object} VaultRecord
+ * @property {string} id - Always VAULT_ID
+ * @property {Uint8Array} salt
+ * @property {number} iterations
+ * @property {Uint8Array} iv
+ * @property {ArrayBuffer} ciphertext - Encrypted {name: secret} map
+ * @property {CredentialSummary[]} entries
+ */
+
+const VAULT_ID = "vault";
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Unlocked state: derived key and decrypted secrets, in memory only
+let session = null;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function readVault() {
+  const db = await getDatabase();
+  return db.get(CREDENTIALS_STORE, VAULT_ID);
+}
+
+/**
+ * Re-encrypts the secrets with a fresh IV and writes the vault
+ * @param {Object<string, Credential>} secrets
+ */
+async function writeVault(secrets) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    session.key,
+    encoder.encode(JSON.stringify(secrets))
+  );
+  const entries = Object.values(secrets)
+    .map(({ name, type, updatedAt }) => ({ name, type, updatedAt }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const db = await getDatabase();
+  await db.put(CREDENTIALS_STORE, {
+    id: VAULT_ID,
+    salt: session.salt,
+    iterations: session.iterations,
+    iv,
+    ciphertext,
+    entries,
+  });
+  session.secrets = secrets;
+  return entries;
+}
+
+function requireUnlocked() {
+  if (!session) throw new Error("Credential vault is locked");
+}
+
+/**
+ * @returns {Promise<{isSetUp: boolean, isUnlocked: boolean, entries: CredentialSummary[]}>}
+ */
+export async function getVaultStatus() {
+  const vault = await readVault();
+  return {
+    isSetUp: Boolean(vault),
+    isUnlocked: Boolean(session),
+    entries: vault?.entries || [],
+  };
+}
+
+/**
+ * Creates an empty vault protected by a passphrase, and unlocks it
+ * @param {string} passphrase
+ */
+export async function createVault(passphrase) {
+  if ((passphrase || "").length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+    );
+  }
+  if (await readVault()) throw new Error("A vault already exists");
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  session = { key, salt, iterations: PBKDF2_ITERATIONS, secrets: {} };
+  return writeVault({});
+}
+
+/**
+ * Decrypts the vault into memory
+ * @param {string} passphrase
+ * @returns {Promise<CredentialSummary[]>}
+ */
+export async function unlockVault(passphrase) {
+  const vault = await readVault();
+  if (!vault) throw new Error("No credential vault has been set up");
+
+  const key = await deriveKey(passphrase, vault.salt, vault.iterations);
+  let secrets;
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: vault.iv },
+      key,
+      vault.ciphertext
+    );
+    secrets = JSON.parse(decoder.decode(plaintext));
+  } catch {
+    // AES-GCM authentication fails on a wrong key
+    throw new Error("Wrong passphrase");
+  }
+
+  session = { key, salt: vault.salt, iterations: vault.iterations, secrets };
+  return vault.entries;
+}
+
+export function lockVault() {
+  session = null;
+}
+
+export function isVaultUnlocked() {
+  return Boolean(session);
+}
+
+/**
+ * Adds or replaces a credential
+ * @param {string} name
+ * @param {string} type - Key of CREDENTIAL_TYPES
+ * @param {Object<string, string>} secret
+ * @returns {Promise<CredentialSummary[]>}
+ */
+export async function saveCredential(name, type, secret) {
+  requireUnlocked();
+  const definition = CREDENTIAL_TYPES[type];
+  if (!definition) throw new Error(`Unknown credential type "${type}"`);
+  if (!/^[\w.-]+$/.test(name || "")) {
+    throw new Error("Use letters, digits, '.', '-' or '_' in the name");
+  }
+  const missing = definition.fields.find(({ key }) => !secret[key]);
+  if (missing) throw new Error(`${missing.label} is required`);
+
+  return writeVault({
+    ...session.secrets,
+    [name]: { name, type, secret, updatedAt: Date.now() },
+  });
+}
+
+/**
+ * @param {string} name
+ * @returns {Promise<CredentialSummary[]>}
+ */
+export async function deleteCredential(name) {
+  requireUnlocked();
+  // eslint-disable-next-line no-unused-vars
+  const { [name]: removed, ...secrets } = session.secrets;
+  return writeVault(secrets);
+}
+
+/**
+ * Decrypted credential, for execution
+ * @param {string} name
+ * @returns {Credential}
+ */
+export function getCredential(name) {
+  if (!session) {
+    throw new Error(
+      `Credential "${name}" needs the vault: unlock it in the Credentials sidebar`
+    );
+  }
+  const credential = session.secrets[name];
+  if (!credential) throw new Error(`Credential "${name}" not found`);
+  return credential;
+}
+
+/**
+ * Every decrypted secret value (empty while locked), to redact exports
+ * @returns {string[]}
+ */
+export function getKnownSecrets() {
+  if (!session) return [];
+  return Object.values(session.secrets).flatMap(({ type, secret }) =>
+    (CREDENTIAL_TYPES[type]?.fields || [])
+      .filter((field) => field.secret !== false)
+      .map((field) => secret[field.key])
+      .filter(Boolean)
+  );
+}
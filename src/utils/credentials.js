@@ -0,0 +1,193 @@
+/**
+ * Credentials
+ * Credential types nodes can reference by name, how each one turns into
+ * request headers, and redaction of secrets typed inline into workflows
+ * (for export and Inspector warnings). Storage lives in credentialVault.js.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+/**
+ * @typedef {Object} Credential
+ * @property {string} name
+ * @property {'bearer'|'basic'|'header'} type
+ * @property {Object<string, string>} secret - Fields of CREDENTIAL_TYPES[type]
+ */
+
+/**
+ * Field definitions per type. `secret: false` fields are shown in clear.
+ */
+export const CREDENTIAL_TYPES = {
+  bearer: {
+    label: "Bearer token",
+    fields: [{ key: "token", label: "Token" }],
+  },
+  basic: {
+    label: "Basic auth",
+    fields: [
+      { key: "username", label: "Username", secret: false },
+      { key: "password", label: "Password" },
+    ],
+  },
+  header: {
+    label: "API key header",
+    fields: [
+      { key: "headerName", label: "Header name", secret: false },
+      { key: "value", label: "Value" },
+    ],
+  },
+};
+
+// Written in place of a secret in exported workflows
+export const SECRET_PLACEHOLDER = "<redacted>";
+
+// Header / field / variable names that usually hold a secret
+const SENSITIVE_KEY =
+  /authorization|api[-_]?key|token|secret|password|passwd|cookie|session/i;
+
+const toBase64 = (text) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+
+/**
+ * Request headers that authenticate with a credential
+ * @param {Credential} credential
+ * @returns {Object<string, string>}
+ */
+export function credentialHeaders(credential) {
+  const { type, secret = {} } = credential;
+  switch (type) {
+    case "bearer":
+      return { Authorization: `Bearer ${secret.token}` };
+    case "basic":
+      return {
+        Authorization: `Basic ${toBase64(
+          `${secret.username}:${secret.password}`
+        )}`,
+      };
+    case "header":
+      return { [secret.headerName]: secret.value };
+    default:
+      throw new Error(`Unknown credential type "${type}"`);
+  }
+}
+
+/**
+ * Parses a JSON object field, or returns null when it isn't one
+ * @param {*} value
+ * @returns {Object|null}
+ */
+function parseObject(value) {
+  if (value && typeof value === "object") return value;
+  if (typeof value !== "string" || !value.trim()) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replaces sensitive keys in a (possibly nested) object
+ * @returns {{value: *, count: number}}
+ */
+function redactObject(object) {
+  let count = 0;
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (!value || typeof value !== "object") return value;
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => {
+        if (
+          SENSITIVE_KEY.test(key) &&
+          typeof item === "string" &&
+          item &&
+          item !== SECRET_PLACEHOLDER &&
+          !item.includes("{{")
+        ) {
+          count++;
+          return [key, SECRET_PLACEHOLDER];
+        }
+        return [key, walk(item)];
+      })
+    );
+  };
+  return { value: walk(object), count };
+}
+
+/**
+ * Names of node fields holding a secret typed inline (headers / body
+ * keys such as Authorization or api_key, or a known vault value)
+ * @param {Object} data - node.data
+ * @param {string[]} [knownSecrets] - Decrypted vault values, if unlocked
+ * @returns {string[]}
+ */
+export function findInlineSecrets(data = {}, knownSecrets = []) {
+  return Object.entries(data)
+    .filter(([key, value]) => {
+      if (key === "credential") return false;
+      const object = parseObject(value);
+      if (object && redactObject(object).count > 0) return true;
+      return (
+        typeof value === "string" &&
+        knownSecrets.some((secret) => secret && value.includes(secret))
+      );
+    })
+    .map(([key]) => key);
+}
+
+/**
+ * Copy of a workflow safe to share: inline secrets in node fields and
+ * sensitive variables become SECRET_PLACEHOLDER, and any known vault
+ * value is replaced wherever it appears. Credential references (by name)
+ * are kept.
+ * @param {{nodes: Array, variables?: Object}} workflow
+ * @param {string[]} [knownSecrets]
+ * @returns {{workflow: Object, count: number}} Redacted copy and how many
+ *   values were replaced
+ */
+export function redactWorkflow(workflow, knownSecrets = []) {
+  let count = 0;
+  const secrets = knownSecrets.filter(Boolean);
+
+  const redactString = (text) =>
+    secrets.reduce((result, secret) => {
+      if (!result.includes(secret)) return result;
+      count++;
+      return result.split(secret).join(SECRET_PLACEHOLDER);
+    }, text);
+
+  const redactField = (value) => {
+    const object = parseObject(value);
+    const redacted = object && redactObject(object);
+    if (redacted?.count > 0) {
+      count += redacted.count;
+      value =
+        typeof value === "string"
+          ? JSON.stringify(redacted.value, null, 2)
+          : redacted.value;
+    }
+    return typeof value === "string" ? redactString(value) : value;
+  };
+
+  const nodes = workflow.nodes.map((node) => ({
+    ...node,
+    data: Object.fromEntries(
+      Object.entries(node.data || {}).map(([key, value]) => [
+        key,
+        key === "credential" ? value : redactField(value),
+      ])
+    ),
+  }));
+
+  const variables = Object.fromEntries(
+    Object.entries(workflow.variables || {}).map(([name, value]) => {
+      if (SENSITIVE_KEY.test(name) && value && !value.includes("{{")) {
+        count++;
+        return [name, SECRET_PLACEHOLDER];
+      }
+      return [name, redactString(String(value))];
+    })
+  );
+
+  return { workflow: { ...workflow, nodes, variables }, count };
+}
@@ -0,0 +1,77 @@
+/**
+ * Local Database
+ * Shared IndexedDB connection for artifacts, execution history, the
+ * workflow library, workflow versions, the credential vault and the
+ * node output cache.
+ * Part of IOSANS Sovereign Architecture - Local-First, Privacy-guaranteed.
+ */
+
+import { openDB } from "idb";
+
+const DB_NAME = "IOSANS_DB";
+const DB_VERSION = 6;
+
+export const ARTIFACTS_STORE = "artifacts";
+export const RUNS_STORE = "runs";
+export const WORKFLOWS_STORE = "workflows";
+export const VERSIONS_STORE = "versions";
+export const CREDENTIALS_STORE = "credentials";
+export const OUTPUT_CACHE_STORE = "outputCache";
+
+/**
+ * Gets or creates the IndexedDB database instance.
+ * Every store is created here so all modules open the same schema version.
+ * @returns {Promise<IDBDatabase>}
+ */
+export async function getDatabase() {
+  return openDB(DB_NAME, DB_VERSION, {
+    upgrade(db) {
+      // Create artifacts store with id as keyPath
+      if (!db.objectStoreNames.contains(ARTIFACTS_STORE)) {
+        const store = db.createObjectStore(ARTIFACTS_STORE, { keyPath: "id" });
+        // Create indexes for efficient querying
+        store.createIndex("type", "type");
+        store.createIndex("createdAt", "createdAt");
+        console.log("[Database] Created artifacts store");
+      }
+
+      // v2: Execution history
+      if (!db.objectStoreNames.contains(RUNS_STORE)) {
+        const store = db.createObjectStore(RUNS_STORE, { keyPath: "id" });
+        store.createIndex("startTime", "startTime");
+        console.log("[Database] Created runs store");
+      }
+
+      // v3: Workflow library (sub-workflows)
+      if (!db.objectStoreNames.contains(WORKFLOWS_STORE)) {
+        const store = db.createObjectStore(WORKFLOWS_STORE, { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+        console.log("[Database] Created workflows store");
+      }
+
+      // v4: Named workflow snapshots
+      if (!db.objectStoreNames.contains(VERSIONS_STORE)) {
+        const store = db.createObjectStore(VERSIONS_STORE, { keyPath: "id" });
+        store.createIndex("workflowId", "workflowId");
+        console.log("[Database] Created versions store");
+      }
+
+      // v5: Encrypted credential vault
+      if (!db.objectStoreNames.contains(CREDENTIALS_STORE)) {
+        db.createObjectStore(CREDENTIALS_STORE, { keyPath: "id" });
+        console.log("[Database] Created credentials store");
+      }
+
+      // v6: Content-addressed node output cache
+      if (!db.objectStoreNames.contains(OUTPUT_CACHE_STORE)) {
+        const store = db.createObjectStore(OUTPUT_CACHE_STORE, {
+          keyPath: "key",
+        });
+        store.createIndex("nodeId", "nodeId");
+        store.createIndex("workflowId", "workflowId");
+        store.createIndex("lastUsedAt", "lastUsedAt");
+        console.log("[Database] Created output cache store");
+      }
+    },
+  });
+}
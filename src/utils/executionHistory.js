@@ -0,0 +1,156 @@
+/**
+ * Execution History Utility
+ * IndexedDB-based persistence of completed workflow runs.
+ * Part of IOSANS Sovereign Architecture - Local-First, Privacy-guaranteed.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { getDatabase, RUNS_STORE } from "./database.js";
+
+const MAX_RUNS = 100;
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {string} id
+ * @property {{type: 'manual'|'schedule', nodeId?: string}} trigger - What started the run
+ * @property {'success'|'error'|'aborted'} status
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {{nodes: Array, edges: Array}} workflow - Graph as it was when run
+ * @property {Array<[string, Object]>} nodeResults - Entries of executionStore.nodeResults
+ * @property {Array<[string, Object]>} edgeSnapshots - Entries of executionStore.edgeSnapshots
+ * @property {Array<Object>} logs
+ * @property {string[]} artifacts - Artifact ids referenced by outputs and logs
+ */
+
+/**
+ * Makes a value safe for IndexedDB (structured clone).
+ * Blobs survive as-is; functions, DOM nodes etc. are dropped via JSON.
+ * @param {*} value
+ * @returns {*}
+ */
+function toCloneable(value) {
+  try {
+    return structuredClone(value);
+  } catch {
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch {
+      return String(value);
+    }
+  }
+}
+
+/**
+ * Collects every `artifactId` referenced inside a value.
+ * @param {*} value
+ * @param {Set<string>} found
+ * @returns {Set<string>}
+ */
+function collectArtifactIds(value, found = new Set()) {
+  if (!value || typeof value !== "object" || value instanceof Blob) {
+    return found;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectArtifactIds(item, found));
+    return found;
+  }
+  Object.entries(value).forEach(([key, item]) => {
+    if (key === "artifactId" && typeof item === "string") {
+      found.add(item);
+    } else {
+      collectArtifactIds(item, found);
+    }
+  });
+  return found;
+}
+
+/**
+ * Saves a finished run to IndexedDB, pruning the oldest beyond MAX_RUNS.
+ * @param {Omit<RunRecord, 'id'|'artifacts'>} run
+ * @returns {Promise<string>} The generated run id
+ */
+export async function saveRun(run) {
+  const db = await getDatabase();
+  const id = uuidv4();
+
+  const artifacts = collectArtifactIds([
+    run.nodeResults.map(([, result]) => result.output),
+    run.logs.map((log) => log.data),
+  ]);
+
+  const record = toCloneable({ ...run, id, artifacts: [...artifacts] });
+  await db.put(RUNS_STORE, record);
+
+  const keys = await db.getAllKeysFromIndex(RUNS_STORE, "startTime");
+  const excess = keys.length - MAX_RUNS;
+  if (excess > 0) {
+    const tx = db.transaction(RUNS_STORE, "readwrite");
+    await Promise.all([
+      ...keys.slice(0, excess).map((key) => tx.store.delete(key)),
+      tx.done,
+    ]);
+  }
+
+  console.log(
+    `[ExecutionHistory] Saved run: ${id} (${run.trigger?.type}, ${run.status})`
+  );
+
+  return id;
+}
+
+/**
+ * Retrieves a full run record.
+ * @param {string} id
+ * @returns {Promise<RunRecord|null>}
+ */
+export async function getRun(id) {
+  if (!id || typeof id !== "string") {
+    throw new Error("[ExecutionHistory] Invalid id: expected non-empty string");
+  }
+
+  const db = await getDatabase();
+  return (await db.get(RUNS_STORE, id)) || null;
+}
+
+/**
+ * Lists runs newest first, as summaries (no outputs or logs).
+ * @returns {Promise<Array>}
+ */
+export async function listRuns() {
+  const db = await getDatabase();
+  const runs = await db.getAllFromIndex(RUNS_STORE, "startTime");
+
+  return runs
+    .reverse()
+    .map(({ id, trigger, status, startTime, endTime, nodeResults }) => ({
+      id,
+      trigger,
+      status,
+      startTime,
+      endTime,
+      nodeCount: nodeResults.length,
+      errorCount: nodeResults.filter(([, r]) => r.status === "error").length,
+    }));
+}
+
+/**
+ * Deletes a run from history.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteRun(id) {
+  const db = await getDatabase();
+  await db.delete(RUNS_STORE, id);
+  console.log(`[ExecutionHistory] Deleted run: ${id}`);
+}
+
+/**
+ * Clears all execution history.
+ * @returns {Promise<void>}
+ */
+export async function clearRuns() {
+  const db = await getDatabase();
+  await db.clear(RUNS_STORE);
+  console.log("[ExecutionHistory] Cleared all runs");
+}
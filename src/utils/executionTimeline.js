@@ -0,0 +1,133 @@
+/**
+ * Execution Timeline
+ * Lays out a run's node results on a time axis: when each node became
+ * ready, when it started and finished, and which chain of nodes set the
+ * total duration (the critical path).
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+/**
+ * @typedef {Object} TimelineRow
+ * @property {string} nodeId
+ * @property {string} status
+ * @property {number} readyAt - Last upstream node finished (or run start)
+ * @property {number} startTime
+ * @property {number} endTime - Now (run end) for a node still running
+ * @property {number} duration - ms
+ * @property {number} wait - ms between ready and started: concurrency
+ *   limit, queued model requests or a breakpoint
+ * @property {boolean} critical - On the critical path
+ * @property {import('./llmMetrics.js').LLMMetrics|null} metrics
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {TimelineRow[]} rows - Ordered by start time
+ * @property {number} start - Run start
+ * @property {number} end
+ * @property {number} criticalDuration - Sum of critical node durations, ms
+ * @property {number} busyDuration - Sum of all node durations, ms
+ * @property {number} omitted - Results not executed in this run
+ *   (pinned, carried over by "run from here", skipped)
+ */
+
+/**
+ * @param {Map<string, Object>} nodeResults - executionStore.nodeResults
+ * @param {Array} edges - Workflow edges
+ * @param {Object} range
+ * @param {number} range.start - Run start time
+ * @param {number} range.end - Run end time (now while running)
+ * @returns {Timeline}
+ */
+export function buildTimeline(nodeResults, edges, { start, end }) {
+  const executed = [];
+  let omitted = 0;
+  for (const result of nodeResults.values()) {
+    if (result.startTime && !result.cached) {
+      executed.push(result);
+    } else if (result.status !== "pending") {
+      omitted += 1;
+    }
+  }
+
+  const byId = new Map(
+    executed.map((result) => [
+      result.nodeId,
+      {
+        ...result,
+        endTime:
+          result.status === "running" || !result.endTime
+            ? Math.max(end, result.startTime)
+            : result.endTime,
+      },
+    ])
+  );
+
+  // Executed upstream nodes of each node
+  const upstream = new Map();
+  for (const edge of edges) {
+    if (!byId.has(edge.source) || !byId.has(edge.target)) continue;
+    if (!upstream.has(edge.target)) upstream.set(edge.target, []);
+    upstream.get(edge.target).push(byId.get(edge.source));
+  }
+
+  // Ready when the last upstream node finished before it started; nodes
+  // inside a loop body start while the loop node is still running
+  const readyAt = (result) => {
+    const parents = upstream.get(result.nodeId) || [];
+    const finished = parents
+      .filter((parent) => parent.endTime <= result.startTime)
+      .map((parent) => parent.endTime);
+    if (finished.length > 0) return Math.max(...finished);
+    const started = parents
+      .filter((parent) => parent.startTime <= result.startTime)
+      .map((parent) => parent.startTime);
+    return started.length > 0 ? Math.max(...started) : start;
+  };
+
+  // Walk back from the node that finished last, always through the
+  // upstream node that finished last before it started
+  const critical = new Set();
+  let current = [...byId.values()].reduce(
+    (last, result) => (!last || result.endTime > last.endTime ? result : last),
+    null
+  );
+  while (current && !critical.has(current.nodeId)) {
+    critical.add(current.nodeId);
+    const startTime = current.startTime;
+    current = (upstream.get(current.nodeId) || [])
+      .filter((parent) => parent.endTime <= startTime)
+      .reduce(
+        (last, parent) =>
+          !last || parent.endTime > last.endTime ? parent : last,
+        null
+      );
+  }
+
+  const rows = [...byId.values()]
+    .map((result) => {
+      const ready = Math.min(readyAt(result), result.startTime);
+      return {
+        nodeId: result.nodeId,
+        status: result.status,
+        readyAt: ready,
+        startTime: result.startTime,
+        endTime: result.endTime,
+        duration: result.endTime - result.startTime,
+        wait: result.startTime - ready,
+        critical: critical.has(result.nodeId),
+        metrics: result.metrics || null,
+      };
+    })
+    .sort((a, b) => a.startTime - b.startTime || a.endTime - b.endTime);
+
+  const sum = (list) => list.reduce((total, row) => total + row.duration, 0);
+  return {
+    rows,
+    start,
+    end: Math.max(end, ...rows.map((row) => row.endTime)),
+    criticalDuration: sum(rows.filter((row) => row.critical)),
+    busyDuration: sum(rows),
+    omitted,
+  };
+}
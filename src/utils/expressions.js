@@ -0,0 +1,402 @@
+/**
+ * Expression Language
+ * Shared `{{ ... }}` resolver for every string field of nodeData.
+ * Parsed by hand (no eval / new Function), so expressions can only read
+ * data and call the whitelisted helpers below.
+ * Part of IOSANS Sovereign Architecture.
+ *
+ * Examples:
+ *   {{ name }}                         -> field of the direct input
+ *   {{ $input.items[0].title }}        -> nested paths and array indices
+ *   {{ $node["Fetch Users"].output }}  -> any upstream node, by label or id
+ *   {{ $vars.apiBase }}                -> workflow variable
+ *   {{ upper(default($input.city, "n/a")) }}
+ */
+
+/**
+ * @typedef {Object} ExpressionScope
+ * @property {*} input - The node's direct input
+ * @property {Function} getNode - (labelOrId) => {output, status} | undefined
+ * @property {Object} [variables] - Workflow variables
+ */
+
+// Fields kept as written: source code keeps its braces (Python f-strings,
+// JS objects), and labels and pinned data are not settings
+const RAW_FIELDS = new Set(["code", "label", "pin"]);
+
+// Never walk into prototypes
+const BLOCKED_KEYS = new Set(["__proto__", "prototype", "constructor"]);
+
+// An optional backslash escapes the expression: \{{ x }} stays "{{ x }}"
+const EXPRESSION_PATTERN = /(\\?)\{\{([\s\S]+?)\}\}/g;
+// A single expression filling the field (no "}}" inside it)
+const WHOLE_EXPRESSION_PATTERN = /^\s*\{\{((?:(?!\}\})[\s\S])+)\}\}\s*$/;
+
+/** Safe helpers callable from expressions */
+export const EXPRESSION_HELPERS = {
+  upper: (value) => String(value ?? "").toUpperCase(),
+  lower: (value) => String(value ?? "").toLowerCase(),
+  trim: (value) => String(value ?? "").trim(),
+  length: (value) => (value == null ? 0 : value.length ?? 0),
+  json: (value) => JSON.stringify(value),
+  parse: (value) => (typeof value === "string" ? JSON.parse(value) : value),
+  default: (value, fallback) =>
+    value === undefined || value === null || value === "" ? fallback : value,
+  join: (value, separator = ", ") =>
+    Array.isArray(value) ? value.join(separator) : String(value ?? ""),
+  round: (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+  },
+  number: (value) => Number(value),
+  string: (value) =>
+    typeof value === "object" ? JSON.stringify(value) : String(value ?? ""),
+  keys: (value) =>
+    value && typeof value === "object" ? Object.keys(value) : [],
+  now: () => new Date().toISOString(),
+};
+
+// ---------------------------------------------------------------------------
+// Tokenizer / parser
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {string} source
+ * @returns {Array<{type: string, value: *}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (".[](),".includes(char)) {
+      tokens.push({ type: char, value: char });
+      i++;
+    } else if (char === '"' || char === "'") {
+      let value = "";
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === "\\" && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw new Error("Unterminated string");
+      i++;
+      tokens.push({ type: "string", value });
+    } else if (/[0-9-]/.test(char)) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      if (!match) throw new Error(`Unexpected "${char}"`);
+      tokens.push({ type: "number", value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+      tokens.push({ type: "ident", value: match[0] });
+      i += match[0].length;
+    } else {
+      throw new Error(`Unexpected "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses an expression into a small AST:
+ *   {kind: 'literal', value} | {kind: 'call', name, args}
+ *   | {kind: 'path', root, keys: Array<string|number>}
+ * @param {string} source
+ */
+export function parseExpression(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const expect = (type) => {
+    const token = tokens[pos++];
+    if (!token || token.type !== type) {
+      throw new Error(
+        `Expected "${type}" but found "${token?.value ?? "end"}"`
+      );
+    }
+    return token;
+  };
+
+  const parseValue = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error("Unexpected end of expression");
+
+    if (token.type === "string" || token.type === "number") {
+      return { kind: "literal", value: token.value };
+    }
+    if (token.type !== "ident") {
+      throw new Error(`Unexpected "${token.value}"`);
+    }
+
+    if (token.value === "true" || token.value === "false") {
+      return { kind: "literal", value: token.value === "true" };
+    }
+    if (token.value === "null") return { kind: "literal", value: null };
+
+    // Helper call
+    if (peek()?.type === "(") {
+      pos++;
+      const args = [];
+      while (peek() && peek().type !== ")") {
+        args.push(parseValue());
+        if (peek()?.type === ",") pos++;
+      }
+      expect(")");
+      return { kind: "call", name: token.value, args };
+    }
+
+    // Path
+    const keys = [];
+    while (peek() && (peek().type === "." || peek().type === "[")) {
+      if (tokens[pos++].type === ".") {
+        keys.push(expect("ident").value);
+      } else {
+        const key = tokens[pos++];
+        if (!key || (key.type !== "string" && key.type !== "number")) {
+          throw new Error("Expected a string or number inside [ ]");
+        }
+        keys.push(key.value);
+        expect("]");
+      }
+    }
+    return { kind: "path", root: token.value, keys };
+  };
+
+  const ast = parseValue();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}"`);
+  }
+  return ast;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+/**
+ * Walks keys into a value; missing steps yield undefined.
+ * @param {*} value
+ * @param {Array<string|number>} keys
+ */
+function walk(value, keys) {
+  return keys.reduce(
+    (current, key) =>
+      current == null || BLOCKED_KEYS.has(key) ? undefined : current[key],
+    value
+  );
+}
+
+/**
+ * Reads a dot / bracket path such as "data.items[0].name".
+ * @param {*} value
+ * @param {string} path
+ * @returns {*}
+ */
+export function getPath(value, path) {
+  if (!path) return value;
+  const keys = String(path)
+    .replace(/\[(\d+)\]/g, ".$1")
+    .replace(/\[["']([^"']*)["']\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+  return walk(value, keys);
+}
+
+function evaluate(ast, scope) {
+  switch (ast.kind) {
+    case "literal":
+      return ast.value;
+
+    case "call": {
+      const helper = Object.prototype.hasOwnProperty.call(
+        EXPRESSION_HELPERS,
+        ast.name
+      )
+        ? EXPRESSION_HELPERS[ast.name]
+        : null;
+      if (!helper) throw new Error(`Unknown function "${ast.name}"`);
+      return helper(...ast.args.map((arg) => evaluate(arg, scope)));
+    }
+
+    case "path": {
+      switch (ast.root) {
+        case "$input":
+        case "$json":
+          return walk(scope.input, ast.keys);
+        case "$vars":
+          return walk(scope.variables || {}, ast.keys);
+        case "$node": {
+          const [ref, ...rest] = ast.keys;
+          if (ref === undefined) throw new Error('Use $node["Label"]');
+          return walk(scope.getNode?.(String(ref)), rest);
+        }
+        default:
+          // Bare identifiers read from the direct input ({{key}} shorthand)
+          return walk(scope.input, [ast.root, ...ast.keys]);
+      }
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Evaluates a single expression (without braces).
+ * @param {string} source
+ * @param {ExpressionScope} scope
+ */
+export function evaluateExpression(source, scope) {
+  return evaluate(parseExpression(source.trim()), scope);
+}
+
+/**
+ * Parses the text between braces, or returns null when it is not an
+ * expression (Handlebars / Jinja blocks, JSON examples): such text is kept
+ * as literal text instead of failing the node.
+ * @param {string} source
+ * @returns {Object|null} AST
+ */
+function parseOrNull(source) {
+  try {
+    return parseExpression(source.trim());
+  } catch {
+    return null;
+  }
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Resolves `{{ }}` in a string. A field that is exactly one expression
+ * keeps the raw value (objects, numbers); mixed text is interpolated.
+ * Braces that do not hold a valid expression, and escaped ones (`\{{`),
+ * are left as literal text.
+ * @param {string} template
+ * @param {ExpressionScope} scope
+ * @returns {*}
+ */
+export function resolveTemplate(template, scope) {
+  if (typeof template !== "string" || !template.includes("{{")) {
+    return template;
+  }
+
+  const whole = template.match(WHOLE_EXPRESSION_PATTERN);
+  if (whole) {
+    const ast = parseOrNull(whole[1]);
+    return ast ? evaluate(ast, scope) : template;
+  }
+
+  return template.replace(EXPRESSION_PATTERN, (match, escape, source) => {
+    if (escape) return match.slice(1);
+    const ast = parseOrNull(source);
+    return ast ? stringify(evaluate(ast, scope)) : match;
+  });
+}
+
+/**
+ * Resolves every string field of nodeData (recursively), except RAW_FIELDS.
+ * Evaluation errors (unknown helper, bad `parse` input) fail the node.
+ * @param {Object} nodeData
+ * @param {ExpressionScope} scope
+ * @returns {Object} A resolved copy
+ */
+export function resolveNodeData(nodeData, scope) {
+  const visit = (value, key) => {
+    if (RAW_FIELDS.has(key)) return value;
+    if (typeof value === "string") {
+      try {
+        return resolveTemplate(value, scope);
+      } catch (error) {
+        throw new Error(`Expression error in "${key}": ${error.message}`);
+      }
+    }
+    if (Array.isArray(value)) return value.map((item) => visit(item, key));
+    if (value && typeof value === "object" && value.constructor === Object) {
+      return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, visit(v, k)])
+      );
+    }
+    return value;
+  };
+
+  return visit(nodeData, "");
+}
+
+// ---------------------------------------------------------------------------
+// Autocomplete
+// ---------------------------------------------------------------------------
+
+/**
+ * Lists paths inside a sample value, e.g. [".title", ".items[0]"].
+ * @param {*} value
+ * @param {number} depth
+ * @returns {string[]}
+ */
+function listPaths(value, depth = 3, prefix = "") {
+  if (depth === 0 || value === null || typeof value !== "object") return [];
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [];
+    const path = `${prefix}[0]`;
+    return [path, ...listPaths(value[0], depth - 1, path)];
+  }
+
+  return Object.keys(value)
+    .slice(0, 25)
+    .flatMap((key) => {
+      const path = /^[A-Za-z_$][\w$]*$/.test(key)
+        ? `${prefix}.${key}`
+        : `${prefix}["${key}"]`;
+      return [path, ...listPaths(value[key], depth - 1, path)];
+    });
+}
+
+/**
+ * Builds autocomplete entries from the last run's results.
+ * @param {Array} nodes - Workflow nodes
+ * @param {Map} nodeResults - executionStore.nodeResults
+ * @param {Object} variables - Workflow variables
+ * @param {string} [currentNodeId] - Excluded from suggestions
+ * @returns {Array<{label: string, detail: string}>}
+ */
+export function getExpressionSuggestions(
+  nodes,
+  nodeResults,
+  variables = {},
+  currentNodeId = null
+) {
+  const suggestions = [];
+
+  nodes.forEach((node) => {
+    if (node.id === currentNodeId) return;
+    const result = nodeResults.get(node.id);
+    if (!result || result.output === undefined) return;
+
+    const base = `$node[${JSON.stringify(node.data?.label || node.id)}].output`;
+    suggestions.push({ label: base, detail: node.type });
+    listPaths(result.output).forEach((path) =>
+      suggestions.push({ label: base + path, detail: node.type })
+    );
+  });
+
+  Object.keys(variables).forEach((name) =>
+    suggestions.push({ label: `$vars.${name}`, detail: "variable" })
+  );
+
+  Object.keys(EXPRESSION_HELPERS).forEach((name) =>
+    suggestions.push({ label: `${name}()`, detail: "function" })
+  );
+
+  return suggestions;
+}
@@ -96,6 +96,16 @@ export function getHandlePosition(type, direction) {
   return HANDLE_POSITIONS[type][direction];
 }
 
+/**
+ * Gets the id of a node's error output handle.
+ * The ExecutionEngine routes failures down edges leaving this handle.
+ * @param {string} nodeId
+ * @returns {string}
+ */
+export function getErrorHandleId(nodeId) {
+  return `${nodeId}-error`;
+}
+
 /**
  * Validates if two handles can connect
  * @param {Object} source - Source handle info
@@ -117,3 +127,35 @@ export function canConnect(source, target) {
 
   return true;
 }
+
+/**
+ * Describes a node's target handle for canConnect. Resource slots are
+ * recognised by their id prefix ("model-input", "tool-input", "memory-2");
+ * anything else, including the node's own "<id>-input", is workflow data.
+ * @param {string|null} handleId
+ * @param {string} nodeId - Node owning the handle
+ * @returns {{type: string, slot?: string}}
+ */
+export function getTargetHandleInfo(handleId, nodeId) {
+  if (handleId && handleId !== `${nodeId}-input`) {
+    const slot = Object.values(RESOURCE_SLOTS).find(
+      (s) => handleId === s || handleId.startsWith(`${s}-`)
+    );
+    if (slot) return { type: HANDLE_TYPES.RESOURCE, slot };
+  }
+  return { type: HANDLE_TYPES.WORKFLOW };
+}
+
+/**
+ * The resource a node offers when its output is wired into a slot:
+ * LLM nodes provide a model, other action nodes a tool, triggers nothing
+ * @param {string} nodeType
+ * @returns {string|null} RESOURCE_SLOTS value
+ */
+export function getProvidedSlot(nodeType) {
+  if (nodeType === "llm") return RESOURCE_SLOTS.MODEL;
+  if (["start", "manualTrigger", "scheduleTrigger"].includes(nodeType)) {
+    return null;
+  }
+  return RESOURCE_SLOTS.TOOL;
+}
@@ -0,0 +1,51 @@
+/**
+ * LLM Metrics
+ * Condenses the usage reports WebLLM returns with each generation into the
+ * token and speed figures shown on the execution timeline.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+/**
+ * @typedef {Object} LLMMetrics
+ * @property {number} tokensIn - Prompt tokens, over all LLM turns
+ * @property {number} tokensOut - Completion tokens, over all LLM turns
+ * @property {number|null} tokensPerSecond - Decoding speed
+ * @property {number|null} ttftMs - Time to first token of the first turn
+ * @property {number} turns - LLM calls the node made
+ */
+
+/**
+ * @param {Object|Object[]} usages - One usage report, or one per turn
+ *   (OpenAI-style `prompt_tokens` / `completion_tokens`, plus WebLLM's
+ *   `extra.decode_tokens_per_s` and `extra.time_to_first_token_s`)
+ * @returns {LLMMetrics|null} Null when no report was returned
+ */
+export function summarizeUsage(usages) {
+  const reports = [usages].flat().filter(Boolean);
+  if (reports.length === 0) return null;
+
+  let tokensIn = 0;
+  let tokensOut = 0;
+  let decodedTokens = 0;
+  let decodeSeconds = 0;
+  for (const usage of reports) {
+    const completion = usage.completion_tokens || 0;
+    tokensIn += usage.prompt_tokens || 0;
+    tokensOut += completion;
+
+    const speed = usage.extra?.decode_tokens_per_s;
+    if (speed > 0) {
+      decodedTokens += completion;
+      decodeSeconds += completion / speed;
+    }
+  }
+
+  const ttft = reports[0].extra?.time_to_first_token_s;
+  return {
+    tokensIn,
+    tokensOut,
+    tokensPerSecond: decodeSeconds > 0 ? decodedTokens / decodeSeconds : null,
+    ttftMs: typeof ttft === "number" ? Math.round(ttft * 1000) : null,
+    turns: reports.length,
+  };
+}
@@ -0,0 +1,306 @@
+/**
+ * Output Cache
+ * Opt-in, content-addressed store of node outputs in IndexedDB. Entries are
+ * keyed on the node type, its resolved settings and its inputs, so a
+ * deterministic node run twice on the same data can skip execution.
+ * Part of IOSANS Sovereign Architecture - Local-First, Privacy-guaranteed.
+ */
+
+import { getDatabase, OUTPUT_CACHE_STORE } from "./database.js";
+
+export const DEFAULT_TTL_MINUTES = 24 * 60;
+const MAX_ENTRIES = 500;
+const MAX_TOTAL_BYTES = 50 * 1024 * 1024;
+const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - SHA-256 of type, settings and inputs
+ * @property {string} nodeId
+ * @property {string|null} workflowId
+ * @property {string} nodeType
+ * @property {*} output
+ * @property {number} size - Approximate bytes
+ * @property {number} createdAt
+ * @property {number} expiresAt
+ * @property {number} lastUsedAt - For least-recently-used eviction
+ */
+
+/**
+ * Node types whose output only depends on settings and inputs, with the
+ * settings that make them so. Anything else always runs.
+ * Python can use random, time or the network, so the author has to vouch
+ * for the script; an LLM without a modelId answers with whichever model
+ * is loaded, which the key cannot see.
+ */
+const CACHEABLE_TYPES = {
+  transform: () => true,
+  python: (data) => data.deterministic === true,
+  httpRequest: (data) => String(data.method || "GET").toUpperCase() === "GET",
+  llm: (data) =>
+    Boolean(data.modelId) &&
+    data.temperature !== "" &&
+    data.temperature != null &&
+    Number(data.temperature) === 0,
+};
+
+/**
+ * Settings that do not change what a node outputs, plus the run status the
+ * editor writes onto node data
+ */
+const IGNORED_KEYS = [
+  "label",
+  "status",
+  "pin",
+  "cache",
+  "cacheTtl",
+  "deterministic",
+  "maxRetries",
+  "retryDelay",
+  "backoff",
+  "timeout",
+  "onError",
+];
+
+/**
+ * Whether a node type can use the cache at all
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isCacheableType(type) {
+  return Object.hasOwn(CACHEABLE_TYPES, type);
+}
+
+/**
+ * Whether a node with these (resolved) settings is deterministic
+ * @param {string} type
+ * @param {Object} nodeData
+ * @returns {boolean}
+ */
+export function isCacheable(type, nodeData = {}) {
+  return isCacheableType(type) && CACHEABLE_TYPES[type](nodeData);
+}
+
+/**
+ * JSON with sorted keys, so equal values always give the same text.
+ * Binary values cannot be keyed by content and are refused.
+ * @private
+ */
+function stableStringify(value) {
+  if (typeof Blob !== "undefined" && value instanceof Blob) {
+    throw new Error("Binary values cannot be cached");
+  }
+  if (Array.isArray(value)) {
+    return `[${value
+      .map((item) => stableStringify(item) ?? "null")
+      .join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .sort()
+      .map((key) => [key, stableStringify(value[key])])
+      .filter(([, text]) => text !== undefined)
+      .map(([key, text]) => `${JSON.stringify(key)}:${text}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Drops the firing time from trigger payloads, so every scheduled run over
+ * unchanged data maps to the same key
+ * @private
+ */
+function withoutTriggerTime(value) {
+  if (!value || typeof value !== "object" || value.triggered !== true) {
+    return value;
+  }
+  // eslint-disable-next-line no-unused-vars
+  const { timestamp, ...rest } = value;
+  return rest;
+}
+
+/**
+ * Content address of a node execution
+ * @param {string} type
+ * @param {Object} nodeData - Settings with {{ expressions }} resolved
+ * @param {*} inputs
+ * @returns {Promise<string|null>} Hex SHA-256, or null if not keyable
+ */
+export async function createCacheKey(type, nodeData, inputs) {
+  let text;
+  try {
+    const settings = Object.fromEntries(
+      Object.entries(nodeData || {}).filter(
+        ([key]) => !IGNORED_KEYS.includes(key)
+      )
+    );
+    text = stableStringify({
+      type,
+      settings,
+      inputs: withoutTriggerTime(inputs),
+    });
+  } catch {
+    return null;
+  }
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * Approximate stored size of an output
+ * @private
+ */
+function estimateSize(output) {
+  if (typeof Blob !== "undefined" && output instanceof Blob) {
+    return output.size;
+  }
+  try {
+    return (JSON.stringify(output) ?? "").length;
+  } catch {
+    return Infinity;
+  }
+}
+
+/**
+ * Looks up a stored output. Expired entries are removed on read.
+ * @param {string} key
+ * @returns {Promise<CacheEntry|null>}
+ */
+export async function getCachedOutput(key) {
+  const db = await getDatabase();
+  const entry = await db.get(OUTPUT_CACHE_STORE, key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    await db.delete(OUTPUT_CACHE_STORE, key);
+    return null;
+  }
+  await db.put(OUTPUT_CACHE_STORE, { ...entry, lastUsedAt: Date.now() });
+  return entry;
+}
+
+/**
+ * Stores an output, then evicts expired and least recently used entries
+ * beyond MAX_ENTRIES / MAX_TOTAL_BYTES. Outputs over MAX_ENTRY_BYTES are
+ * not stored.
+ * @param {Object} entry
+ * @param {string} entry.key
+ * @param {string} entry.nodeId
+ * @param {string|null} [entry.workflowId]
+ * @param {string} entry.nodeType
+ * @param {*} entry.output
+ * @param {number} [entry.ttlMinutes]
+ * @returns {Promise<boolean>} Whether the output was stored
+ */
+export async function saveCachedOutput({
+  key,
+  nodeId,
+  workflowId = null,
+  nodeType,
+  output,
+  ttlMinutes,
+}) {
+  const size = estimateSize(output);
+  if (size > MAX_ENTRY_BYTES) return false;
+
+  const now = Date.now();
+  const ttl = Number(ttlMinutes) > 0 ? Number(ttlMinutes) : DEFAULT_TTL_MINUTES;
+  const db = await getDatabase();
+  await db.put(OUTPUT_CACHE_STORE, {
+    key,
+    nodeId,
+    workflowId,
+    nodeType,
+    output,
+    size,
+    createdAt: now,
+    expiresAt: now + ttl * 60 * 1000,
+    lastUsedAt: now,
+  });
+
+  await pruneCache(db, now);
+  return true;
+}
+
+/**
+ * @private
+ */
+async function pruneCache(db, now) {
+  // Oldest use first
+  const entries = await db.getAllFromIndex(OUTPUT_CACHE_STORE, "lastUsedAt");
+  let count = entries.length;
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  const evicted = entries.filter((entry) => {
+    const evict =
+      entry.expiresAt <= now || count > MAX_ENTRIES || total > MAX_TOTAL_BYTES;
+    if (evict) {
+      count -= 1;
+      total -= entry.size;
+    }
+    return evict;
+  });
+  if (evicted.length === 0) return;
+
+  const tx = db.transaction(OUTPUT_CACHE_STORE, "readwrite");
+  await Promise.all([
+    ...evicted.map((entry) => tx.store.delete(entry.key)),
+    tx.done,
+  ]);
+}
+
+/**
+ * Entries of one node or workflow (all entries without a filter).
+ * An empty id matches nothing, never everything.
+ * @private
+ */
+async function findEntries(db, { nodeId, workflowId } = {}) {
+  if (nodeId !== undefined) {
+    return nodeId
+      ? db.getAllFromIndex(OUTPUT_CACHE_STORE, "nodeId", nodeId)
+      : [];
+  }
+  if (workflowId !== undefined) {
+    return workflowId
+      ? db.getAllFromIndex(OUTPUT_CACHE_STORE, "workflowId", workflowId)
+      : [];
+  }
+  return db.getAll(OUTPUT_CACHE_STORE);
+}
+
+/**
+ * Counts stored outputs
+ * @param {{nodeId?: string, workflowId?: string}} [filter]
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export async function getCacheStats(filter) {
+  const db = await getDatabase();
+  const entries = await findEntries(db, filter);
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+  };
+}
+
+/**
+ * Deletes stored outputs of one node or workflow (everything without a filter)
+ * @param {{nodeId?: string, workflowId?: string}} [filter]
+ * @returns {Promise<number>} Entries deleted
+ */
+export async function clearCachedOutputs(filter) {
+  const db = await getDatabase();
+  const entries = await findEntries(db, filter);
+  const tx = db.transaction(OUTPUT_CACHE_STORE, "readwrite");
+  await Promise.all([
+    ...entries.map((entry) => tx.store.delete(entry.key)),
+    tx.done,
+  ]);
+  console.log(`[OutputCache] Cleared ${entries.length} cached output(s)`);
+  return entries.length;
+}
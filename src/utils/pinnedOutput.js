@@ -0,0 +1,60 @@
+/**
+ * Pinned Outputs
+ * A pinned node keeps a fixed output in `node.data.pin`: the engine
+ * replays it instead of running the node, so downstream steps can be
+ * developed without re-running expensive LLM or HTTP calls.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+/**
+ * @typedef {Object} NodePin
+ * @property {*} output - JSON value fed downstream
+ * @property {'run'|'manual'} source - Copied from a run, or hand-written
+ * @property {number} pinnedAt
+ */
+
+/**
+ * Node types that cannot be pinned: they choose their outgoing branch
+ * (or re-run a loop body) at run time, which a fixed value cannot replay
+ */
+export const UNPINNABLE_TYPES = [
+  "ifElse",
+  "switch",
+  "condition",
+  "branch",
+  "loop",
+];
+
+/**
+ * @param {Object} node
+ * @returns {boolean}
+ */
+export function canPin(node) {
+  return Boolean(node) && !UNPINNABLE_TYPES.includes(node.type);
+}
+
+/**
+ * Builds a pin from a value. The value is copied through JSON so the pin
+ * survives saving and export; non-JSON values (Blobs, Maps) are refused.
+ * @param {*} output
+ * @param {'run'|'manual'} source
+ * @returns {NodePin}
+ */
+export function createPin(output, source) {
+  if (output === undefined) throw new Error("There is no output to pin");
+  if (
+    output instanceof Map ||
+    (typeof Blob !== "undefined" && output instanceof Blob)
+  ) {
+    throw new Error("Binary and Map outputs cannot be pinned");
+  }
+  try {
+    return {
+      output: JSON.parse(JSON.stringify(output)),
+      source,
+      pinnedAt: Date.now(),
+    };
+  } catch (error) {
+    throw new Error(`Output is not JSON: ${error.message}`);
+  }
+}
@@ -177,6 +177,18 @@ export function generateToolSchema(node) {
   return schema;
 }
 
+/**
+ * Checks whether a target handle is an agent tool slot
+ * (BaseNode "tool-input" or legacy "resource" handles)
+ * @param {string} handleId
+ * @returns {boolean}
+ */
+export function isToolHandle(handleId) {
+  return Boolean(
+    handleId?.startsWith(RESOURCE_SLOTS.TOOL) || handleId?.includes("resource")
+  );
+}
+
 /**
  * Scans a node's connected diamond handles and returns tool schemas
  * @param {Object} node - The agent node
@@ -194,7 +206,7 @@ export function scanConnectedTools(node, edges, nodes) {
   // Let's assume any resource connection to the Agent is a potential tool.
 
   const incomingResourceEdges = edges.filter(
-    (edge) => edge.target === node.id && edge.targetHandle?.includes("resource")
+    (edge) => edge.target === node.id && isToolHandle(edge.targetHandle)
   );
 
   incomingResourceEdges.forEach((edge) => {
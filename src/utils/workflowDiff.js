@@ -0,0 +1,231 @@
+/**
+ * Workflow Diff
+ * Compares two versions of a workflow: nodes and edges added, removed or
+ * changed, a field-level diff of `node.data`, and a line diff for long
+ * text fields (prompts, code). Also builds the overlay graph the canvas
+ * shows while comparing.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { toStoredGraph } from "./workflowLibrary.js";
+
+/**
+ * @typedef {Object} DiffableWorkflow
+ * @property {Array} nodes
+ * @property {Array} edges
+ * @property {Object<string, string>} [variables]
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} key
+ * @property {*} before - undefined when the field was added
+ * @property {*} after - undefined when the field was removed
+ */
+
+/**
+ * @typedef {Object} NodeChange
+ * @property {string} id
+ * @property {string} type
+ * @property {string} label
+ * @property {FieldChange[]} fields
+ */
+
+/**
+ * @typedef {Object} WorkflowDiff
+ * @property {{added: Array, removed: Array, changed: NodeChange[]}} nodes
+ * @property {{added: Array, removed: Array}} edges
+ * @property {FieldChange[]} variables
+ */
+
+/**
+ * @typedef {Object} LineChange
+ * @property {'same'|'added'|'removed'} type
+ * @property {string} text
+ */
+
+// Above this many line pairs the line diff degrades to remove-all / add-all
+const MAX_LINE_DIFF_CELLS = 250000;
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Same connection even if the edge was recreated under a new id
+const edgeKey = (edge) =>
+  `${edge.source}:${edge.sourceHandle || ""}->${edge.target}:${
+    edge.targetHandle || ""
+  }`;
+
+const nodeLabel = (node) => node.data?.label || node.type || node.id;
+
+/**
+ * Field-level differences between two plain objects
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {FieldChange[]}
+ */
+export function diffFields(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys
+    .filter((key) => !isEqual(before[key], after[key]))
+    .map((key) => ({ key, before: before[key], after: after[key] }));
+}
+
+/**
+ * Compares two workflow versions. Node positions are ignored: moving a
+ * node is layout, not a change in behaviour.
+ * @param {DiffableWorkflow} before
+ * @param {DiffableWorkflow} after
+ * @returns {WorkflowDiff}
+ */
+export function diffWorkflows(before, after) {
+  const base = toStoredGraph(before.nodes, before.edges);
+  const target = toStoredGraph(after.nodes, after.edges);
+
+  const baseNodes = new Map(base.nodes.map((node) => [node.id, node]));
+  const targetNodes = new Map(target.nodes.map((node) => [node.id, node]));
+
+  const changed = [];
+  target.nodes.forEach((node) => {
+    const previous = baseNodes.get(node.id);
+    if (!previous) return;
+    const fields = diffFields(previous.data, node.data);
+    if (previous.type !== node.type) {
+      fields.unshift({ key: "type", before: previous.type, after: node.type });
+    }
+    if (fields.length > 0) {
+      changed.push({
+        id: node.id,
+        type: node.type,
+        label: nodeLabel(node),
+        fields,
+      });
+    }
+  });
+
+  const baseEdges = new Set(base.edges.map(edgeKey));
+  const targetEdges = new Set(target.edges.map(edgeKey));
+
+  return {
+    nodes: {
+      added: target.nodes.filter((node) => !baseNodes.has(node.id)),
+      removed: base.nodes.filter((node) => !targetNodes.has(node.id)),
+      changed,
+    },
+    edges: {
+      added: target.edges.filter((edge) => !baseEdges.has(edgeKey(edge))),
+      removed: base.edges.filter((edge) => !targetEdges.has(edgeKey(edge))),
+    },
+    variables: diffFields(before.variables, after.variables),
+  };
+}
+
+/**
+ * @param {WorkflowDiff} diff
+ * @returns {boolean}
+ */
+export function isEmptyDiff(diff) {
+  return (
+    diff.nodes.added.length === 0 &&
+    diff.nodes.removed.length === 0 &&
+    diff.nodes.changed.length === 0 &&
+    diff.edges.added.length === 0 &&
+    diff.edges.removed.length === 0 &&
+    diff.variables.length === 0
+  );
+}
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {LineChange[]}
+ */
+export function diffLines(before = "", after = "") {
+  const a = String(before).split("\n");
+  const b = String(after).split("\n");
+
+  if (a.length * b.length > MAX_LINE_DIFF_CELLS) {
+    return [
+      ...a.map((text) => ({ type: "removed", text })),
+      ...b.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "removed", text: a[i++] });
+    } else {
+      lines.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: "removed", text: a[i++] });
+  while (j < b.length) lines.push({ type: "added", text: b[j++] });
+  return lines;
+}
+
+/**
+ * Graph shown on the canvas while comparing: the newer version, with
+ * nodes removed since the older one kept as ghosts at their old place.
+ * Elements carry `diff-node--*` / `diff-edge--*` classes.
+ * @param {DiffableWorkflow} after
+ * @param {WorkflowDiff} diff
+ * @returns {{nodes: Array, edges: Array}}
+ */
+export function buildDiffGraph(after, diff) {
+  const added = new Set(diff.nodes.added.map((node) => node.id));
+  const changed = new Set(diff.nodes.changed.map((node) => node.id));
+  const addedEdges = new Set(diff.edges.added.map(edgeKey));
+  const graph = toStoredGraph(after.nodes, after.edges);
+
+  const nodeClass = (id) => {
+    if (added.has(id)) return "diff-node--added";
+    if (changed.has(id)) return "diff-node--changed";
+    return "diff-node--same";
+  };
+
+  return {
+    nodes: [
+      ...graph.nodes.map((node) => ({
+        ...node,
+        className: nodeClass(node.id),
+      })),
+      ...diff.nodes.removed.map((node) => ({
+        ...node,
+        className: "diff-node--removed",
+      })),
+    ],
+    edges: [
+      ...graph.edges.map((edge) => ({
+        ...edge,
+        className: addedEdges.has(edgeKey(edge))
+          ? "diff-edge--added"
+          : "diff-edge--same",
+      })),
+      ...diff.edges.removed.map((edge) => ({
+        ...edge,
+        id: `removed:${edge.id}`,
+        className: "diff-edge--removed",
+      })),
+    ],
+  };
+}
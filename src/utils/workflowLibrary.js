@@ -0,0 +1,200 @@
+/**
+ * Workflow Library
+ * IndexedDB-based store of every workflow the editor knows about. Tabs
+ * open records from here, the canvas autosaves into it and Execute
+ * Workflow nodes load their sub-workflows from it by id.
+ * Part of IOSANS Sovereign Architecture - Local-First, Privacy-guaranteed.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { getDatabase, WORKFLOWS_STORE } from "./database.js";
+
+/** @typedef {import('./workflowSchema.js').SchemaField} SchemaField */
+
+/**
+ * @typedef {Object} WorkflowRecord
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string[]} tags
+ * @property {Array} nodes
+ * @property {Array} edges
+ * @property {Object<string, string>} variables
+ * @property {SchemaField[]} inputSchema - Fields the trigger payload must carry
+ * @property {SchemaField[]} outputSchema - Output node labels it returns
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {'success'|'error'|'aborted'|null} lastRunStatus
+ * @property {number|null} lastRunAt
+ */
+
+/**
+ * @typedef {Omit<WorkflowRecord, 'nodes'|'edges'|'variables'>} WorkflowSummary
+ * Record without its graph, plus `nodeCount`
+ */
+
+// localStorage key of the single persisted canvas used before the library
+const LEGACY_STORAGE_KEY = "iosans-workflow";
+
+/**
+ * Graph as stored, without runtime-only state (run status, measured size,
+ * selection). Also used to tell whether a canvas has unsaved changes.
+ * @param {Array} nodes
+ * @param {Array} edges
+ * @returns {{nodes: Array, edges: Array}}
+ */
+export function toStoredGraph(nodes = [], edges = []) {
+  return {
+    nodes: nodes.map(({ id, type, position, data = {} }) => {
+      // eslint-disable-next-line no-unused-vars
+      const { status, ...rest } = data;
+      return { id, type, position, data: rest };
+    }),
+    // eslint-disable-next-line no-unused-vars
+    edges: edges.map(({ selected, ...edge }) => edge),
+  };
+}
+
+/**
+ * Saves a workflow: creates it, or updates the fields given on an
+ * existing record (others such as tags or the last run are kept).
+ * @param {Partial<WorkflowRecord>} workflow
+ * @returns {Promise<WorkflowRecord>}
+ */
+export async function saveWorkflow(workflow) {
+  const db = await getDatabase();
+  const existing = workflow.id
+    ? await db.get(WORKFLOWS_STORE, workflow.id)
+    : null;
+  const now = Date.now();
+
+  const record = {
+    description: "",
+    tags: [],
+    nodes: [],
+    edges: [],
+    variables: {},
+    inputSchema: [],
+    outputSchema: [],
+    lastRunStatus: null,
+    lastRunAt: null,
+    ...existing,
+    ...workflow,
+    id: workflow.id || uuidv4(),
+    name: workflow.name || existing?.name || "Untitled workflow",
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  Object.assign(record, toStoredGraph(record.nodes, record.edges));
+  await db.put(WORKFLOWS_STORE, record);
+  return record;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<WorkflowRecord|undefined>}
+ */
+export async function getWorkflow(id) {
+  const db = await getDatabase();
+  return db.get(WORKFLOWS_STORE, id);
+}
+
+/**
+ * Lists saved workflows, most recently updated first.
+ * @returns {Promise<WorkflowSummary[]>}
+ */
+export async function listWorkflows() {
+  const db = await getDatabase();
+  const records = await db.getAllFromIndex(WORKFLOWS_STORE, "updatedAt");
+  return records.reverse().map(
+    // eslint-disable-next-line no-unused-vars
+    ({ nodes = [], edges, variables, ...summary }) => ({
+      description: "",
+      tags: [],
+      lastRunStatus: null,
+      lastRunAt: null,
+      ...summary,
+      nodeCount: nodes.length,
+    })
+  );
+}
+
+/**
+ * Copies a workflow under a new id and name. The copy has no run history.
+ * @param {string} id
+ * @returns {Promise<WorkflowRecord>}
+ */
+export async function duplicateWorkflow(id) {
+  const original = await getWorkflow(id);
+  if (!original) throw new Error(`Workflow ${id} not found`);
+
+  // eslint-disable-next-line no-unused-vars
+  const { id: _id, createdAt, updatedAt, ...copy } = original;
+  return saveWorkflow({
+    ...copy,
+    name: `${original.name} (copy)`,
+    lastRunStatus: null,
+    lastRunAt: null,
+  });
+}
+
+/**
+ * Records the outcome of the latest run without touching `updatedAt`
+ * @param {string} id
+ * @param {string} status
+ * @param {number} [at]
+ * @returns {Promise<void>}
+ */
+export async function recordWorkflowRun(id, status, at = Date.now()) {
+  const db = await getDatabase();
+  const record = await db.get(WORKFLOWS_STORE, id);
+  if (!record) return;
+  await db.put(WORKFLOWS_STORE, {
+    ...record,
+    lastRunStatus: status,
+    lastRunAt: at,
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteWorkflow(id) {
+  const db = await getDatabase();
+  await db.delete(WORKFLOWS_STORE, id);
+}
+
+/**
+ * Moves the canvas persisted by earlier versions (zustand `persist` under
+ * localStorage "iosans-workflow") into the library, once.
+ * @returns {Promise<WorkflowRecord|null>} The migrated workflow, if any
+ */
+export async function migrateLegacyWorkflow() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+  } catch (error) {
+    console.warn("[WorkflowLibrary] Unreadable legacy workflow:", error);
+  }
+  const state = stored?.state;
+  let record = null;
+
+  if (state?.nodes?.length > 0) {
+    record = await saveWorkflow({
+      id: state.workflowId || undefined,
+      name: state.workflowName || "My workflow",
+      description: "Migrated from the single-canvas editor",
+      nodes: state.nodes,
+      edges: state.edges || [],
+      variables: state.variables || {},
+      inputSchema: state.inputSchema || [],
+      outputSchema: state.outputSchema || [],
+    });
+    console.log(`[WorkflowLibrary] Migrated legacy workflow: ${record.id}`);
+  }
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  return record;
+}
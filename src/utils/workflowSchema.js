@@ -0,0 +1,48 @@
+/**
+ * Workflow Schema
+ * Declared input / output interface of a workflow called as a
+ * sub-workflow, and the checks run on both sides of the call.
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+/**
+ * @typedef {Object} SchemaField
+ * @property {string} name
+ * @property {'any'|'string'|'number'|'boolean'|'object'|'array'} type
+ * @property {boolean} [required]
+ */
+
+export const SCHEMA_TYPES = [
+  "any",
+  "string",
+  "number",
+  "boolean",
+  "object",
+  "array",
+];
+
+/**
+ * Checks a value against declared schema fields.
+ * @param {*} value - Object to check
+ * @param {SchemaField[]} schema
+ * @param {string} what - "input" / "output", for messages
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateAgainstSchema(value, schema = [], what = "input") {
+  const problems = [];
+  const object = value && typeof value === "object" ? value : {};
+
+  schema.forEach(({ name, type = "any", required }) => {
+    const field = object[name];
+    if (field === undefined || field === null) {
+      if (required) problems.push(`Missing required ${what} "${name}"`);
+      return;
+    }
+    const actual = Array.isArray(field) ? "array" : typeof field;
+    if (type !== "any" && actual !== type) {
+      problems.push(`${what} "${name}" should be ${type}, got ${actual}`);
+    }
+  });
+
+  return problems;
+}
@@ -0,0 +1,104 @@
+/**
+ * Workflow Versions
+ * IndexedDB-based named snapshots of a library workflow, to compare
+ * against each other or the canvas and to restore.
+ * Part of IOSANS Sovereign Architecture - Local-First, Privacy-guaranteed.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { getDatabase, VERSIONS_STORE } from "./database.js";
+import { toStoredGraph } from "./workflowLibrary.js";
+
+/**
+ * @typedef {Object} VersionRecord
+ * @property {string} id
+ * @property {string} workflowId - Library workflow it belongs to
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {Array} nodes
+ * @property {Array} edges
+ * @property {Object<string, string>} variables
+ * @property {import('./workflowSchema.js').SchemaField[]} inputSchema
+ * @property {import('./workflowSchema.js').SchemaField[]} outputSchema
+ */
+
+/**
+ * @typedef {Omit<VersionRecord, 'nodes'|'edges'|'variables'|'inputSchema'|'outputSchema'>} VersionSummary
+ * Record without its graph, plus `nodeCount`
+ */
+
+/**
+ * Saves the given state of a workflow as a named version.
+ * @param {string} workflowId
+ * @param {string} name
+ * @param {{nodes: Array, edges: Array, variables?: Object, inputSchema?: Array, outputSchema?: Array}} workflow
+ * @returns {Promise<VersionRecord>}
+ */
+export async function saveVersion(workflowId, name, workflow) {
+  const db = await getDatabase();
+  const record = {
+    id: uuidv4(),
+    workflowId,
+    name,
+    createdAt: Date.now(),
+    ...toStoredGraph(workflow.nodes, workflow.edges),
+    variables: workflow.variables || {},
+    inputSchema: workflow.inputSchema || [],
+    outputSchema: workflow.outputSchema || [],
+  };
+  await db.put(VERSIONS_STORE, record);
+  return record;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<VersionRecord|undefined>}
+ */
+export async function getVersion(id) {
+  const db = await getDatabase();
+  return db.get(VERSIONS_STORE, id);
+}
+
+/**
+ * Lists a workflow's versions, newest first.
+ * @param {string} workflowId
+ * @returns {Promise<VersionSummary[]>}
+ */
+export async function listVersions(workflowId) {
+  const db = await getDatabase();
+  const records = await db.getAllFromIndex(
+    VERSIONS_STORE,
+    "workflowId",
+    workflowId
+  );
+  return records
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ id, workflowId, name, createdAt, nodes = [] }) => ({
+      id,
+      workflowId,
+      name,
+      createdAt,
+      nodeCount: nodes.length,
+    }));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteVersion(id) {
+  const db = await getDatabase();
+  await db.delete(VERSIONS_STORE, id);
+}
+
+/**
+ * Removes every version of a workflow (when the workflow is deleted).
+ * @param {string} workflowId
+ * @returns {Promise<void>}
+ */
+export async function deleteVersionsOf(workflowId) {
+  const db = await getDatabase();
+  const tx = db.transaction(VERSIONS_STORE, "readwrite");
+  const keys = await tx.store.index("workflowId").getAllKeys(workflowId);
+  await Promise.all([...keys.map((key) => tx.store.delete(key)), tx.done]);
+}
@@ -0,0 +1,41 @@
+/**
+ * CodeSandbox tests, running the code worker in a Node worker thread
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { createNodeServices } from "../src/cli/nodeServices.js";
+
+describe("CodeSandbox", () => {
+  let sandbox;
+
+  before(async () => {
+    ({ codeSandbox: sandbox } = await createNodeServices());
+  });
+
+  it("returns the result, a top-level output, or the inputs", async () => {
+    assert.equal(await sandbox.run("return inputs.a + 1", { a: 1 }), 2);
+    assert.equal(await sandbox.run("output = inputs.a * 2", { a: 2 }), 4);
+    assert.deepEqual(await sandbox.run("const x = 1", { a: 3 }), { a: 3 });
+  });
+
+  it("lets user code declare the names of hidden globals", async () => {
+    assert.equal(
+      await sandbox.run("const close = 3; let self = 2; return close * self"),
+      6
+    );
+  });
+
+  it("hides the worker's messaging from the code and its this", async () => {
+    assert.deepEqual(
+      await sandbox.run(`return [
+        this === undefined,
+        typeof postMessage,
+        typeof globalThis,
+        typeof Function("return this")().postMessage,
+      ]`),
+      [true, "undefined", "undefined", "undefined"]
+    );
+  });
+});
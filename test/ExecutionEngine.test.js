@@ -0,0 +1,488 @@
+/**
+ * ExecutionEngine tests, run against the in-memory host
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ExecutionEngine } from "../src/engine/ExecutionEngine.js";
+import { createMemoryHost } from "../src/engine/memoryHost.js";
+import {
+  BaseNodeExecutor,
+  registerExecutor,
+} from "../src/engine/NodeExecutors.js";
+import useExecutionStore from "../src/store/executionStore.js";
+import { getErrorHandleId } from "../src/utils/handleTypes.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Test node: waits `data.ms`, fails while `data.failures` is above the
+ * number of calls so far, and echoes its inputs (or returns `data.output`)
+ */
+class ProbeExecutor extends BaseNodeExecutor {
+  constructor() {
+    super("probe");
+    this.calls = new Map();
+    this.signals = new Map();
+  }
+
+  async execute({ nodeId, nodeData, inputs, signal }) {
+    const call = (this.calls.get(nodeId) || 0) + 1;
+    this.calls.set(nodeId, call);
+    this.signals.set(nodeId, signal);
+    await sleep(nodeData.ms || 1);
+    if (call <= (nodeData.failures || 0)) {
+      throw new Error(`${nodeId} failed (call ${call})`);
+    }
+    return { output: nodeData.output ?? { from: nodeId, inputs } };
+  }
+}
+
+/** Test node that never settles and ignores its abort signal */
+class StuckExecutor extends BaseNodeExecutor {
+  constructor() {
+    super("stuck");
+  }
+
+  execute() {
+    return new Promise(() => {});
+  }
+}
+
+const probe = new ProbeExecutor();
+registerExecutor("probe", probe);
+registerExecutor("stuck", new StuckExecutor());
+
+const node = (id, type = "probe", data = {}) => ({
+  id,
+  type,
+  data: { label: id, ...data },
+});
+const edge = (source, target, sourceHandle = `${source}-output`) => ({
+  id: `${source}-${target}-${sourceHandle}`,
+  source,
+  target,
+  sourceHandle,
+});
+
+const run = async (workflow, options, hostOptions) => {
+  probe.calls.clear();
+  const host = createMemoryHost(hostOptions);
+  const engine = new ExecutionEngine(host);
+  const state = host.getState();
+  try {
+    const results = await engine.executeGraph(workflow, options);
+    return { results, state, error: null };
+  } catch (error) {
+    return { results: null, state, error };
+  }
+};
+
+describe("scheduler", () => {
+  it("runs fan-in once with the input of every branch", async () => {
+    const { state, error } = await run({
+      nodes: [
+        node("t", "manualTrigger"),
+        node("a", "probe", { ms: 20 }),
+        node("b"),
+        node("c"),
+      ],
+      edges: [edge("t", "a"), edge("t", "b"), edge("a", "c"), edge("b", "c")],
+    });
+
+    assert.equal(error, null);
+    assert.equal(probe.calls.get("c"), 1);
+    assert.deepEqual(Object.keys(state.nodeResults.get("c").output.inputs), [
+      "a",
+      "b",
+    ]);
+  });
+
+  it("fires a race merge on the first input", async () => {
+    const { state } = await run({
+      nodes: [
+        node("t", "manualTrigger"),
+        node("slow", "probe", { ms: 40 }),
+        node("fast"),
+        node("first", "merge", { mergeStrategy: "first" }),
+        node("after"),
+      ],
+      edges: [
+        edge("t", "slow"),
+        edge("t", "fast"),
+        edge("slow", "first"),
+        edge("fast", "first"),
+        edge("first", "after"),
+      ],
+    });
+
+    assert.equal(state.nodeResults.get("first").output.from, "fast");
+    assert.equal(probe.calls.get("after"), 1);
+    assert.equal(probe.calls.get("slow"), 1);
+  });
+
+  it("skips the branch an If/Else did not take, and merges still fire", async () => {
+    const { state } = await run({
+      nodes: [
+        node("t", "manualTrigger"),
+        node("if", "ifElse", { condition: "exists", field: "triggered" }),
+        node("yes"),
+        node("no"),
+        node("below-no"),
+        node("m", "merge"),
+      ],
+      edges: [
+        edge("t", "if"),
+        edge("if", "yes", "if-true"),
+        edge("if", "no", "if-false"),
+        edge("no", "below-no"),
+        edge("yes", "m"),
+        edge("below-no", "m"),
+      ],
+    });
+
+    assert.equal(state.nodeResults.get("yes").status, "success");
+    assert.equal(state.nodeResults.get("no").status, "skipped");
+    assert.equal(state.nodeResults.get("below-no").status, "skipped");
+    assert.equal(state.nodeResults.get("m").status, "success");
+  });
+
+  it("runs a loop body per item and collects the results", async () => {
+    const { state, error } = await run({
+      nodes: [
+        node("t", "start"),
+        node("list", "probe", { output: { list: ["x", "y", "z"] } }),
+        node("loop", "loop", { itemsPath: "list", concurrency: 2 }),
+        node("body"),
+        node("done"),
+      ],
+      edges: [
+        edge("t", "list"),
+        edge("list", "loop"),
+        edge("loop", "body", "loop-body"),
+        edge("loop", "done", "loop-done"),
+      ],
+    });
+
+    assert.equal(error, null);
+    assert.equal(probe.calls.get("body"), 3);
+    assert.deepEqual(
+      state.nodeResults
+        .get("done")
+        .output.inputs.map((result) => result.inputs.item),
+      ["x", "y", "z"]
+    );
+  });
+});
+
+describe("error policies", () => {
+  it("retries with exponential backoff, then succeeds", async () => {
+    const started = Date.now();
+    const { state, error } = await run({
+      nodes: [
+        node("t", "manualTrigger"),
+        node("flaky", "probe", {
+          failures: 2,
+          maxRetries: 2,
+          retryDelay: 20,
+          backoff: "exponential",
+        }),
+      ],
+      edges: [edge("t", "flaky")],
+    });
+
+    assert.equal(error, null);
+    assert.equal(probe.calls.get("flaky"), 3);
+    assert.ok(Date.now() - started >= 20 + 40);
+    assert.equal(state.nodeResults.get("flaky").status, "success");
+    assert.ok(
+      state.logs.some((log) =>
+        /Attempt 2 failed.*Retrying in 40ms/.test(log.content)
+      )
+    );
+  });
+
+  it("fails a node that exceeds its timeout, even if it ignores the signal", async () => {
+    const { state, error } = await run({
+      nodes: [node("t", "manualTrigger"), node("s", "stuck", { timeout: 20 })],
+      edges: [edge("t", "s")],
+    });
+
+    assert.match(error.message, /Timed out after 20ms/);
+    assert.equal(state.nodeResults.get("s").status, "error");
+  });
+
+  it("passes null downstream on continue", async () => {
+    const { state, error } = await run({
+      nodes: [
+        node("t", "manualTrigger"),
+        node("bad", "probe", { failures: 1, onError: "continue" }),
+        node("next"),
+      ],
+      edges: [edge("t", "bad"), edge("bad", "next")],
+    });
+
+    assert.equal(error, null);
+    assert.equal(state.nodeResults.get("bad").handled, true);
+    assert.deepEqual(state.nodeResults.get("next").output.inputs, null);
+  });
+
+  it("routes the error to a connected error output", async () => {
+    const { state, error } = await run({
+      nodes: [
+        node("t", "manualTrigger"),
+        node("bad", "probe", { failures: 1 }),
+        node("ok"),
+        node("handler"),
+      ],
+      edges: [
+        edge("t", "bad"),
+        edge("bad", "ok"),
+        edge("bad", "handler", getErrorHandleId("bad")),
+      ],
+    });
+
+    assert.equal(error, null);
+    assert.equal(state.nodeResults.get("ok").status, "skipped");
+    assert.match(
+      state.nodeResults.get("handler").output.inputs.message,
+      /bad failed/
+    );
+  });
+
+  it("cancels running siblings when a node fails the run", async () => {
+    const events = [];
+    const { state, error } = await run(
+      {
+        nodes: [
+          node("t", "manualTrigger"),
+          node("slow", "probe", { ms: 200 }),
+          node("stuck", "stuck"),
+          node("bad", "probe", { ms: 10, failures: 1 }),
+          node("after-slow"),
+        ],
+        edges: [
+          edge("t", "slow"),
+          edge("t", "stuck"),
+          edge("t", "bad"),
+          edge("slow", "after-slow"),
+        ],
+      },
+      undefined,
+      { onEvent: (event) => events.push(event) }
+    );
+
+    assert.match(error.message, /bad failed/);
+    assert.equal(probe.signals.get("slow").aborted, true);
+    assert.equal(state.nodeResults.get("slow").error, "Execution aborted");
+    assert.equal(state.nodeResults.get("stuck").error, "Execution aborted");
+    assert.equal(state.nodeResults.has("after-slow"), false);
+
+    // Nothing is written once the run has ended
+    const ended = events.length;
+    await sleep(250);
+    assert.equal(events.length, ended);
+    assert.equal(events.at(-1).type, "run:end");
+  });
+});
+
+describe("abort", () => {
+  it("stops the run and rejects", async () => {
+    const engine = new ExecutionEngine(createMemoryHost());
+    const running = engine.executeGraph({
+      nodes: [node("t", "manualTrigger"), node("s", "stuck")],
+      edges: [edge("t", "s")],
+    });
+    await sleep(10);
+    engine.abort();
+    await assert.rejects(running, /Execution aborted/);
+  });
+});
+
+describe("partial runs", () => {
+  it("replays a pinned output instead of running the node", async () => {
+    const { state, error } = await run({
+      nodes: [
+        node("t", "manualTrigger"),
+        node("p", "probe", { pin: { output: { pinned: 1 } } }),
+        node("next"),
+      ],
+      edges: [edge("t", "p"), edge("p", "next")],
+    });
+
+    assert.equal(error, null);
+    assert.equal(probe.calls.has("p"), false);
+    assert.deepEqual(state.nodeResults.get("next").output.inputs, {
+      pinned: 1,
+    });
+  });
+
+  it("runs from a node, reusing the previous results upstream", async () => {
+    const host = createMemoryHost();
+    const workflow = {
+      nodes: [node("t", "manualTrigger"), node("a"), node("b")],
+      edges: [edge("t", "a"), edge("a", "b")],
+    };
+    await new ExecutionEngine(host).executeGraph(workflow);
+    const first = host.getState().nodeResults.get("a").output;
+
+    probe.calls.clear();
+    await new ExecutionEngine(host).executeGraph(workflow, { startFrom: "b" });
+
+    assert.equal(probe.calls.has("a"), false);
+    assert.equal(probe.calls.get("b"), 1);
+    assert.deepEqual(host.getState().nodeResults.get("b").output.inputs, first);
+  });
+});
+
+describe("sub-workflows", () => {
+  const child = {
+    id: "child",
+    name: "Child",
+    nodes: [node("t", "start"), node("work"), node("out", "output")],
+    edges: [edge("t", "work"), edge("work", "out")],
+    inputSchema: [{ name: "city", type: "string", required: true }],
+    outputSchema: [{ name: "out", type: "object" }],
+  };
+  const loop = {
+    id: "loop",
+    name: "Loop",
+    nodes: [
+      node("t", "start"),
+      node("call", "executeWorkflow", { workflowId: "loop" }),
+    ],
+    edges: [edge("t", "call")],
+  };
+  const services = {
+    workflowLibrary: {
+      getWorkflow: async (id) => ({ child, loop }[id] || null),
+    },
+  };
+  const parent = {
+    nodes: [
+      node("t", "start"),
+      node("call", "executeWorkflow", { workflowId: "child" }),
+    ],
+    edges: [edge("t", "call")],
+  };
+
+  it("runs the child with the incoming data and returns its outputs", async () => {
+    const { state, error } = await run(parent, {
+      services,
+      trigger: { type: "manual", input: { city: "Oslo" } },
+    });
+
+    assert.equal(error, null);
+    const { out } = state.nodeResults.get("call").output;
+    assert.equal(out.from, "work");
+    assert.equal(out.inputs.city, "Oslo");
+    assert.ok(
+      state.logs.some(
+        (log) => log.nodeId === "call" && log.subRun?.workflowName === "Child"
+      )
+    );
+  });
+
+  it("checks the call against the declared inputs", async () => {
+    const { error } = await run(parent, { services });
+    assert.match(error.message, /Missing required input "city"/);
+  });
+
+  it("stops a workflow that calls itself", async () => {
+    const { error } = await run(loop, { services });
+    assert.match(error.message, /depth limit \(5\) reached/);
+  });
+});
+
+describe("output cache", () => {
+  it("reuses the stored output of a cacheable node", async () => {
+    const entries = new Map();
+    const host = {
+      ...createMemoryHost(),
+      outputCache: {
+        get: async (key) => entries.get(key) || null,
+        set: async (entry) => entries.set(entry.key, entry),
+      },
+    };
+    registerExecutor("transform", probe);
+    const workflow = {
+      nodes: [node("t", "start"), node("x", "transform", { cache: true })],
+      edges: [edge("t", "x")],
+    };
+
+    probe.calls.clear();
+    await new ExecutionEngine(host).executeGraph(workflow);
+    await new ExecutionEngine(host).executeGraph(workflow);
+
+    assert.equal(entries.size, 1);
+    assert.equal(probe.calls.get("x"), 1);
+    assert.equal(host.getState().nodeResults.get("x").status, "success");
+  });
+});
+
+describe("debugger", () => {
+  /** Engine bound to executionStore, which keeps the debugger state */
+  const storeEngine = () =>
+    new ExecutionEngine({
+      ...createMemoryHost(),
+      getState: () => useExecutionStore.getState(),
+    });
+
+  it("pauses at a breakpoint and runs the node with the edited input", async () => {
+    const store = useExecutionStore.getState();
+    store.toggleBreakpoint("a");
+    probe.calls.clear();
+
+    const running = storeEngine().executeGraph({
+      nodes: [node("t", "start"), node("a"), node("b")],
+      edges: [edge("t", "a"), edge("a", "b")],
+    });
+    await sleep(300);
+
+    assert.equal(useExecutionStore.getState().pausedNodeId, "a");
+    assert.equal(probe.calls.has("a"), false);
+    useExecutionStore.getState().setPausedInput({ edited: true });
+    useExecutionStore.getState().resumeExecution();
+    await running;
+
+    const { nodeResults } = useExecutionStore.getState();
+    assert.deepEqual(nodeResults.get("a").output.inputs, { edited: true });
+    assert.equal(nodeResults.get("b").status, "success");
+    useExecutionStore.getState().clearBreakpoints();
+  });
+
+  it("queues branches reaching a breakpoint and gives each its own input", async () => {
+    const store = useExecutionStore.getState();
+    store.toggleBreakpoint("a");
+    store.toggleBreakpoint("b");
+    probe.calls.clear();
+
+    const running = storeEngine().executeGraph({
+      nodes: [node("t", "start"), node("a"), node("b")],
+      edges: [edge("t", "a"), edge("t", "b")],
+    });
+    await sleep(300);
+
+    const first = useExecutionStore.getState().pausedNodeId;
+    const other = first === "a" ? "b" : "a";
+    assert.ok(first);
+    useExecutionStore.getState().setPausedInput({ edited: first });
+    useExecutionStore.getState().resumeExecution();
+    await sleep(600);
+
+    const state = useExecutionStore.getState();
+    assert.equal(state.pausedNodeId, other);
+    assert.deepEqual(state.nodeResults.get(first).output.inputs, {
+      edited: first,
+    });
+    assert.equal(probe.calls.has(other), false);
+
+    state.resumeExecution();
+    await running;
+    assert.notDeepEqual(
+      useExecutionStore.getState().nodeResults.get(other).output.inputs,
+      { edited: first }
+    );
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Node executor tests, against fake services
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getExecutor } from "../src/engine/NodeExecutors.js";
+
+describe("LLMNodeExecutor", () => {
+  const llm = getExecutor("llm");
+
+  /** Answers with the last user message, streamed in one chunk */
+  const fakeWebLLM = (calls) => ({
+    currentModelId: "loaded-model",
+    chat: async (messages, options) => {
+      calls.push({ messages, options });
+      const content = `echo: ${messages.at(-1).content}`;
+      options.onStream({ content, fullContent: content });
+      return { content, finishReason: "stop", usage: { total_tokens: 3 } };
+    },
+  });
+
+  it("sends the prompt followed by the upstream input and streams the reply", async () => {
+    const calls = [];
+    const streamed = [];
+    const result = await llm.execute({
+      inputs: { text: "from upstream" },
+      nodeData: { systemPrompt: "Be brief.", prompt: "Summarize:" },
+      services: { webLLM: fakeWebLLM(calls) },
+      setContent: (content) => streamed.push(content),
+    });
+
+    assert.deepEqual(calls[0].messages, [
+      { role: "system", content: "Be brief." },
+      { role: "user", content: "Summarize:\n\nfrom upstream" },
+    ]);
+    assert.equal(result.output.response, "echo: Summarize:\n\nfrom upstream");
+    assert.equal(result.output.model, "loaded-model");
+    assert.deepEqual(streamed, [result.output.response]);
+  });
+
+  it("fails when there is nothing to ask", async () => {
+    await assert.rejects(
+      llm.execute({
+        inputs: { triggered: true, timestamp: 1 },
+        nodeData: { systemPrompt: "Be brief." },
+        services: { webLLM: fakeWebLLM([]) },
+      }),
+      /No prompt provided/
+    );
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * PyodideService run queue tests, against a fake Python worker
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+let workers = 0;
+const sent = [];
+
+/** Echoes each script's code as its output ("slow" takes longer) */
+class FakeWorker {
+  constructor() {
+    this.id = ++workers;
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    sent.push({ worker: this.id, ...message });
+    const reply = (data, ms) =>
+      setTimeout(() => !this.terminated && this.onmessage({ data }), ms);
+
+    if (message.type === "INIT") reply({ type: "READY" }, 1);
+    if (message.type === "RUN") {
+      const { code } = message.payload;
+      const { runId } = message;
+      reply(
+        { type: "PROGRESS", runId, payload: { status: `Loading ${code}` } },
+        1
+      );
+      reply(
+        { type: "RESULT", runId, payload: { output: code, artifacts: [] } },
+        code === "slow" ? 40 : 5
+      );
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe("PyodideService", () => {
+  let service;
+
+  before(async () => {
+    globalThis.Worker = FakeWorker;
+    ({ pyodideService: service } = await import(
+      "../src/engine/PyodideService.js"
+    ));
+    service.getIndexURL = () => "http://localhost/pyodide/";
+    service.runtimeAvailable = true;
+  });
+
+  it("runs a script with its packages split by install source", async () => {
+    const progress = [];
+    const result = await service.run(
+      "script",
+      { a: 1 },
+      {
+        packages: ["numpy", "faker"],
+        onProgress: (status) => progress.push(status),
+      }
+    );
+
+    assert.deepEqual(result, { output: "script", artifacts: [] });
+    assert.deepEqual(progress, ["Loading script"]);
+    assert.deepEqual(sent.at(-1).payload, {
+      code: "script",
+      inputs: { a: 1 },
+      packages: { bundled: ["numpy"], micropip: ["faker"] },
+    });
+  });
+
+  it("refuses packages outside the allow-list", async () => {
+    const before = sent.length;
+    await assert.rejects(
+      service.run("script", {}, { packages: ["numpy", "requests"] }),
+      /not allowed: requests/
+    );
+    assert.equal(sent.length, before);
+  });
+
+  it("aborting one run leaves the others running, each with its own progress", async () => {
+    const progress = { slow: [], other: [] };
+    const slowController = new AbortController();
+    const queuedController = new AbortController();
+
+    const slow = service.run(
+      "slow",
+      {},
+      {
+        signal: slowController.signal,
+        onProgress: (status) => progress.slow.push(status),
+      }
+    );
+    const other = service.run(
+      "other",
+      {},
+      {
+        onProgress: (status) => progress.other.push(status),
+      }
+    );
+    const queued = service.run(
+      "queued",
+      {},
+      {
+        signal: queuedController.signal,
+      }
+    );
+
+    // A queued run is dropped without touching the worker
+    queuedController.abort();
+    await assert.rejects(queued, /Execution aborted/);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal(service.isIdle(), false);
+
+    // The running one restarts the worker; the next run goes on there
+    slowController.abort();
+    await assert.rejects(slow, /Execution aborted/);
+    assert.deepEqual(await other, { output: "other", artifacts: [] });
+
+    assert.deepEqual(progress, {
+      slow: ["Loading slow"],
+      other: ["Loading other"],
+    });
+    assert.equal(workers, 2);
+    assert.ok(!sent.some((message) => message.payload?.code === "queued"));
+    await service.whenIdle();
+    assert.equal(service.isIdle(), true);
+  });
+
+  it("rejects a run whose signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+      service.run("x", {}, { signal: controller.signal }),
+      /aborted/
+    );
+  });
+
+  it("refuses to start without the vendored runtime", async (t) => {
+    service.runtimeAvailable = null;
+    t.mock.method(globalThis, "fetch", async () => ({
+      ok: true,
+      headers: new Headers({ "content-type": "text/html" }),
+    }));
+
+    assert.equal(await service.checkRuntime(), false);
+    await assert.rejects(service.run("x", {}), /npm run vendor:pyodide/);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * ToolCallingService tests, against a fake LLM
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ToolCallingService from "../src/engine/ToolCallingService.js";
+
+/** Calls the tool named in the question, then answers with its result */
+const fakeWebLLM = {
+  currentModelId: "loaded-model",
+  chat: async (messages) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const scratchpad = messages.at(-1).content;
+    const observation = scratchpad.match(/Observation: (.+)/);
+    if (observation) return { content: `Final Answer: ${observation[1]}` };
+    const tool = scratchpad.match(/Question: (\S+)/)[1];
+    return { content: `Action: ${tool}\nAction Input: {}` };
+  },
+};
+
+const toolsFor = (name) => ({
+  tools: [{ name, description: name, parameters: {} }],
+  toolNodeMap: new Map([[name, `${name}-node`]]),
+  executeNode: async (nodeId) => ({ ran: nodeId }),
+});
+
+describe("ToolCallingService", () => {
+  it("keeps the tools of agents running in parallel apart", async () => {
+    const service = new ToolCallingService(fakeWebLLM);
+    const [a, b] = await Promise.all([
+      service.runAgent("tool_a", toolsFor("tool_a")),
+      service.runAgent("tool_b", toolsFor("tool_b")),
+    ]);
+
+    assert.equal(a.answer, '{"ran":"tool_a-node"}');
+    assert.equal(b.answer, '{"ran":"tool_b-node"}');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * WebLLMService request queue tests, against a fake engine worker
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+const sent = [];
+
+/**
+ * Answers every GENERATE with its prompt ("slow" takes longer) and
+ * confirms a CANCEL after a delay, as the real worker does
+ */
+class FakeWorker {
+  constructor() {
+    this.timers = new Map();
+    setTimeout(() => this.onmessage({ data: { type: "READY" } }), 1);
+  }
+
+  postMessage(message) {
+    sent.push(message);
+    const reply = (data, ms) =>
+      setTimeout(
+        () =>
+          this.onmessage({ data: { requestId: message.requestId, ...data } }),
+        ms
+      );
+
+    if (message.type === "LOAD_MODEL") {
+      reply({ type: "MODEL_LOADED", payload: message.payload }, 1);
+    } else if (message.type === "GENERATE") {
+      const text = message.payload.messages[0].content;
+      reply(
+        { type: "STREAM_CHUNK", payload: { content: text, fullContent: text } },
+        2
+      );
+      this.timers.set(
+        message.requestId,
+        reply(
+          { type: "GENERATE_COMPLETE", payload: { content: text } },
+          text === "slow" ? 50 : 5
+        )
+      );
+    } else if (message.type === "CANCEL") {
+      clearTimeout(this.timers.get(message.requestId));
+      reply({ type: "STREAM_CHUNK", payload: { content: "x" } }, 2);
+      reply({ type: "CANCELLED", payload: {} }, 20);
+    }
+  }
+
+  terminate() {}
+}
+
+const prompt = (text) => [{ role: "user", content: text }];
+
+describe("WebLLMService", () => {
+  let service;
+  let REQUEST_PRIORITY;
+
+  before(async () => {
+    globalThis.Worker = FakeWorker;
+    let WebLLMService;
+    ({ WebLLMService, REQUEST_PRIORITY } = await import(
+      "../src/engine/WebLLMService.js"
+    ));
+    service = new WebLLMService();
+    await service.loadModel("Llama-3.1-8B-Instruct-q4f32_1-MLC");
+  });
+
+  it("runs one request at a time, by priority, each with its own reply", async () => {
+    sent.length = 0;
+    const streamed = { slow: [], fast: [] };
+    const slow = service.chat(prompt("slow"), {
+      onStream: (chunk) => streamed.slow.push(chunk.content),
+    });
+    const fast = service.chat(prompt("fast"), {
+      onStream: (chunk) => streamed.fast.push(chunk.content),
+    });
+    const urgent = service.chat(prompt("urgent"), {
+      priority: REQUEST_PRIORITY.HIGH,
+    });
+
+    assert.deepEqual(
+      (await Promise.all([slow, fast, urgent])).map((reply) => reply.content),
+      ["slow", "fast", "urgent"]
+    );
+    assert.deepEqual(streamed, { slow: ["slow"], fast: ["fast"] });
+    assert.deepEqual(
+      sent.map((message) => message.payload.messages[0].content),
+      ["slow", "urgent", "fast"]
+    );
+    assert.equal(new Set(sent.map((message) => message.requestId)).size, 3);
+  });
+
+  it("rejects a request whose signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+      service.chat(prompt("fast"), { signal: controller.signal }),
+      /Execution aborted/
+    );
+  });
+
+  it("aborts the active and queued requests, then waits for the worker", async () => {
+    sent.length = 0;
+    const controller = new AbortController();
+    const streamed = [];
+    const active = service.chat(prompt("slow"), {
+      signal: controller.signal,
+      onStream: (chunk) => streamed.push(chunk.content),
+    });
+    const queued = service.chat(prompt("queued"), {
+      signal: controller.signal,
+    });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    const aborted = Date.now();
+    controller.abort();
+    await assert.rejects(active, /Execution aborted/);
+    await assert.rejects(queued, /Execution aborted/);
+    assert.equal(service.isIdle(), false);
+
+    await service.whenIdle();
+    assert.ok(Date.now() - aborted >= 15);
+    assert.deepEqual(streamed, ["slow"]);
+    assert.equal(sent.filter((message) => message.type === "CANCEL").length, 1);
+    assert.ok(
+      !sent.some(
+        (message) =>
+          message.type === "GENERATE" &&
+          message.payload.messages[0].content === "queued"
+      )
+    );
+  });
+
+  it("keeps serving requests after an abort", async () => {
+    assert.equal((await service.chat(prompt("fast"))).content, "fast");
+    assert.equal(service.isIdle(), true);
+  });
+});
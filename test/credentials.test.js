@@ -0,0 +1,94 @@
+/**
+ * Credentials tests
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SECRET_PLACEHOLDER,
+  credentialHeaders,
+  findInlineSecrets,
+  redactWorkflow,
+} from "../src/utils/credentials.js";
+
+describe("credentialHeaders", () => {
+  it("builds the header of each credential type", () => {
+    assert.deepEqual(
+      credentialHeaders({ type: "bearer", secret: { token: "t0k" } }),
+      { Authorization: "Bearer t0k" }
+    );
+    assert.deepEqual(
+      credentialHeaders({
+        type: "basic",
+        secret: { username: "ada", password: "pw!" },
+      }),
+      { Authorization: `Basic ${btoa("ada:pw!")}` }
+    );
+    assert.deepEqual(
+      credentialHeaders({
+        type: "header",
+        secret: { headerName: "X-Api-Key", value: "k" },
+      }),
+      { "X-Api-Key": "k" }
+    );
+    assert.throws(
+      () => credentialHeaders({ type: "oauth", secret: {} }),
+      /Unknown credential type "oauth"/
+    );
+  });
+});
+
+describe("findInlineSecrets", () => {
+  it("finds sensitive keys and known vault values, not references", () => {
+    const data = {
+      url: "https://example.com?k=vault-value",
+      headers: '{"Authorization": "Bearer abc", "Accept": "json"}',
+      body: '{"query": "{{ $vars.API_KEY }}", "api_key": "{{ $vars.KEY }}"}',
+      credential: "vault-value",
+    };
+    assert.deepEqual(findInlineSecrets(data, ["vault-value"]), [
+      "url",
+      "headers",
+    ]);
+    assert.deepEqual(findInlineSecrets(data), ["headers"]);
+  });
+});
+
+describe("redactWorkflow", () => {
+  it("replaces inline secrets, sensitive variables and vault values", () => {
+    const workflow = {
+      nodes: [
+        {
+          id: "h",
+          type: "httpRequest",
+          data: {
+            url: "https://example.com?k=vault-value",
+            headers: '{"Authorization":"Bearer abc","Accept":"json"}',
+            credential: "github",
+          },
+        },
+      ],
+      variables: { API_KEY: "zzz", TOKEN: "{{ env }}", city: "Oslo" },
+    };
+
+    const { workflow: redacted, count } = redactWorkflow(workflow, [
+      "vault-value",
+    ]);
+    const { data } = redacted.nodes[0];
+
+    assert.equal(count, 3);
+    assert.equal(data.url, `https://example.com?k=${SECRET_PLACEHOLDER}`);
+    assert.deepEqual(JSON.parse(data.headers), {
+      Authorization: SECRET_PLACEHOLDER,
+      Accept: "json",
+    });
+    assert.equal(data.credential, "github");
+    assert.deepEqual(redacted.variables, {
+      API_KEY: SECRET_PLACEHOLDER,
+      TOKEN: "{{ env }}",
+      city: "Oslo",
+    });
+    assert.equal(workflow.variables.API_KEY, "zzz");
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Execution Timeline tests
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildTimeline } from "../src/utils/executionTimeline.js";
+import { summarizeUsage } from "../src/utils/llmMetrics.js";
+
+const result = (nodeId, startTime, endTime, extra = {}) => [
+  nodeId,
+  { nodeId, status: "success", startTime, endTime, ...extra },
+];
+const link = ([source, target]) => ({ source, target });
+
+describe("buildTimeline", () => {
+  const results = new Map([
+    result("start", 1000, 1010),
+    result("a", 1010, 1500, { metrics: { tokensIn: 5 } }),
+    result("b", 1010, 1100),
+    result("c", 1200, 1300),
+    result("merge", 1500, 1600),
+    result("run", 1600, null, { status: "running" }),
+    ["pin", { nodeId: "pin", status: "success", startTime: null, endTime: 1 }],
+    result("old", 1, 2, { cached: true }),
+    ["p", { nodeId: "p", status: "pending", startTime: null }],
+  ]);
+  const edges = [
+    ["start", "a"],
+    ["start", "b"],
+    ["b", "c"],
+    ["a", "merge"],
+    ["c", "merge"],
+    ["pin", "merge"],
+    ["merge", "run"],
+  ].map(link);
+  const timeline = buildTimeline(results, edges, { start: 1000, end: 1650 });
+  const rows = Object.fromEntries(
+    timeline.rows.map((row) => [row.nodeId, row])
+  );
+
+  it("orders executed nodes by start time and omits the rest", () => {
+    assert.deepEqual(
+      timeline.rows.map((row) => row.nodeId),
+      ["start", "b", "a", "c", "merge", "run"]
+    );
+    assert.equal(timeline.omitted, 2);
+    assert.equal(rows.a.metrics.tokensIn, 5);
+  });
+
+  it("measures the wait after the inputs were ready", () => {
+    assert.equal(rows.c.readyAt, 1100);
+    assert.equal(rows.c.wait, 100);
+    assert.equal(rows.merge.wait, 0);
+  });
+
+  it("runs a node still running up to now", () => {
+    assert.equal(rows.run.endTime, 1650);
+    assert.equal(timeline.end, 1650);
+  });
+
+  it("follows the critical path back from the last node", () => {
+    assert.deepEqual(
+      timeline.rows.filter((row) => row.critical).map((row) => row.nodeId),
+      ["start", "a", "merge", "run"]
+    );
+    assert.equal(timeline.criticalDuration, 10 + 490 + 100 + 50);
+    assert.equal(timeline.busyDuration, 10 + 490 + 90 + 100 + 100 + 50);
+  });
+});
+
+describe("summarizeUsage", () => {
+  it("adds up turns and averages the decoding speed", () => {
+    assert.deepEqual(
+      summarizeUsage([
+        {
+          prompt_tokens: 10,
+          completion_tokens: 20,
+          extra: { decode_tokens_per_s: 10, time_to_first_token_s: 0.25 },
+        },
+        {
+          prompt_tokens: 5,
+          completion_tokens: 30,
+          extra: { decode_tokens_per_s: 30 },
+        },
+        null,
+      ]),
+      {
+        tokensIn: 15,
+        tokensOut: 50,
+        tokensPerSecond: 50 / 3,
+        ttftMs: 250,
+        turns: 2,
+      }
+    );
+  });
+
+  it("reports no speed without WebLLM extras, and null without usage", () => {
+    assert.equal(
+      summarizeUsage({ prompt_tokens: 1, completion_tokens: 2 })
+        .tokensPerSecond,
+      null
+    );
+    assert.equal(summarizeUsage(undefined), null);
+  });
+});
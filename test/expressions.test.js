@@ -0,0 +1,154 @@
+/**
+ * Expression Language tests
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getPath,
+  getExpressionSuggestions,
+  resolveNodeData,
+  resolveTemplate,
+} from "../src/utils/expressions.js";
+
+const fetchResult = {
+  status: "success",
+  output: { items: [{ title: "Hi", score: 3.14159 }] },
+};
+
+const scope = {
+  input: { city: "", key: "v", list: [1, 2], nested: { a: 1 } },
+  variables: { base: "https://api.example.com" },
+  getNode: (ref) => (ref === "Fetch" || ref === "n1" ? fetchResult : undefined),
+};
+
+describe("resolveTemplate", () => {
+  it("reads the direct input, nested paths and upstream nodes", () => {
+    assert.equal(resolveTemplate("{{ key }}", scope), "v");
+    assert.equal(resolveTemplate("{{ $input.list[1] }}", scope), 2);
+    assert.equal(
+      resolveTemplate('{{ $node["Fetch"].output.items[0].title }}', scope),
+      "Hi"
+    );
+    assert.equal(
+      resolveTemplate("{{ $node.n1.output.items.length }}", scope),
+      1
+    );
+    assert.equal(
+      resolveTemplate("{{ $vars.base }}/users", scope),
+      "https://api.example.com/users"
+    );
+  });
+
+  it("keeps the raw value of a field that is one expression", () => {
+    assert.deepEqual(resolveTemplate(" {{ nested }} ", scope), { a: 1 });
+    assert.equal(resolveTemplate("n={{ nested }}", scope), 'n={"a":1}');
+    assert.equal(resolveTemplate("{{ key }}/{{ key }}", scope), "v/v");
+    assert.equal(resolveTemplate("[{{ missing.deep }}]", scope), "[]");
+  });
+
+  it("calls whitelisted helpers", () => {
+    assert.equal(
+      resolveTemplate('{{ upper(default($input.city, "n/a")) }}', scope),
+      "N/A"
+    );
+    assert.equal(
+      resolveTemplate(
+        '{{ round($node["Fetch"].output.items[0].score, 2) }}',
+        scope
+      ),
+      3.14
+    );
+    assert.equal(resolveTemplate('{{ join(list, "-") }}', scope), "1-2");
+    assert.throws(
+      () => resolveTemplate("{{ evil() }}", scope),
+      /Unknown function "evil"/
+    );
+  });
+
+  it("never walks into prototypes", () => {
+    assert.equal(resolveTemplate("{{ constructor }}", scope), undefined);
+    assert.equal(resolveTemplate("{{ nested.__proto__ }}", scope), undefined);
+  });
+
+  it("leaves braces that are not an expression as literal text", () => {
+    assert.equal(resolveTemplate("{{ list[ }}", scope), "{{ list[ }}");
+    assert.equal(
+      resolveTemplate("{{#each items}}{{ key }}{{/each}}", scope),
+      "{{#each items}}v{{/each}}"
+    );
+    assert.equal(
+      resolveTemplate('JSON: {{"a": 1}} and {{ key }}', scope),
+      'JSON: {{"a": 1}} and v'
+    );
+  });
+
+  it("strips the backslash of an escaped expression", () => {
+    assert.equal(
+      resolveTemplate("\\{{ key }} is {{ key }}", scope),
+      "{{ key }} is v"
+    );
+  });
+
+  it("returns non-strings and plain text unchanged", () => {
+    assert.equal(resolveTemplate(42, scope), 42);
+    assert.equal(resolveTemplate("no braces", scope), "no braces");
+  });
+});
+
+describe("resolveNodeData", () => {
+  it("resolves nested fields and keeps code, label and pin as written", () => {
+    const data = {
+      url: "{{ $vars.base }}",
+      headers: { "X-Key": "{{ key }}" },
+      parts: ["{{ key }}", 5],
+      code: "f'{{ key }}'",
+      label: "{{ key }}",
+      pin: { output: "{{ key }}" },
+    };
+    assert.deepEqual(resolveNodeData(data, scope), {
+      url: "https://api.example.com",
+      headers: { "X-Key": "v" },
+      parts: ["v", 5],
+      code: "f'{{ key }}'",
+      label: "{{ key }}",
+      pin: { output: "{{ key }}" },
+    });
+  });
+
+  it("names the field whose expression failed", () => {
+    assert.throws(
+      () => resolveNodeData({ prompt: '{{ parse("{") }}' }, scope),
+      /Expression error in "prompt"/
+    );
+  });
+});
+
+describe("getPath", () => {
+  it("reads dot and bracket paths", () => {
+    assert.equal(getPath({ a: { b: [{ c: 1 }] } }, "a.b[0].c"), 1);
+    assert.equal(getPath({ a: [5, 6] }, "a.1"), 6);
+    assert.equal(getPath({ "x y": 2 }, '["x y"]'), 2);
+    assert.equal(getPath({ a: null }, "a.b"), undefined);
+  });
+});
+
+describe("getExpressionSuggestions", () => {
+  it("lists node output paths, variables and helpers", () => {
+    const labels = getExpressionSuggestions(
+      [
+        { id: "n1", type: "httpRequest", data: { label: "Fetch" } },
+        { id: "n2", type: "llm", data: {} },
+      ],
+      new Map([["n1", fetchResult]]),
+      { base: "x" },
+      "n2"
+    ).map((suggestion) => suggestion.label);
+
+    assert.ok(labels.includes('$node["Fetch"].output.items[0].title'));
+    assert.ok(labels.includes("$vars.base"));
+    assert.ok(labels.includes("upper()"));
+    assert.ok(!labels.some((label) => label.includes("n2")));
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Graph Validation tests
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findCycleNodes,
+  findDownstreamNodes,
+  getBlockingProblems,
+  validateGraph,
+} from "../src/engine/graphValidation.js";
+
+const node = (id, type = "transform", data = {}) => ({
+  id,
+  type,
+  data: { label: id, ...data },
+});
+const edge = (source, target, extra = {}) => ({
+  id: `${source}-${target}`,
+  source,
+  target,
+  ...extra,
+});
+
+const messagesOf = (problems, nodeId) =>
+  problems
+    .filter((problem) => problem.nodeId === nodeId)
+    .map((problem) => problem.message);
+
+describe("findCycleNodes", () => {
+  it("returns the nodes on a cycle, not those downstream of it", () => {
+    const cycle = findCycleNodes(
+      [node("a"), node("b"), node("c"), node("d")],
+      [edge("a", "b"), edge("b", "c"), edge("c", "b"), edge("c", "d")]
+    );
+    assert.deepEqual([...cycle].sort(), ["b", "c"]);
+  });
+});
+
+describe("findDownstreamNodes", () => {
+  it("includes the node itself and everything below it", () => {
+    const edges = [edge("a", "b"), edge("b", "c"), edge("x", "c")];
+    assert.deepEqual([...findDownstreamNodes("b", edges)].sort(), ["b", "c"]);
+  });
+});
+
+describe("validateGraph", () => {
+  const workflow = {
+    nodes: [
+      node("t", "manualTrigger"),
+      node("http", "httpRequest"),
+      node("sw", "switch", { cases: ["a", "b"] }),
+      node("out", "output"),
+      node("lone"),
+      node("llm", "llm", { modelId: "nope" }),
+      node("agent", "aiAgent"),
+      node("tool", "codeExecutor", { code: "return 1" }),
+      node("pinned", "httpRequest", { pin: { output: 1 } }),
+    ],
+    edges: [
+      edge("t", "http"),
+      edge("http", "sw"),
+      edge("sw", "out", { sourceHandle: "sw-case-a" }),
+      edge("tool", "agent", { targetHandle: "model-input" }),
+      edge("llm", "agent", { targetHandle: "tool-input" }),
+      edge("t", "agent", { targetHandle: "agent-input" }),
+      edge("t", "pinned"),
+    ],
+  };
+
+  it("reports executor, wiring and model problems per node", () => {
+    const problems = validateGraph(workflow, { services: {} });
+
+    assert.match(messagesOf(problems, "http").join(), /URL is required/);
+    assert.match(messagesOf(problems, "sw").join(), /Case "b" has no outgoing/);
+    assert.doesNotMatch(messagesOf(problems, "sw").join(), /Case "a"/);
+    assert.match(messagesOf(problems, "lone").join(), /Not connected/);
+    assert.match(messagesOf(problems, "llm").join(), /Unknown model "nope"/);
+    assert.match(
+      messagesOf(problems, "agent").join(),
+      /provides a tool, not a model/
+    );
+    assert.match(
+      messagesOf(problems, "agent").join(),
+      /provides a model, not a tool/
+    );
+    assert.deepEqual(messagesOf(problems, "pinned"), []);
+  });
+
+  it("asks the LLM backend about models it can serve", () => {
+    const problems = validateGraph(workflow, {
+      services: { webLLM: { supportsModel: () => true } },
+    });
+    assert.deepEqual(messagesOf(problems, "llm"), []);
+  });
+
+  it("limits a partial run to its own nodes", () => {
+    const problems = validateGraph(workflow, {
+      services: {},
+      nodeIds: new Set(["sw", "out"]),
+    });
+    assert.deepEqual(
+      [...new Set(problems.map((problem) => problem.nodeId))],
+      ["sw"]
+    );
+  });
+
+  it("flags cycles and graphs without a start node", () => {
+    const problems = validateGraph({
+      nodes: [node("a"), node("b")],
+      edges: [edge("a", "b"), edge("b", "a")],
+    });
+    assert.match(messagesOf(problems, "a").join(), /Part of a cycle/);
+    assert.match(messagesOf(problems, null).join(), /No start nodes found/);
+  });
+
+  it("blocks only on errors", () => {
+    const problems = validateGraph({
+      nodes: [node("t", "manualTrigger"), node("lone")],
+      edges: [],
+    });
+    assert.ok(problems.length > 0);
+    assert.deepEqual(getBlockingProblems(problems), []);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Headless service backend tests
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getExecutor } from "../src/engine/NodeExecutors.js";
+import {
+  createNodeServices,
+  createOpenAICompatibleLLM,
+} from "../src/cli/nodeServices.js";
+
+describe("createNodeServices", () => {
+  it("flags Python nodes as unsupported headless", async () => {
+    const result = getExecutor("python").validate({
+      nodeData: { code: "x = 1" },
+      services: await createNodeServices(),
+    });
+    assert.equal(result.valid, false);
+    assert.match(result.error, /do not run headless/);
+  });
+});
+
+describe("createOpenAICompatibleLLM", () => {
+  it("passes the abort signal to the request", async (t) => {
+    const fetch = t.mock.method(globalThis, "fetch", async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: "hi" } }] }),
+    }));
+    const controller = new AbortController();
+    const llm = createOpenAICompatibleLLM({ baseURL: "http://llm/v1/" });
+
+    const reply = await llm.chat([{ role: "user", content: "hello" }], {
+      signal: controller.signal,
+    });
+    assert.equal(reply.content, "hi");
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(url, "http://llm/v1/chat/completions");
+    assert.equal(init.signal, controller.signal);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Output Cache tests
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import "fake-indexeddb/auto";
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  clearCachedOutputs,
+  createCacheKey,
+  getCacheStats,
+  getCachedOutput,
+  isCacheable,
+  isCacheableType,
+  saveCachedOutput,
+} from "../src/utils/outputCache.js";
+
+describe("isCacheable", () => {
+  it("allows only deterministic settings", () => {
+    assert.equal(isCacheable("transform"), true);
+    assert.equal(isCacheable("httpRequest", { method: "get" }), true);
+    assert.equal(isCacheable("httpRequest", { method: "POST" }), false);
+    assert.equal(isCacheable("llm", { modelId: "m", temperature: 0 }), true);
+    assert.equal(isCacheable("llm", { modelId: "m", temperature: "" }), false);
+    assert.equal(isCacheable("llm", { modelId: "m", temperature: 0.7 }), false);
+    assert.equal(isCacheable("llm", { temperature: 0 }), false);
+    assert.equal(isCacheable("python", {}), false);
+    assert.equal(isCacheable("python", { deterministic: true }), true);
+    assert.equal(isCacheableType("aiAgent"), false);
+  });
+});
+
+describe("createCacheKey", () => {
+  it("ignores key order, retry settings, status and the trigger time", async () => {
+    const key = await createCacheKey(
+      "transform",
+      { code: "x", label: "A", maxRetries: 2, status: "idle" },
+      { triggered: true, timestamp: 1, rows: { b: 2, a: 1 } }
+    );
+    const same = await createCacheKey(
+      "transform",
+      { label: "B", code: "x", status: "success" },
+      { rows: { a: 1, b: 2 }, timestamp: 2, triggered: true }
+    );
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(key, same);
+  });
+
+  it("changes with the settings, the inputs and the type", async () => {
+    const key = await createCacheKey("transform", { code: "x" }, 1);
+    assert.notEqual(key, await createCacheKey("transform", { code: "y" }, 1));
+    assert.notEqual(key, await createCacheKey("transform", { code: "x" }, 2));
+    assert.notEqual(key, await createCacheKey("python", { code: "x" }, 1));
+  });
+
+  it("refuses binary inputs", async () => {
+    assert.equal(
+      await createCacheKey("transform", {}, { file: new Blob(["x"]) }),
+      null
+    );
+  });
+});
+
+describe("cached outputs", () => {
+  beforeEach(() => clearCachedOutputs());
+
+  it("stores, reads back and clears outputs per node", async () => {
+    await saveCachedOutput({
+      key: "k1",
+      nodeId: "a",
+      workflowId: "w",
+      nodeType: "transform",
+      output: { ok: true },
+    });
+    await saveCachedOutput({
+      key: "k2",
+      nodeId: "b",
+      workflowId: "w",
+      nodeType: "transform",
+      output: 1,
+    });
+
+    assert.deepEqual((await getCachedOutput("k1")).output, { ok: true });
+    assert.equal((await getCacheStats({ workflowId: "w" })).entries, 2);
+    assert.equal((await getCacheStats({ nodeId: "" })).entries, 0);
+
+    assert.equal(await clearCachedOutputs({ nodeId: "a" }), 1);
+    assert.equal(await getCachedOutput("k1"), null);
+    assert.ok(await getCachedOutput("k2"));
+  });
+
+  it("drops expired entries on read", async (t) => {
+    const now = Date.now();
+    t.mock.method(Date, "now", () => now);
+    await saveCachedOutput({
+      key: "old",
+      nodeId: "a",
+      nodeType: "transform",
+      output: 1,
+      ttlMinutes: 1,
+    });
+
+    Date.now.mock.mockImplementation(() => now + 61 * 1000);
+    assert.equal(await getCachedOutput("old"), null);
+    assert.equal((await getCacheStats()).entries, 0);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Workflow Diff tests
+ * Part of IOSANS Sovereign Architecture.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildDiffGraph,
+  diffFields,
+  diffLines,
+  diffWorkflows,
+  isEmptyDiff,
+} from "../src/utils/workflowDiff.js";
+
+const before = {
+  nodes: [
+    {
+      id: "a",
+      type: "llm",
+      position: { x: 0, y: 0 },
+      data: { label: "A", prompt: "line1\nline2\nline3" },
+    },
+    { id: "b", type: "output", position: { x: 0, y: 0 }, data: { label: "B" } },
+  ],
+  edges: [{ id: "e1", source: "a", target: "b" }],
+  variables: { k: "1" },
+};
+
+const after = {
+  nodes: [
+    {
+      id: "a",
+      type: "llm",
+      position: { x: 300, y: 40 },
+      data: { label: "A", prompt: "line1\nLINE2\nline3", temperature: 0.2 },
+    },
+    { id: "c", type: "output", position: { x: 0, y: 0 }, data: { label: "C" } },
+  ],
+  edges: [{ id: "e2", source: "a", target: "c" }],
+  variables: { k: "2" },
+};
+
+describe("diffWorkflows", () => {
+  it("lists added, removed and changed nodes, edges and variables", () => {
+    const diff = diffWorkflows(before, after);
+
+    assert.deepEqual(
+      diff.nodes.added.map((node) => node.id),
+      ["c"]
+    );
+    assert.deepEqual(
+      diff.nodes.removed.map((node) => node.id),
+      ["b"]
+    );
+    assert.deepEqual(
+      diff.nodes.changed.map((change) => [
+        change.id,
+        change.fields.map((field) => field.key),
+      ]),
+      [["a", ["prompt", "temperature"]]]
+    );
+    assert.equal(diff.edges.added.length, 1);
+    assert.equal(diff.edges.removed.length, 1);
+    assert.deepEqual(diff.variables, [{ key: "k", before: "1", after: "2" }]);
+  });
+
+  it("ignores moved nodes and recreated edges", () => {
+    const moved = {
+      ...before,
+      nodes: before.nodes.map((node) => ({
+        ...node,
+        position: { x: 99, y: 99 },
+      })),
+      edges: [{ id: "other-id", source: "a", target: "b" }],
+    };
+    assert.equal(isEmptyDiff(diffWorkflows(before, moved)), true);
+  });
+});
+
+describe("diffFields", () => {
+  it("compares values deeply", () => {
+    assert.deepEqual(diffFields({ a: { x: 1 }, b: 1 }, { a: { x: 1 }, c: 2 }), [
+      { key: "b", before: 1, after: undefined },
+      { key: "c", before: undefined, after: 2 },
+    ]);
+  });
+});
+
+describe("diffLines", () => {
+  it("marks changed lines as removed and added", () => {
+    assert.deepEqual(diffLines("line1\nline2\nline3", "line1\nLINE2\nline3"), [
+      { type: "same", text: "line1" },
+      { type: "removed", text: "line2" },
+      { type: "added", text: "LINE2" },
+      { type: "same", text: "line3" },
+    ]);
+  });
+});
+
+describe("buildDiffGraph", () => {
+  it("shows the newer version with removed elements as ghosts", () => {
+    const graph = buildDiffGraph(after, diffWorkflows(before, after));
+
+    assert.deepEqual(
+      graph.nodes.map((node) => [node.id, node.className]),
+      [
+        ["a", "diff-node--changed"],
+        ["c", "diff-node--added"],
+        ["b", "diff-node--removed"],
+      ]
+    );
+    assert.deepEqual(
+      graph.edges.map((edge) => [edge.id, edge.className]),
+      [
+        ["e2", "diff-edge--added"],
+        ["removed:e1", "diff-edge--removed"],
+      ]
+    );
+  });
+});